@@ -9,7 +9,12 @@
 
 const path = require('path');
 const fs = require('fs');
-const { DCRExtractor, CCTExtractor } = require('../index');
+const readline = require('readline');
+const { DCRExtractor, CCTExtractor, ProjectorExtractor, ProjectorReader, ZipExtractor, LingoAssembler, LingoCompiler, LingoVM, DirectorFileWriter, AfterburnerWriter, DirectorInspector, DirectorValidator, CastDiff, Constants } = require('../index');
+const LnamParser = require('../src/lingo/LnamParser');
+const BitmapEncoder = require('../src/member/BitmapEncoder');
+const PaletteExtractor = require('../src/member/PaletteExtractor');
+const { ZipSource } = require('../src/utils/FileSource');
 
 function showHelp() {
     process.stdout.write(`
@@ -17,27 +22,621 @@ mx-shock-ripper-js - Production Grade Director Asset Ripper v1.5.6
 
 Usage:
   mx-rip <input_file> [output_dir] [options]
+  mx-rip <archive.zip>[/<entry>] [output_dir] [options]
+  mx-rip assemble <input.lasm> [output.lscr] [--names=<file>] [--template=<file>]
+  mx-rip compile <input.ls> [output.lscr] [--names=<file>] [--template=<file>] [--lasm]
+  mx-rip run <script.ls|.lscr> <handler> [arg ...] [--names=<file>] [--with=<file>]
+  mx-rip pack <extraction_dir> [output.cst] [--names=<file>] [--dither] [--compile]
+  mx-rip encode-bitmap <input.png> [output.bitd] [--depth=<n>] [--palette=<name|file.pal>] [--dither]
+  mx-rip compress <input.cst|.dir> [output.cct|.dcr]
+  mx-rip unpack <projector.exe|.app> [output_dir]
+  mx-rip inspect <input_file> [--chunks[=<tag>]] [--keys] [--members[=<type>]] [--config]
+                 [--chunk=<id>] [--member=<id>] [--hex] [--json] [--recover]
+  mx-rip validate <input_file> [--strict] [--verbose]
+  mx-rip diff <old_file|dir> <new_file|dir> [--json] [--visual=<dir>]
 
 Options:
   --bitmap    Extract PNG images
   --script    Decompile Lingo scripts (.ls)
   --sound     Extract WAV/MP3 audio
   --palette   Extract palette JSONs
-  --shape     Generate SVG for vector shapes
+  --shape     Extract QuickDraw shapes as SVG and vector-shape raw payloads
   --text      Extract text members
   --field     Extract field members
+  --text-format=<rtf|html|txt>  Text output format (default: rtf)
   --font      Extract font binary chunks
   --xtra      Extract Xtra binary blobs
   --lasm      Generate Lingo assembly files (.lasm)
+  --js        Also transpile each script to an ES module (.js)
   --colored   Attempt bitmap colorization (requires palette discovery)
+  --filmloop  Render FilmLoop members as animated PNG (APNG)
+  --filmloop-sheet  Render FilmLoop members as a sprite sheet + JSON atlas
+  --cast-path=<dir>  Extra folder to search for linked casts (.dcr only, repeatable)
+  --recover   Rebuild the chunk list of damaged or truncated files instead of failing
   --force     Overwrite existing output directories
   --help      Show this help message
 
+Assemble options:
+  --names=<file>     Existing name table (JSON array or raw Lnam chunk) to extend
+  --template=<file>  Original Lscr chunk whose header fields are preserved
+
+Compile options (as assemble, plus):
+  --lasm             Also write the generated .lasm listing next to the output
+
+Run options (arguments are Lingo literals: 5, 2.5, "text", #sym, [1, 2]; other words are strings):
+  --names=<file>     Name table of .lscr scripts (JSON array or raw Lnam chunk)
+  --with=<file>      Also load this script (.ls or .lscr), named after the file (repeatable)
+
+Pack options:
+  --names=<file>     Name table (JSON array or raw Lnam chunk) that .lasm name ids refer to
+  --dither           Dither bitmaps when quantising to an indexed palette
+  --compile          Compile each script's .ls source (lossy) instead of requiring its .lasm listing
+
+Encode-bitmap options:
+  --depth=<n>        Bit depth: 1, 2, 4, 8, 16 or 32 (default 8)
+  --palette=<p>      System palette name (SystemMac, SystemWin, Grayscale, ...) or JASC .pal file
+  --dither           Floyd-Steinberg dithering instead of nearest colour
+  --raw              Skip PackBits compression
+
+Inspect options (no view flags opens an interactive prompt):
+  --chunks[=<tag>]   List chunks: id, tag, offset, length, compression, ILS residency
+  --keys             KEY* table (owner, tag, section)
+  --members[=<type>] Member map: id, cast slot, type, name, owned chunks
+  --config           Movie config, member range, cast order and name tables
+  --chunk=<id>       Decode one chunk (KEY*, CAS*, CASt, Lnam, Lscr, STXT, CLUT, DRCF)
+  --member=<id>      Member metadata plus its decoded content chunk
+  --hex              With --chunk, hex-dump the payload instead of decoding it
+  --json             Print JSON instead of tables
+  --recover          Open damaged or truncated files as extraction --recover does
+
+Validate options (prints a JSON report; exits 1 when errors are found):
+  --strict           Also exit 1 on warnings
+  --verbose          Print parser messages to stderr
+
+Diff options (inputs are Director files or extraction directories):
+  --json             Print the report as JSON
+  --visual=<dir>     Write a diff PNG for every changed bitmap
+
 Example:
   mx-rip intro.dcr ./output --bitmap --script --colored
+  mx-rip assemble castScript_12.lasm castScript_12.lscr --names=names.json
+  mx-rip compile castScript_12.ls castScript_12.lscr --names=names.json --template=castScript_12.lscr.orig
+  mx-rip run StringUtils.ls replaceChunks '"a-b-c"' '"-"' '"+"'
+  mx-rip pack ./output rebuilt.cst
+  mx-rip encode-bitmap chair.png chair.bitd --depth=8 --palette=chair.pal
+  mx-rip compress rebuilt.cst rebuilt.cct
+  mx-rip game.exe ./output --bitmap --script
+  mx-rip game.zip ./output
+  mx-rip game.zip/dcr/main.dcr ./output --script
+  mx-rip unpack game.exe ./bundled
+  mx-rip inspect furniture.cct --chunk=12 --hex
+  mx-rip validate rebuilt.cct --strict
+  mx-rip diff release_41/hh_furni.cct release_42/hh_furni.cct --visual=./furni_diff
+  mx-rip damaged.cst ./output --recover
 \n`);
 }
 
+/**
+ * Reads a name table from a JSON array or a raw Lnam chunk.
+ */
+function loadNameTable(namesPath) {
+    if (!namesPath) return [];
+    const raw = fs.readFileSync(namesPath);
+    return namesPath.toLowerCase().endsWith('.json') ? JSON.parse(raw.toString('utf8')) : new LnamParser().parse(raw);
+}
+
+/**
+ * Assembles a .lasm listing into an Lscr chunk plus a companion .lnam name table.
+ */
+function assemble(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    const flagValue = (name) => {
+        const flag = args.find(a => a.startsWith(`--${name}=`));
+        return flag ? path.resolve(flag.slice(name.length + 3)) : null;
+    };
+
+    if (positional.length === 0) {
+        process.stderr.write(`[Error] assemble requires an input .lasm file\n`);
+        process.exit(1);
+    }
+    const inputPath = path.resolve(positional[0]);
+    const outputPath = positional[1] ? path.resolve(positional[1]) : inputPath.replace(/\.lasm$/i, '') + '.lscr';
+    const namesPath = flagValue('names');
+    const templatePath = flagValue('template');
+
+    for (const file of [inputPath, namesPath, templatePath]) {
+        if (file && !fs.existsSync(file)) {
+            process.stderr.write(`[Error] File not found: ${file}\n`);
+            process.exit(1);
+        }
+    }
+
+    try {
+        const nameTable = loadNameTable(namesPath);
+        const template = templatePath ? fs.readFileSync(templatePath) : undefined;
+        const log = (lvl, msg) => { if (lvl !== 'DEBUG') process.stderr.write(`[${lvl}] ${msg}\n`); };
+
+        const { lscr, lnam, names } = new LingoAssembler(log).assemble(fs.readFileSync(inputPath, 'utf8'), { nameTable, template });
+        const lnamPath = outputPath.replace(/\.lscr$/i, '') + '.lnam';
+        fs.writeFileSync(outputPath, lscr);
+        fs.writeFileSync(lnamPath, lnam);
+        process.stdout.write(`[SUCCESS] ${path.basename(outputPath)} (${lscr.length} bytes), ${path.basename(lnamPath)} (${names.length} names)\n`);
+        process.exit(0);
+    } catch (e) {
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Compiles Lingo source (.ls) into an Lscr chunk plus a companion .lnam name table.
+ */
+function compile(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    const flagValue = (name) => {
+        const flag = args.find(a => a.startsWith(`--${name}=`));
+        return flag ? path.resolve(flag.slice(name.length + 3)) : null;
+    };
+
+    if (positional.length === 0) {
+        process.stderr.write(`[Error] compile requires an input .ls file\n`);
+        process.exit(1);
+    }
+    const inputPath = path.resolve(positional[0]);
+    const outputPath = positional[1] ? path.resolve(positional[1]) : inputPath.replace(/\.ls$/i, '') + '.lscr';
+    const namesPath = flagValue('names');
+    const templatePath = flagValue('template');
+
+    for (const file of [inputPath, namesPath, templatePath]) {
+        if (file && !fs.existsSync(file)) {
+            process.stderr.write(`[Error] File not found: ${file}\n`);
+            process.exit(1);
+        }
+    }
+
+    try {
+        const nameTable = loadNameTable(namesPath);
+        const template = templatePath ? fs.readFileSync(templatePath) : undefined;
+        const log = (lvl, msg) => { if (lvl !== 'DEBUG') process.stderr.write(`[${lvl}] ${msg}\n`); };
+
+        const { lscr, lnam, names, lasm } = new LingoCompiler(log).compile(fs.readFileSync(inputPath, 'utf8'), { nameTable, template });
+        const basePath = outputPath.replace(/\.lscr$/i, '');
+        fs.writeFileSync(outputPath, lscr);
+        fs.writeFileSync(basePath + '.lnam', lnam);
+        if (args.includes('--lasm')) fs.writeFileSync(basePath + '.lasm', lasm);
+        process.stdout.write(`[SUCCESS] ${path.basename(outputPath)} (${lscr.length} bytes), ${path.basename(basePath)}.lnam (${names.length} names)\n`);
+        process.exit(0);
+    } catch (e) {
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Runs one handler of a script in LingoVM and prints its result.
+ */
+function run(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    const namesFlag = args.find(a => a.startsWith('--names='));
+    const namesPath = namesFlag ? path.resolve(namesFlag.slice('--names='.length)) : null;
+    const withPaths = args.filter(a => a.startsWith('--with=')).map(a => path.resolve(a.slice('--with='.length)));
+
+    if (positional.length < 2) {
+        process.stderr.write(`[Error] run requires a script and a handler name\n`);
+        process.exit(1);
+    }
+    const scriptPath = path.resolve(positional[0]);
+    for (const file of [scriptPath, namesPath, ...withPaths]) {
+        if (file && !fs.existsSync(file)) {
+            process.stderr.write(`[Error] File not found: ${file}\n`);
+            process.exit(1);
+        }
+    }
+
+    try {
+        const nameTable = loadNameTable(namesPath);
+        const log = (lvl, msg) => { if (lvl !== 'DEBUG' && lvl !== 'INFO') process.stderr.write(`[${lvl}] ${msg}\n`); };
+        const vm = new LingoVM(log, { output: text => process.stdout.write(`-- ${text}\n`) });
+        const load = (file) => {
+            const name = path.basename(file).replace(/\.(ls|lscr)$/i, '');
+            if (!/\.ls$/i.test(file)) return vm.loadScript(fs.readFileSync(file), nameTable, { name });
+            const { lscr, names } = new LingoCompiler(log).compile(fs.readFileSync(file, 'utf8'));
+            return vm.loadScript(lscr, names, { name });
+        };
+
+        const script = load(scriptPath);
+        withPaths.forEach(load);
+
+        const handlerName = positional[1];
+        if (!script.handlers.has(handlerName.toLowerCase())) throw new Error(`No handler ${handlerName} in ${path.basename(scriptPath)}`);
+        // A word that is not a Lingo literal is passed as a string
+        const handlerArgs = positional.slice(2).map(text => {
+            const value = vm.call('value', text);
+            return value === undefined && !/^void$/i.test(text.trim()) ? text : value;
+        });
+
+        const result = script.type === 'movie'
+            ? vm.call(handlerName, ...handlerArgs)
+            : vm.callMethod(script, handlerName, ...handlerArgs);
+        process.stdout.write(`${vm.format(result)}\n`);
+        process.exit(0);
+    } catch (e) {
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Packs an extraction directory (members.json plus artifacts) back into an uncompressed .cst.
+ */
+async function pack(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    const namesFlag = args.find(a => a.startsWith('--names='));
+    const namesPath = namesFlag ? path.resolve(namesFlag.slice('--names='.length)) : null;
+
+    if (positional.length === 0) {
+        process.stderr.write(`[Error] pack requires an extraction directory\n`);
+        process.exit(1);
+    }
+    const inputDir = path.resolve(positional[0]);
+    const outputPath = positional[1] ? path.resolve(positional[1]) : inputDir.replace(/[\\/]+$/, '') + '.cst';
+
+    for (const file of [inputDir, namesPath]) {
+        if (file && !fs.existsSync(file)) {
+            process.stderr.write(`[Error] File not found: ${file}\n`);
+            process.exit(1);
+        }
+    }
+
+    try {
+        const log = (lvl, msg) => { if (lvl !== 'DEBUG' && lvl !== 'INFO') process.stderr.write(`[${lvl}] ${msg}\n`); };
+        const options = { nameTable: loadNameTable(namesPath), dither: args.includes('--dither'), compile: args.includes('--compile') };
+        const { buffer, members } = await new DirectorFileWriter(log).write(inputDir, outputPath, options);
+        process.stdout.write(`[SUCCESS] ${path.basename(outputPath)} (${buffer.length} bytes, ${members.length} members)\n`);
+        process.exit(0);
+    } catch (e) {
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Encodes a PNG as a raw BITD chunk, plus an .alfa plane for translucent 32-bit images.
+ */
+function encodeBitmap(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    const flagValue = (name) => {
+        const flag = args.find(a => a.startsWith(`--${name}=`));
+        return flag ? flag.slice(name.length + 3) : null;
+    };
+
+    if (positional.length === 0) {
+        process.stderr.write(`[Error] encode-bitmap requires an input .png file\n`);
+        process.exit(1);
+    }
+    const inputPath = path.resolve(positional[0]);
+    const outputPath = positional[1] ? path.resolve(positional[1]) : inputPath.replace(/\.png$/i, '') + '.bitd';
+    if (!fs.existsSync(inputPath)) {
+        process.stderr.write(`[Error] File not found: ${inputPath}\n`);
+        process.exit(1);
+    }
+
+    try {
+        const bitDepth = parseInt(flagValue('depth') || '8', 10);
+        let palette = flagValue('palette') || undefined;
+        if (palette && palette.toLowerCase().endsWith('.pal')) {
+            palette = new PaletteExtractor().parseJasc(fs.readFileSync(path.resolve(palette), 'utf8'));
+        }
+
+        const log = (lvl, msg) => { if (lvl !== 'DEBUG') process.stderr.write(`[${lvl}] ${msg}\n`); };
+        const result = new BitmapEncoder(log).encode(fs.readFileSync(inputPath), {
+            bitDepth,
+            palette,
+            dither: args.includes('--dither'),
+            compress: !args.includes('--raw')
+        });
+
+        fs.writeFileSync(outputPath, result.bitd);
+        let summary = `${path.basename(outputPath)} (${result.bitd.length} bytes)`;
+        if (result.alfa) {
+            const alfaPath = outputPath.replace(/\.bitd$/i, '') + '.alfa';
+            fs.writeFileSync(alfaPath, result.alfa);
+            summary += `, ${path.basename(alfaPath)} (${result.alfa.length} bytes)`;
+        }
+        process.stdout.write(`[SUCCESS] ${summary}: ${result.width}x${result.height}, ${result.bitDepth}-bit, pitch ${result.pitch}${result.compressed ? ', PackBits' : ''}, hasAlpha ${result.hasAlpha}\n`);
+        // BitmapExtractor and Director only read the alpha plane when the CASt record says it is used
+        if (result.hasAlpha) {
+            const flag = Constants.Bitmap.Flags.AlphaChannelUsed;
+            process.stdout.write(`[INFO] Set AlphaChannelUsed (0x${flag.toString(16).toUpperCase()}) in the member's cast flags, or the alpha channel is drawn opaque\n`);
+        }
+        process.exit(0);
+    } catch (e) {
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Afterburns an uncompressed movie or cast. Casts default to .cct and movies to .dcr.
+ */
+async function compress(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    if (positional.length === 0) {
+        process.stderr.write(`[Error] compress requires an input .cst or .dir file\n`);
+        process.exit(1);
+    }
+    const inputPath = path.resolve(positional[0]);
+    if (!fs.existsSync(inputPath)) {
+        process.stderr.write(`[Error] File not found: ${inputPath}\n`);
+        process.exit(1);
+    }
+
+    try {
+        const source = fs.readFileSync(inputPath);
+        const isCast = ['MC95', '59CM'].includes(source.toString('ascii', 8, 12));
+        const outputPath = positional[1] ? path.resolve(positional[1]) : inputPath.replace(/\.[^.\\/]+$/, '') + (isCast ? '.cct' : '.dcr');
+        const log = (lvl, msg) => { if (lvl !== 'DEBUG' && lvl !== 'INFO') process.stderr.write(`[${lvl}] ${msg}\n`); };
+        const buffer = await new AfterburnerWriter(log).compress(source);
+        fs.writeFileSync(outputPath, buffer);
+        process.stdout.write(`[SUCCESS] ${path.basename(outputPath)} (${source.length} -> ${buffer.length} bytes)\n`);
+        process.exit(0);
+    } catch (e) {
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Writes the movies, casts and Xtras bundled in a projector without extracting them.
+ */
+async function unpack(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    if (positional.length === 0) {
+        process.stderr.write(`[Error] unpack requires a projector (.exe or .app)\n`);
+        process.exit(1);
+    }
+    const inputPath = path.resolve(positional[0]);
+    if (!fs.existsSync(inputPath)) {
+        process.stderr.write(`[Error] File not found: ${inputPath}\n`);
+        process.exit(1);
+    }
+
+    try {
+        const outputDir = positional[1] ? path.resolve(positional[1]) : path.join(process.cwd(), 'unpacked_' + path.parse(inputPath).name);
+        const log = (lvl, msg) => { if (lvl !== 'DEBUG' && lvl !== 'INFO') process.stderr.write(`[${lvl}] ${msg}\n`); };
+        const files = await new ProjectorReader(log).unpack(inputPath, outputDir);
+        if (files.length === 0) throw new Error(`No embedded Director files found in ${path.basename(inputPath)}`);
+        for (const file of files) {
+            process.stdout.write(`  ${file.kind.padEnd(6)} ${file.name} (${file.data.length} bytes)\n`);
+        }
+        process.stdout.write(`[SUCCESS] ${files.length} file(s) written to ${outputDir}\n`);
+        process.exit(0);
+    } catch (e) {
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+const INSPECT_HELP = `Commands:
+  summary              File format and counts
+  chunks [tag]         Chunk list, optionally only one tag
+  keys                 KEY* table
+  members [type]       Member map, optionally only one type
+  config               Movie config and name tables
+  chunk <id>           Decode a chunk
+  hex <id> [off] [len] Hex-dump a chunk payload
+  member <id>          Member metadata and decoded content
+  json                 Toggle JSON output
+  quit                 Exit`;
+
+/**
+ * Runs one inspector command and returns its text output.
+ */
+async function runInspectCommand(inspector, command, params, json) {
+    const id = parseInt(params[0], 10);
+    const needId = () => { if (!Number.isInteger(id)) throw new Error(`${command} requires a numeric id`); };
+    const show = (value, text) => json ? JSON.stringify(value, null, 2) : text();
+
+    switch (command) {
+        case 'summary': {
+            const summary = inspector.summary();
+            const width = Math.max(...Object.keys(summary).map(k => k.length)) + 1;
+            return show(summary, () => Object.entries(summary).map(([k, v]) => `${k.padEnd(width)}${v === null ? '-' : v}`).join('\n'));
+        }
+        case 'chunks': {
+            const rows = inspector.listChunks(params[0] || null);
+            return show(rows, () => DirectorInspector.formatTable(rows, ['id', 'type', 'rawType', 'offset', 'length', 'uncompLen', 'compression', 'ils']));
+        }
+        case 'keys': {
+            const rows = inspector.listKeys();
+            return show(rows, () => DirectorInspector.formatTable(rows, ['owner', 'tag', 'section']));
+        }
+        case 'members': {
+            const rows = inspector.listMembers(params[0] || null);
+            return show(rows, () => DirectorInspector.formatTable(rows, ['id', 'num', 'type', 'name', 'chunks']));
+        }
+        case 'config':
+            return JSON.stringify(inspector.config(), null, 2);
+        case 'chunk': {
+            needId();
+            const result = await inspector.decodeChunk(id);
+            if (!result) return `No decoder for chunk ${id}; use hex ${id}\n\n` + DirectorInspector.hexDump(await inspector.readChunk(id), { length: 256 });
+            const { decoded } = result;
+            if (!json && decoded && decoded.lasm !== undefined) return `${decoded.source || ''}\n\n${decoded.lasm}`;
+            if (!json && decoded && typeof decoded.text === 'string') return decoded.text.replace(/\r/g, '\n');
+            return JSON.stringify(decoded, null, 2);
+        }
+        case 'hex': {
+            needId();
+            const data = await inspector.readChunk(id);
+            if (!data) return `Chunk ${id} has no data`;
+            const offset = parseInt(params[1], 10) || 0;
+            const length = params[2] !== undefined ? parseInt(params[2], 10) : undefined;
+            return show({ id, length: data.length, hex: data.slice(offset, length !== undefined ? offset + length : undefined).toString('hex') },
+                () => `Chunk ${id}: ${data.length} bytes\n` + DirectorInspector.hexDump(data, { offset, length }));
+        }
+        case 'member': {
+            needId();
+            return JSON.stringify(await inspector.inspectMember(id), null, 2);
+        }
+        default:
+            throw new Error(`Unknown command '${command}'. Type 'help' for the list.`);
+    }
+}
+
+/**
+ * Chunk-level browsing: one-shot views via flags, or an interactive prompt.
+ */
+async function inspect(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    const flagValue = (name) => {
+        const flag = args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+        if (!flag) return undefined;
+        return flag.includes('=') ? flag.slice(name.length + 3) : '';
+    };
+
+    if (positional.length === 0) {
+        process.stderr.write(`[Error] inspect requires an input file\n`);
+        process.exit(1);
+    }
+
+    const json = args.includes('--json');
+    const log = (lvl, msg) => { if (['ERROR', 'WARN', 'WARNING'].includes(lvl)) process.stderr.write(`[${lvl}] ${msg}\n`); };
+    const inspector = new DirectorInspector(path.resolve(positional[0]), log, { recover: args.includes('--recover') });
+
+    try {
+        await inspector.open();
+
+        const views = [];
+        if (flagValue('chunks') !== undefined) views.push(['chunks', [flagValue('chunks')].filter(Boolean)]);
+        if (flagValue('keys') !== undefined) views.push(['keys', []]);
+        if (flagValue('members') !== undefined) views.push(['members', [flagValue('members')].filter(Boolean)]);
+        if (flagValue('config') !== undefined) views.push(['config', []]);
+        if (flagValue('chunk')) views.push([args.includes('--hex') ? 'hex' : 'chunk', [flagValue('chunk')]]);
+        if (flagValue('member')) views.push(['member', [flagValue('member')]]);
+
+        if (views.length > 0 || !process.stdin.isTTY) {
+            if (views.length === 0) views.push(['summary', []], ['chunks', []]);
+            for (const [command, params] of views) {
+                process.stdout.write(await runInspectCommand(inspector, command, params, json) + '\n\n');
+            }
+            inspector.close();
+            process.exit(0);
+        }
+
+        process.stdout.write(await runInspectCommand(inspector, 'summary', [], json) + `\n\nType 'help' for commands.\n`);
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'inspect> ' });
+        let jsonMode = json;
+        rl.prompt();
+        // Lines are handled one at a time so pasted or piped commands keep their order
+        for await (const line of rl) {
+            const [command, ...params] = line.trim().split(/\s+/);
+            if (command === 'quit' || command === 'exit') break;
+            if (command === 'help') {
+                process.stdout.write(INSPECT_HELP + '\n');
+            } else if (command === 'json') {
+                jsonMode = !jsonMode;
+                process.stdout.write(`JSON output ${jsonMode ? 'on' : 'off'}\n`);
+            } else if (command) {
+                try {
+                    process.stdout.write(await runInspectCommand(inspector, command, params, jsonMode) + '\n');
+                } catch (e) {
+                    process.stdout.write(`[Error] ${e.message}\n`);
+                }
+            }
+            rl.prompt();
+        }
+        rl.close();
+        inspector.close();
+        process.exit(0);
+    } catch (e) {
+        inspector.close();
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Structural integrity check: JSON report on stdout, exit code 1 when the file has errors
+ * (or warnings, with --strict).
+ */
+async function validate(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    if (positional.length === 0) {
+        process.stderr.write(`[Error] validate requires an input file\n`);
+        process.exit(1);
+    }
+
+    const log = (lvl, msg) => { if (args.includes('--verbose') && lvl !== 'DEBUG') process.stderr.write(`[${lvl}] ${msg}\n`); };
+    const validator = new DirectorValidator(path.resolve(positional[0]), log);
+    try {
+        const report = await validator.validate();
+        validator.close();
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        process.exit(report.errors > 0 || (args.includes('--strict') && report.warnings > 0) ? 1 : 0);
+    } catch (e) {
+        validator.close();
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Text rendering of a CastDiff report: one line per member, then handler diffs and
+ * bitmap changes indented below it.
+ */
+function formatDiff(report) {
+    const { summary } = report;
+    const counts = ['added', 'removed', 'renamed', 'moved', 'changed', 'unchanged'].map(k => `${summary[k]} ${k}`).join(', ');
+    const lines = [`${path.basename(report.old)} -> ${path.basename(report.new)}: ${counts}`];
+    const label = (m) => `${m.name} (${m.type} ${m.id}${m.num !== undefined ? `, slot ${m.num}` : ''})`;
+    const marks = { added: '+', removed: '-' };
+
+    for (const entry of report.members) {
+        const kind = entry.changes[0];
+        let line = `  ${marks[kind] || '~'} `;
+        if (!entry.old || !entry.new) line += label(entry.old || entry.new);
+        else if (entry.changes.includes('renamed') || entry.changes.includes('moved')) line += `${label(entry.old)} -> ${label(entry.new)}`;
+        else line += label(entry.new);
+        if (entry.old && entry.new) line += `: ${entry.changes.join(', ')}`;
+        lines.push(line);
+
+        for (const [field, change] of Object.entries(entry.bitmap || {})) {
+            if (field === 'visualDiff') lines.push(`      visual diff: ${change}`);
+            else if (field === 'pixelsChanged') lines.push(`      ${change} pixel(s) differ`);
+            else lines.push(`      ${field}: ${change.old} -> ${change.new}`);
+        }
+        for (const handler of entry.handlers || []) {
+            lines.push(`      ${handler.name ? `on ${handler.name}` : '(script declarations)'} ${handler.change}`);
+            for (const diffLine of handler.diff.split('\n')) lines.push(`        ${diffLine}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Member-level comparison of two movies, casts or extraction directories.
+ */
+async function diff(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    if (positional.length < 2) {
+        process.stderr.write(`[Error] diff requires an old and a new file or extraction directory\n`);
+        process.exit(1);
+    }
+
+    const visual = args.find(a => a.startsWith('--visual='));
+    const log = (lvl, msg) => { if (['ERROR', 'WARN', 'WARNING'].includes(lvl)) process.stderr.write(`[${lvl}] ${msg}\n`); };
+    try {
+        const report = await new CastDiff(log, { visualDir: visual ? path.resolve(visual.slice('--visual='.length)) : null })
+            .diff(path.resolve(positional[0]), path.resolve(positional[1]));
+        process.stdout.write((args.includes('--json') ? JSON.stringify(report, null, 2) : formatDiff(report)) + '\n');
+        process.exit(0);
+    } catch (e) {
+        process.stderr.write(`[FATAL] ${e.message}\n`);
+        process.exit(1);
+    }
+}
+
 async function main() {
     const args = process.argv.slice(2);
     if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
@@ -45,8 +644,21 @@ async function main() {
         return;
     }
 
+    if (args[0] === 'assemble') return assemble(args.slice(1));
+    if (args[0] === 'compile') return compile(args.slice(1));
+    if (args[0] === 'run') return run(args.slice(1));
+    if (args[0] === 'pack') return pack(args.slice(1));
+    if (args[0] === 'encode-bitmap') return encodeBitmap(args.slice(1));
+    if (args[0] === 'compress') return compress(args.slice(1));
+    if (args[0] === 'unpack') return unpack(args.slice(1));
+    if (args[0] === 'inspect') return inspect(args.slice(1));
+    if (args[0] === 'validate') return validate(args.slice(1));
+    if (args[0] === 'diff') return diff(args.slice(1));
+
     const inputPath = path.resolve(args[0]);
-    if (!fs.existsSync(inputPath)) {
+    // A path may run through a zip archive (game.zip/dcr/main.dcr), which does not exist on disk
+    const zip = ZipSource.locate(inputPath);
+    if (!zip && !fs.existsSync(inputPath)) {
         process.stderr.write(`[Error] File not found: ${inputPath}\n`);
         process.exit(1);
     }
@@ -74,15 +686,36 @@ async function main() {
         Object.keys(options).forEach(k => options[k] = (k !== 'colored'));
     }
 
+    options.js = flags.includes('--js');
+    options.filmloop = flags.includes('--filmloop-sheet') ? 'sheet' : (flags.includes('--filmloop') ? 'apng' : false);
+
+    const textFormatFlag = flags.find(f => f.startsWith('--text-format='));
+    if (textFormatFlag) {
+        const textFormat = textFormatFlag.split('=')[1].toLowerCase();
+        if (!['rtf', 'html', 'txt'].includes(textFormat)) {
+            process.stderr.write(`[Error] Unknown text format: ${textFormat}\n`);
+            process.exit(1);
+        }
+        options.textFormat = textFormat;
+    }
+
+    const castPaths = flags.filter(f => f.startsWith('--cast-path='))
+        .flatMap(f => f.slice('--cast-path='.length).split(path.delimiter))
+        .filter(Boolean);
+    if (castPaths.length > 0) options.castSearchPaths = castPaths.map(p => path.resolve(p));
+    options.recover = flags.includes('--recover');
+
     if (flags.includes('--force') && fs.existsSync(outputDir)) {
         fs.rmSync(outputDir, { recursive: true, force: true });
     }
 
     try {
         const isDCR = inputPath.toLowerCase().endsWith('.dcr');
-        const extractor = isDCR
-            ? new DCRExtractor(inputPath, outputDir, options)
-            : new CCTExtractor(inputPath, outputDir, options);
+        let extractor;
+        if (zip) extractor = new ZipExtractor(zip.archive, outputDir, options, zip.entry);
+        else if (ProjectorReader.isProjector(inputPath)) extractor = new ProjectorExtractor(inputPath, outputDir, options);
+        else if (isDCR) extractor = new DCRExtractor(inputPath, outputDir, options);
+        else extractor = new CCTExtractor(inputPath, outputDir, options);
 
         process.stdout.write(`[INFO] Initializing: ${path.basename(inputPath)} -> ${outputDir}\n`);
         await extractor.extract();
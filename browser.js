@@ -0,0 +1,40 @@
+/**
+ * @version 1.4.2
+ * browser.js - Entry point for browser bundles
+ *
+ * package.json's `browser` field points bundlers here instead of index.js and swaps the
+ * Node modules the parsing core loads for empty modules or the shims in src/browser.
+ * Files are opened from memory with DirectorReader. There is no zlib in a browser, so
+ * Compression.setInflater() must be given one (pako, fflate) before opening compressed
+ * files. See docs/doc/29_BrowserBuild.md.
+ */
+
+// The parsing core reads through Buffer; bundlers resolve this to the `buffer` package
+if (typeof globalThis.Buffer === 'undefined') globalThis.Buffer = require('buffer').Buffer;
+
+const DirectorReader = require('./src/DirectorReader');
+const DirectorFile = require('./src/DirectorFile');
+const LingoDecompiler = require('./src/lingo/LingoDecompiler');
+const LingoTranspiler = require('./src/lingo/LingoTranspiler');
+const LingoVM = require('./src/lingo/LingoVM');
+const LingoRuntime = require('./src/lingo/LingoRuntime');
+const KeyTableParser = require('./src/utils/KeyTableParser');
+const Constants = require('./src/Constants');
+const Compression = require('./src/utils/Compression');
+const { MemorySource } = require('./src/utils/FileSource');
+const { Color, PALETTES } = require('./src/utils/Color');
+
+module.exports = {
+    DirectorReader,
+    DirectorFile,
+    LingoDecompiler,
+    LingoTranspiler,
+    LingoVM,
+    LingoRuntime,
+    KeyTableParser,
+    MemorySource,
+    Constants,
+    Compression,
+    Color,
+    PALETTES
+};
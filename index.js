@@ -1,20 +1,54 @@
 const DirectorFile = require('./src/DirectorFile');
+const DirectorFileWriter = require('./src/DirectorFileWriter');
+const AfterburnerWriter = require('./src/AfterburnerWriter');
+const DirectorInspector = require('./src/DirectorInspector');
+const DirectorValidator = require('./src/DirectorValidator');
+const DirectorReader = require('./src/DirectorReader');
+const CastDiff = require('./src/CastDiff');
 const DirectorExtractor = require('./src/DirectorExtractor');
 const DCRExtractor = require('./src/DCRExtractor');
 const CCTExtractor = require('./src/CCTExtractor');
+const ProjectorExtractor = require('./src/ProjectorExtractor');
+const ProjectorReader = require('./src/ProjectorReader');
+const ZipExtractor = require('./src/ZipExtractor');
+const BitmapEncoder = require('./src/member/BitmapEncoder');
 const ProjectExtractor = require('./src/ProjectExtractor');
+const Project = require('./src/model/Project');
 const LingoDecompiler = require('./src/lingo/LingoDecompiler');
+const LingoAssembler = require('./src/lingo/LingoAssembler');
+const LingoCompiler = require('./src/lingo/LingoCompiler');
+const LingoTranspiler = require('./src/lingo/LingoTranspiler');
+const LingoVM = require('./src/lingo/LingoVM');
+const LingoRuntime = require('./src/lingo/LingoRuntime');
 const Constants = require('./src/Constants');
+const Compression = require('./src/utils/Compression');
 const { Color, PALETTES } = require('./src/utils/Color');
 
 module.exports = {
     DirectorFile,
+    DirectorFileWriter,
+    AfterburnerWriter,
+    DirectorInspector,
+    DirectorValidator,
+    DirectorReader,
+    CastDiff,
     DirectorExtractor,
     DCRExtractor,
     CCTExtractor,
+    ProjectorExtractor,
+    ProjectorReader,
+    ZipExtractor,
+    BitmapEncoder,
     ProjectExtractor,
+    Project,
     LingoDecompiler,
+    LingoAssembler,
+    LingoCompiler,
+    LingoTranspiler,
+    LingoVM,
+    LingoRuntime,
     Constants,
+    Compression,
     Color,
     PALETTES
 };
@@ -0,0 +1,205 @@
+/**
+ * @version 1.4.2
+ * AfterburnerWriter - Compresses an uncompressed RIFX movie or cast into Afterburner (FGDM/FGDC) form.
+ *
+ * Output layout: Fver, Fcdr (compression table), ABMP (zlib resource map), FGEI,
+ * then the ILS inline stream followed by the streamed media sections.
+ * See docs/doc/22_Afterburner.md for details.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const DirectorFile = require('./DirectorFile');
+const DataWriter = require('./utils/DataWriter');
+const { Magic, Container } = require('./Constants');
+
+const AB = Container.Afterburner;
+const ZLIB = AB.Compression.findIndex(c => c.name === 'zlib');
+const NONE = AB.Compression.findIndex(c => c.name === 'none');
+const SKIPPED_TAGS = new Set([Magic.RIFX, Magic.XFIR, Magic.imap, Magic.mmap, 'pami', 'pamm', Magic.junk, Magic.free, 'knuj', 'eerf']);
+
+class AfterburnerWriter {
+    /**
+     * @param {Function} logger - Logger callback (lvl, msg)
+     */
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+    }
+
+    /**
+     * @param {Buffer} source - Uncompressed RIFX/XFIR file
+     * @returns {Promise<Buffer>} Afterburned file
+     */
+    async compress(source) {
+        const dirFile = new DirectorFile(source, this.log);
+        await dirFile.parse();
+        if (dirFile.isAfterburned) throw new Error('Input is already Afterburner-compressed');
+
+        this.endianness = dirFile.isLittleEndianFile ? 'little' : 'big';
+        const codec = this._tag(source.toString('ascii', 8, 12));
+        const abCodec = AB.Codecs[codec];
+        if (!abCodec) throw new Error(`Unsupported RIFX codec '${codec}' (expected ${Object.keys(AB.Codecs).join(' or ')})`);
+
+        const imapChunk = dirFile.chunks.find(c => DirectorFile.unprotect(c.type) === Magic.imap);
+        const resources = [];
+        for (const chunk of dirFile.chunks) {
+            if (SKIPPED_TAGS.has(chunk.type) || chunk.id === AB.IlsResourceId) continue;
+            if (chunk.off + 8 + chunk.len > source.length) {
+                this.log('WARNING', `[AfterburnerWriter] Section ${chunk.id} (${chunk.type}) lies outside the file and was dropped.`);
+                continue;
+            }
+            resources.push(this._compressResource(chunk, source.slice(chunk.off + 8, chunk.off + 8 + chunk.len)));
+        }
+
+        const buffer = this._layout(abCodec, resources, imapChunk ? source.slice(imapChunk.off + 8, imapChunk.off + 8 + imapChunk.len) : null);
+        this.log('INFO', `[AfterburnerWriter] ${resources.length} sections, ${source.length} -> ${buffer.length} bytes (${abCodec})`);
+        return buffer;
+    }
+
+    /**
+     * Compresses the file at inputPath and writes it to outputPath.
+     */
+    async write(inputPath, outputPath) {
+        const buffer = await this.compress(fs.readFileSync(inputPath));
+        fs.writeFileSync(outputPath, buffer);
+        return buffer;
+    }
+
+    _compressResource(chunk, data) {
+        const packed = data.length > 0 ? zlib.deflateSync(data) : data;
+        const useZlib = packed.length < data.length;
+        const tag = this._tag(chunk.type);
+        return {
+            id: chunk.id,
+            rawTag: chunk.type,
+            data: useZlib ? packed : data,
+            uncompLen: data.length,
+            compType: useZlib ? ZLIB : NONE,
+            inIls: !AB.StreamedTags.includes(DirectorFile.unprotect(tag))
+        };
+    }
+
+    /**
+     * Normalizes a FourCC read from the file to big-endian order.
+     */
+    _tag(raw) {
+        return this.endianness === 'little' ? raw.split('').reverse().join('') : raw;
+    }
+
+    /**
+     * Writes a tag in file byte order followed by a varint length and the body.
+     */
+    _writeSection(out, tag, body) {
+        out.writeFourCC(this._tag(tag));
+        out.writeVarInt(body.length);
+        out.writeBytes(body);
+    }
+
+    _layout(codec, resources, imap) {
+        // ILS body: [varint resId][stored bytes] for every preloaded section
+        const ils = new DataWriter(this.endianness, 1024);
+        for (const res of resources.filter(r => r.inIls)) {
+            ils.writeVarInt(res.id);
+            res.offset = ils.position;
+            ils.writeBytes(res.data);
+        }
+        const ilsData = zlib.deflateSync(ils.toBuffer());
+
+        let offset = ilsData.length;
+        for (const res of resources.filter(r => !r.inIls)) {
+            res.offset = offset;
+            offset += res.data.length;
+        }
+
+        const entries = [
+            { id: AB.IlsResourceId, offset: 0, data: ilsData, uncompLen: ils.length, compType: ZLIB, rawTag: this._tag(Magic.ILS) },
+            ...resources
+        ];
+
+        const out = new DataWriter(this.endianness, offset + 1024);
+        out.writeFourCC(this._tag(Magic.RIFX));
+        out.writeUint32(0); // patched below
+        out.writeFourCC(this._tag(codec));
+
+        this._writeSection(out, Magic.FVER, this._buildFver(imap));
+        this._writeSection(out, Magic.FCDR, zlib.deflateSync(this._buildCompressionTable()));
+
+        const abmp = this._buildResourceMap(entries);
+        const abmpBody = new DataWriter(this.endianness, abmp.length + 16);
+        abmpBody.writeVarInt(ZLIB);
+        abmpBody.writeVarInt(abmp.length);
+        abmpBody.writeBytes(zlib.deflateSync(abmp));
+        this._writeSection(out, Magic.ABMP_UPPER, abmpBody.toBuffer());
+
+        out.writeFourCC(this._tag(Magic.FGEI));
+        out.writeVarInt(0);
+        out.writeBytes(ilsData);
+        for (const res of resources.filter(r => !r.inIls)) out.writeBytes(res.data);
+
+        const length = out.length;
+        out.seek(4);
+        out.writeUint32(length - 8);
+        return out.toBuffer();
+    }
+
+    /**
+     * Fver: version, imap version and Director version (copied from the source imap), version string.
+     */
+    _buildFver(imap) {
+        let imapVersion = 0;
+        let directorVersion = 0;
+        if (imap && imap.length >= 16) {
+            const read = (pos) => this.endianness === 'little' ? imap.readUInt32LE(pos) : imap.readUInt32BE(pos);
+            imapVersion = read(8);
+            directorVersion = read(12);
+        }
+
+        const ds = new DataWriter(this.endianness, 16);
+        ds.writeVarInt(AB.FverVersion);
+        ds.writeVarInt(imapVersion);
+        ds.writeVarInt(directorVersion);
+        ds.writePascalString('');
+        return ds.toBuffer();
+    }
+
+    /**
+     * Fcdr: [u16 count][count * 16-byte GUID][count * null-terminated name]
+     */
+    _buildCompressionTable() {
+        const ds = new DataWriter(this.endianness, 256);
+        ds.writeUint16(AB.Compression.length);
+        for (const { guid } of AB.Compression) {
+            ds.writeUint32(parseInt(guid[0], 16));
+            ds.writeUint16(parseInt(guid[1], 16));
+            ds.writeUint16(parseInt(guid[2], 16));
+            ds.writeBytes(Buffer.from(guid[3], 'hex'));
+        }
+        for (const { label } of AB.Compression) {
+            ds.writeBytes(Buffer.from(label + '\0', 'ascii'));
+        }
+        return ds.toBuffer();
+    }
+
+    /**
+     * ABMP body (before compression): [varint 0][varint 0][varint count] then per resource
+     * [varint id][varint offset][varint compSize][varint uncompSize][varint compType][fourCC].
+     */
+    _buildResourceMap(entries) {
+        const ds = new DataWriter(this.endianness, entries.length * 16 + 8);
+        ds.writeVarInt(0);
+        ds.writeVarInt(0);
+        ds.writeVarInt(entries.length);
+        for (const res of entries) {
+            ds.writeVarInt(res.id);
+            ds.writeVarInt(res.offset);
+            ds.writeVarInt(res.data.length);
+            ds.writeVarInt(res.uncompLen);
+            ds.writeVarInt(res.compType);
+            ds.writeFourCC(res.rawTag);
+        }
+        return ds.toBuffer();
+    }
+}
+
+module.exports = AfterburnerWriter;
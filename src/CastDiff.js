@@ -0,0 +1,316 @@
+/**
+ * @version 1.4.2
+ * CastDiff - Member-level comparison of two versions of a movie or cast for `mx-rip diff`.
+ *
+ * Each side is an extraction directory, or a Director file that is extracted to a
+ * temporary directory first. Members are paired from the two members.json manifests and
+ * compared by the content checksum ExtractionWorker stores there. Changed scripts get
+ * per-handler diffs of their decompiled source, changed bitmaps their dimension and
+ * palette changes, plus an optional visual diff PNG. See docs/doc/27_CastDiff.md.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { PNG } = require('pngjs');
+
+const DirectorExtractor = require('./DirectorExtractor');
+const Logger = require('./utils/Logger');
+const { unifiedDiff } = require('./utils/TextDiff');
+const { getPrimaryArtifactField } = require('./utils/ArtifactFields');
+const { sanitizeArtifactStem } = require('./utils/ArtifactNames');
+const { MemberType } = require('./Constants');
+
+// Extraction settings for file inputs: the CLI defaults without .lasm listings
+const EXTRACT_OPTIONS = {
+    bitmap: true, script: true, sound: true, palette: true, shape: true, text: true,
+    field: true, font: true, xtra: true, lasm: false, colored: false, verbose: false
+};
+
+const CHANGE_KINDS = ['added', 'removed', 'renamed', 'moved', 'changed'];
+
+class CastDiff {
+    /**
+     * @param {Function} logger - Logger callback (lvl, msg); extraction messages go here
+     * @param {object} [options] - { visualDir } writes a diff PNG per changed bitmap;
+     *                             { extractOptions } overrides the extraction settings for file inputs
+     */
+    constructor(logger, options = {}) {
+        this.log = logger || ((lvl, msg) => { });
+        this.options = options;
+    }
+
+    /**
+     * @param {string} oldPath - Director file or extraction directory
+     * @param {string} newPath - Director file or extraction directory
+     * @returns {Promise<{old: string, new: string, summary: object, members: Array<object>}>}
+     */
+    async diff(oldPath, newPath) {
+        const temp = [];
+        try {
+            const oldDir = await this._resolve(oldPath, temp);
+            const newDir = await this._resolve(newPath, temp);
+            return this.compare(oldDir, newDir, { old: oldPath, new: newPath });
+        } finally {
+            for (const dir of temp) fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Compares two extraction directories.
+     */
+    compare(oldDir, newDir, labels = {}) {
+        const oldMembers = CastDiff.readManifest(oldDir);
+        const newMembers = CastDiff.readManifest(newDir);
+        const pairs = CastDiff.matchMembers(oldMembers, newMembers);
+
+        const summary = { added: 0, removed: 0, renamed: 0, moved: 0, changed: 0, unchanged: 0 };
+        const members = [];
+        for (const [before, after] of pairs) {
+            const entry = this._compareMember(before, after, oldDir, newDir);
+            if (entry.changes.length === 0) {
+                summary.unchanged++;
+                continue;
+            }
+            for (const kind of entry.changes) summary[kind]++;
+            members.push(entry);
+        }
+
+        members.sort((a, b) => CHANGE_KINDS.indexOf(a.changes[0]) - CHANGE_KINDS.indexOf(b.changes[0]) ||
+            (a.new || a.old).id - (b.new || b.old).id);
+        return { old: labels.old || oldDir, new: labels.new || newDir, summary, members };
+    }
+
+    /**
+     * Pairs members in order of confidence: same id and name, then same name (when the name
+     * is unique on both sides), then same content, then same id and type. Whatever is left
+     * is removed (old side only) or added (new side only).
+     * @returns {Array<[object|null, object|null]>}
+     */
+    static matchMembers(oldMembers, newMembers) {
+        const pairs = [];
+        const oldLeft = new Set(oldMembers);
+        const newLeft = new Set(newMembers);
+        const take = (before, after) => {
+            pairs.push([before, after]);
+            oldLeft.delete(before);
+            newLeft.delete(after);
+        };
+        const contentKey = (m) => m.checksum && !m.checksum.startsWith('header:') ? `${m.typeId}:${m.checksum}` : null;
+        const unique = (members, key) => {
+            const counts = new Map();
+            for (const m of members) {
+                const k = key(m);
+                if (k !== null) counts.set(k, (counts.get(k) || 0) + 1);
+            }
+            return new Map([...members].filter(m => counts.get(key(m)) === 1).map(m => [key(m), m]));
+        };
+
+        const stages = [
+            (m) => `${m.id}:${m.name}`,
+            (m) => m.name ? `${m.typeId}:${m.name}` : null,
+            contentKey,
+            (m) => `${m.id}:${m.typeId}`
+        ];
+        for (const key of stages) {
+            const candidates = unique(newLeft, key);
+            for (const [k, before] of unique(oldLeft, key)) {
+                const after = candidates.get(k);
+                if (after) take(before, after);
+            }
+        }
+
+        for (const before of oldLeft) pairs.push([before, null]);
+        for (const after of newLeft) pairs.push([null, after]);
+        return pairs;
+    }
+
+    /**
+     * Splits decompiled Lingo into handlers keyed by name. Lines outside any handler
+     * (property and global declarations) are kept under ''.
+     * @returns {Map<string, string>}
+     */
+    static splitHandlers(source) {
+        const handlers = new Map();
+        let name = '';
+        let lines = [];
+        const flush = () => {
+            const body = lines.join('\n').trim();
+            if (body) {
+                let key = name;
+                for (let n = 2; handlers.has(key); n++) key = `${name}#${n}`;
+                handlers.set(key, body);
+            }
+            lines = [];
+        };
+
+        for (const line of (source || '').replace(/\r\n?/g, '\n').split('\n')) {
+            const start = line.match(/^on\s+([^\s,]+)/i);
+            if (start) {
+                flush();
+                name = start[1];
+            }
+            lines.push(line);
+            if (name && /^end\b/i.test(line)) {
+                flush();
+                name = '';
+            }
+        }
+        flush();
+        return handlers;
+    }
+
+    static readManifest(dir) {
+        const manifestPath = path.join(dir, 'members.json');
+        if (!fs.existsSync(manifestPath)) throw new Error(`No members.json in ${dir}`);
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return manifest.members || [];
+    }
+
+    async _resolve(input, temp) {
+        if (!fs.existsSync(input)) throw new Error(`File not found: ${input}`);
+        if (fs.statSync(input).isDirectory()) return input;
+
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mx-rip-diff-'));
+        temp.push(outputDir);
+        const extractor = new DirectorExtractor(input, outputDir, { ...EXTRACT_OPTIONS, ...this.options.extractOptions });
+        extractor.logger = new Logger('CastDiff', (lvl, msg) => this.log(lvl, msg));
+        const result = await extractor.extract();
+        if (!result) throw new Error(`Could not extract ${input}`);
+        return outputDir;
+    }
+
+    _compareMember(before, after, oldDir, newDir) {
+        const describe = (m) => m && {
+            id: m.id,
+            num: m.num,
+            name: m.name,
+            type: m.type,
+            checksum: m.checksum || null
+        };
+        const entry = { changes: [], old: describe(before), new: describe(after) };
+        if (!before || !after) {
+            entry.changes.push(before ? 'removed' : 'added');
+            return entry;
+        }
+
+        if (before.name !== after.name) entry.changes.push('renamed');
+        const slot = (m) => m.num !== undefined && m.num !== null ? m.num : m.id;
+        if (slot(before) !== slot(after)) entry.changes.push('moved');
+
+        const oldKey = this._contentKey(before, oldDir);
+        const newKey = this._contentKey(after, newDir);
+        if (before.typeId !== after.typeId || oldKey !== newKey) {
+            entry.changes.push('changed');
+            if (before.typeId === MemberType.Script && after.typeId === MemberType.Script) {
+                entry.handlers = this._diffScript(before, after, oldDir, newDir);
+            } else if (before.typeId === MemberType.Bitmap && after.typeId === MemberType.Bitmap) {
+                entry.bitmap = this._diffBitmap(before, after, oldDir, newDir);
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * The stored content checksum; members that only carry a header checksum (palettes,
+     * members skipped by the worker) fall back to hashing their artifact.
+     */
+    _contentKey(member, dir) {
+        if (member.checksum && !member.checksum.startsWith('header:')) return member.checksum;
+        const file = member[getPrimaryArtifactField(member.typeId)];
+        if (file && fs.existsSync(path.join(dir, file))) {
+            return crypto.createHash('sha256').update(fs.readFileSync(path.join(dir, file))).digest('hex');
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Array<{name: string, change: string, diff?: string}>}
+     */
+    _diffScript(before, after, oldDir, newDir) {
+        const read = (m, dir) => m.scriptFile && fs.existsSync(path.join(dir, m.scriptFile))
+            ? fs.readFileSync(path.join(dir, m.scriptFile), 'utf8') : '';
+        const oldHandlers = CastDiff.splitHandlers(read(before, oldDir));
+        const newHandlers = CastDiff.splitHandlers(read(after, newDir));
+
+        const result = [];
+        for (const name of new Set([...oldHandlers.keys(), ...newHandlers.keys()])) {
+            const a = oldHandlers.get(name);
+            const b = newHandlers.get(name);
+            if (a === b) continue;
+            const change = a === undefined ? 'added' : b === undefined ? 'removed' : 'changed';
+            result.push({ name, change, diff: unifiedDiff(a || '', b || '') });
+        }
+        return result;
+    }
+
+    _diffBitmap(before, after, oldDir, newDir) {
+        const result = {};
+        const paletteName = (m) => m.palette ? m.palette.name : (m.paletteId !== undefined ? m.paletteId : null);
+        const fields = {
+            width: (m) => m.width,
+            height: (m) => m.height,
+            bitDepth: (m) => m.bitDepth,
+            palette: paletteName,
+            regPoint: (m) => m.regPoint ? `${m.regPoint.x},${m.regPoint.y}` : null
+        };
+        for (const [field, read] of Object.entries(fields)) {
+            const a = read(before);
+            const b = read(after);
+            if (a !== b) result[field] = { old: a === undefined ? null : a, new: b === undefined ? null : b };
+        }
+
+        if (this.options.visualDir && before.image && after.image) {
+            const visual = this._writeVisualDiff(path.join(oldDir, before.image), path.join(newDir, after.image), after);
+            if (visual) Object.assign(result, visual);
+        }
+        return result;
+    }
+
+    /**
+     * Old image greyed out, with every differing pixel in red. Pixels outside either
+     * image count as differing when the sizes change.
+     */
+    _writeVisualDiff(oldImage, newImage, member) {
+        if (!/\.png$/i.test(oldImage) || !/\.png$/i.test(newImage)) return null;
+        if (!fs.existsSync(oldImage) || !fs.existsSync(newImage)) return null;
+
+        let a, b;
+        try {
+            a = PNG.sync.read(fs.readFileSync(oldImage));
+            b = PNG.sync.read(fs.readFileSync(newImage));
+        } catch (e) {
+            this.log('WARNING', `[CastDiff] Visual diff skipped for ${member.name}: ${e.message}`);
+            return null;
+        }
+
+        const width = Math.max(a.width, b.width);
+        const height = Math.max(a.height, b.height);
+        const out = new PNG({ width, height });
+        const pixel = (img, x, y) => x < img.width && y < img.height ? img.data.readUInt32BE((y * img.width + x) * 4) : null;
+        let pixelsChanged = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pa = pixel(a, x, y);
+                const o = (y * width + x) * 4;
+                if (pa === null || pa !== pixel(b, x, y)) {
+                    pixelsChanged++;
+                    out.data.set([255, 0, 0, 255], o);
+                } else {
+                    const i = (y * a.width + x) * 4;
+                    const grey = Math.round((a.data[i] + a.data[i + 1] + a.data[i + 2]) / 3);
+                    out.data.set([grey, grey, grey, Math.round(a.data[i + 3] * 0.35)], o);
+                }
+            }
+        }
+
+        fs.mkdirSync(this.options.visualDir, { recursive: true });
+        const visualDiff = path.join(this.options.visualDir, `${sanitizeArtifactStem(member.name, 'member')}_${member.id}.diff.png`);
+        fs.writeFileSync(visualDiff, PNG.sync.write(out));
+        return { visualDiff, pixelsChanged };
+    }
+}
+
+module.exports = CastDiff;
@@ -4,7 +4,8 @@
  */
 
 const DataStream = require('./utils/DataStream');
-const { MemberType, Offsets } = require('./Constants');
+const { MemberType, Offsets, Container } = require('./Constants');
+const DataWriter = require('./utils/DataWriter');
 const Specs = require('./member/MemberSpec');
 const DirectorFile = require('./DirectorFile');
 const { Palette } = require('./utils/Palette');
@@ -293,6 +294,7 @@ class CastMember {
         switch (typeId) {
             case MemberType.Bitmap: return Specs.BitmapSpec.parse(ds, buffer.length);
             case MemberType.Text:
+            case MemberType.RTE:
             case MemberType.Field: return Specs.TextSpec.parse(ds, buffer.length);
             case MemberType.Shape: return Specs.ShapeSpec.parse(ds, buffer.length);
             case MemberType.Script: return Specs.ScriptSpec.parse(ds, buffer.length);
@@ -307,6 +309,65 @@ class CastMember {
         }
     }
 
+    /**
+     * Serializes the member back into a CASt chunk body (the inverse of fromChunk).
+     * Only the name, comment and type spec are written; the script text item is left empty.
+     */
+    toChunk() {
+        const info = this._buildCommonInfo();
+        const spec = CastMember._buildTypeSpec(this);
+
+        const ds = new DataWriter('big', Offsets.Cast.HeaderSize + info.length + spec.length);
+        ds.writeUint32(this.typeId);
+        ds.writeUint32(info.length);
+        ds.writeUint32(spec.length);
+        ds.writeBytes(info);
+        ds.writeBytes(spec);
+        return ds.toBuffer();
+    }
+
+    _buildCommonInfo() {
+        const items = [Buffer.alloc(0)];
+        const name = new DataWriter('big', 32);
+        name.writePascalString(this.name);
+        items.push(name.toBuffer());
+        if (this.comment) {
+            items.push(Buffer.alloc(0), Buffer.alloc(0), Buffer.from(this.comment, 'utf8'));
+        }
+
+        const ds = new DataWriter('big', 64);
+        ds.writeUint32(Container.CastInfo.HeaderSize);
+        ds.writeUint32(0);
+        ds.writeUint32(0);
+        ds.writeUint32(this.flags || 0);
+        ds.writeUint32(this.scriptId || 0);
+        ds.writeUint32(this.created || 0);
+        ds.writeUint32(this.modified || 0);
+
+        ds.writeUint16(items.length);
+        let offset = 0;
+        for (const item of items) {
+            ds.writeUint32(offset);
+            offset += item.length;
+        }
+        ds.writeUint32(offset);
+        for (const item of items) ds.writeBytes(item);
+        return ds.toBuffer();
+    }
+
+    static _buildTypeSpec(member) {
+        switch (member.typeId) {
+            case MemberType.Bitmap: return Specs.BitmapSpec.build(member);
+            case MemberType.Text:
+            case MemberType.RTE:
+            case MemberType.Field: return Specs.TextSpec.build(member);
+            case MemberType.Script: return Specs.ScriptSpec.build(member);
+            case MemberType.Sound: return Specs.SoundSpec.build(member);
+            case MemberType.Palette: return Specs.PaletteSpec.build(member);
+            default: return Buffer.alloc(0);
+        }
+    }
+
     toJSON() {
         const common = {
             id: this.id,
@@ -367,10 +428,12 @@ class CastMember {
 
             case MemberType.Script: // 11
                 result.scriptType = CastMember.getScriptTypeTag(this.scriptType);
+                if (this.nameBinding) result.nameBinding = this.nameBinding;
                 break;
 
             case MemberType.Text: // 3
-            case MemberType.Field: // 12
+            case MemberType.RTE: // 12
+            case MemberType.Field: // 13
                 if (this.text) result.text = this.text;
                 if (this.font) result.font = this.font;
                 if (this.size) result.size = this.size;
@@ -380,6 +443,10 @@ class CastMember {
                 if (this.rect && (this.rect.right !== 0 || this.rect.bottom !== 0)) result.rect = this.rect;
                 break;
 
+            case MemberType.FilmLoop: // 2
+                if (this.atlasFile) result.atlasFile = this.atlasFile;
+                break;
+
             case MemberType.Palette: // 4
                 // Palette members are usually just a list of colors, often large, so we might skip the 'palette' array unless requested.
                 // For now, keeping it minimal as per plan.
@@ -15,7 +15,11 @@ const Font = require('./constants/Font');
 const Resources = require('./constants/Resources');
 const LingoConfig = require('./constants/lingo/Config');
 const LingoOpcode = require('./constants/lingo/Opcode');
+const LingoBuiltinNames = require('./constants/lingo/Builtins');
 const Offsets = require('./constants/Offsets');
+const Score = require('./constants/Score');
+const Text = require('./constants/Text');
+const Container = require('./constants/Container');
 
 module.exports = {
     MemberType,
@@ -30,5 +34,9 @@ module.exports = {
     Resources,
     LingoConfig,
     LingoOpcode,
-    Offsets
+    LingoBuiltinNames,
+    Offsets,
+    Score,
+    Text,
+    Container
 };
@@ -66,6 +66,7 @@ class DCRExtractor {
 
         // 3. Finalize Project Resources
         project.savePalettes(outputRoot);
+        project.saveCastReport(outputRoot);
     }
 }
 
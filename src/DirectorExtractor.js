@@ -28,6 +28,7 @@ const ShapeExtractor = require('./member/ShapeExtractor');
 const FontExtractor = require('./member/FontExtractor');
 const GenericExtractor = require('./member/GenericExtractor');
 const LingoDecompiler = require('./lingo/LingoDecompiler');
+const LingoTranspiler = require('./lingo/LingoTranspiler');
 const LnamParser = require('./lingo/LnamParser');
 const VectorShapeExtractor = require('./member/VectorShapeExtractor');
 const MovieExtractor = require('./member/MovieExtractor');
@@ -35,10 +36,12 @@ const FlashExtractor = require('./extractor/FlashExtractor');
 const DigitalVideoExtractor = require('./extractor/DigitalVideoExtractor');
 const XtraExtractor = require('./extractor/XtraExtractor');
 const DataStream = require('./utils/DataStream');
+const Compression = require('./utils/Compression');
 
 const { MemberType, Magic, Resources } = require('./Constants');
 const { Palette } = require('./utils/Palette');
 const Logger = require('./utils/Logger');
+const { disk } = require('./utils/FileSource');
 const { buildScriptArtifactStem, sanitizeArtifactStem } = require('./utils/ArtifactNames');
 const {
     ARTIFACT_FIELDS,
@@ -58,6 +61,7 @@ class DirectorExtractor extends BaseExtractor {
         this.castOrder = [];
         this.projectType = 'standard';
         this.options = options;
+        this.fileSource = options.fileSource || disk;
         this.concurrency = os.cpus().length || 1;
 
         this.logger = new Logger('DirectorExtractor', (lvl, msg) => {
@@ -99,6 +103,7 @@ class DirectorExtractor extends BaseExtractor {
         this.fontExtractor = new FontExtractor(logProxy, this);
         this.genericExtractor = new GenericExtractor(logProxy);
         this.lingoDecompiler = new LingoDecompiler(logProxy, this);
+        this.lingoTranspiler = new LingoTranspiler(logProxy);
         this.lnamParser = new LnamParser(logProxy, this);
         this.vectorShapeExtractor = new VectorShapeExtractor(logProxy);
         this.movieExtractor = new MovieExtractor(logProxy);
@@ -241,7 +246,8 @@ class DirectorExtractor extends BaseExtractor {
             case MemberType.Bitmap: return !!this.options.bitmap;
             case MemberType.Script: return !!this.options.script;
             case MemberType.Sound: return !!this.options.sound;
-            case MemberType.Text: return !!this.options.text;
+            case MemberType.Text:
+            case MemberType.RTE: return !!this.options.text;
             case MemberType.Field: return !!this.options.field;
             case MemberType.Shape:
             case MemberType.VectorShape: return !!this.options.shape;
@@ -251,44 +257,80 @@ class DirectorExtractor extends BaseExtractor {
         }
     }
 
-    async extract() {
-        this.log('INFO', `Starting extraction: ${this.inputPath}`);
-
-        if (!fs.existsSync(this.inputPath)) {
-            this.log('ERROR', `File not found: ${this.inputPath}`);
-            return null;
-        }
-
-        const stats = fs.statSync(this.inputPath);
-        const fd = fs.openSync(this.inputPath, 'r');
-        this.dirFile = new DirectorFile(fd, (lvl, msg) => this.log(lvl, msg), stats.size);
+    /**
+     * Opens and parses the input file into this.dirFile.
+     */
+    async open() {
+        const size = this.fileSource.size(this.inputPath);
+        this.dirFile = new DirectorFile(this.fileSource.open(this.inputPath), (lvl, msg) => this.log(lvl, msg), size);
         try {
-            await this.dirFile.parse();
+            await this.dirFile.parse({ recover: !!this.options.recover });
         } catch (e) {
             this.dirFile.close();
             throw new Error(`Failed to parse Director file: ${e.message}`);
         }
+    }
 
-        if (!fs.existsSync(this.outputDir)) fs.mkdirSync(this.outputDir, { recursive: true });
-
-        // Phase 1: Structural Discovery & Key Metadata
-        await this.metadataManager.parseKeyTable();
+    /**
+     * Phase 1: KEY*, cast order, name tables, config and font map, then member discovery.
+     * Reads only; nothing is written to outputDir.
+     */
+    async analyze() {
+        // Carved files are renumbered, so their KEY* and LctX point at the wrong sections
+        const recovery = this.dirFile.recovery;
+        if (!recovery || recovery.method !== 'carve') await this.metadataManager.parseKeyTable();
+        if (this.options.recover && Object.keys(this.metadataManager.keyTable).length === 0) {
+            const keyTable = await this.metadataManager.rebuildKeyTable();
+            this.dirFile._noteRecovery('keys');
+            this.dirFile.recovery.keyTable = keyTable;
+        }
         await this.metadataManager.parseMCsL();
         await this.metadataManager.parseNameTable();
         await this.metadataManager.parseDRCF();
+        await this.metadataManager.parseFontMap();
         await this.loadSharedPalettes(path.join(path.dirname(this.inputPath), 'shared_palettes.json'));
 
         // [Discovery] Let CastManager aggregate all unique Member IDs
         await this.castManager.discoverMembers();
+    }
+
+    /**
+     * Parses CASt records into the discovered members and records their cast slots.
+     */
+    async enrichMembers() {
+        // [Enrichment] Combined pass orchestration handled by CastManager
+        await this.castManager.enrichPass1();
+        await this.castManager.enrichPass2();
+
+        // Record the logical cast slot so members.json can be packed back in the same order
+        const slots = this.castOrder.length > 0 ? this.castOrder : (await this.castManager.readCastSlots()) || [];
+        slots.forEach((memberId, slot) => {
+            const member = this.castManager.getMemberById(memberId);
+            if (member && !member.num) member.num = slot;
+        });
+    }
+
+    async extract() {
+        this.log('INFO', `Starting extraction: ${this.inputPath}`);
+
+        if (!this.fileSource.exists(this.inputPath)) {
+            this.log('ERROR', `File not found: ${this.inputPath}`);
+            return null;
+        }
+
+        await this.open();
+
+        if (!fs.existsSync(this.outputDir)) fs.mkdirSync(this.outputDir, { recursive: true });
+
+        // Phase 1: Structural Discovery & Key Metadata
+        await this.analyze();
 
         // Phase 2: Metadata Enrichment & Movie-wide Extraction
         await this.movieProcessor.extractConfig();
         await this.movieProcessor.extractTimeline();
         await this.movieProcessor.extractCastList();
 
-        // [Enrichment] Combined pass orchestration handled by CastManager
-        await this.castManager.enrichPass1();
-        await this.castManager.enrichPass2();
+        await this.enrichMembers();
 
         // Phase 3: Global Palette Collection
         for (const member of this.members) {
@@ -379,26 +421,40 @@ class DirectorExtractor extends BaseExtractor {
             }
         }
 
+        // Files opened from memory (zip entries) have no fd, so workers read a shared copy
+        let fileBuffer = null;
+        if (this.dirFile.fd === null) {
+            const source = this.dirFile.ds.buffer;
+            fileBuffer = source.buffer instanceof SharedArrayBuffer ? source.buffer : new SharedArrayBuffer(source.length);
+            if (source.buffer !== fileBuffer) source.copy(Buffer.from(fileBuffer));
+        }
+
         for (let i = 0; i < this.concurrency; i++) {
             const worker = new Worker(path.join(__dirname, 'extractor', 'ExtractionWorker.js'), {
                 workerData: {
                     fd: this.dirFile.fd,
+                    fileBuffer,
                     keyTable: this.metadataManager.keyTable,
                     nameTable: this.metadataManager.nameTable,
                     chunks: workerChunks,
                     fmap: this.dirFile.fmap || {},
                     lctxMap: this.metadataManager.lctxMap || {},
+                    fontMap: this.metadataManager.fontMap || {},
                     castOrder: this.castOrder || [],
                     movieConfig: this.metadataManager.movieConfig || {},
                     resToMember: this.metadataManager.resToMember || {},
                     isAfterburned: this.dirFile.isAfterburned,
                     ilsBody: ilsBody,
+                    compression: this.dirFile.compressionTable,
+                    compressionModules: Compression.listModules(),
                     options: {
                         verbose: this.options.verbose,
                         lasm: this.options.lasm,
+                        js: !!this.options.js,
                         force: !!this.options.force,
                         fast: !!this.options.fast,
-                        colored: !!this.options.colored
+                        colored: !!this.options.colored,
+                        textFormat: this.options.textFormat
                     }
                 }
             });
@@ -458,6 +514,8 @@ class DirectorExtractor extends BaseExtractor {
             const onWorkerMessage = async (worker, msg) => {
                 if (msg.type === 'LOG') {
                     this.log(msg.level, `[Worker] ${msg.message}`);
+                } else if (msg.type === 'COMPRESSION_ERROR') {
+                    this.dirFile._reportCompressionError(msg.chunk, msg.compression, msg.error);
                 } else if (msg.type === 'DONE') {
                     const m = this.members.find(mem => mem.id === msg.id);
                     const reason = msg.reason || (msg.format ? 'extracted' : 'unsupported_content');
@@ -468,6 +526,7 @@ class DirectorExtractor extends BaseExtractor {
                         assignArtifactToMember(m, msg.artifactFile);
                         m.width = msg.width;
                         m.height = msg.height;
+                        if (msg.nameBinding) m.nameBinding = msg.nameBinding;
                         m.format = msg.format;
                         this.recordOutcome(m, reason);
 
@@ -483,6 +542,7 @@ class DirectorExtractor extends BaseExtractor {
                                 palette: m.palette,
                                 isOrphan: m.isOrphan,
                                 outcome: m.outcome,
+                                nameBinding: m.nameBinding || undefined,
                                 ...getArtifactSnapshot(m)
                             };
                         }
@@ -536,6 +596,7 @@ class DirectorExtractor extends BaseExtractor {
                                 }
                             }
                         }
+                        if (prev.nameBinding) m.nameBinding = prev.nameBinding;
                         if (prev.width) m.width = prev.width;
                         if (prev.height) m.height = prev.height;
                         if (!m.palette && prev.palette) m.palette = prev.palette;
@@ -604,6 +665,7 @@ class DirectorExtractor extends BaseExtractor {
                 );
 
                 let scriptChunkId = null;
+                let nameBinding = null;
                 if (member.typeId === MemberType.Script) {
                     const scriptMap = this.metadataManager.keyTable[member.id] || null;
                     const lscrId = this.metadataManager.resolveScriptSectionId(member);
@@ -614,6 +676,7 @@ class DirectorExtractor extends BaseExtractor {
                     } else if (Number.isInteger(member._chunkIndex) && member._chunkIndex >= 0) {
                         scriptChunkId = this.dirFile.chunks[member._chunkIndex]?.id || null;
                     }
+                    nameBinding = this.metadataManager.getNameBinding(scriptChunkId);
                 }
 
                 worker.postMessage({
@@ -640,9 +703,8 @@ class DirectorExtractor extends BaseExtractor {
                         knownCacheChecksum: canReusePrevious ? prevMeta.cacheChecksum : null,
                         palette: member._resolvedPalette,
                         scriptChunkId,
-                        nameTable: (member.typeId === MemberType.Script)
-                            ? this.metadataManager.getNameTableForScript(scriptChunkId)
-                            : null
+                        nameTable: nameBinding ? nameBinding.names : null,
+                        nameBinding: nameBinding ? nameBinding.binding : null
                 });
             };
 
@@ -675,6 +737,7 @@ class DirectorExtractor extends BaseExtractor {
 
         // Phase 5: Cleanup & Finalization
         await this.matchDanglingScripts();
+        await this.movieProcessor.exportFilmLoops();
         this.finalizeCastLibs();
 
         // Final Clean Pass
@@ -698,6 +761,8 @@ class DirectorExtractor extends BaseExtractor {
 
         this.metadata.movie = this.metadataManager.movieConfig || {};
         this.metadata.castLibs = this.castLibs;
+        if (this.dirFile.compressionErrors.length > 0) this.metadata.compressionErrors = this.dirFile.compressionErrors;
+        if (this.dirFile.recovery) this.metadata.recovery = this.dirFile.recovery;
         const finalMembers = this.members.filter(m => {
             const typeName = CastMember.getTypeName(m.typeId);
             return !(typeName === 'Null' && (!m.name || m.name.startsWith('member_')));
@@ -734,9 +799,9 @@ class DirectorExtractor extends BaseExtractor {
     }
 
     async loadSharedPalettes(filePath) {
-        if (!fs.existsSync(filePath)) return;
+        if (!this.fileSource.exists(filePath)) return;
         try {
-            const data = fs.readFileSync(filePath, 'utf8');
+            const data = this.fileSource.readFile(filePath).toString('utf8');
             const json = JSON.parse(data);
             this.sharedPalettes = json;
             this.log('SUCCESS', `Loaded ${Object.keys(json).length} shared palettes.`);
@@ -767,9 +832,9 @@ class DirectorExtractor extends BaseExtractor {
             if (!data) continue;
 
             const scriptChunkIndex = this.dirFile.chunks.indexOf(chunk);
-            const resolvedNameTable = this.metadataManager.getNameTableForScript(chunk.id);
+            const { names: resolvedNameTable, binding } = this.metadataManager.getNameBinding(chunk.id);
 
-            const decompiled = this.lingoDecompiler.decompile(data, resolvedNameTable, script.scriptType || 0, script.id, { lasm: this.options.lasm });
+            const decompiled = this.lingoDecompiler.decompile(data, resolvedNameTable, script.scriptType || 0, script.id, { lasm: this.options.lasm, ast: !!this.options.js, calibrate: binding === 'heuristic' });
             const source = (typeof decompiled === 'object') ? decompiled.source : decompiled;
             if (source) {
                 let finalName = script.name;
@@ -802,8 +867,12 @@ class DirectorExtractor extends BaseExtractor {
                 if (this.options.lasm && typeof decompiled === 'object' && decompiled.lasm) {
                     fs.writeFileSync(path.join(this.outputDir, `${fileStem}.lasm`), decompiled.lasm);
                 }
+                if (this.options.js && typeof decompiled === 'object' && decompiled.ast) {
+                    fs.writeFileSync(path.join(this.outputDir, `${fileStem}.js`), this.lingoTranspiler.transpile(decompiled.ast, { name: finalName }));
+                }
                 script.scriptFile = path.basename(lsPath);
                 script.format = Resources.Formats.LS;
+                script.nameBinding = binding;
             }
         }
 
@@ -817,9 +886,9 @@ class DirectorExtractor extends BaseExtractor {
                 if (!data) continue;
                 
                 const scriptChunkIndex = this.dirFile.chunks.indexOf(unmatchedChunks[i]);
-                const resolvedNameTable = this.metadataManager.getNameTableForScript(unmatchedChunks[i].id);
+                const { names: resolvedNameTable, binding } = this.metadataManager.getNameBinding(unmatchedChunks[i].id);
 
-                const decompiled = this.lingoDecompiler.decompile(data, resolvedNameTable, unmatchedScripts[i].scriptType || 0, unmatchedScripts[i].id, { lasm: this.options.lasm });
+                const decompiled = this.lingoDecompiler.decompile(data, resolvedNameTable, unmatchedScripts[i].scriptType || 0, unmatchedScripts[i].id, { lasm: this.options.lasm, ast: !!this.options.js, calibrate: binding === 'heuristic' });
                 const source = (typeof decompiled === 'object') ? decompiled.source : decompiled;
                 if (source) {
                     let finalName = unmatchedScripts[i].name;
@@ -851,8 +920,12 @@ class DirectorExtractor extends BaseExtractor {
                     if (this.options.lasm && typeof decompiled === 'object' && decompiled.lasm) {
                         fs.writeFileSync(path.join(this.outputDir, `${fileStem}.lasm`), decompiled.lasm);
                     }
+                    if (this.options.js && typeof decompiled === 'object' && decompiled.ast) {
+                        fs.writeFileSync(path.join(this.outputDir, `${fileStem}.js`), this.lingoTranspiler.transpile(decompiled.ast, { name: finalName }));
+                    }
                     unmatchedScripts[i].scriptFile = path.basename(lsPath);
                     unmatchedScripts[i].format = Resources.Formats.LS;
+                    unmatchedScripts[i].nameBinding = binding;
                 }
             }
         }
@@ -4,9 +4,10 @@
  */
 
 const fs = require('fs');
-const zlib = require('zlib');
 const DataStream = require('./utils/DataStream');
-const { Magic, AfterburnerTags, Limits } = require('./Constants');
+const Compression = require('./utils/Compression');
+const ChunkCarver = require('./utils/ChunkCarver');
+const { Magic, AfterburnerTags, Limits, Container } = require('./Constants');
 
 const KNOWN_TAGS = new Set(Object.values(Magic));
 
@@ -28,6 +29,10 @@ class DirectorFile {
 
         this.chunks = [];
         this.cachedViews = {};
+        this.compressionTable = null; // Fcdr entries { guid, name, label }; null for plain RIFX
+        this.compressionErrors = []; // { id, type, compression, error } per undecodable chunk
+        this.recover = false;
+        this.recovery = null; // { method, chunks, dropped } when parse({ recover }) had to repair the chunk list
         this.isAfterburned = false;
         this.ilsBodyOffset = 0;
         this._ilsBody = null;
@@ -39,6 +44,13 @@ class DirectorFile {
         this.chunkIndex = {};
     }
 
+    /**
+     * The inflated ILS body of an Afterburned file; null when it is not loaded or could not be read.
+     */
+    get ilsBody() {
+        return this._ilsBody;
+    }
+
     close() {
         if (this.fd !== null) {
             try {
@@ -88,8 +100,13 @@ class DirectorFile {
         return mappedChunk || directChunk || null;
     }
 
-    async parse() {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.recover] - Rebuild the chunk list of damaged or truncated files instead of failing
+     */
+    async parse({ recover = false } = {}) {
         if (!this.ds) return;
+        this.recover = recover;
         const magic = this.ds.readFourCC();
         this.ds.skip(4);
 
@@ -107,16 +124,22 @@ class DirectorFile {
             [Magic.FGDC, Magic.FGDM, Magic.CDGF, Magic.MDGF].includes(internalMagic);
 
         if (magic === Magic.XFIR || magic === Magic.RIFX) {
-            await this.parseUncompressedStructure();
+            if (recover && !this.isAfterburned) await this._recoverUncompressedStructure();
+            else await this.parseUncompressedStructure();
             await this.calculateAfterburnedStructure();
         } else if (this.isAfterburned) {
             this.format = 'afterburner';
             await this.calculateAfterburnedStructure();
+        } else if (recover) {
+            this.log('WARNING', `Unknown file header ${JSON.stringify(magic)}; carving sections from the raw file.`);
+            this._carveChunks();
         } else {
             throw new Error(`Unsupported file format: ${magic}`);
         }
 
+        if (recover && this.isAfterburned) await this._recoverAfterburnedStructure();
         this._reindexChunks();
+        if (this.recovery) this.recovery.chunks = this.chunks.length;
     }
 
     _reindexChunks() {
@@ -185,6 +208,124 @@ class DirectorFile {
         }
     }
 
+    /**
+     * Recovery mode for RIFX files: keeps the mmap when most of its entries still point at a
+     * matching section header (dropping the rest), and carves the chunk list otherwise.
+     */
+    async _recoverUncompressedStructure() {
+        try {
+            await this.parseUncompressedStructure();
+        } catch (e) {
+            this.log('WARNING', `${e.message} Carving sections from the raw file.`);
+            this.chunks = [];
+            this._carveChunks();
+            return;
+        }
+
+        const { SkipTags, MinValidMapRatio } = Container.Recovery;
+        const sections = this.chunks.filter(c => c.len > 0 && !SkipTags.includes(DirectorFile.unprotect(c.type)));
+        const dropped = sections.filter(c => !this.hasSectionHeader(c));
+        if (sections.length > 0 && sections.length - dropped.length >= sections.length * MinValidMapRatio) {
+            if (dropped.length > 0) {
+                this.chunks = this.chunks.filter(c => !dropped.includes(c));
+                this.log('WARNING', `mmap: dropped ${dropped.length} of ${sections.length} sections whose header is missing or cut off.`);
+                this._noteRecovery('mmap', dropped);
+            }
+            return;
+        }
+
+        this.log('WARNING', `mmap: only ${sections.length - dropped.length} of ${sections.length} sections match their header; carving sections from the raw file.`);
+        this.chunks = [];
+        this._carveChunks();
+    }
+
+    /**
+     * Whether the file holds a section header with the chunk's tag and length at its
+     * offset (RIFX only; Afterburner offsets point into the ILS body).
+     */
+    hasSectionHeader(chunk) {
+        if (chunk.off < 0 || chunk.off + 8 + chunk.len > this.ds.length) return false;
+        this.ds.seek(chunk.off);
+        return this.ds.readFourCC() === chunk.type && this.ds.readUint32() === chunk.len;
+    }
+
+    _carveChunks() {
+        const carved = new ChunkCarver(this.log).carve(this._readAll());
+        this.chunks = carved.chunks.map(c => ({ ...c, uncompLen: 0, compType: 0, flags: 0, link: 0 }));
+        this.isAfterburned = false;
+        this.isLittleEndianFile = carved.endianness === 'little';
+        this.ds.endianness = carved.endianness;
+        this.format = `rifx-${carved.endianness}`;
+        if (carved.codec) this.subtype = carved.codec;
+        this.log('WARNING', `Carved ${carved.chunks.length} sections (${carved.endianness}-endian); section ids are renumbered in file order.`);
+        this._noteRecovery('carve', carved.truncated);
+    }
+
+    /**
+     * Recovery mode for Afterburned files. The resource map is searched for when the header walk
+     * missed it, and resources whose bytes are not in the file are dropped.
+     */
+    async _recoverAfterburnedStructure() {
+        if (this.chunks.length === 0) {
+            const buffer = this._readAll();
+            const tags = [Magic.ABMP_UPPER, Magic.PMBA, Magic.ABMP, 'pmbA'];
+            for (const pos of DirectorFile._findAll(buffer, tags)) {
+                this.ds.seek(pos);
+                try {
+                    await this._parseAbmp();
+                } catch (e) {
+                    this.chunks = [];
+                }
+                if (this.chunks.length > 0) {
+                    this.log('WARNING', `ABMP found by scanning at ${pos}.`);
+                    this._noteRecovery('abmp');
+                    break;
+                }
+            }
+            if (this.chunks.length === 0) {
+                this.log('ERROR', `No Afterburner resource map could be recovered.`);
+                return;
+            }
+            const fgei = DirectorFile._findAll(buffer, [Magic.FGEI, Magic.IEGF]).find(pos => pos >= this.ds.position);
+            if (fgei !== undefined) {
+                this.ds.seek(fgei);
+                await this._parseFgei();
+            }
+        }
+
+        const ils = this.chunks.find(c => DirectorFile.unprotect(c.type) === Magic.ILS);
+        const dropped = this.chunks.filter(c => {
+            if (c === ils || c.isIlsResident || c.len <= 0) return false;
+            // Not reached in a cut-off ILS body, or streamed past the end of the file
+            return (ils && c.off < ils.off + ils.len) || this.ilsBodyOffset + c.off + c.len > this.ds.length;
+        });
+        if (dropped.length > 0) {
+            this.chunks = this.chunks.filter(c => !dropped.includes(c));
+            this.log('WARNING', `Dropped ${dropped.length} resources whose data is not in the file.`);
+            this._noteRecovery('abmp', dropped);
+        }
+    }
+
+    _noteRecovery(method, dropped = []) {
+        if (!this.recovery) this.recovery = { method, chunks: this.chunks.length, dropped: [] };
+        this.recovery.dropped.push(...dropped.map(c => ({ id: c.id, type: DirectorFile.unprotect(c.type), off: c.off, len: c.len })));
+    }
+
+    _readAll() {
+        if (this.ds.buffer) return this.ds.buffer;
+        const buffer = Buffer.alloc(this.ds.length);
+        fs.readSync(this.fd, buffer, 0, buffer.length, 0);
+        return buffer;
+    }
+
+    static _findAll(buffer, tags) {
+        const hits = [];
+        for (const tag of tags) {
+            for (let pos = buffer.indexOf(tag, 0, 'latin1'); pos !== -1; pos = buffer.indexOf(tag, pos + 1, 'latin1')) hits.push(pos);
+        }
+        return hits.sort((a, b) => a - b);
+    }
+
     _parseILS() {
         const ds = this.ds;
         ds.seek(8);
@@ -279,18 +420,51 @@ class DirectorFile {
         }
     }
 
+    /**
+     * Fcdr: zlib-compressed [u16 count][count * 16-byte GUID][count * null-terminated label].
+     * ABMP compType values index this table.
+     */
     async _parseFcdr() {
         this.ds.readFourCC();
         const len = this.ds.readVarInt();
-        const raw = zlib.inflateSync(this.ds.readBytes(len));
-        if (raw.slice(0, 10).toString().includes('Macromedia')) return;
-        const ds = new DataStream(raw, 'big');
-        if (ds.length < 2) return;
+        let raw;
+        try {
+            raw = Compression.inflate(this.ds.readBytes(len));
+        } catch (e) {
+            this.log('WARNING', `Fcdr could not be decompressed (${e.message}); falling back to zlib detection.`);
+            return;
+        }
+
+        const other = this.ds.endianness === 'big' ? 'little' : 'big';
+        const table = this._readCompressionTable(raw, this.ds.endianness) || this._readCompressionTable(raw, other);
+        if (!table) {
+            this.log('WARNING', `Fcdr holds no known compression GUIDs; falling back to zlib detection.`);
+            return;
+        }
+        for (const entry of table.filter(e => !e.name)) {
+            this.log('WARNING', `Fcdr: no decoder registered for ${entry.guid} ('${entry.label}')`);
+        }
+        this.compressionTable = table;
+    }
+
+    /**
+     * @returns {Array|null} Entries, or null if the layout does not fit or no GUID is known
+     */
+    _readCompressionTable(raw, endianness) {
+        const ds = new DataStream(raw, endianness);
+        if (ds.length < 2) return null;
         const count = ds.readUint16();
+        if (count === 0 || 2 + count * 16 > ds.length) return null;
+
+        const table = [];
+        for (let i = 0; i < count; i++) table.push({ guid: Compression.readGuid(ds) });
+        const labels = raw.slice(ds.position).toString('latin1').split('\0');
         for (let i = 0; i < count; i++) {
-            if (ds.position + 16 > ds.length) break;
-            ds.skip(16); // Skip Fcdr entries as they are often garbage in Afterburner
+            const decoder = Compression.getDecoder(table[i].guid);
+            table[i].label = labels[i] || '';
+            table[i].name = decoder ? decoder.name : null;
         }
+        return table.some(e => e.name) ? table : null;
     }
 
     async _parseAbmp() {
@@ -300,16 +474,22 @@ class DirectorFile {
         const compType = this.ds.readVarInt();
         const uncompLen = this.ds.readVarInt();
         
-        const raw = this.ds.readBytes(end - this.ds.position);
+        const stored = end - this.ds.position;
+        const raw = this.ds.readBytes(this.recover ? Math.min(stored, this.ds.length - this.ds.position) : stored);
         let decomp;
         try {
-            decomp = zlib.inflateSync(raw);
+            decomp = Compression.inflateZlib(raw);
         } catch (e) {
             try {
-                decomp = zlib.inflateRawSync(raw);
+                decomp = Compression.inflateRaw(raw);
             } catch (e2) {
-                this.log('ERROR', `Failed to decompress ABMP: ${e2.message}`);
-                return;
+                decomp = this.recover ? this._inflatePartial(raw, 'ABMP') : null;
+                if (decomp) {
+                    this._noteRecovery('abmp');
+                } else {
+                    this.log('ERROR', `Failed to decompress ABMP: ${e2.message}`);
+                    return;
+                }
             }
         }
 
@@ -320,17 +500,24 @@ class DirectorFile {
 
         for (let i = 0; i < resCount; i++) {
             if (ds.position >= ds.length) break;
-            const resId = ds.readVarInt();
-            const offset = ds.readVarInt();
-            const compSize = ds.readVarInt();
-            const uncompSize = ds.readVarInt();
-            const compTypeIdx = ds.readVarInt();
-            const rawTag = ds.readFourCC();
+            let resId, offset, compSize, uncompSize, compTypeIdx, rawTag;
+            try {
+                resId = ds.readVarInt();
+                offset = ds.readVarInt();
+                compSize = ds.readVarInt();
+                uncompSize = ds.readVarInt();
+                compTypeIdx = ds.readVarInt();
+                rawTag = ds.readFourCC();
+            } catch (e) {
+                if (!this.recover) throw e;
+                this.log('WARNING', `ABMP: resource map ends after ${i} of ${resCount} entries.`);
+                break;
+            }
             const tag = DirectorFile.unprotect(rawTag);
 
-
             this.chunks.push({ 
                 type: tag, 
+                rawType: rawTag,
                 len: compSize, 
                 uncompLen: uncompSize, 
                 off: offset, 
@@ -349,7 +536,8 @@ class DirectorFile {
         let ilsInfo = this.getChunksByType('ILS ')[0];
         if (!ilsInfo) ilsInfo = this.getChunkById(ilsLogicalId) || this.getChunkById(2);
 
-        if (ilsInfo && ilsInfo.len > 0 && ilsInfo.len < this.ds.length) {
+        // A cut-off file can be shorter than its ILS; recovery inflates what is there
+        if (ilsInfo && ilsInfo.len > 0 && (ilsInfo.len < this.ds.length || this.recover)) {
             await this.loadInlineStream(ilsInfo);
         } else {
             this.log('WARNING', `FGEI: Could not find valid ILS chunk. ilsLogicalId=${ilsLogicalId}`);
@@ -357,7 +545,8 @@ class DirectorFile {
     }
 
     async loadInlineStream(ilsInfo) {
-        const decomp = await this.getChunkData(ilsInfo);
+        let decomp = await this.getChunkData(ilsInfo);
+        if (!decomp && this.recover) decomp = this._recoverInlineStream(ilsInfo);
         if (!decomp) {
             this.log('ERROR', `loadInlineStream: Failed to decompress ILS chunk data.`);
             return;
@@ -389,6 +578,29 @@ class DirectorFile {
         }
     }
 
+    /**
+     * Recovery mode: inflates what is left of a cut-off or damaged ILS body.
+     */
+    _recoverInlineStream(ilsInfo) {
+        const pos = this.ilsBodyOffset + ilsInfo.off;
+        if (pos >= this.ds.length) return null;
+        this.ds.seek(pos);
+        const decomp = this._inflatePartial(this.ds.readBytes(Math.min(ilsInfo.len, this.ds.length - pos)), 'ILS');
+        if (decomp) this._noteRecovery('abmp');
+        return decomp;
+    }
+
+    _inflatePartial(raw, label) {
+        try {
+            const data = Compression.inflatePartial(raw);
+            this.log('WARNING', `${label} is damaged or cut off; recovered ${data.length} bytes.`);
+            return data.length > 0 ? data : null;
+        } catch (e) {
+            this.log('ERROR', `${label} could not be recovered: ${e.message}`);
+            return null;
+        }
+    }
+
     _setIlsBody(body) {
         if (!body) {
             this._ilsBody = null;
@@ -396,6 +608,13 @@ class DirectorFile {
             return;
         }
 
+        // Browsers only have SharedArrayBuffer on cross-origin isolated pages; workers are Node-only anyway
+        if (typeof SharedArrayBuffer === 'undefined') {
+            this._ilsBody = Buffer.isBuffer(body) ? body : Buffer.from(body);
+            this._ilsBodyShared = null;
+            return;
+        }
+
         if (Buffer.isBuffer(body) && body.buffer instanceof SharedArrayBuffer) {
             this._ilsBody = body;
             this._ilsBodyShared = body.buffer;
@@ -437,24 +656,23 @@ class DirectorFile {
 
         if (!raw || raw.length === 0) return null;
 
-        let data = raw;
-        const isZlib = raw.length > 2 && raw[0] === 0x78 && (raw[1] === 0x01 || raw[1] === 0x9c || raw[1] === 0xda);
-        if (chunk.compType === 1 || (chunk.uncompLen > 0 && chunk.uncompLen !== chunk.len) || isZlib) {
-            try {
-                data = zlib.inflateSync(raw);
-            } catch (e) {
-                try {
-                    data = zlib.inflateRawSync(raw);
-                } catch (e2) {
-                    this.log('ERROR', `Decompression failed for chunk ${chunk.id}: ${e2.message}`);
-                    data = raw;
-                }
-            }
-        }
+        const { data, compression, error } = Compression.decode(raw, chunk, this.compressionTable);
+        if (error) this._reportCompressionError(chunk, compression, error);
+        if (!data) return null;
         this.cachedViews[chunk.id] = data;
         return data;
     }
 
+    /**
+     * Records (once per chunk) a payload that could not be decoded; see compressionErrors.
+     */
+    _reportCompressionError(chunk, compression, error) {
+        if (this.compressionErrors.some(e => e.id === chunk.id)) return;
+        const type = DirectorFile.unprotect(chunk.type);
+        this.compressionErrors.push({ id: chunk.id, type, compression, error });
+        this.log('WARNING', `Chunk ${chunk.id} (${type}): ${error}`);
+    }
+
     static unprotect(tag) {
         if (!tag) return tag;
         if (AfterburnerTags[tag]) return AfterburnerTags[tag];
@@ -0,0 +1,621 @@
+/**
+ * @version 1.4.2
+ * DirectorFileWriter - Rebuilds an uncompressed RIFX cast (.cst) from an extraction directory.
+ *
+ * Reads members.json and the artifacts it references, re-encodes each member into
+ * its Director chunks and lays them out behind a fresh imap/mmap/KEY* index.
+ * See docs/doc/21_CastWriter.md for the layout and round-trip limits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CastMember = require('./CastMember');
+const DataWriter = require('./utils/DataWriter');
+const PaletteExtractor = require('./member/PaletteExtractor');
+const BitmapEncoder = require('./member/BitmapEncoder');
+const LingoAssembler = require('./lingo/LingoAssembler');
+const LingoCompiler = require('./lingo/LingoCompiler');
+const { Palette } = require('./utils/Palette');
+const { MemberType, Magic, Container, HeaderSize, Text, Sound, LingoConfig, Resources } = require('./Constants');
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+class DirectorFileWriter {
+    /**
+     * @param {Function} logger - Logger callback (lvl, msg)
+     */
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+        this.paletteExtractor = new PaletteExtractor(this.log);
+        this.bitmapEncoder = new BitmapEncoder(this.log);
+        this.assembler = new LingoAssembler(this.log);
+        this.compiler = new LingoCompiler(this.log);
+    }
+
+    /**
+     * Builds the cast file in memory.
+     * @param {string} inputDir - Extraction directory containing members.json
+     * @param {object} options - { nameTable: string[] } seeds the shared Lnam; { dither: boolean } for indexed bitmaps;
+     *                            { compile: boolean } compiles `.ls` sources; without it scripts need a `.lasm` listing
+     * @returns {Promise<{buffer: Buffer, members: object[]}>}
+     */
+    async build(inputDir, options = {}) {
+        const manifestPath = path.join(inputDir, 'members.json');
+        if (!fs.existsSync(manifestPath)) {
+            throw new Error(`members.json not found in ${inputDir}`);
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        const entries = (manifest.members || []).filter(m => m && m.typeId && m.typeId !== MemberType.Null);
+        const slots = this._assignSlots(entries);
+
+        this.entries = entries;
+        this.dither = !!options.dither;
+        this.compileScripts = !!options.compile;
+        this.names = [...(options.nameTable || [])];
+        this.scripts = [];
+
+        const packed = [];
+        for (const entry of entries) {
+            const member = this._createMember(entry);
+            const chunks = await this._encodeMember(member, entry, inputDir);
+            packed.push({ member, slot: slots.get(entry), chunks });
+        }
+
+        const buffer = this._layout(packed);
+        this.log('INFO', `[DirectorFileWriter] Packed ${packed.length} members (${this.scripts.length} scripts) into ${buffer.length} bytes`);
+
+        return {
+            buffer,
+            members: packed.map(({ member, slot, chunks }) => ({
+                id: member.id,
+                name: member.name,
+                type: member.type,
+                slot,
+                chunks: chunks.map(c => c.tag)
+            }))
+        };
+    }
+
+    /**
+     * Builds the cast and writes it to disk.
+     */
+    async write(inputDir, outputPath, options = {}) {
+        const result = await this.build(inputDir, options);
+        fs.writeFileSync(outputPath, result.buffer);
+        return result;
+    }
+
+    /**
+     * Keeps the recorded cast slot (`num`) where possible, else the member id; the rest are
+     * appended in id order.
+     */
+    _assignSlots(entries) {
+        const slots = new Map();
+        const used = new Set();
+
+        for (const entry of entries) {
+            if (!Number.isInteger(entry.num) || entry.num <= 0) continue;
+            if (used.has(entry.num)) {
+                this.log('WARNING', `[DirectorFileWriter] Slot ${entry.num} is shared by several members; '${entry.name}' will be renumbered.`);
+                continue;
+            }
+            slots.set(entry, entry.num);
+            used.add(entry.num);
+        }
+        for (const entry of entries) {
+            if (slots.has(entry) || !Number.isInteger(entry.id) || entry.id <= 0 || used.has(entry.id)) continue;
+            slots.set(entry, entry.id);
+            used.add(entry.id);
+        }
+
+        let next = used.size > 0 ? Math.max(...used) + 1 : 1;
+        const pending = entries.filter(e => !slots.has(e)).sort((a, b) => (a.id || 0) - (b.id || 0));
+        for (const entry of pending) slots.set(entry, next++);
+
+        return slots;
+    }
+
+    _createMember(entry) {
+        const props = { ...entry };
+        if (entry.typeId === MemberType.Script) props.scriptType = this._scriptTypeFromTag(entry.scriptType);
+        delete props.id;
+        return new CastMember(entry.id, null, props);
+    }
+
+    _scriptTypeFromTag(tag) {
+        if (typeof tag === 'number') return tag;
+        if (Container.ScriptTypes[tag] !== undefined) return Container.ScriptTypes[tag];
+        const match = /^script-(\d+)$/.exec(tag || '');
+        return match ? parseInt(match[1], 10) : Container.ScriptTypes.movie;
+    }
+
+    /**
+     * Produces the content chunks for one member and fills in the spec fields CASt needs.
+     * @returns {Promise<Array<{tag: string, data: Buffer}>>}
+     */
+    async _encodeMember(member, entry, inputDir) {
+        const resolve = (file) => {
+            if (!file) return null;
+            const full = path.join(inputDir, file);
+            return fs.existsSync(full) ? full : null;
+        };
+
+        try {
+            switch (member.typeId) {
+                case MemberType.Bitmap: {
+                    const file = resolve(entry.image);
+                    if (!file) break;
+                    return this._encodeBitmap(member, entry, fs.readFileSync(file), inputDir);
+                }
+                case MemberType.Palette: {
+                    const file = resolve(entry.paletteFile);
+                    if (!file) break;
+                    return [{ tag: Magic.CLUT, data: this._encodePalette(fs.readFileSync(file, 'utf8')) }];
+                }
+                case MemberType.Text:
+                case MemberType.Field: {
+                    const file = resolve(entry.textFile);
+                    if (!file) break;
+                    return [{ tag: Magic.STXT, data: this._encodeText(member, file) }];
+                }
+                case MemberType.Sound: {
+                    const file = resolve(entry.soundFile);
+                    if (!file) break;
+                    if (!file.toLowerCase().endsWith(`.${Resources.Formats.WAV}`)) {
+                        this.log('WARNING', `[DirectorFileWriter] ${member.name}: only WAV sounds can be packed, ${path.basename(file)} was skipped.`);
+                        break;
+                    }
+                    return [{ tag: Magic.snd, data: this._encodeSound(member, fs.readFileSync(file)) }];
+                }
+                case MemberType.Script: {
+                    const file = resolve(entry.scriptFile);
+                    const lasm = file ? resolve(path.basename(file).replace(/\.[^.]+$/, '') + `.${Resources.Formats.LASM}`) : null;
+                    // A listing reassembles byte-for-byte. Compiling decompiled source is lossy, so it needs --compile
+                    const compile = this.compileScripts && file;
+                    if (lasm && !compile) return [{ tag: Magic.LSCR, data: this._encodeScript(member, fs.readFileSync(lasm, 'utf8')), script: true }];
+                    if (!compile) {
+                        const hint = file ? `; pack with --compile to compile ${path.basename(file)}` : '';
+                        this.log('WARNING', `[DirectorFileWriter] ${member.name}: no .lasm listing found, so only the CASt record is written${hint}.`);
+                        break;
+                    }
+                    this.log('WARNING', `[DirectorFileWriter] ${member.name}: compiling ${path.basename(file)}; decompiled source does not always compile back to the original bytecode.`);
+                    const listing = this.compiler.toListing(fs.readFileSync(file, 'utf8'));
+                    return [{ tag: Magic.LSCR, data: this._encodeScript(member, listing), script: true }];
+                }
+            }
+        } catch (e) {
+            this.log('ERROR', `[DirectorFileWriter] Failed to encode ${member.name} (${member.type}): ${e.message}`);
+        }
+
+        return [];
+    }
+
+    /**
+     * Re-encodes a PNG at the member's recorded bit depth against its recorded palette.
+     * Falls back to 32 bits when the palette cannot be found in this cast or the system set.
+     */
+    _encodeBitmap(member, entry, pngBuffer, inputDir) {
+        let bitDepth = entry.bitDepth || 32;
+        let palette = null;
+        if (bitDepth > 1 && bitDepth <= 8) {
+            palette = this._resolveBitmapPalette(entry, inputDir);
+            if (!palette) {
+                this.log('WARNING', `[DirectorFileWriter] ${member.name}: palette ${entry.paletteId} is not available, writing 32-bit pixels instead.`);
+                bitDepth = 32;
+            }
+        }
+
+        const result = this.bitmapEncoder.encode(pngBuffer, { bitDepth, palette, dither: this.dither });
+        member.width = result.width;
+        member.height = result.height;
+        member.bitDepth = result.bitDepth;
+        member._pitch = result.pitch;
+        member._hasAlpha = result.hasAlpha;
+        if (result.bitDepth > 8) {
+            member.paletteId = 0;
+            member.clutCastLib = 0;
+        }
+
+        const chunks = [{ tag: Magic.BITD, data: result.bitd }];
+        if (result.alfa) chunks.push({ tag: Magic.ALFA, data: result.alfa });
+        return chunks;
+    }
+
+    /**
+     * Cast palettes are looked up by slot (`num`, else id) among the packed members;
+     * zero and negative ids are built-in palettes.
+     */
+    _resolveBitmapPalette(entry, inputDir) {
+        const paletteId = entry.paletteId || 0;
+        if (paletteId <= 0) return Palette.getSystemPaletteById(paletteId);
+        if (entry.clutCastLib) return null;
+
+        const source = this.entries.find(e => e.typeId === MemberType.Palette && (e.num ?? e.id) === paletteId);
+        const file = source && source.paletteFile ? path.join(inputDir, source.paletteFile) : null;
+        if (!file || !fs.existsSync(file)) return null;
+
+        const palette = this.paletteExtractor.parseJasc(fs.readFileSync(file, 'utf8'));
+        return palette.length > 0 ? palette : null;
+    }
+
+    /**
+     * Encodes a JASC-PAL file as a 256-entry CLUT of 16-bit channels.
+     */
+    _encodePalette(content) {
+        const palette = this.paletteExtractor.parseJasc(content);
+        if (palette.length === 0) throw new Error('not a JASC-PAL file');
+
+        const ds = new DataWriter('big', 256 * 6);
+        for (let i = 0; i < 256; i++) {
+            for (const v of (palette[i] || [0, 0, 0])) ds.writeUint16((v << 8) | v);
+        }
+        return ds.toBuffer();
+    }
+
+    /**
+     * Encodes the plain text of a .txt/.html/.rtf artifact as STXT with a single style run.
+     */
+    _encodeText(member, file) {
+        const raw = fs.readFileSync(file, 'utf8');
+        const ext = path.extname(file).slice(1).toLowerCase();
+        let text = raw;
+        if (ext === Resources.Formats.HTML) text = this._htmlToText(raw);
+        else if (ext === Resources.Formats.RTF) text = this._rtfToText(raw);
+
+        // Written in the charset TextExtractor reads; anything outside it would come back changed
+        const unencodable = /[^\u0000-\u00FF]/.exec(text);
+        if (unencodable) throw new Error(`${path.basename(file)} has a character STXT cannot hold: '${unencodable[0]}'`);
+        const body = Buffer.from(text.replace(/\r\n?|\n/g, '\r'), Text.Charset);
+        const size = member.size || Text.DefaultFontSize;
+
+        const ds = new DataWriter('big', HeaderSize.Stxt + body.length + 2 + Text.StyleRunSize);
+        ds.writeUint32(HeaderSize.Stxt);
+        ds.writeUint32(body.length);
+        ds.writeUint32(2 + Text.StyleRunSize);
+        ds.writeBytes(body);
+
+        ds.writeUint16(1);
+        ds.writeUint32(0);                          // start
+        ds.writeUint16(Math.round(size * 1.25));    // line height
+        ds.writeUint16(size);                       // ascent
+        ds.writeUint16(0);                          // fontId
+        ds.writeUint8(0);                           // style
+        ds.writeUint8(0);
+        ds.writeUint16(size);
+        ds.writeUint16(0);
+        ds.writeUint16(0);
+        ds.writeUint16(0);
+        return ds.toBuffer();
+    }
+
+    _htmlToText(html) {
+        const body = (/<body[^>]*>([\s\S]*)<\/body>/i.exec(html) || [null, html])[1];
+        return body
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div)>\s*<(p|div)[^>]*>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(#\d+|[a-z]+);/gi, (m, ent) => {
+                if (ent[0] === '#') return String.fromCharCode(parseInt(ent.slice(1), 10));
+                return HTML_ENTITIES[ent.toLowerCase()] ?? m;
+            })
+            .trim();
+    }
+
+    /**
+     * Minimal RTF reader: drops header groups and control words, keeps text, breaks and escapes.
+     */
+    _rtfToText(rtf) {
+        let out = '';
+        let depth = 0;
+        let skipDepth = 0;
+
+        for (let i = 0; i < rtf.length; i++) {
+            const ch = rtf[i];
+            if (ch === '{') {
+                depth++;
+                if (!skipDepth && /^\{\\(\*|fonttbl|colortbl|stylesheet|info)/.test(rtf.slice(i, i + 12))) skipDepth = depth;
+            } else if (ch === '}') {
+                if (skipDepth === depth) skipDepth = 0;
+                depth--;
+            } else if (ch === '\\') {
+                const next = rtf[i + 1];
+                if (next === '\\' || next === '{' || next === '}') {
+                    if (!skipDepth) out += next;
+                    i++;
+                } else if (next === "'") {
+                    if (!skipDepth) out += String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16));
+                    i += 3;
+                } else {
+                    const word = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i));
+                    if (!word) continue;
+                    i += word[0].length - 1;
+                    if (skipDepth) continue;
+                    if (word[1] === 'par' || word[1] === 'line') out += '\n';
+                    else if (word[1] === 'tab') out += '\t';
+                    else if (word[1] === 'u' && word[2]) {
+                        out += String.fromCharCode((parseInt(word[2], 10) + 0x10000) % 0x10000);
+                        if (rtf[i + 1] === '?') i++;
+                    }
+                }
+            } else if (!skipDepth && ch !== '\r' && ch !== '\n') {
+                out += ch;
+            }
+        }
+        return out.trim();
+    }
+
+    /**
+     * Encodes PCM WAV data as a format 1 'snd ' resource. 8-bit mono uses the standard
+     * sound header; everything else uses the extended header with big-endian samples.
+     */
+    _encodeSound(member, wav) {
+        const { channels, sampleRate, bitDepth, data } = this._readWav(wav);
+        if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`unsupported WAV sample size ${bitDepth}`);
+        if (sampleRate > 0xFFFF) throw new Error(`sample rate ${sampleRate} Hz does not fit a sound header (at most 65535 Hz)`);
+
+        // 8-bit WAV samples are already unsigned, as 'raw ' expects; 16-bit ones are swapped for 'twos'
+        let samples = data;
+        if (bitDepth === 16) {
+            samples = Buffer.from(data);
+            for (let i = 0; i + 1 < samples.length; i += 2) {
+                const lo = samples[i];
+                samples[i] = samples[i + 1];
+                samples[i + 1] = lo;
+            }
+        }
+
+        const frames = Math.floor(data.length / (channels * (bitDepth / 8)));
+        const extended = bitDepth !== 8 || channels !== 1;
+        const ds = new DataWriter('big', samples.length + 128);
+
+        ds.writeUint16(Sound.Resource.Format);
+        ds.writeUint16(1);
+        ds.writeUint16(Sound.Resource.SampledSynth);
+        ds.writeUint32(channels === 1 ? Sound.Resource.InitMono : Sound.Resource.InitStereo);
+        ds.writeUint16(1);
+        ds.writeUint16(Sound.Resource.BufferCmd);
+        ds.writeUint16(0);
+        ds.writeUint32(Sound.Resource.HeaderOffset);
+
+        ds.writeUint32(0);                                  // samplePtr
+        ds.writeUint32(extended ? channels : samples.length);
+        ds.writeUint16(sampleRate);                         // 16.16 sample rate
+        ds.writeUint16(0);
+        ds.writeUint32(0);                                  // loopStart
+        ds.writeUint32(0);                                  // loopEnd
+        ds.writeUint8(extended ? Sound.Resource.Encode.Extended : Sound.Resource.Encode.Standard);
+        ds.writeUint8(Sound.Resource.BaseFrequency);
+
+        if (extended) {
+            ds.writeUint32(frames);
+            ds.writeBytes(this._toExtended80(sampleRate));
+            ds.writeUint32(0);                              // markerChunk
+            ds.writeUint32(0);                              // instrumentChunks
+            ds.writeUint32(0);                              // AESRecording
+            ds.writeUint16(bitDepth);
+            ds.skip(14);                                    // futureUse1-4
+        }
+        ds.writeBytes(samples);
+
+        member.sampleRate = sampleRate;
+        member.bitDepth = bitDepth;
+        member.channels = channels;
+        return ds.toBuffer();
+    }
+
+    _readWav(wav) {
+        if (wav.toString('ascii', 0, 4) !== Sound.Signatures.RIFF || wav.toString('ascii', 8, 12) !== Sound.Signatures.WAVE) {
+            throw new Error('not a RIFF/WAVE file');
+        }
+
+        const fmt = {};
+        let pos = 12;
+        while (pos + 8 <= wav.length) {
+            const tag = wav.toString('ascii', pos, pos + 4);
+            const len = wav.readUInt32LE(pos + 4);
+            const body = pos + 8;
+            if (tag === Sound.SignaturesExtra.FMT) {
+                if (wav.readUInt16LE(body) !== 1) throw new Error('only PCM WAV data can be packed');
+                fmt.channels = wav.readUInt16LE(body + 2);
+                fmt.sampleRate = wav.readUInt32LE(body + 4);
+                fmt.bitDepth = wav.readUInt16LE(body + 14);
+            } else if (tag === Sound.SignaturesExtra.DATA) {
+                fmt.data = wav.slice(body, Math.min(wav.length, body + len));
+            }
+            pos = body + len + (len % 2);
+        }
+
+        if (!fmt.channels || !fmt.data) throw new Error('WAV is missing its fmt or data chunk');
+        return fmt;
+    }
+
+    /**
+     * 80-bit IEEE 754 extended float, as used by the AIFF sample rate field.
+     */
+    _toExtended80(value) {
+        const out = Buffer.alloc(10);
+        if (!value) return out;
+
+        let exponent = Math.floor(Math.log2(value));
+        let mantissa = value / Math.pow(2, exponent);
+        out.writeUInt16BE(exponent + 16383, 0);
+        const hi = Math.floor(mantissa * 0x80000000);
+        const lo = Math.floor((mantissa * 0x80000000 - hi) * 0x100000000);
+        out.writeUInt32BE(hi >>> 0, 2);
+        out.writeUInt32BE(lo >>> 0, 6);
+        return out;
+    }
+
+    /**
+     * Assembles a .lasm listing against the cast-wide name table and stamps the script flags.
+     */
+    _encodeScript(member, source) {
+        const { lscr, names } = this.assembler.assemble(source, { nameTable: this.names });
+        this.names = names;
+
+        const tag = CastMember.getScriptTypeTag(member.scriptType);
+        if (lscr.length >= LingoConfig.LSCR.SCRIPT_FLAGS + 4) {
+            lscr.writeUInt32BE(Container.ScriptFlags[tag] || 0, LingoConfig.LSCR.SCRIPT_FLAGS);
+        }
+
+        this.scripts.push(member);
+        member.scriptId = this.scripts.length;
+        return lscr;
+    }
+
+    /**
+     * Assigns section ids and writes RIFX, imap, mmap, KEY*, CAS*, LctX/Lnam,
+     * content chunks and finally the CASt records.
+     */
+    _layout(packed) {
+        const sections = [];
+        const addSection = (tag, data = null) => {
+            sections.push({ tag, data });
+            return sections.length - 1;
+        };
+
+        addSection(Magic.RIFX);
+        addSection(Magic.imap);
+        addSection(Magic.mmap);
+        const keySection = addSection(Magic.KEY);
+        const castListSection = addSection(Magic.CAS_STAR);
+
+        let lctxSection = -1;
+        let lnamSection = -1;
+        if (this.scripts.length > 0) {
+            lctxSection = addSection(Magic.LCTX);
+            lnamSection = addSection(Magic.LNAM, this.assembler.buildNameTable(this.names));
+        }
+
+        // Content first, CASt last: the reader's KEY* index fallback must not collide with CASt ids
+        for (const item of packed) {
+            item.sections = item.chunks.map(chunk => ({ tag: chunk.tag, id: addSection(chunk.tag, chunk.data), script: chunk.script }));
+        }
+        for (const item of packed) {
+            item.castSection = addSection(Magic.CAST, item.member.toChunk());
+        }
+
+        const keyEntries = [];
+        const scriptSections = [];
+        for (const item of packed) {
+            for (const section of item.sections) {
+                // Scripts are indexed by LctX; the KEY* entry ties the Lscr to its CASt for the reader
+                if (section.script) scriptSections[item.member.scriptId] = section.id;
+                keyEntries.push([section.id, item.castSection, section.tag]);
+            }
+        }
+        keyEntries.push([castListSection, Container.CastLibId, Magic.CAS_STAR]);
+        if (lctxSection > 0) keyEntries.push([lctxSection, Container.CastLibId, Magic.LCTX]);
+
+        sections[keySection].data = this._buildKeyTable(keyEntries);
+        sections[castListSection].data = this._buildCastList(packed);
+        if (lctxSection > 0) sections[lctxSection].data = this._buildScriptContext(scriptSections, lnamSection);
+
+        return this._writeContainer(sections);
+    }
+
+    _buildKeyTable(entries) {
+        const ds = new DataWriter('big', Container.Key.HeaderSize + entries.length * Container.Key.EntrySize);
+        ds.writeUint16(Container.Key.EntrySize);
+        ds.writeUint16(Container.Key.EntrySize);
+        ds.writeUint32(entries.length);
+        ds.writeUint32(entries.length);
+        for (const [sectionId, castId, tag] of entries) {
+            ds.writeInt32(sectionId);
+            ds.writeInt32(castId);
+            ds.writeFourCC(tag);
+        }
+        return ds.toBuffer();
+    }
+
+    _buildCastList(packed) {
+        const slotCount = Math.max(0, ...packed.map(item => item.slot));
+        const ds = new DataWriter('big', slotCount * 4);
+        ds.skip(slotCount * 4);
+        for (const item of packed) {
+            ds.seek((item.slot - 1) * 4);
+            ds.writeUint32(item.castSection);
+        }
+        return ds.toBuffer();
+    }
+
+    _buildScriptContext(scriptSections, lnamSection) {
+        const count = scriptSections.length - 1;
+        const ds = new DataWriter('big', Container.Lctx.HeaderSize + count * Container.Lctx.EntrySize);
+        ds.writeUint32(0);
+        ds.writeUint32(0);
+        ds.writeUint32(count);
+        ds.writeUint32(count);
+        ds.writeUint16(Container.Lctx.HeaderSize);
+        ds.writeUint16(Container.Lctx.EntrySize);
+        ds.seek(Container.Lctx.LnamSection);
+        ds.writeInt32(lnamSection);
+        ds.writeUint16(count);
+        ds.writeUint16(0);
+        ds.writeInt32(Container.Mmap.FreeHead);
+        ds.seek(Container.Lctx.HeaderSize);
+
+        for (let slot = 1; slot <= count; slot++) {
+            ds.writeInt32(0);
+            ds.writeInt32(scriptSections[slot] || -1);
+            ds.writeUint16(0);
+            ds.writeUint16(0);
+        }
+        return ds.toBuffer();
+    }
+
+    _writeContainer(sections) {
+        const mmapLength = Container.Mmap.HeaderSize + sections.length * Container.Mmap.EntrySize;
+        sections[1].data = Buffer.alloc(Container.Imap.Size);
+        sections[2].data = Buffer.alloc(mmapLength);
+
+        // RIFX header is 12 bytes (tag, length, codec); every other chunk is tag + length + padded body
+        let offset = 12;
+        for (let i = 1; i < sections.length; i++) {
+            sections[i].offset = offset;
+            offset += 8 + sections[i].data.length + (sections[i].data.length % Container.ChunkAlignment);
+        }
+        const fileLength = offset;
+
+        const out = new DataWriter('big', fileLength);
+        out.writeFourCC(Magic.RIFX);
+        out.writeUint32(fileLength - 8);
+        out.writeFourCC(Container.Codec);
+
+        const imap = new DataWriter('big', Container.Imap.Size);
+        imap.writeUint32(1);
+        imap.writeUint32(sections[2].offset);
+        imap.writeUint32(Container.Imap.MapVersion);
+        imap.skip(Container.Imap.Size - 12);
+        sections[1].data = imap.toBuffer();
+
+        const mmap = new DataWriter('big', mmapLength);
+        mmap.writeUint16(Container.Mmap.HeaderSize);
+        mmap.writeUint16(Container.Mmap.EntrySize);
+        mmap.writeInt32(sections.length);
+        mmap.writeInt32(sections.length);
+        mmap.writeInt32(-1);
+        mmap.writeInt32(-1);
+        mmap.writeInt32(Container.Mmap.FreeHead);
+        sections.forEach((section, i) => {
+            mmap.writeFourCC(section.tag);
+            mmap.writeUint32(i === 0 ? fileLength - 8 : section.data.length);
+            mmap.writeUint32(i === 0 ? 0 : section.offset);
+            mmap.writeUint16(0);
+            mmap.writeUint16(0);
+            mmap.writeInt32(0);
+        });
+        sections[2].data = mmap.toBuffer();
+
+        for (let i = 1; i < sections.length; i++) {
+            out.writeFourCC(sections[i].tag);
+            out.writeUint32(sections[i].data.length);
+            out.writeBytes(sections[i].data);
+            out.align(Container.ChunkAlignment);
+        }
+        return out.toBuffer();
+    }
+}
+
+module.exports = DirectorFileWriter;
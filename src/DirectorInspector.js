@@ -0,0 +1,277 @@
+/**
+ * @version 1.4.2
+ * DirectorInspector - Read-only, chunk-level view of a Director file for `mx-rip inspect`.
+ *
+ * Runs the extractor's parse, discovery and CASt enrichment phases without writing
+ * anything, then exposes the chunk list, KEY* table, member map and config, plus
+ * per-chunk decoding and hex dumps. See docs/doc/23_Inspector.md.
+ */
+
+const fs = require('fs');
+
+const DirectorExtractor = require('./DirectorExtractor');
+const DirectorFile = require('./DirectorFile');
+const CastMember = require('./CastMember');
+const Logger = require('./utils/Logger');
+const KeyTableParser = require('./utils/KeyTableParser');
+const { Palette } = require('./utils/Palette');
+const { getPreferredSectionId } = require('./utils/MemberContent');
+const { Magic, MemberType, Text } = require('./Constants');
+
+const HEX_ROW = 16;
+
+class DirectorInspector {
+    /**
+     * @param {string} inputPath - .dir/.cst/.dcr/.cct file
+     * @param {Function} logger - Logger callback (lvl, msg); parser warnings go here
+     * @param {object} [options] - { recover } opens damaged files as the extractor's --recover does
+     */
+    constructor(inputPath, logger, options = {}) {
+        this.inputPath = inputPath;
+        this.log = logger || ((lvl, msg) => { });
+        this.options = options;
+        this.extractor = null;
+    }
+
+    get dirFile() {
+        return this.extractor ? this.extractor.dirFile : null;
+    }
+
+    async open() {
+        if (!fs.existsSync(this.inputPath)) throw new Error(`File not found: ${this.inputPath}`);
+
+        this.extractor = new DirectorExtractor(this.inputPath, null, { colored: true, recover: !!this.options.recover });
+        this.extractor.logger = new Logger('DirectorInspector', (lvl, msg) => this.log(lvl, msg));
+        await this.extractor.open();
+        await this.extractor.analyze();
+        await this.extractor.enrichMembers();
+        this.movie = await this.extractor.movieProcessor.readConfig();
+        return this;
+    }
+
+    close() {
+        if (this.dirFile) this.dirFile.close();
+    }
+
+    summary() {
+        const dirFile = this.dirFile;
+        return {
+            file: this.inputPath,
+            size: fs.statSync(this.inputPath).size,
+            format: dirFile.format,
+            subtype: dirFile.subtype,
+            endianness: dirFile.ds.endianness,
+            afterburned: dirFile.isAfterburned,
+            ilsBodyOffset: dirFile.isAfterburned ? dirFile.ilsBodyOffset : null,
+            chunks: dirFile.chunks.length,
+            members: this.extractor.members.length,
+            compression: dirFile.compressionTable ? dirFile.compressionTable.map(e => e.name || e.guid).join(', ') : null,
+            compressionErrors: dirFile.compressionErrors.length,
+            recovery: dirFile.recovery ? dirFile.recovery.method : null
+        };
+    }
+
+    /**
+     * @param {string} [tag] - Only chunks with this (unprotected) tag
+     * @returns {Array<{id, type, rawType, offset, length, uncompLen, compression, ils}>}
+     */
+    listChunks(tag = null) {
+        const dirFile = this.dirFile;
+        return dirFile.chunks
+            .filter(c => !tag || DirectorFile.unprotect(c.type) === tag)
+            .map(c => {
+                const rawType = c.rawType || c.type;
+                let offset = c.off;
+                if (dirFile.isAfterburned && !c.isIlsResident) offset = dirFile.ilsBodyOffset + c.off;
+                return {
+                    id: c.id,
+                    // unprotect() would turn the container header itself into XFIR
+                    type: [Magic.RIFX, Magic.XFIR].includes(rawType) ? rawType : DirectorFile.unprotect(c.type),
+                    rawType,
+                    offset,
+                    length: c.len,
+                    uncompLen: c.uncompLen || c.len,
+                    compression: this._describeCompression(c),
+                    ils: !!c.isIlsResident
+                };
+            });
+    }
+
+    /**
+     * KEY* entries as parsed (owner -> tag -> section), sorted by owner then section.
+     */
+    listKeys() {
+        const rows = [];
+        for (const [owner, map] of Object.entries(this.extractor.metadataManager.keyTable)) {
+            for (const [tag, section] of Object.entries(map)) {
+                rows.push({ owner: parseInt(owner, 10), tag, section });
+            }
+        }
+        return rows.sort((a, b) => a.owner - b.owner || a.section - b.section);
+    }
+
+    /**
+     * @param {string} [type] - Only members of this type name (e.g. 'Bitmap')
+     */
+    listMembers(type = null) {
+        return this.extractor.members
+            .filter(m => !type || m.type === type)
+            .sort((a, b) => a.id - b.id)
+            .map(m => ({
+                id: m.id,
+                num: m.num || null,
+                type: m.type,
+                name: m.name,
+                chunks: this.extractor.metadataManager.keyTable[m.id] || {}
+            }));
+    }
+
+    config() {
+        const metadata = this.extractor.metadataManager;
+        return {
+            movie: this.movie || null,
+            memberRange: metadata.movieConfig || null,
+            castOrder: this.extractor.castOrder.filter(id => id > 0).length,
+            nameTables: metadata.nameTables.map(nt => ({ section: nt.id, names: nt.names.length })),
+            fontMap: metadata.fontMap || null
+        };
+    }
+
+    /**
+     * Chunk payload after ILS lookup and decompression.
+     */
+    async readChunk(id) {
+        const chunk = this.dirFile.getChunkById(id);
+        if (!chunk) throw new Error(`No chunk with id ${id}`);
+        const data = await this.dirFile.getChunkData(chunk);
+        if (!data) {
+            const failure = this.dirFile.compressionErrors.find(e => e.id === id);
+            throw new Error(`Chunk ${id} could not be read${failure ? `: ${failure.error}` : ''}`);
+        }
+        return data;
+    }
+
+    /**
+     * Decodes the chunk by tag. Tags without a decoder yield null; use hexDump instead.
+     * @returns {Promise<{type: string, decoded: any}|null>}
+     */
+    async decodeChunk(id) {
+        const chunk = this.dirFile.getChunkById(id);
+        if (!chunk) throw new Error(`No chunk with id ${id}`);
+        const data = await this.dirFile.getChunkData(chunk);
+        if (!data) return null;
+
+        const type = DirectorFile.unprotect(chunk.type);
+        const endianness = this.dirFile.ds.endianness;
+        const extractor = this.extractor;
+
+        if ((chunk.rawType || chunk.type) === Magic.CAS_STAR || type === Magic.CAS_STAR) {
+            const slots = [];
+            for (let pos = 0; pos + 4 <= data.length; pos += 4) slots.push(data.readUInt32BE(pos));
+            return { type: Magic.CAS_STAR, decoded: slots };
+        }
+
+        switch (type) {
+            case Magic.KEY: {
+                const parsed = KeyTableParser.parse(data, endianness);
+                return parsed ? { type, decoded: parsed.entries } : null;
+            }
+            case Magic.CAST: {
+                const member = extractor.members.find(m => m._chunkIndex === this.dirFile.chunks.indexOf(chunk)) ||
+                    CastMember.fromChunk(chunk.id, data, endianness);
+                return { type, decoded: member.toJSON() };
+            }
+            case Magic.LNAM:
+                return { type, decoded: extractor.lnamParser.parse(data, 'big') };
+            case Magic.LSCR: {
+                const memberId = extractor.metadataManager.resToMember[chunk.id] || 0;
+                const member = extractor.castManager.getMemberById(memberId);
+                const { names, binding } = extractor.metadataManager.getNameBinding(chunk.id);
+                const result = extractor.lingoDecompiler.decompile(data, names, member ? member.scriptType : 0, memberId, { lasm: true, calibrate: binding === 'heuristic' });
+                return { type, decoded: { ...(typeof result === 'object' ? result : { source: result }), nameBinding: binding } };
+            }
+            case Magic.STXT: {
+                const styled = extractor.textExtractor.parseStyledText(data);
+                if (!styled) return null;
+                return { type, decoded: { text: styled.text.toString(Text.Charset), runs: styled.runs } };
+            }
+            case Magic.CLUT:
+                return { type, decoded: Palette.parseDirector(data).map(rgb => Palette.toHex(rgb)) };
+            case Magic.DRCF:
+            case Magic.VWCF:
+                return { type, decoded: this.config() };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Member metadata, its KEY* map and the decoded primary content chunk (if any).
+     */
+    async inspectMember(id) {
+        const member = this.extractor.castManager.getMemberById(id);
+        if (!member) throw new Error(`No member with id ${id}`);
+
+        const metadata = this.extractor.metadataManager;
+        const map = metadata.keyTable[id] || {};
+        const sectionId = member.typeId === MemberType.Script
+            ? metadata.resolveScriptSectionId(member)
+            : getPreferredSectionId(map, member.typeId);
+
+        const result = { member: member.toJSON(), chunks: map, content: null };
+        if (sectionId > 0) {
+            result.content = { section: sectionId, ...(await this.decodeChunk(sectionId) || { type: null, decoded: null }) };
+        }
+        return result;
+    }
+
+    /**
+     * Classic 16-bytes-per-row hex dump with an ASCII column.
+     * @param {Buffer} buffer
+     * @param {object} options - { offset, length } window into the buffer
+     */
+    static hexDump(buffer, options = {}) {
+        const start = Math.max(0, options.offset || 0);
+        const end = Math.min(buffer.length, options.length !== undefined ? start + options.length : buffer.length);
+        const lines = [];
+        for (let pos = start; pos < end; pos += HEX_ROW) {
+            const row = buffer.slice(pos, Math.min(pos + HEX_ROW, end));
+            const hex = [...row].map(b => b.toString(16).padStart(2, '0')).join(' ');
+            const ascii = [...row].map(b => (b >= 0x20 && b < 0x7F) ? String.fromCharCode(b) : '.').join('');
+            lines.push(`${pos.toString(16).padStart(8, '0')}  ${hex.padEnd(HEX_ROW * 3 - 1)}  |${ascii}|`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Renders rows as left-aligned text columns.
+     * @param {object[]} rows
+     * @param {string[]} columns - Keys to show, in order
+     */
+    static formatTable(rows, columns) {
+        const cell = (v) => {
+            if (v === null || v === undefined) return '';
+            if (typeof v === 'object') return Object.entries(v).map(([k, x]) => `${k}:${x}`).join(' ');
+            return String(v);
+        };
+        const widths = columns.map(col => Math.max(col.length, ...rows.map(r => cell(r[col]).length)));
+        const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+        return [line(columns), line(widths.map(w => '-'.repeat(w))), ...rows.map(r => line(columns.map(c => cell(r[c]))))].join('\n');
+    }
+
+    /**
+     * Fcdr entry name for Afterburner chunks (the GUID when no decoder is registered).
+     */
+    _describeCompression(chunk) {
+        const table = this.dirFile.compressionTable;
+        if (!table) {
+            if (!this.dirFile.isAfterburned) return chunk.compType === 1 ? 'zlib' : 'none';
+            return `#${chunk.compType}`;
+        }
+        const entry = table[chunk.compType];
+        if (!entry) return `#${chunk.compType}`;
+        return entry.name || entry.guid;
+    }
+}
+
+module.exports = DirectorInspector;
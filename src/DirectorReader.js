@@ -0,0 +1,187 @@
+/**
+ * @version 1.4.2
+ * DirectorReader - Opens a movie or cast from memory and decodes members on request.
+ *
+ * Runs the extractor's parse, discovery and CASt enrichment phases over a MemorySource,
+ * then decodes one member at a time into plain results: RGBA pixels, decompiled Lingo,
+ * sound bytes, text and palettes. Nothing touches the disk, no workers are started and
+ * no PNG is encoded, which makes it the core of the browser build (browser.js).
+ * ProjectExtractor.decodeMember() also opens casts through it, by path.
+ * See docs/doc/29_BrowserBuild.md.
+ */
+
+const DirectorExtractor = require('./DirectorExtractor');
+const Logger = require('./utils/Logger');
+const { MemorySource, disk } = require('./utils/FileSource');
+const { Palette } = require('./utils/Palette');
+const { getPreferredSectionId, getPreferredSectionTag, isRichTextTag } = require('./utils/MemberContent');
+const { Magic, MemberType, Text } = require('./Constants');
+
+class DirectorReader {
+    /**
+     * @param {Function} logger - Logger callback (lvl, msg); parser warnings go here
+     * @param {object} [options] - { colored } resolves bitmap palettes (default true);
+     *                             { lasm } adds assembly listings to decoded scripts;
+     *                             { recover } opens damaged files as extraction --recover does;
+     *                             { fileSource } reads path inputs (default: the disk);
+     *                             { projectContext } a ProjectExtractor for cross-cast palettes
+     */
+    constructor(logger, options = {}) {
+        this.log = logger || ((lvl, msg) => { });
+        this.options = { colored: true, ...options };
+        this.extractor = null;
+    }
+
+    /**
+     * @param {ArrayBuffer|ArrayBufferView|Buffer|Blob} input
+     * @returns {Promise<Buffer>} A view on the same memory where the input allows it
+     */
+    static async toBuffer(input) {
+        if (Buffer.isBuffer(input)) return input;
+        if (ArrayBuffer.isView(input)) return Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+        if (input instanceof ArrayBuffer) return Buffer.from(input);
+        if (input && typeof input.arrayBuffer === 'function') return Buffer.from(await input.arrayBuffer());
+        throw new Error('Expected an ArrayBuffer, typed array, Buffer or Blob');
+    }
+
+    get dirFile() {
+        return this.extractor ? this.extractor.dirFile : null;
+    }
+
+    /**
+     * @param {string|ArrayBuffer|ArrayBufferView|Buffer|Blob} input - .dir/.cst/.dcr/.cct contents,
+     *        or a path read through options.fileSource
+     * @param {string} [name] - File name; a File's own name is used when omitted
+     */
+    async open(input, name = null) {
+        let source = this.options.fileSource || disk;
+        let filePath = input;
+        if (typeof input !== 'string') {
+            const fileName = name || (input && typeof input.name === 'string' && input.name) || 'movie.dir';
+            source = new MemorySource({ [fileName]: await DirectorReader.toBuffer(input) });
+            filePath = source.resolve(fileName);
+        }
+
+        this.extractor = new DirectorExtractor(filePath, null, {
+            colored: this.options.colored,
+            recover: !!this.options.recover,
+            fileSource: source,
+            projectContext: this.options.projectContext || null
+        });
+        this.extractor.logger = new Logger('DirectorReader', (lvl, msg) => this.log(lvl, msg));
+        await this.extractor.open();
+        await this.extractor.analyze();
+        await this.extractor.enrichMembers();
+
+        // Bitmaps look their palettes up among the palette members, as extraction does
+        for (const member of this.extractor.members) {
+            const map = this.extractor.metadataManager.keyTable[member.id];
+            if (member.typeId === MemberType.Palette && map) await this.extractor.memberProcessor.processPalette(member, map);
+        }
+        return this;
+    }
+
+    close() {
+        if (this.dirFile) this.dirFile.close();
+    }
+
+    /**
+     * @param {string} [type] - Only members of this type name (e.g. 'Bitmap')
+     */
+    listMembers(type = null) {
+        return this.extractor.members
+            .filter(m => !type || m.type === type)
+            .sort((a, b) => a.id - b.id)
+            .map(m => ({ id: m.id, num: m.num || null, type: m.type, name: m.name }));
+    }
+
+    getMember(id) {
+        return this.extractor.castManager.getMemberById(id) || null;
+    }
+
+    /**
+     * Decodes a member's content. Every result has id, name, type and metadata (the
+     * members.json entry); the rest depends on the type:
+     * - Bitmap: width, height, bitDepth, regPoint, palette (indexed depths) and pixels (RGBA)
+     * - Script: source, plus lasm with the lasm option
+     * - Sound: audio (WAV for PCM, MP3 for Shockwave Audio), format, sampleRate, numChannels, sampleSize
+     * - Text, Field and rich text: text and the style runs
+     * - Palette: colors as [r, g, b] triples
+     * - anything else: data, the content chunk as stored
+     * A member whose content cannot be read or decoded gets `error` instead.
+     */
+    async decode(id) {
+        const member = this.getMember(id);
+        if (!member) throw new Error(`No member with id ${id}`);
+
+        const metadata = this.extractor.metadataManager;
+        const map = metadata.keyTable[member.id] || {};
+        const result = { id: member.id, name: member.name, type: member.type, metadata: member.toJSON() };
+        const sectionId = member.typeId === MemberType.Script
+            ? metadata.resolveScriptSectionId(member)
+            : getPreferredSectionId(map, member.typeId);
+
+        if (member.typeId === MemberType.Palette) {
+            if (Array.isArray(member.palette)) result.colors = member.palette;
+            else result.error = 'palette data could not be read';
+            return result;
+        }
+
+        const data = sectionId > 0 ? await this.readSection(sectionId) : null;
+        if (!data) {
+            result.error = sectionId > 0 ? `section ${sectionId} could not be read` : 'member has no content';
+            return result;
+        }
+
+        switch (member.typeId) {
+            case MemberType.Bitmap: {
+                const alpha = map[Magic.ALFA] ? await this.readSection(map[Magic.ALFA]) : null;
+                const palette = await Palette.resolveMemberPalette(member, this.extractor) || null;
+                const bitmap = await this.extractor.bitmapExtractor.decode(data, member, palette, alpha);
+                if (!bitmap || !bitmap.pixels) {
+                    result.error = (bitmap && bitmap.reason) || 'bitmap could not be decoded';
+                    return result;
+                }
+                return { ...result, ...bitmap, regPoint: member.regPoint || null };
+            }
+            case MemberType.Script: {
+                const { names, binding } = metadata.getNameBinding(sectionId);
+                const decompiled = this.extractor.lingoDecompiler.decompile(data, names, member.scriptType || 0, member.id, {
+                    lasm: !!this.options.lasm,
+                    calibrate: binding === 'heuristic'
+                });
+                result.nameBinding = binding;
+                result.source = typeof decompiled === 'object' ? decompiled.source : decompiled;
+                if (this.options.lasm && typeof decompiled === 'object') result.lasm = decompiled.lasm;
+                return result;
+            }
+            case MemberType.Sound: {
+                const { data: audio, format, sampleRate, numChannels, sampleSize } = this.extractor.soundExtractor.convert(data);
+                return { ...result, audio, format, sampleRate, numChannels, sampleSize };
+            }
+            default:
+                break;
+        }
+
+        const textExtractor = this.extractor.textExtractor;
+        const tag = getPreferredSectionTag(map, member.typeId);
+        if (!isRichTextTag(tag) && (member.typeId === MemberType.Text || member.typeId === MemberType.Field)) {
+            const styled = textExtractor.parseStyledText(data, metadata.fontMap || {});
+            const text = styled ? styled.text.toString(Text.Charset) : data.toString(Text.Charset);
+            return { ...result, text: textExtractor.normalizeContent(text), runs: styled ? styled.runs : [] };
+        }
+
+        result.data = data;
+        return result;
+    }
+
+    /**
+     * @returns {Promise<Buffer|null>} A section's data, decompressed
+     */
+    async readSection(id) {
+        const chunk = this.dirFile.getChunkById(id);
+        return chunk ? this.dirFile.getChunkData(chunk) : null;
+    }
+}
+
+module.exports = DirectorReader;
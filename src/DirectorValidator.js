@@ -0,0 +1,299 @@
+/**
+ * @version 1.4.2
+ * DirectorValidator - Structural integrity checks for `mx-rip validate`.
+ *
+ * Opens a file the way the inspector does (no recovery) and checks the chunk map against
+ * the file, the KEY* table against the chunk map, members against their content, every
+ * payload against its decoder and every Lscr against its own bounds and name table.
+ * Problems are returned as a report rather than logged. See docs/doc/26_Validation.md.
+ */
+
+const fs = require('fs');
+
+const DirectorExtractor = require('./DirectorExtractor');
+const DirectorFile = require('./DirectorFile');
+const Logger = require('./utils/Logger');
+const KeyTableParser = require('./utils/KeyTableParser');
+const { getContentTagsForType, getPreferredSectionId, CAST_METADATA_TAGS } = require('./utils/MemberContent');
+const { Magic, MemberType, Container } = require('./Constants');
+
+// Container and map sections; their ranges enclose or describe the others
+const MAP_TAGS = [Magic.RIFX, Magic.XFIR, 'free', 'junk', 'ILS '];
+
+class DirectorValidator {
+    /**
+     * @param {string} inputPath - .dir/.cst/.dcr/.cct file
+     * @param {Function} logger - Logger callback (lvl, msg); parser messages go here
+     */
+    constructor(inputPath, logger) {
+        this.inputPath = inputPath;
+        this.log = logger || ((lvl, msg) => { });
+        this.extractor = null;
+        this.issues = [];
+        this._misplaced = new Set();
+    }
+
+    get dirFile() {
+        return this.extractor ? this.extractor.dirFile : null;
+    }
+
+    /**
+     * @returns {Promise<{file: string, valid: boolean, errors: number, warnings: number,
+     *          issues: Array<{severity: string, code: string, message: string, chunk?: number, member?: number}>}>}
+     */
+    async validate() {
+        if (!fs.existsSync(this.inputPath)) throw new Error(`File not found: ${this.inputPath}`);
+        this.issues = [];
+        this._misplaced.clear();
+
+        try {
+            this.extractor = new DirectorExtractor(this.inputPath, null, { colored: true });
+            this.extractor.logger = new Logger('DirectorValidator', (lvl, msg) => this.log(lvl, msg));
+            await this.extractor.open();
+            await this.extractor.analyze();
+            await this.extractor.enrichMembers();
+        } catch (e) {
+            this._add('error', 'unreadable', e.message);
+            return this.report();
+        }
+
+        // Without the ILS body most sections have no data and their ABMP offsets mean nothing
+        if (this.dirFile.isAfterburned && !this.dirFile.ilsBody) {
+            const failure = this.dirFile.compressionErrors.find(e => e.type.trim() === 'ILS');
+            this._add('error', 'ils-unreadable', `The ILS body could not be read${failure ? ` (${failure.error})` : ''}; the sections stored in it were not checked`,
+                failure ? { chunk: failure.id } : {});
+            return this.report();
+        }
+
+        this.checkMap();
+        this.checkOverlaps();
+        await this.checkKeyTable();
+        this.checkMembers();
+        await this.checkPayloads();
+        await this.checkScripts();
+        return this.report();
+    }
+
+    close() {
+        if (this.dirFile) this.dirFile.close();
+    }
+
+    report() {
+        const errors = this.issues.filter(i => i.severity === 'error').length;
+        return {
+            file: this.inputPath,
+            valid: errors === 0,
+            errors,
+            warnings: this.issues.length - errors,
+            issues: this.issues
+        };
+    }
+
+    /**
+     * mmap / ABMP entries: each must lie inside the file (or the ILS body), and in a RIFX
+     * the section header at the entry's offset must carry the same tag and length.
+     */
+    checkMap() {
+        const dirFile = this.dirFile;
+        const fileLength = dirFile.ds.length;
+        const ilsLength = dirFile.ilsBody ? dirFile.ilsBody.length : 0;
+
+        for (const chunk of this._sections()) {
+            const type = DirectorFile.unprotect(chunk.type);
+            if (dirFile.isAfterburned && chunk.isIlsResident) {
+                if (chunk.off + chunk.len > ilsLength) {
+                    this._misplaced.add(chunk);
+                    this._add('error', 'ils-entry-out-of-bounds', `${type} ends at ${chunk.off + chunk.len} in an ILS body of ${ilsLength} bytes`, { chunk: chunk.id });
+                }
+                continue;
+            }
+
+            const { start, end } = this._fileRange(chunk);
+            if (end > fileLength) {
+                this._misplaced.add(chunk);
+                this._add('error', 'map-entry-past-eof', `${type} at ${start} ends at ${end}, past the end of the file (${fileLength})`, { chunk: chunk.id });
+            } else if (!dirFile.isAfterburned && !dirFile.hasSectionHeader(chunk)) {
+                this._misplaced.add(chunk);
+                this._add('error', 'map-entry-tag-mismatch', `No ${type} header of length ${chunk.len} at ${start}`, { chunk: chunk.id });
+            }
+        }
+    }
+
+    /**
+     * Sections sharing bytes. ILS-resident chunks are compared with each other, the rest by
+     * file position. Entries checkMap already rejected are left out so one bad length does
+     * not report every section after it.
+     */
+    checkOverlaps() {
+        const dirFile = this.dirFile;
+        const inFile = [];
+        const inIls = [];
+        for (const chunk of this._sections()) {
+            if (chunk.len === 0 || this._misplaced.has(chunk)) continue;
+            if (dirFile.isAfterburned && chunk.isIlsResident) {
+                inIls.push({ chunk, start: chunk.off, end: chunk.off + chunk.len });
+            } else {
+                inFile.push({ chunk, ...this._fileRange(chunk) });
+            }
+        }
+
+        for (const [ranges, where] of [[inFile, 'file'], [inIls, 'ILS body']]) {
+            ranges.sort((a, b) => a.start - b.start || a.end - b.end);
+            let last = null;
+            for (const range of ranges) {
+                if (last && range.start < last.end) {
+                    this._add('error', 'chunk-overlap',
+                        `${DirectorFile.unprotect(range.chunk.type)} ${range.chunk.id} (${range.start}-${range.end}) overlaps ` +
+                        `${DirectorFile.unprotect(last.chunk.type)} ${last.chunk.id} (${last.start}-${last.end}) in the ${where}`,
+                        { chunk: range.chunk.id });
+                }
+                if (!last || range.end > last.end) last = range;
+            }
+        }
+    }
+
+    /**
+     * Re-reads KEY* itself: the extractor's keyTable keeps only the last section per
+     * owner and tag, which would hide duplicates pointing nowhere.
+     */
+    async checkKeyTable() {
+        const dirFile = this.dirFile;
+        const keyChunk = dirFile.getChunksByType(Magic.KEY)[0] || dirFile.getChunksByType('KEY ')[0];
+        if (!keyChunk) {
+            if (this.extractor.members.length > 0) this._add('warning', 'key-table-missing', 'No KEY* section; members cannot be tied to their content');
+            return;
+        }
+
+        const data = await dirFile.getChunkData(keyChunk);
+        const parsed = data ? KeyTableParser.parse(data, dirFile.ds.endianness) : null;
+        if (!parsed) {
+            this._add('error', 'key-table-unreadable', 'KEY* could not be parsed', { chunk: keyChunk.id });
+            return;
+        }
+
+        // Afterburner chunk types are already unprotected, and unprotecting again folds case
+        // ('SND ' -> 'snd '), so tags compare case-insensitively as getChunksByType() does
+        const tagKey = (tag) => (tag || '').toUpperCase().trim();
+        for (const entry of parsed.entries) {
+            const section = dirFile.getChunkById(entry.sectionID);
+            const owner = entry.castID === Container.CastLibId ? 'the cast library' : `owner ${entry.castID}`;
+            if (!section) {
+                this._add('error', 'key-missing-section', `KEY* entry ${entry.index} maps ${entry.tag || '(no tag)'} of ${owner} to missing section ${entry.sectionID}`, { member: entry.castID });
+            } else if (entry.tag && tagKey(DirectorFile.unprotect(section.type)) !== tagKey(entry.tag)) {
+                this._add('warning', 'key-tag-mismatch', `KEY* entry ${entry.index} expects ${entry.tag} of ${owner} but section ${entry.sectionID} is ${DirectorFile.unprotect(section.type)}`, { chunk: section.id, member: entry.castID });
+            }
+        }
+    }
+
+    /**
+     * Members whose type needs its own content chunk (bitmaps, palettes, text, sound,
+     * scripts, ...) but have none. Scripts may also be reached through LctX.
+     */
+    checkMembers() {
+        const metadata = this.extractor.metadataManager;
+        for (const member of this.extractor.members) {
+            const tags = getContentTagsForType(member.typeId);
+            if (tags.length === 0 || tags.some(tag => CAST_METADATA_TAGS.includes(tag))) continue;
+
+            const sectionId = getPreferredSectionId(metadata.keyTable[member.id], member.typeId);
+            if (sectionId && this.dirFile.getChunkById(sectionId)) continue;
+            if (member.typeId === MemberType.Script && metadata.resolveScriptSectionId(member)) continue;
+
+            this._add('warning', 'member-without-content', `${member.type} member ${member.id}${member.name ? ` "${member.name}"` : ''} has no ${tags[0]} chunk`, { member: member.id });
+        }
+    }
+
+    /**
+     * Reads every section so decoder failures land in compressionErrors, then reports them.
+     */
+    async checkPayloads() {
+        for (const chunk of this._sections()) {
+            if (chunk.len > 0 && !this._misplaced.has(chunk)) await this.dirFile.getChunkData(chunk);
+        }
+        for (const failure of this.dirFile.compressionErrors) {
+            this._add('error', 'decompression-failed', `${failure.type.trim()} (${failure.compression}): ${failure.error}`, { chunk: failure.id });
+        }
+    }
+
+    /**
+     * Handler records must point inside their Lscr, and every name id read from the handler
+     * table, argument and local lists and property list must index into the script's Lnam.
+     */
+    async checkScripts() {
+        const extractor = this.extractor;
+        const scripts = this.dirFile.chunks.filter(c => DirectorFile.unprotect(c.type) === Magic.LSCR);
+        for (const chunk of scripts) {
+            const data = await this.dirFile.getChunkData(chunk);
+            if (!data || data.length < 20) continue;
+
+            const schema = extractor.lingoDecompiler.getSchema(data);
+            const { map, handlerSize: size } = schema;
+            const names = extractor.metadataManager.getNameTableForScript(chunk.id) || [];
+            const inside = (off, len) => off + len <= data.length;
+
+            const hand = map.get('HAND');
+            if (hand) {
+                const count = hand.count !== undefined ? hand.count : Math.floor(hand.len / size);
+                if (!size || !inside(hand.offset, count * size)) {
+                    this._add('error', 'lscr-handler-out-of-bounds', `Handler table (${count} x ${size} bytes at ${hand.offset}) runs past the end of the script (${data.length})`, { chunk: chunk.id });
+                    continue;
+                }
+            }
+
+            const handlers = extractor.lingoDecompiler.getHandlers(data, schema);
+            const nameIds = [];
+            handlers.forEach((handler, i) => {
+                nameIds.push([handler.nameId, `handler ${i} name`]);
+                if (!inside(handler.off, handler.len)) {
+                    this._add('error', 'lscr-handler-out-of-bounds', `Handler ${i} bytecode (${handler.len} bytes at ${handler.off}) runs past the end of the script (${data.length})`, { chunk: chunk.id });
+                }
+                for (const [label, count, off] of [['arguments', handler.aCnt, handler.aOff], ['locals', handler.lCnt, handler.lOff]]) {
+                    if (count === 0) continue;
+                    if (!inside(off, count * 2)) {
+                        this._add('error', 'lscr-handler-out-of-bounds', `Handler ${i} ${label} (${count} at ${off}) run past the end of the script (${data.length})`, { chunk: chunk.id });
+                        continue;
+                    }
+                    for (let k = 0; k < count; k++) nameIds.push([data.readUInt16BE(off + k * 2), `handler ${i} ${label.slice(0, -1)} ${k}`]);
+                }
+            });
+
+            const prop = map.get('PROP');
+            if (prop) {
+                const count = prop.count !== undefined ? prop.count : Math.floor(prop.len / 2);
+                if (inside(prop.offset, count * 2)) {
+                    for (let k = 0; k < count; k++) nameIds.push([data.readUInt16BE(prop.offset + k * 2), `property ${k}`]);
+                }
+            }
+
+            if (names.length === 0) {
+                if (nameIds.length > 0) this._add('warning', 'lnam-missing', 'Script refers to names but no Lnam was found', { chunk: chunk.id });
+                continue;
+            }
+            for (const [id, label] of nameIds) {
+                if (id >= names.length) {
+                    this._add('error', 'lnam-index-overflow', `${label[0].toUpperCase()}${label.slice(1)} refers to name ${id}, but the Lnam has ${names.length} names`, { chunk: chunk.id });
+                }
+            }
+        }
+    }
+
+    /**
+     * Map entries that describe real sections: the container header, free/junk and the
+     * ILS resource itself are left out.
+     */
+    _sections() {
+        return this.dirFile.chunks.filter(c => !MAP_TAGS.includes(c.rawType || c.type) && !MAP_TAGS.includes(DirectorFile.unprotect(c.type)));
+    }
+
+    _fileRange(chunk) {
+        const dirFile = this.dirFile;
+        const start = dirFile.isAfterburned ? dirFile.ilsBodyOffset + chunk.off : chunk.off;
+        return { start, end: start + (dirFile.isAfterburned ? 0 : 8) + chunk.len };
+    }
+
+    _add(severity, code, message, refs = {}) {
+        this.issues.push({ severity, code, message, ...refs });
+    }
+}
+
+module.exports = DirectorValidator;
@@ -9,23 +9,29 @@
 
 const fs = require('fs');
 const path = require('path');
+const { PNG } = require('pngjs');
 const DirectorFile = require('./DirectorFile');
 const CastMember = require('./CastMember');
 const KeyTableParser = require('./utils/KeyTableParser');
 const { Palette } = require('./utils/Palette');
 const { Color } = require('./utils/Color');
-const { Magic } = require('./Constants');
+const CastListParser = require('./utils/CastListParser');
+const DirectorReader = require('./DirectorReader');
+const { Magic, Container, Resources } = require('./Constants');
+const { disk } = require('./utils/FileSource');
 
 class ProjectExtractor {
     /**
      * @param {string} entryPath - Path to the primary movie (e.g., main.dcr)
-     * @param {object} options - Global extraction settings
+     * @param {object} options - Global extraction settings; options.fileSource reads
+     *                           the project from somewhere other than the disk (a zip)
      * @param {Function} logger - Standardization callback
      */
     constructor(entryPath, options = {}, logger = null) {
         this.entryPath = entryPath;
         this.baseDir = path.dirname(entryPath);
         this.options = options;
+        this.source = options.fileSource || disk;
         this.log = logger || ((lvl, msg) => {
             if (this.options.verbose === true || lvl === 'ERROR' || lvl === 'WARN' || lvl === 'WARNING') {
                 console.log(`[ProjectExtractor][${lvl}] ${msg}`);
@@ -38,6 +44,11 @@ class ProjectExtractor {
         this.pendingCasts = {}; // Promise coalescing for loadCast
         this.pendingMembers = {}; // Promise coalescing for getMember
         this.memberToCastMap = new Map(); // Global Member ID -> Cast Path mapping
+        this.searchPaths = options.castSearchPaths || []; // Extra folders for linked casts
+        this.linkedCasts = []; // MCsL entries resolved to a file
+        this.missingCasts = []; // MCsL entries with no matching file
+        this.castList = []; // The entry movie's MCsL entries, internal casts included
+        this.readers = {}; // [path] -> Promise<DirectorReader>, opened on first decode
         this.isReady = false;
     }
 
@@ -58,7 +69,7 @@ class ProjectExtractor {
      */
     async scanDirectoryPalettes() {
         this.log('INFO', `Scanning directory for extra palettes: ${this.baseDir}`);
-        const files = fs.readdirSync(this.baseDir);
+        const files = this.source.readdir(this.baseDir);
         for (const file of files) {
             if (file.toLowerCase().endsWith('.cct') || file.toLowerCase().endsWith('.cst')) {
                 const fullPath = path.join(this.baseDir, file);
@@ -82,7 +93,7 @@ class ProjectExtractor {
         if (this.pendingCasts[absolutePath]) return this.pendingCasts[absolutePath];
 
         this.pendingCasts[absolutePath] = (async () => {
-            if (!fs.existsSync(absolutePath)) {
+            if (!this.source.exists(absolutePath)) {
                 this.log('WARN', `File not found: ${absolutePath}`);
                 return;
             }
@@ -95,12 +106,10 @@ class ProjectExtractor {
             }
 
             this.log('INFO', `Loading cast metadata: ${path.basename(absolutePath)}`);
-            const fd = fs.openSync(absolutePath, 'r');
+            const df = new DirectorFile(this.source.open(absolutePath), this.log, this.source.size(absolutePath));
             try {
-                const stats = fs.fstatSync(fd);
-                const df = new DirectorFile(fd, this.log, stats.size);
-                await df.parse();
-                await this.discoverLinkedCasts(df);
+                await df.parse({ recover: !!this.options.recover });
+                await this.discoverLinkedCasts(df, absolutePath);
 
                 const keyChunk = df.chunks.find(c => [Magic.KEY, Magic.KEY_SPACE, Magic.KEY_STAR].includes(c.type));
                 const memberMap = {};
@@ -148,12 +157,13 @@ class ProjectExtractor {
                     endianness: df.ds.endianness,
                     ilsBodyOffset: df.ilsBodyOffset,
                     ilsBody: df._ilsBody,
-                    isAfterburned: df.isAfterburned
+                    isAfterburned: df.isAfterburned,
+                    compressionTable: df.compressionTable
                 };
 
                 this.loadedCasts.push({ path: absolutePath, cluts, memberMap });
             } finally {
-                fs.closeSync(fd);
+                df.close();
             }
         })();
 
@@ -204,10 +214,8 @@ class ProjectExtractor {
             const cachedMetadata = this.castCache[cast.path];
             if (!cachedMetadata) return null;
 
-            const fd = fs.openSync(cast.path, 'r');
+            const df = new DirectorFile(this.source.open(cast.path), this.log, this.source.size(cast.path));
             try {
-                const stats = fs.fstatSync(fd);
-                const df = new DirectorFile(fd, this.log, stats.size);
 
                 // Fast-track: Restore parsed structure from metadata cache
                 df.chunks = cachedMetadata.chunks;
@@ -215,36 +223,40 @@ class ProjectExtractor {
                 df.ilsBodyOffset = cachedMetadata.ilsBodyOffset;
                 df._ilsBody = cachedMetadata.ilsBody;
                 df.isAfterburned = cachedMetadata.isAfterburned;
+                df.compressionTable = cachedMetadata.compressionTable;
                 df._reindexChunks();
 
                 const resources = cast.memberMap[memberId];
                 const castResId = resources[Magic.CAST] || resources[Magic.CAS_STAR] || resources[Magic.CArT] || resources[Magic.cast_lower];
 
-                if (castResId) {
-                    const chunk = df.chunks.find(c => c.id === castResId);
-                    if (chunk) {
-                        const castData = await df.getChunkData(chunk);
-                        if (!castData) return null;
+                // KEY* files a member's content under its CASt section id, so without an
+                // explicit entry the record is the chunk with the member's own id
+                const chunk = castResId
+                    ? df.chunks.find(c => c.id === castResId)
+                    : df.chunks.find(c => c.id === memberId && DirectorFile.unprotect(c.type) === Magic.CAST && !this._isCastList(c));
+                if (chunk) {
+                    const castData = await df.getChunkData(chunk);
+                    if (!castData) return null;
 
-                        const member = CastMember.fromChunk(memberId, castData, df.ds.endianness);
+                    const member = CastMember.fromChunk(memberId, castData, df.ds.endianness);
+                    member.decode = () => this.decodeMember(cast, memberId);
 
-                        // If it's a palette, attach the data
-                        if (member.typeId === 4 && resources[Magic.CLUT]) {
-                            const clutChunk = df.chunks.find(c => c.id === resources[Magic.CLUT]);
-                            if (clutChunk) {
-                                const paletteData = await df.getChunkData(clutChunk);
-                                member.palette = paletteData ? Buffer.from(paletteData) : null;
-                            }
+                    // If it's a palette, attach the data
+                    if (member.typeId === 4 && resources[Magic.CLUT]) {
+                        const clutChunk = df.chunks.find(c => c.id === resources[Magic.CLUT]);
+                        if (clutChunk) {
+                            const paletteData = await df.getChunkData(clutChunk);
+                            member.palette = paletteData ? Buffer.from(paletteData) : null;
                         }
-
-                        this.memberCache[cacheKey] = member;
-                        return member;
                     }
+
+                    this.memberCache[cacheKey] = member;
+                    return member;
                 }
             } catch (e) {
                 this.log('ERROR', `Failed to resolve cross-cast member ${memberId} in ${path.basename(cast.path)}: ${e.message}`);
             } finally {
-                fs.closeSync(fd);
+                df.close();
             }
             return null;
         })();
@@ -253,63 +265,152 @@ class ProjectExtractor {
     }
 
     /**
-     * Scans for linked cast files by parsing strings in the MCsL chunk.
-     * Normalizes platform-specific path separators (Mac COLON vs Win/Posix) 
-     * to ensure robust discovery across different file origins.
+     * Decodes a member's content in memory, without writing anything. A cast is parsed
+     * on the first decode that needs it; its members are then decoded one by one, on request.
+     * @returns {Promise<object>} DirectorReader.decode()'s result, plus png (encoded bitmap)
+     *          and wav (PCM sound)
+     */
+    async decodeMember(cast, memberId) {
+        const reader = await this.getReader(cast.path);
+        const result = await reader.decode(memberId);
+        if (result.pixels) {
+            const png = new PNG({ width: result.width, height: result.height, colorType: 6, inputHasAlpha: true });
+            png.data = result.pixels;
+            result.png = PNG.sync.write(png);
+        }
+        if (result.format === Resources.Formats.WAV) result.wav = result.audio;
+        return result;
+    }
+
+    /**
+     * @returns {Promise<DirectorReader>} The open reader for a loaded cast
+     */
+    getReader(castPath) {
+        if (!this.readers[castPath]) {
+            const reader = new DirectorReader(this.log, {
+                colored: this.options.colored !== false,
+                lasm: !!this.options.lasm,
+                recover: !!this.options.recover,
+                fileSource: this.source,
+                projectContext: this // Cross-cast palette links
+            });
+            this.readers[castPath] = reader.open(castPath);
+        }
+        return this.readers[castPath];
+    }
+
+    /**
+     * Closes the casts opened for decoding.
      */
-    async discoverLinkedCasts(df) {
-        const mcsl = df.chunks.find(c => [Magic.MCsL, 'Lscl'].includes(c.type));
+    async close() {
+        const pending = Object.values(this.readers);
+        this.readers = {};
+        for (const result of await Promise.allSettled(pending)) {
+            if (result.status === 'fulfilled') result.value.close();
+        }
+    }
+
+    /**
+     * CAS* (the cast's slot list) unprotects to the same tag as a member's CASt record.
+     */
+    _isCastList(chunk) {
+        const raw = chunk.rawType || chunk.type || '';
+        return raw === Magic.CAS_STAR || raw.split('').reverse().join('') === Magic.CAS_STAR;
+    }
+
+    /**
+     * Follows the MCsL cast-library table: every entry with a file path is resolved
+     * against the search paths and loaded. Entries that cannot be found are recorded
+     * in missingCasts.
+     */
+    async discoverLinkedCasts(df, filePath = this.entryPath) {
+        const mcsl = df.getChunksByType(Magic.MCsL).concat(df.getChunksByType(Magic.Lscl))[0];
         if (!mcsl) return;
 
         const data = await df.getChunkData(mcsl);
         if (!data) return;
 
-        // Extract potential paths manually to avoid V8 RegExp OOM on massive chunks
-        const rawStrings = [];
-        let currentString = '';
-        for (let i = 0; i < data.length; i++) {
-            const byte = data[i];
-            if (byte >= 0x20 && byte <= 0x7E) {
-                currentString += String.fromCharCode(byte);
-            } else {
-                if (currentString.length > 2) {
-                    rawStrings.push(currentString);
+        const entries = new CastListParser(this.log).parse(data);
+        if (path.resolve(filePath) === path.resolve(this.entryPath)) this.castList = entries;
+        const source = path.basename(filePath);
+        for (const entry of entries) {
+            if (!entry.path) continue; // Internal cast
+
+            const { resolved, searched } = this.resolveCastPath(entry.path, path.dirname(filePath));
+            const record = { source, index: entry.index, name: entry.name, path: entry.path, preloadMode: entry.preloadMode };
+            if (!resolved) {
+                if (!this.missingCasts.some(m => m.path === entry.path)) {
+                    this.missingCasts.push({ ...record, searched });
+                    this.log('WARN', `Linked cast '${entry.name}' not found: ${entry.path}`);
                 }
-                currentString = '';
+                continue;
             }
+
+            if (!this.linkedCasts.some(c => c.resolved === resolved)) this.linkedCasts.push({ ...record, resolved });
+            if (!this.loadedCasts.some(c => path.resolve(c.path) === resolved)) await this.loadCast(resolved);
         }
-        if (currentString.length > 2) {
-            rawStrings.push(currentString);
-        }
-        const castList = [];
-
-        for (const raw of rawStrings) {
-            const str = raw.trim();
-            if (['Internal', 'Primary'].includes(str) || str.toLowerCase().startsWith('empty')) continue;
-
-            // Normalize separators: Director on Classic Mac used ":", modern/Win uses "/" or "\"
-            let normalized = str.replace(/:/g, '/').replace(/\\/g, '/');
-            let possibleFilename = path.basename(normalized);
-
-            if (possibleFilename) {
-                const base = possibleFilename.replace(/\.(cst|cct|dcr|dir)$/i, '');
-                const extensions = ['.cct', '.cst', '.dcr', '.dir'];
-
-                let targetPath = null;
-                for (const ext of extensions) {
-                    const candidate = path.join(this.baseDir, base + ext);
-                    if (fs.existsSync(candidate)) {
-                        targetPath = candidate;
-                        break;
-                    }
-                }
+    }
 
-                if (targetPath && !this.loadedCasts.some(c => path.resolve(c.path) === path.resolve(targetPath))) {
-                    castList.push(base);
-                    await this.loadCast(targetPath);
+    /**
+     * Finds a cast file from the path stored in MCsL. Tries the stored sub-directories,
+     * then the bare file name, in the referring movie's folder, the entry folder and each
+     * configured search path. Names match case-insensitively and any cast extension is
+     * accepted (a .cst is usually shipped as .cct).
+     * @returns {{resolved: string|null, searched: string[]}}
+     */
+    resolveCastPath(storedPath, referrerDir = this.baseDir) {
+        const parts = CastListParser.splitPath(storedPath);
+        if (parts.length === 0) return { resolved: null, searched: [] };
+
+        const fileName = parts.pop();
+        const stem = fileName.replace(/\.(cst|cct|dcr|dir)$/i, '');
+        const names = [fileName, ...Container.CastList.Extensions.map(ext => stem + ext)];
+        const searched = [...new Set([referrerDir, this.baseDir, ...this.searchPaths].map(dir => path.resolve(dir)))];
+
+        for (const root of searched) {
+            // Longest stored sub-path first, down to the bare file name
+            for (let i = 0; i <= parts.length; i++) {
+                const dir = this._findCaseInsensitive(root, parts.slice(i));
+                if (!dir) continue;
+                for (const name of names) {
+                    const match = this._findCaseInsensitive(dir, [name]);
+                    if (match && this.source.isFile(match)) return { resolved: match, searched };
                 }
             }
         }
+        return { resolved: null, searched };
+    }
+
+    _findCaseInsensitive(root, segments) {
+        let current = root;
+        for (const segment of segments) {
+            if (segment === '..' || segment === '.') {
+                current = path.join(current, segment);
+                continue;
+            }
+            let listing;
+            try {
+                listing = this.source.readdir(current);
+            } catch (e) {
+                return null;
+            }
+            const match = listing.find(name => name === segment) || listing.find(name => name.toLowerCase() === segment.toLowerCase());
+            if (!match) return null;
+            current = path.join(current, match);
+        }
+        return current;
+    }
+
+    /**
+     * Writes linked_casts.json: every resolved link and every link that could not be found.
+     */
+    saveCastReport(outputDir) {
+        if (this.linkedCasts.length === 0 && this.missingCasts.length === 0) return;
+        const reportPath = path.join(outputDir, 'linked_casts.json');
+        fs.writeFileSync(reportPath, JSON.stringify({ resolved: this.linkedCasts, missing: this.missingCasts }, null, 2));
+        if (this.missingCasts.length > 0) {
+            this.log('WARN', `${this.missingCasts.length} linked cast(s) not found: ${this.missingCasts.map(m => m.name || m.path).join(', ')}. See ${reportPath}`);
+        }
     }
 
     /**
@@ -0,0 +1,62 @@
+/**
+ * @version 1.4.2
+ * ProjectorExtractor.js - Projector (.exe / .app) extraction orchestrator
+ *
+ * Unpacks the movies, casts and Xtras bundled in a projector with ProjectorReader,
+ * then extracts every movie through DCRExtractor with the unpacked folder as the
+ * project folder, so bundled casts are found as linked casts and palette sources.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DCRExtractor = require('./DCRExtractor');
+const ProjectorReader = require('./ProjectorReader');
+
+class ProjectorExtractor {
+    /**
+     * @param {string} inputPath - Projector executable or .app bundle
+     * @param {string} outputDir - Extraction root; bundled files go to <outputDir>/projector
+     * @param {object} options - Generation options
+     */
+    constructor(inputPath, outputDir, options = {}) {
+        this.inputPath = inputPath;
+        this.outputDir = outputDir;
+        this.options = options;
+        this.log = (lvl, msg) => {
+            if (this.options.verbose === true || lvl === 'ERROR' || lvl === 'WARN' || lvl === 'WARNING') {
+                console.log(`[ProjectorExtractor][${lvl}] ${msg}`);
+            }
+        };
+    }
+
+    /**
+     * Executes unpacking followed by per-movie project extraction.
+     */
+    async extract() {
+        const unpackDir = path.join(this.outputDir, 'projector');
+        const files = await new ProjectorReader(this.log).unpack(this.inputPath, unpackDir);
+        fs.writeFileSync(path.join(unpackDir, 'projector.json'), JSON.stringify({
+            source: path.basename(this.inputPath),
+            files: files.map(({ name, kind, codec, source, offset, data }) => ({ name, kind, codec, source, offset, size: data.length }))
+        }, null, 2));
+
+        const movies = files.filter(f => f.kind === 'movie');
+        if (movies.length === 0) throw new Error(`No Director movies found in ${path.basename(this.inputPath)}`);
+
+        for (const movie of movies) {
+            // The project base folder is unpackDir, so linked casts resolve there and scanDirectory
+            // picks up bundled casts the movie does not link. Their output lands next to the movie's.
+            const extractor = new DCRExtractor(movie.path, path.join(this.outputDir, path.parse(movie.name).name), {
+                ...this.options,
+                scanDirectory: true
+            });
+            try {
+                await extractor.extract();
+            } catch (e) {
+                this.log('ERROR', `Movie failure: ${movie.name} - ${e.message}`);
+            }
+        }
+    }
+}
+
+module.exports = ProjectorExtractor;
@@ -0,0 +1,250 @@
+/**
+ * @version 1.4.2
+ * ProjectorReader - Finds the movies, casts and Xtras bundled inside a Director projector.
+ *
+ * Projectors (Windows .exe or Mac application) carry a PJ93/PJ95/PJ00/PJ01 header
+ * that points at an APPL RIFX container; each of its File sections is one bundled file.
+ * When no usable header is found, the reader falls back to scanning for an APPL
+ * container, then for standalone RIFX/XFIR movies and casts. Nothing is executed.
+ * See docs/doc/24_Projectors.md.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DirectorFile = require('./DirectorFile');
+const { Magic, Container } = require('./Constants');
+
+const Projector = Container.Projector;
+const CONTAINER_MAGIC = [Magic.RIFX, Magic.XFIR];
+const NAME_PATTERN = /[^\x00-\x1F\\/:]+\.(dir|dxr|dcr|cst|cxt|cct|x32|xtr|xtra)$/i;
+
+class ProjectorReader {
+    /**
+     * @param {Function} logger - Logger callback (lvl, msg)
+     */
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+    }
+
+    /**
+     * True for .exe/.app inputs and for files that carry a projector header or an APPL container.
+     */
+    static isProjector(inputPath) {
+        if (!fs.existsSync(inputPath)) return false;
+        if (fs.statSync(inputPath).isDirectory()) return /\.app$/i.test(inputPath);
+        if (/\.exe$/i.test(inputPath)) return true;
+
+        const fd = fs.openSync(inputPath, 'r');
+        try {
+            const head = Buffer.alloc(12);
+            fs.readSync(fd, head, 0, 12, 0);
+            if (head.toString('ascii', 0, 2) === 'MZ' || ProjectorReader._projectorTag(head, 0)) return true;
+            return CONTAINER_MAGIC.includes(head.toString('ascii', 0, 4)) &&
+                DirectorFile.unprotect(head.toString('ascii', 8, 12)) === Magic.APPL;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * @param {string} inputPath - Projector file, or a .app bundle (every file inside is searched)
+     * @returns {Promise<Array<{name: string, kind: string, codec: string|null, source: string, offset: number, data: Buffer}>>}
+     *          kind is 'movie', 'cast', 'xtra' or 'file'
+     */
+    async read(inputPath) {
+        const sources = fs.statSync(inputPath).isDirectory() ? this._listFiles(inputPath) : [inputPath];
+        const files = [];
+        for (const source of sources) {
+            const found = await this._readFile(fs.readFileSync(source), path.basename(source));
+            files.push(...found);
+        }
+        return this._uniqueNames(files);
+    }
+
+    /**
+     * Reads the projector and writes every bundled file into outputDir.
+     * @returns {Promise<Array>} The read() entries, each with its written `path`
+     */
+    async unpack(inputPath, outputDir) {
+        const files = await this.read(inputPath);
+        if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+        for (const file of files) {
+            file.path = path.join(outputDir, file.name);
+            fs.writeFileSync(file.path, file.data);
+        }
+        this.log('INFO', `[ProjectorReader] Unpacked ${files.length} file(s) to ${outputDir}`);
+        return files;
+    }
+
+    async _readFile(buffer, source) {
+        const header = this._findHeader(buffer);
+        let appl = header ? header.rifxOffset : -1;
+        if (header) {
+            this.log('INFO', `[ProjectorReader] ${source}: ${header.tag} header at ${header.offset}, APPL container at ${appl}`);
+        } else {
+            appl = this._scan(buffer).find(hit => hit.codec === Magic.APPL)?.offset ?? -1;
+            if (appl >= 0) this.log('INFO', `[ProjectorReader] ${source}: no projector header, APPL container found at ${appl}`);
+        }
+
+        if (appl >= 0) {
+            const files = await this._readContainer(buffer, appl, source);
+            if (files.length > 0) return files;
+        }
+
+        // Last resort: movies and casts stored back to back without an APPL wrapper
+        const files = [];
+        let end = 0;
+        for (const hit of this._scan(buffer)) {
+            if (hit.offset < end || !Projector.Codecs[hit.codec]) continue;
+            files.push(this._describe(buffer.slice(hit.offset, hit.end), null, files.length, source, hit.offset));
+            end = hit.end;
+        }
+        if (files.length > 0) this.log('INFO', `[ProjectorReader] ${source}: ${files.length} embedded file(s) found by scanning`);
+        return files;
+    }
+
+    /**
+     * Looks for a PJxx header through the trailing offset of a Windows executable, then at
+     * the start of the file (Mac data fork). The header only counts if its RIFX offset
+     * leads to an APPL container.
+     */
+    _findHeader(buffer) {
+        const candidates = [0];
+        if (buffer.length >= 4) candidates.unshift(buffer.readUInt32LE(buffer.length - 4));
+
+        for (const offset of candidates) {
+            const tag = ProjectorReader._projectorTag(buffer, offset);
+            if (!tag) continue;
+            for (const field of Projector.OffsetFields) {
+                if (offset + field + 4 > buffer.length) continue;
+                for (const rifxOffset of [buffer.readUInt32LE(offset + field), buffer.readUInt32BE(offset + field)]) {
+                    const hit = this._containerAt(buffer, rifxOffset);
+                    if (hit && hit.codec === Magic.APPL) return { tag, offset, rifxOffset };
+                }
+            }
+        }
+        return null;
+    }
+
+    static _projectorTag(buffer, offset) {
+        if (offset < 0 || offset + 4 > buffer.length) return null;
+        const tag = buffer.toString('ascii', offset, offset + 4);
+        const reversed = tag.split('').reverse().join('');
+        return Projector.Tags.find(t => t === tag || t === reversed) || null;
+    }
+
+    /**
+     * @returns {{offset: number, end: number, codec: string}|null} A RIFX/XFIR header whose length fits the buffer
+     */
+    _containerAt(buffer, offset) {
+        if (offset < 0 || offset + 12 > buffer.length) return null;
+        const magic = buffer.toString('ascii', offset, offset + 4);
+        if (!CONTAINER_MAGIC.includes(magic)) return null;
+        const length = magic === Magic.RIFX ? buffer.readUInt32BE(offset + 4) : buffer.readUInt32LE(offset + 4);
+        const end = offset + 8 + length;
+        if (end > buffer.length) return null;
+        return { offset, end, codec: DirectorFile.unprotect(buffer.toString('ascii', offset + 8, offset + 12)) };
+    }
+
+    _scan(buffer) {
+        const hits = [];
+        for (const magic of CONTAINER_MAGIC) {
+            for (let pos = buffer.indexOf(magic); pos >= 0; pos = buffer.indexOf(magic, pos + 4)) {
+                const hit = this._containerAt(buffer, pos);
+                if (hit && (hit.codec === Magic.APPL || Projector.Codecs[hit.codec])) hits.push(hit);
+            }
+        }
+        return hits.sort((a, b) => a.offset - b.offset);
+    }
+
+    async _readContainer(buffer, offset, source) {
+        const hit = this._containerAt(buffer, offset);
+        if (!hit) return [];
+
+        const dirFile = new DirectorFile(buffer.slice(hit.offset, hit.end), this.log);
+        try {
+            await dirFile.parse();
+        } catch (e) {
+            this.log('WARN', `[ProjectorReader] ${source}: APPL container at ${offset} could not be parsed: ${e.message}`);
+            return [];
+        }
+
+        const sections = dirFile.chunks.filter(c => DirectorFile.unprotect(c.type) === Magic.File);
+        const names = await this._readDict(dirFile, sections.length);
+        return sections.map((chunk, i) => {
+            const start = hit.offset + chunk.off + 8;
+            return this._describe(buffer.slice(start, start + chunk.len), names[i], i, source, start);
+        });
+    }
+
+    /**
+     * File names for the File sections. The Dict layout is not decoded; its file-name strings
+     * are used, in order, only when there is exactly one per File section.
+     */
+    async _readDict(dirFile, count) {
+        const dict = dirFile.chunks.find(c => DirectorFile.unprotect(c.type) === Magic.Dict);
+        const data = dict ? await dirFile.getChunkData(dict) : null;
+        if (!data) return [];
+
+        const names = data.toString('latin1').split(/[\x00-\x1F]+/)
+            .map(s => (s.match(NAME_PATTERN) || [])[0])
+            .filter(Boolean)
+            .map(s => s.split(/[:\\/]/).pop());
+        if (names.length !== count) {
+            this.log('DEBUG', `[ProjectorReader] Dict has ${names.length} file name(s) for ${count} File section(s); using generated names`);
+            return [];
+        }
+        return names;
+    }
+
+    /**
+     * Classifies a bundled payload by its leading bytes and picks a file name: the Dict stem
+     * when there is one, with the extension implied by the content.
+     */
+    _describe(data, dictName, index, source, offset) {
+        const hit = this._containerAt(data, 0);
+        const xtraExt = Object.entries(Projector.Xtras).find(([sig]) => data.toString('ascii', 0, sig.length) === sig)?.[1];
+
+        let kind = 'file';
+        let codec = null;
+        let ext = '.bin';
+        if (hit && Projector.Codecs[hit.codec]) {
+            codec = hit.codec;
+            kind = Projector.Codecs[codec];
+            ext = Projector.Extensions[codec];
+        } else if (xtraExt) {
+            kind = 'xtra';
+            ext = xtraExt;
+        }
+
+        const stem = dictName ? dictName.replace(/\.[^.]+$/, '') : `${kind}_${index + 1}`;
+        return { name: stem + ext, kind, codec, source, offset, data };
+    }
+
+    _uniqueNames(files) {
+        const seen = new Map();
+        for (const file of files) {
+            const key = file.name.toLowerCase();
+            const count = seen.get(key) || 0;
+            seen.set(key, count + 1);
+            if (count > 0) {
+                const { name, ext } = path.parse(file.name);
+                file.name = `${name}_${count + 1}${ext}`;
+            }
+        }
+        return files;
+    }
+
+    _listFiles(dir) {
+        const out = [];
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) out.push(...this._listFiles(full));
+            else if (entry.isFile()) out.push(full);
+        }
+        return out.sort();
+    }
+}
+
+module.exports = ProjectorReader;
@@ -0,0 +1,78 @@
+/**
+ * @version 1.4.2
+ * ZipExtractor.js - Zip archive extraction orchestrator
+ *
+ * Extracts a project straight from a zip archive through ZipSource, without unpacking
+ * it first. Every movie in the archive goes through DCRExtractor with the archive as
+ * its file source, so MCsL linked casts resolve to other entries of the same archive.
+ * An archive of casts only has each cast extracted on its own.
+ */
+
+const path = require('path');
+const DCRExtractor = require('./DCRExtractor');
+const CCTExtractor = require('./CCTExtractor');
+const { ZipSource } = require('./utils/FileSource');
+const { Container } = require('./Constants');
+
+class ZipExtractor {
+    /**
+     * @param {string} archivePath - Zip file on disk
+     * @param {string} outputDir - Extraction root
+     * @param {object} options - Generation options
+     * @param {string} [entry] - One movie or cast inside the archive (e.g. 'dcr/main.dcr');
+     *                           the whole archive when omitted
+     */
+    constructor(archivePath, outputDir, options = {}, entry = '') {
+        this.archivePath = archivePath;
+        this.outputDir = outputDir;
+        this.options = options;
+        this.entry = entry;
+        this.log = (lvl, msg) => {
+            if (this.options.verbose === true || lvl === 'ERROR' || lvl === 'WARN' || lvl === 'WARNING') {
+                console.log(`[ZipExtractor][${lvl}] ${msg}`);
+            }
+        };
+    }
+
+    async extract() {
+        const source = new ZipSource(this.archivePath);
+        try {
+            const options = { ...this.options, fileSource: source };
+            if (this.entry) {
+                const inputPath = source.resolve(this.entry);
+                if (!source.isFile(inputPath)) throw new Error(`${this.entry} not found in ${path.basename(this.archivePath)}`);
+                const extractor = this._isMovie(inputPath)
+                    ? new DCRExtractor(inputPath, this.outputDir, options)
+                    : new CCTExtractor(inputPath, this.outputDir, options);
+                await extractor.extract();
+                return;
+            }
+
+            const movies = source.listDirectorFiles('movie');
+            // Without a movie nothing links the casts together, so each one stands alone
+            const inputs = movies.length > 0 ? movies : source.listDirectorFiles('cast');
+            if (inputs.length === 0) throw new Error(`No Director files found in ${path.basename(this.archivePath)}`);
+
+            for (const inputPath of inputs) {
+                const targetDir = path.join(this.outputDir, path.parse(inputPath).name);
+                // scanDirectory also indexes palettes from casts the movie does not link
+                const extractor = movies.length > 0
+                    ? new DCRExtractor(inputPath, targetDir, { ...options, scanDirectory: true })
+                    : new CCTExtractor(inputPath, targetDir, options);
+                try {
+                    await extractor.extract();
+                } catch (e) {
+                    this.log('ERROR', `Entry failure: ${path.relative(source.root, inputPath)} - ${e.message}`);
+                }
+            }
+        } finally {
+            source.close();
+        }
+    }
+
+    _isMovie(filePath) {
+        return Container.Zip.Extensions.movie.includes(path.extname(filePath).toLowerCase());
+    }
+}
+
+module.exports = ZipExtractor;
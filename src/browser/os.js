@@ -0,0 +1,13 @@
+/**
+ * @version 1.4.2
+ * os.js - Stand-in for Node's `os` in the browser build
+ *
+ * DirectorExtractor sizes its worker pool from cpus(). The browser build never starts
+ * workers, so an empty list (one worker) is enough.
+ */
+
+module.exports = {
+    cpus: () => [],
+    tmpdir: () => '/tmp',
+    EOL: '\n'
+};
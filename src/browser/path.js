@@ -0,0 +1,86 @@
+/**
+ * @version 1.4.2
+ * path.js - POSIX subset of Node's `path` for the browser build
+ *
+ * Files opened in a browser live in a MemorySource under '/', which is also the
+ * working directory resolve() assumes. Only what the extractors call is provided.
+ */
+
+const sep = '/';
+const delimiter = ':';
+
+function normalizeParts(parts, absolute) {
+    const out = [];
+    for (const part of parts) {
+        if (!part || part === '.') continue;
+        if (part === '..') {
+            if (out.length > 0 && out[out.length - 1] !== '..') out.pop();
+            else if (!absolute) out.push('..');
+        } else {
+            out.push(part);
+        }
+    }
+    return out;
+}
+
+function isAbsolute(p) {
+    return p.startsWith(sep);
+}
+
+function normalize(p) {
+    const absolute = isAbsolute(p);
+    const joined = normalizeParts(p.split(sep), absolute).join(sep);
+    if (absolute) return sep + joined;
+    return joined || '.';
+}
+
+function join(...parts) {
+    const joined = parts.filter(part => part !== '').join(sep);
+    return joined ? normalize(joined) : '.';
+}
+
+function resolve(...parts) {
+    let resolved = '';
+    for (let i = parts.length - 1; i >= 0 && !isAbsolute(resolved); i--) {
+        if (parts[i]) resolved = resolved ? `${parts[i]}${sep}${resolved}` : parts[i];
+    }
+    return normalize(isAbsolute(resolved) ? resolved : sep + resolved);
+}
+
+function relative(from, to) {
+    const a = resolve(from).split(sep).filter(Boolean);
+    const b = resolve(to).split(sep).filter(Boolean);
+    let common = 0;
+    while (common < a.length && common < b.length && a[common] === b[common]) common++;
+    return [...a.slice(common).map(() => '..'), ...b.slice(common)].join(sep);
+}
+
+function dirname(p) {
+    const trimmed = p.length > 1 ? p.replace(/\/+$/, '') : p;
+    const index = trimmed.lastIndexOf(sep);
+    if (index < 0) return '.';
+    if (index === 0) return sep;
+    return trimmed.slice(0, index);
+}
+
+function basename(p, ext = '') {
+    const trimmed = p.length > 1 ? p.replace(/\/+$/, '') : p;
+    const base = trimmed.slice(trimmed.lastIndexOf(sep) + 1);
+    return ext && base.endsWith(ext) && base !== ext ? base.slice(0, -ext.length) : base;
+}
+
+function extname(p) {
+    const base = basename(p);
+    const index = base.lastIndexOf('.');
+    return index > 0 ? base.slice(index) : '';
+}
+
+function parse(p) {
+    const base = basename(p);
+    const ext = extname(p);
+    const dir = p.includes(sep) ? dirname(p) : '';
+    return { root: isAbsolute(p) ? sep : '', dir, base, ext, name: ext ? base.slice(0, -ext.length) : base };
+}
+
+module.exports = { sep, delimiter, isAbsolute, normalize, join, resolve, relative, dirname, basename, extname, parse };
+module.exports.posix = module.exports;
@@ -14,6 +14,20 @@ module.exports = {
         RowBytes: 0x7FFF
     },
     BitDepth: [1, 2, 4, 8, 16, 24, 32],
+    // Pixels per row alignment unit, by bit depth (BITD rows are padded to a multiple)
+    RowAlignment: {
+        1: 16,
+        2: 2,
+        4: 4,
+        8: 2,
+        16: 1,
+        32: 4
+    },
+    // PackBits run limits (header byte n: 0..127 literal n+1, -1..-127 repeat 1-n)
+    PackBits: {
+        MaxRun: 128,
+        MinRepeat: 3
+    },
     Alpha: {
         Opaque: 255,
         Transparent: 0
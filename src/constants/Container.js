@@ -0,0 +1,111 @@
+/**
+ * @version 1.4.2
+ * Container.js - RIFX and Afterburner layouts written by DirectorFileWriter and AfterburnerWriter, plus the MCsL cast list, projector wrapper, recovery-mode tag lists and zip archive records
+ */
+
+module.exports = {
+    Codec: 'MC95', // Cast library (movies use MV93)
+    ChunkAlignment: 2,
+    Imap: {
+        Size: 24,
+        MapVersion: 0
+    },
+    Mmap: {
+        HeaderSize: 24,
+        EntrySize: 20,
+        FreeHead: -1
+    },
+    Key: {
+        HeaderSize: 12,
+        EntrySize: 12
+    },
+    // MCsL: header, then a list of items; each cast library owns ItemsPerCast items from index 1
+    CastList: {
+        HeaderSize: 12,
+        Items: { Name: 1, Path: 2, Preload: 3, Range: 4 },
+        PreloadModes: { 0: 'When Needed', 1: 'After Frame 1', 2: 'Before Frame 1' },
+        Extensions: ['.cct', '.cst', '.dcr', '.dir']
+    },
+    // Projectors: a PJxx header (found via the last 4 bytes of a Windows .exe, or at the start
+    // of a Mac data fork) holds the offset of an APPL RIFX whose File sections are the bundled files
+    Projector: {
+        Tags: ['PJ93', 'PJ95', 'PJ00', 'PJ01'],
+        OffsetFields: [4, 12], // Header positions of the RIFX offset: Windows (LE), then Mac (BE)
+        Codecs: { MV93: 'movie', MC95: 'cast', FGDM: 'movie', FGDC: 'cast' },
+        Extensions: { MV93: '.dir', MC95: '.cst', FGDM: '.dcr', FGDC: '.cct' },
+        Xtras: { MZ: '.x32', 'Joy!': '.xtra' } // Leading bytes of Windows DLL / Mac PEF Xtras
+    },
+    // Zip archives read by ZipArchive: end-of-central-directory record (found by scanning back
+    // over the archive comment), central directory headers, then local headers before each entry
+    Zip: {
+        Signatures: { Local: 0x04034B50, Central: 0x02014B50, End: 0x06054B50 },
+        EndSize: 22,
+        CentralSize: 46,
+        LocalSize: 30,
+        MaxCommentLength: 0xFFFF,
+        Methods: { Stored: 0, Deflated: 8 },
+        Flags: { Encrypted: 0x0001, Utf8: 0x0800 },
+        Zip64Marker: 0xFFFFFFFF,
+        CachedEntries: 4, // Inflated entries kept by ZipSource; casts are reopened per cross-cast lookup
+        Extensions: {
+            movie: ['.dcr', '.dir', '.dxr'],
+            cast: ['.cct', '.cst', '.cxt']
+        }
+    },
+    // Recovery mode: section tags carved from a RIFX without a usable mmap are the Magic tags
+    // plus ExtraTags; SkipTags are container, map and Afterburner tags that never hold content.
+    // SpanTags are stepped over whole so their entries are not mistaken for section headers
+    Recovery: {
+        SpanTags: ['imap', 'mmap', 'free', 'junk'],
+        ExtraTags: ['Thum', 'Sord', 'FXmp', 'VWFI', 'VWtc', 'VWtk', 'VWAC', 'Cinf', 'SCRF', 'ccl ', 'XTRl'],
+        SkipTags: [
+            'RIFX', 'XFIR', 'imap', 'mmap', 'pami', 'pamm', 'free', 'junk',
+            'MV93', 'MC93', 'MC95', 'MVPV', 'APPL', 'FGDM', 'FGDC', 'CDGF', 'MDGF',
+            'Fver', 'Fmap', 'Fcdr', 'Abmp', 'ABMP', 'PMBA', 'FGEI', 'IEGF', 'ILS ', ' ,i', 'Fx*'
+        ],
+        // mmap entries are kept when at least this share of them still match their section header
+        MinValidMapRatio: 0.5
+    },
+    // KEY* owner id used for cast-library level chunks (CAS*, LctX)
+    CastLibId: 1024,
+    Lctx: {
+        HeaderSize: 48,
+        EntrySize: 12,
+        LnamSection: 32
+    },
+    // dataOffset, unk1, nameIdx, flags, scriptId, created, modified
+    CastInfo: {
+        HeaderSize: 28
+    },
+    // Lscr scriptFlags (offset 38) as interpreted by CastManager
+    ScriptFlags: {
+        movie: 0x02,
+        behavior: 0x04,
+        parent: 0x08
+    },
+    Afterburner: {
+        // Uncompressed codec -> Afterburner codec
+        Codecs: {
+            MV93: 'FGDM',
+            MC95: 'FGDC'
+        },
+        FverVersion: 0x501,
+        IlsResourceId: 2,
+        // Fcdr compression table; ABMP entries refer to these by index
+        Compression: [
+            { name: 'zlib', guid: ['AC99E904', '0070', '0B36', '00000800072C6326'], label: 'Standard Macromedia zlib compression' },
+            { name: 'sound', guid: ['7204A889', 'AFD0', '11CF', 'A22200A02453444C'], label: 'Macromedia Sound compression' },
+            { name: 'none', guid: ['AC99982E', '005D', '0D50', '0000080007377A34'], label: 'Null compression' },
+            { name: 'fontmap', guid: ['8A4679A1', '3720', '11D0', '922300A0C90868B1'], label: 'Font Map compression' }
+        ],
+        // Media sections streamed after the ILS instead of being preloaded with it
+        StreamedTags: ['BITD', 'ALFA', 'snd ', 'SND ', 'ediM', 'medi', 'Thum']
+    },
+    // members.json scriptType tags back to CASt script type words
+    ScriptTypes: {
+        movie: 3,
+        behavior: 1,
+        parent: 2,
+        cast: 7
+    }
+};
@@ -18,6 +18,7 @@ module.exports = {
     LCTX: 'LctX', // Lingo Context (Metadata)
     VWFT: 'VWFT', // Vector Font
     FONT: 'FONT', // Standard Font
+    VWFM: 'VWFM', // Font Map (Dir 4-6)
     CLUT: 'CLUT', // Palette (Color Lookup Table)
     BITD: 'BITD', // Bitmap Data
     SND: 'SND ',  // Sound (Stereo/Mono PCM)
@@ -26,6 +27,10 @@ module.exports = {
     STXT: 'STXT', // Script Text (Lingo source)
     TEXT: 'TEXT', // Text Member Content
     TXTS: 'TXTS', // Alternate Text payload
+    XMED: 'XMED', // Text Xtra payload (Dir 7+)
+    RTE0: 'RTE0', // Rich Text styled payload
+    RTE1: 'RTE1', // Rich Text plain text
+    RTE2: 'RTE2', // Rich Text pre-rendered bitmap
     ALFA: 'ALFA', // Alpha Mask
     SHAP: 'SHAP', // Shape Data
     XTRA: 'XTRA', // Xtra Data
@@ -36,16 +41,22 @@ module.exports = {
     MC93: 'MC93', // Cast (Dir 4+)
     MCsL: 'MCsL', // Movie Cast Script List
     Lscl: 'Lscl', // Protected Cast List
+    APPL: 'APPL', // Projector container codec
+    File: 'File', // Projector-embedded file
+    Dict: 'Dict', // Projector file name dictionary
     VWCF: 'VWCF', // Vector Config
     conf: 'conf', // Config
     VWky: 'VWky', // Memory Map Key
     DRCF: 'DRCF', // Config (Dir 5+)
     SCORE: 'Score', // Score/Timeline
     VWSC: 'VWSC',  // Score (Dir 4+)
+    VWLB: 'VWLB',  // Score Frame Labels
+    SCVW: 'SCVW',  // FilmLoop Score Data
     FVER: 'Fver',  // File Version
     FMAP: 'Fmap',  // Logical to Physical Map
     FCDR: 'Fcdr',  // File Catalog Directory
     ABMP: 'Abmp',  // Asset Bitmap/Map
+    ABMP_UPPER: 'ABMP', // Asset Bitmap/Map as written on disk
     FGEI: 'FGEI',  // Inline Resource Header
     CDGF: 'CDGF',  // Reversed FGDC
     MDGF: 'MDGF',  // Reversed FGDM
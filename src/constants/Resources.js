@@ -36,6 +36,8 @@ module.exports = {
         PNG: 'png',
         WAV: 'wav',
         RTF: 'rtf',
+        HTML: 'html',
+        TEXT: 'txt',
         LS: 'ls',
         LASM: 'lasm',
         DAT: 'dat',
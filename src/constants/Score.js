@@ -0,0 +1,88 @@
+/**
+ * @version 1.4.2
+ * Score.js - Score (VWSC) frame and channel layout constants
+ */
+
+module.exports = {
+    // D5+ VWSC chunks wrap their sections in an entry table whose header
+    // carries these two fixed markers at offsets 4 and 8.
+    EntryTableMarker: -3,
+    EntryTableHeaderSize: 12,
+    EntryTableFieldsSize: 24,
+
+    // Frame data section header: [size][frame1Offset][frameCount][version][spriteSize][channels][displayed]
+    FrameHeaderSize: 20,
+
+    // Byte size of the main (non-sprite) channel block per layout
+    MainChannelSize: {
+        D4: 40,
+        D5: 48,
+        D7: 288
+    },
+
+    // Byte size of a single sprite channel record per layout
+    SpriteRecordSize: {
+        D4: 20,
+        D5: 24,
+        D7: 48
+    },
+    MaxSpriteRecordSize: 64,
+
+    // Fallback channel count when the frame header does not declare one
+    DefaultChannelCount: 150,
+    MaxChannelBufferSize: 1024 * 1024,
+
+    // Frame interval (behavior attachment) records
+    IntervalPrimarySize: 44,
+    BehaviorRefSize: 8,
+
+    InkData: {
+        InkMask: 0x3F,
+        Trails: 0x40,
+        Stretch: 0x80
+    },
+
+    SpriteFlags: {
+        Editable: 0x40,
+        Moveable: 0x80,
+        ColorCodeMask: 0x0F
+    },
+
+    // Inks that drop white source pixels when compositing (matte approximated as background transparent)
+    WhiteKeyedInks: [1, 8, 36],
+    BlendInk: 32,
+
+    InkNames: {
+        0: 'copy',
+        1: 'transparent',
+        2: 'reverse',
+        3: 'ghost',
+        4: 'notCopy',
+        5: 'notTransparent',
+        6: 'notReverse',
+        7: 'notGhost',
+        8: 'matte',
+        9: 'mask',
+        32: 'blend',
+        33: 'addPin',
+        34: 'add',
+        35: 'subtractPin',
+        36: 'backgroundTransparent',
+        37: 'lightest',
+        38: 'subtract',
+        39: 'darkest',
+        40: 'lighten',
+        41: 'darken'
+    },
+
+    // Tempo channel byte ranges (values above MaxFps encode wait/delay commands)
+    Tempo: {
+        MaxFps: 120,
+        WaitForClick: 128,
+        WaitForSound2: 134,
+        WaitForSound1: 135,
+        WaitForVideoBase: 135,
+        DelayBase: 256,
+        DelayMin: 196
+    }
+};
@@ -25,5 +25,20 @@ module.exports = {
         PTVW: 'PTVw',
         FMT: 'fmt ',
         DATA: 'data'
+    },
+    // Format 1 'snd ' resource (Inside Macintosh: Sound): [2: format][2: data format count]
+    // [2: synth id][4: init options] per data format, [2: command count][8 bytes per command], sound header
+    Resource: {
+        Format: 1,
+        SampledSynth: 5,
+        InitMono: 0x80,
+        InitStereo: 0xC0,
+        BufferCmd: 0x8051,
+        HeaderOffset: 20,
+        Encode: {
+            Standard: 0x00,
+            Extended: 0xFF
+        },
+        BaseFrequency: 0x3C // Middle C
     }
 };
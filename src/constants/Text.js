@@ -0,0 +1,35 @@
+/**
+ * @version 1.4.2
+ * Text.js - STXT style run and font map layouts
+ */
+
+module.exports = {
+    // STXT text is single-byte; latin1 maps every byte to one character and back
+    Charset: 'latin1',
+
+    // STXT style section: [2: runCount] followed by fixed-size run records
+    // [4: startOffset][2: height][2: ascent][2: fontId][1: style][1: pad][2: size][2: r][2: g][2: b]
+    StyleRunSize: 20,
+    MaxStyleRuns: 0x4000,
+
+    StyleFlags: {
+        Bold: 0x01,
+        Italic: 0x02,
+        Underline: 0x04,
+        Outline: 0x08,
+        Shadow: 0x10,
+        Condense: 0x20,
+        Extend: 0x40
+    },
+
+    FontMap: {
+        // VWFM (D4-D6): [2: count][count * 2: fontId] followed by count Pascal strings
+        // Fmap (D7+): [4: mapLength][4: namesLength] ... [2: entriesUsed] at 16, entries at 32
+        V4EntriesOffset: 32,
+        V4EntriesUsedOffset: 16,
+        V4EntrySize: 8
+    },
+
+    DefaultFont: 'Arial',
+    DefaultFontSize: 12
+};
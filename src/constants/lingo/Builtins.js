@@ -0,0 +1,22 @@
+/**
+ * @version 1.4.2
+ * Builtins.js - Lingo functions and commands, spelled as Director's documentation does
+ *
+ * LingoTranspiler calls these on the runtime (`lingo.charToNum(...)`) whatever case
+ * the script used, and LingoRuntime provides them under the same names.
+ */
+
+module.exports = [
+    'abort', 'abs', 'alert', 'atan', 'beep', 'bitAnd', 'bitNot', 'bitOr', 'bitXor', 'call',
+    'callAncestor', 'castLib', 'chars', 'charToNum', 'clearGlobals', 'color', 'cos', 'count',
+    'cursor', 'date', 'delay', 'deleteAt', 'downloadNetThing', 'exp', 'externalEvent', 'float',
+    'floatP', 'frame', 'getNetText', 'getPref', 'go', 'gotoNetPage', 'halt', 'ilk', 'image',
+    'inside', 'integer', 'integerP', 'intersect', 'label', 'length', 'list', 'listP', 'log',
+    'map', 'marker', 'max', 'member', 'min', 'moveToBack', 'moveToFront', 'netDone', 'netError',
+    'netTextResult', 'new', 'nothing', 'numToChar', 'objectP', 'offset', 'param', 'paramCount',
+    'pass', 'play', 'point', 'postNetText', 'power', 'preloadNetThing', 'puppetSound',
+    'puppetSprite', 'puppetTempo', 'puppetTransition', 'put', 'quit', 'random', 'rect', 'rgb',
+    'rollOver', 'script', 'sendAllSprites', 'sendSprite', 'setPref', 'sin', 'sort', 'sound',
+    'sprite', 'sqrt', 'startTimer', 'string', 'stringP', 'symbol', 'symbolP', 'tan', 'timeout',
+    'union', 'updateStage', 'value', 'voidP', 'window', 'xtra'
+];
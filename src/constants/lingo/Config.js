@@ -129,6 +129,25 @@ module.exports = {
     Labels: {
         ProtectedScript: "[Protected Script]"
     },
+    // Lscr header layout written by LingoAssembler (hLen = V4_HLEN)
+    LSCR: {
+        MIN_SIZE: 132,
+        HANDLER_SIZE: 46,
+        TOTAL_LENGTH: 8,
+        TOTAL_LENGTH2: 12,
+        HEADER_LENGTH: 16,
+        SCRIPT_TYPE: 18,
+        SCRIPT_FLAGS: 38,
+        FACTORY_NAME: 48,
+        PROPERTIES: 60,
+        GLOBALS: 66,
+        HANDLERS: 72,
+        LITERALS: 78,
+        LITERAL_DATA: 84
+    },
+    LNAM_HEADER_SIZE: 20,
+    // Opcodes whose 2-byte operand is a signed relative jump
+    JUMP_OPS: ['jmp', 'jmpifz', 'endrepeat'],
     OP_SPEC: {
         PUSHVAR: 0x01,
         MOVIEPROP: 0x1f,
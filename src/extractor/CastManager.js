@@ -3,7 +3,7 @@
  * CastManager.js - Centralized member discovery and state management
  */
 const CastMember = require('../CastMember');
-const { MemberType, Magic, Limits, AfterburnerTags } = require('../Constants');
+const { MemberType, Magic, Limits, AfterburnerTags, Container } = require('../Constants');
 const DirectorFile = require('../DirectorFile');
 const { detectMemberTypeFromMap, detectMemberTypeFromTag } = require('../utils/MemberContent');
 
@@ -22,8 +22,9 @@ class CastManager {
         const metadata = this.extractor.metadataManager;
         const discoveredIds = new Set();
 
-        // 1. From KEY* table
+        // 1. From KEY* table, minus cast libraries (owners of the CAS* slot list and LctX)
         for (const castIdStr in metadata.keyTable) {
+            if (this.isCastLibraryOwner(metadata.keyTable[castIdStr])) continue;
             discoveredIds.add(parseInt(castIdStr));
         }
 
@@ -94,12 +95,55 @@ class CastManager {
             const map = metadata.keyTable[member.id];
             const sectionId = map ? (map[Magic.CAST] || map[Magic.CAS_STAR] || map[Magic.CArT] || map[Magic.cast_lower]) : null;
             const chunk = sectionId ? this.extractor.dirFile.getChunkById(sectionId) : null;
-            if (chunk) {
+            if (chunk && !this.isCastListChunk(chunk)) {
                 await metadata.parseMemberMetadata(chunk, member);
             }
         }));
     }
 
+    /**
+     * unprotect() folds CAS* into CASt, so the cast library's slot list shows up under the
+     * library id (1024) as if it were a member record. Its raw (file) tag still tells them apart.
+     */
+    isCastListChunk(chunk) {
+        const raw = chunk.rawType || chunk.type || '';
+        return raw === Magic.CAS_STAR || raw.split('').reverse().join('') === Magic.CAS_STAR;
+    }
+
+    /**
+     * @param {object} map - A KEY* owner's tag -> section map
+     * @returns {boolean} Whether the owner is a cast library rather than a member
+     */
+    isCastLibraryOwner(map) {
+        const sectionId = map ? map[Magic.CAST] : null;
+        const chunk = sectionId ? this.extractor.dirFile.getChunkById(sectionId) : null;
+        return !!chunk && this.isCastListChunk(chunk);
+    }
+
+    /**
+     * Reads a cast library's CAS* slot list: the member in each slot, by member number.
+     * @param {number} [libraryId] - The list's KEY* owner; a cast file and a movie's first
+     *                               internal cast both use 1024
+     * @returns {Promise<number[]|null>} Member ids indexed by slot (1-based, sparse), or null
+     *          when the file has no list for that library
+     */
+    async readCastSlots(libraryId = Container.CastLibId) {
+        const metadata = this.extractor.metadataManager;
+        const map = metadata.keyTable[libraryId];
+        const sectionId = map ? (map[Magic.CAS_STAR] || map[Magic.CAST]) : null;
+        const chunk = sectionId ? this.extractor.dirFile.getChunkById(sectionId) : null;
+        if (!chunk || !this.isCastListChunk(chunk)) return null;
+
+        const data = await this.extractor.dirFile.getChunkData(chunk);
+        if (!data) return null;
+        const slots = [];
+        for (let i = 0; i + 4 <= data.length; i += 4) {
+            const castSectionId = data.readUInt32BE(i);
+            if (castSectionId > 0) slots[i / 4 + 1] = metadata.resolveMemberIdFromResource(castSectionId) || castSectionId;
+        }
+        return slots;
+    }
+
     /**
      * [Enrichment Pass 2] Global Scan (Afterburner / Headless Files)
      */
@@ -115,7 +159,9 @@ class CastManager {
             const trimmed = rawType.trim();
             const detectedType = detectMemberTypeFromTag(normalized) || detectMemberTypeFromTag(trimmed);
 
-            if (normalized === Magic.CAST || normalized === Magic.CAS_STAR || normalized === 'CAS2') {
+            if (this.isCastListChunk(chunk)) {
+                return;
+            } else if (normalized === Magic.CAST || normalized === Magic.CAS_STAR || normalized === 'CAS2') {
                 const member = await metadata.parseMemberMetadata(chunk);
                 if (member && !this.memberMap.has(member.id)) {
                     this.members.push(member);
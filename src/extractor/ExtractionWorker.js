@@ -2,7 +2,6 @@ const { parentPort, workerData } = require('worker_threads');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
-const zlib = require('zlib');
 
 const BitmapExtractor = require('../member/BitmapExtractor');
 const PaletteExtractor = require('../member/PaletteExtractor');
@@ -15,16 +14,20 @@ const VectorShapeExtractor = require('../member/VectorShapeExtractor');
 const MovieExtractor = require('../member/MovieExtractor');
 const GenericExtractor = require('../member/GenericExtractor');
 const LingoDecompiler = require('../lingo/LingoDecompiler');
+const LingoTranspiler = require('../lingo/LingoTranspiler');
 const { MemberType, Magic, Resources } = require('../Constants');
+const Compression = require('../utils/Compression');
 const { buildScriptArtifactStem } = require('../utils/ArtifactNames');
-const { getPreferredSectionId } = require('../utils/MemberContent');
+const { getPreferredSectionId, getPreferredSectionTag, isRichTextTag } = require('../utils/MemberContent');
 
 /**
  * ExtractionWorker.js (Level 3 - Zero Contention)
  * Uses shared FD and metadata to perform autonomous Disk I/O.
  */
 
-const { fd, keyTable, nameTable, chunks, fmap, lctxMap, options: workerOptions, isAfterburned, ilsBody } = workerData;
+const { fd, fileBuffer, keyTable, nameTable, chunks, fmap, lctxMap, fontMap, options: workerOptions, isAfterburned, ilsBody, compression, compressionModules = [] } = workerData;
+
+for (const modulePath of compressionModules) Compression.registerModule(modulePath);
 
 
 const logProxy = (lvl, msg, memberId) => {
@@ -34,6 +37,7 @@ const logProxy = (lvl, msg, memberId) => {
 const ilsBodyView = ilsBody
     ? (Buffer.isBuffer(ilsBody) ? ilsBody : Buffer.from(ilsBody))
     : null;
+const fileView = fileBuffer ? Buffer.from(fileBuffer) : null;
 
 // Autonomous data accessor mirroring DirectorFile's canonical direct-id lookup.
 // Later chunks (for example ABMP entries) overwrite earlier placeholders for the
@@ -65,7 +69,9 @@ const getStoredChunkData = async (chunk) => {
         }
 
         const buf = Buffer.allocUnsafe(chunk.len);
-        const bytesRead = fs.readSync(fd, buf, 0, chunk.len, physicalOffset);
+        const bytesRead = fileView
+            ? (physicalOffset < fileView.length ? fileView.copy(buf, 0, physicalOffset, physicalOffset + chunk.len) : 0)
+            : fs.readSync(fd, buf, 0, chunk.len, physicalOffset);
         if (bytesRead < chunk.len) {
             logProxy('WARN', `Truncated read for chunk ${chunk.id}: expected ${chunk.len}, got ${bytesRead}`);
             buf.fill(0, bytesRead);
@@ -83,30 +89,10 @@ const getChunkData = async (chunk, raw = null) => {
         let buf = raw || await getStoredChunkData(chunk);
         if (!buf) return null;
 
-        // Decompression: try standard inflate -> raw inflate -> scan for 0x78 (prefix-friendly)
-        const isZlib = buf.length >= 2 && buf[0] === 0x78 && (buf[1] === 0x01 || buf[1] === 0x9c || buf[1] === 0xda);
-        if (chunk.compType === 1 || (chunk.uncompLen > 0 && chunk.uncompLen !== chunk.len) || isZlib) {
-            try {
-                buf = zlib.inflateSync(buf);
-            } catch (e) {
-                try {
-                    buf = zlib.inflateRawSync(buf);
-                } catch (e2) {
-                    // Fallback: Scan for Zlib header (0x78) with small prefix (Afterburner quirk)
-                    let inflated = false;
-                    for (let i = 1; i < Math.min(buf.length, 8); i++) {
-                        if (buf[i] === 0x78 && (buf[i + 1] === 0x01 || buf[i + 1] === 0x9c || buf[i + 1] === 0xda)) {
-                            try {
-                                buf = zlib.inflateSync(buf.slice(i));
-                                inflated = true;
-                                break;
-                            } catch (inner) { }
-                        }
-                    }
-                }
-            }
-        }
-        return buf;
+        // Decoder chosen from the file's Fcdr table, mirroring DirectorFile.getChunkData
+        const { data, compression: used, error } = Compression.decode(buf, chunk, compression);
+        if (error) parentPort.postMessage({ type: 'COMPRESSION_ERROR', chunk: { id: chunk.id, type: chunk.type }, compression: used, error });
+        return data;
     } catch (e) {
         logProxy('ERROR', `Failed to read/decompress chunk ${chunk.id}: ${e.message}`);
         return null;
@@ -178,6 +164,7 @@ const vectorShapeExtractor = new VectorShapeExtractor(logProxy);
 const movieExtractor = new MovieExtractor(logProxy);
 const genericExtractor = new GenericExtractor(logProxy);
 const lingoDecompiler = new LingoDecompiler(logProxy, mockExtractor);
+const lingoTranspiler = new LingoTranspiler(logProxy);
 
 
 
@@ -284,10 +271,12 @@ parentPort.on('message', async (task) => {
             result = await bitmapExtractor.extract(data, outPathPrefix + Resources.FileExtensions.PNG, member, palette, alphaData);
         } else if (typeId === MemberType.Sound) {
             result = await soundExtractor.save(data, outPathPrefix + Resources.FileExtensions.WAV, member);
+        } else if (isRichTextTag(getPreferredSectionTag(map, typeId))) {
+            result = await textExtractor.saveRichText(data, outPathPrefix + '.rtf', member);
         } else if (typeId === MemberType.Text || typeId === MemberType.Field) {
             const hasExt = (member.name || '').match(Resources.Regex.TextExtMatch);
             const ext = hasExt ? '' : '.rtf';
-            result = await textExtractor.save(data, outPathPrefix + ext, member, { useRaw: !!hasExt, chunkId: sectionId });
+            result = await textExtractor.save(data, outPathPrefix + ext, member, { useRaw: !!hasExt, chunkId: sectionId, fontMap: fontMap || {}, textFormat: workerOptions.textFormat });
         } else if (typeId === MemberType.Shape) {
             result = await shapeExtractor.save(outPathPrefix + Resources.FileExtensions.SVG, member, palette);
         } else if (typeId === MemberType.Font) {
@@ -315,7 +304,16 @@ parentPort.on('message', async (task) => {
 
 
             const resolvedNameTable = task.nameTable || nameTable;
-            const decompiled = lingoDecompiler.decompile(scriptData, resolvedNameTable, member.scriptType || 0, memberId, workerOptions);
+            // Only MetadataManager.getNameBinding() knows whether the table is the script's own
+            const nameBinding = task.nameBinding || (resolvedNameTable?.length ? 'heuristic' : 'none');
+            if (nameBinding === 'heuristic') {
+                logProxy('WARNING', `No LctX name table for script ${memberId}; calibrating against the nearest Lnam`);
+            }
+            const decompiled = lingoDecompiler.decompile(scriptData, resolvedNameTable, member.scriptType || 0, memberId, {
+                ...workerOptions,
+                calibrate: nameBinding === 'heuristic',
+                ast: !!workerOptions.js
+            });
             const source = (typeof decompiled === 'object') ? decompiled.source : decompiled;
             if (source !== null && source !== undefined) {
                 let finalName = member.name || `member_${memberId}`;
@@ -359,11 +357,17 @@ parentPort.on('message', async (task) => {
                     fs.writeFileSync(lasmPath, decompiled.lasm);
                 }
 
+                if (workerOptions.js && typeof decompiled === 'object' && decompiled.ast) {
+                    const jsPath = require('path').join(outDir, `${safeName}.js`);
+                    fs.writeFileSync(jsPath, lingoTranspiler.transpile(decompiled.ast, { name: finalName }));
+                }
+
                 result = {
                     format: Resources.Formats.LS,
                     file: path.basename(outPath),
                     path: outPath,
-                    renamed: wasRenamed ? finalName : undefined
+                    renamed: wasRenamed ? finalName : undefined,
+                    nameBinding
                 };
             }
         } else if (typeId === MemberType.FilmLoop) {
@@ -394,6 +398,7 @@ parentPort.on('message', async (task) => {
             artifactFile: result?.file || result?.path,
             width: result?.width,
             height: result?.height,
+            nameBinding: result?.nameBinding,
             renamed: result?.renamed,
             reason: outcomeReason
         });
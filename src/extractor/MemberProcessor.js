@@ -3,7 +3,7 @@ const fs = require('fs');
 const { MemberType, Magic } = require('../Constants');
 const { Palette } = require('../utils/Palette');
 const { Color } = require('../utils/Color');
-const { getPreferredSectionId } = require('../utils/MemberContent');
+const { getPreferredSectionId, getPreferredSectionTag, isRichTextTag } = require('../utils/MemberContent');
 const { assignArtifactToMember } = require('../utils/ArtifactFields');
 
 /**
@@ -91,12 +91,14 @@ class MemberProcessor {
                 result = await this.extractor.scriptHandler.handleScripts(member, map);
             } else if (typeId === MemberType.Sound) {
                 result = await this.extractor.soundExtractor.save(member.data, outPathPrefix + ".wav", member);
+            } else if (isRichTextTag(getPreferredSectionTag(map, typeId))) {
+                result = await this.extractor.textExtractor.saveRichText(member.data, outPathPrefix + ".rtf", member);
             } else if (typeId === MemberType.Text || typeId === MemberType.Field) {
                 const name = member.name || '';
                 const hasExt = name.match(/\.(props|txt|json|xml|html|css|js|ls|lsc)$/i);
                 const useRaw = !!hasExt;
                 const ext = hasExt ? '' : '.rtf';
-                result = await this.extractor.textExtractor.save(member.data, outPathPrefix + ext, member, { useRaw });
+                result = await this.extractor.textExtractor.save(member.data, outPathPrefix + ext, member, { useRaw, fontMap: this.extractor.metadataManager.fontMap, textFormat: this.extractor.options.textFormat });
             } else if (typeId === MemberType.Shape) {
                 result = await this.extractor.shapeExtractor.save(outPathPrefix + ".svg", member, finalPalette);
             } else if (typeId === MemberType.Font) {
@@ -125,6 +127,7 @@ class MemberProcessor {
                 if (result.width) member.width = result.width;
                 if (result.height) member.height = result.height;
                 if (result.length) member.scriptLength = result.length;
+                if (result.nameBinding) member.nameBinding = result.nameBinding;
             }
 
         } catch (e) {
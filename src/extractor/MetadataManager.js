@@ -6,7 +6,9 @@ const DirectorFile = require('../DirectorFile');
 const CastMember = require('../CastMember');
 const DataStream = require('../utils/DataStream');
 const KeyTableParser = require('../utils/KeyTableParser');
+const FontMapParser = require('../utils/FontMapParser');
 const { Palette } = require('../utils/Palette');
+const { CAST_METADATA_TAGS, getContentTagsForType } = require('../utils/MemberContent');
 const { Magic, AfterburnerTags, Offsets, Limits } = require('../Constants');
 
 class MetadataManager {
@@ -21,6 +23,7 @@ class MetadataManager {
         this.scriptSlotMap = {};
         this.scriptSectionMap = {};
         this.castList = []; // Implicit Slot Order from Key Table
+        this.fontMap = {}; // fontId -> font name (VWFM / Fmap)
     }
 
     /**
@@ -394,6 +397,73 @@ class MetadataManager {
         );
     }
 
+    /**
+     * Recovery mode: rebuilds KEY* when the file has none or when its section ids no longer
+     * apply (carved files). Every CASt record becomes a member keyed by its own section id.
+     * Its content section is the neighbouring chunk if the file consistently puts content
+     * directly after (or before) the CASt, and otherwise the first unclaimed chunk with a
+     * matching tag, in file order.
+     * @returns {{members: number, paired: number, layout: string}}
+     */
+    async rebuildKeyTable() {
+        const dirFile = this.extractor.dirFile;
+        const ordered = dirFile.chunks
+            .filter(c => c.len > 0)
+            .sort((a, b) => (!!a.isIlsResident === !!b.isIlsResident ? a.off - b.off : (a.isIlsResident ? -1 : 1)));
+        const tags = ordered.map(c => DirectorFile.unprotect(c.type));
+
+        const records = [];
+        for (let i = 0; i < ordered.length; i++) {
+            const chunk = ordered[i];
+            if (tags[i] !== Magic.CAST || this.extractor.castManager.isCastListChunk(chunk)) continue;
+            const data = await dirFile.getChunkData(chunk);
+            if (!data) continue;
+            const { typeId } = CastMember.fromChunk(chunk.id, data, dirFile.ds.endianness);
+            const contentTags = getContentTagsForType(typeId).filter(tag => !CAST_METADATA_TAGS.includes(tag));
+            records.push({ chunk, index: i, contentTags, content: null });
+        }
+
+        const claimed = new Set();
+        const matches = (record, i) => i >= 0 && i < ordered.length && !claimed.has(ordered[i]) && record.contentTags.includes(tags[i]);
+        const claim = (record, i) => {
+            record.content = ordered[i];
+            claimed.add(ordered[i]);
+        };
+
+        const after = records.filter(r => matches(r, r.index + 1)).length;
+        const before = records.filter(r => matches(r, r.index - 1)).length;
+        const step = after === 0 && before === 0 ? 0 : (after >= before ? 1 : -1);
+        if (step !== 0) {
+            for (const record of records) {
+                if (matches(record, record.index + step)) claim(record, record.index + step);
+            }
+        }
+        for (const record of records) {
+            if (record.content || record.contentTags.length === 0) continue;
+            const i = ordered.findIndex((c, idx) => matches(record, idx));
+            if (i !== -1) claim(record, i);
+        }
+
+        this.keyTable = {};
+        this.resToMember = {};
+        for (const { chunk, content } of records) {
+            this.keyTable[chunk.id] = { [Magic.CAST]: chunk.id };
+            this.resToMember[chunk.id] = chunk.id;
+            if (content) {
+                this.keyTable[chunk.id][DirectorFile.unprotect(content.type)] = content.id;
+                this.resToMember[content.id] = chunk.id;
+            }
+        }
+
+        const result = {
+            members: records.length,
+            paired: claimed.size,
+            layout: step === 1 ? 'after' : (step === -1 ? 'before' : 'order')
+        };
+        this.extractor.log('WARNING', `[MetadataManager] Rebuilt KEY* from ${result.members} CASt records: ${result.paired} paired with content (${result.layout}).`);
+        return result;
+    }
+
     async parseMCsL() {
         // Priority 1: Generic MCsL/abmc tag
         let mcslChunks = this.extractor.dirFile.getChunksByType(Magic.MCsL).concat(this.extractor.dirFile.getChunksByType(Magic.abmc));
@@ -469,23 +539,57 @@ class MetadataManager {
     }
 
     /**
-     * Resolves the nearest preceding name table for a script at a given chunk index.
-     * @param {number} scriptChunkIndex - The index of the script chunk in dirFile.chunks
-     * @returns {string[]} - The symbol array from the closest preceding LNAM chunk.
+     * Loads the movie font map so STXT style runs can resolve font ids to names.
+     * Afterburned files reuse the Fmap tag for their logical map, so only VWFM
+     * is trusted there.
      */
+    async parseFontMap() {
+        const dirFile = this.extractor.dirFile;
+        const tags = dirFile.isAfterburned ? [Magic.VWFM] : [Magic.VWFM, Magic.FMAP];
+        const parser = new FontMapParser((lvl, msg) => this.extractor.log(lvl, msg));
+
+        this.fontMap = {};
+        for (const tag of tags) {
+            for (const chunk of dirFile.getChunksByType(tag)) {
+                const data = await dirFile.getChunkData(chunk);
+                if (data) Object.assign(this.fontMap, parser.parse(data, tag));
+            }
+        }
+    }
+
     /**
-     * Resolves the correct name table for a script based on LctX mapping.
+     * Binds a script to its name table. The script's LctX context names its Lnam
+     * (header offset 32), and bytecode name ids index that table directly. Without
+     * such a link, the nearest preceding Lnam in chunk order stands in.
+     * @param {number} scriptLogicalId - Section id of the Lscr chunk
+     * @returns {{names: string[], binding: string}} binding is 'lctx' for the context's
+     *          own table, 'heuristic' for the stand-in and 'none' without any Lnam
      */
-    getNameTableForScript(scriptLogicalId) {
+    getNameBinding(scriptLogicalId) {
         const lnamId = this.scriptToLnam[scriptLogicalId];
         if (lnamId !== undefined) {
-            const table = this.nameTables.find(nt => nt.id === lnamId);
+            const table = (this.nameTables || []).find(nt => nt.id === lnamId);
             if (table) {
-                return table.names;
+                return { names: table.names, binding: 'lctx' };
             }
         }
 
-        // Fallback: nearest preceding LNAM (Original heuristic)
+        const names = this._getNearestNameTable(scriptLogicalId);
+        return { names, binding: names.length > 0 ? 'heuristic' : 'none' };
+    }
+
+    /**
+     * @returns {string[]} The names getNameBinding() binds the script to
+     */
+    getNameTableForScript(scriptLogicalId) {
+        return this.getNameBinding(scriptLogicalId).names;
+    }
+
+    /**
+     * Resolves the nearest preceding name table for a script chunk.
+     * @returns {string[]} - The symbol array from the closest preceding LNAM chunk.
+     */
+    _getNearestNameTable(scriptLogicalId) {
         if (!this.nameTables || this.nameTables.length === 0) return [];
         
         // Find chunk index for scriptLogicalId to support preceding logic
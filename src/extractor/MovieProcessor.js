@@ -1,7 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const DataStream = require('../utils/DataStream');
-const { Magic, Offsets } = require('../Constants');
+const { PNG } = require('pngjs');
+const ScoreParser = require('../utils/ScoreParser');
+const CastListParser = require('../utils/CastListParser');
+const { Palette } = require('../utils/Palette');
+const { getPreferredSectionId } = require('../utils/MemberContent');
+const { sanitizeArtifactStem } = require('../utils/ArtifactNames');
+const { Magic, MemberType, Offsets, Score } = require('../Constants');
 
 class MovieProcessor {
     constructor(extractor) {
@@ -9,20 +15,33 @@ class MovieProcessor {
     }
 
     async extractConfig() {
+        const movie = await this.readConfig();
+        if (!movie) return;
+
+        this.extractor.metadata.movie = movie;
+        this.extractor.bitmapExtractor.fileVersion = movie.fileVersion;
+        fs.writeFileSync(path.join(this.extractor.outputDir, 'movie.json'), JSON.stringify(this.extractor.metadata.movie, null, 2));
+    }
+
+    /**
+     * Decodes the DRCF/VWCF movie settings merged with the parsed member range and palette.
+     * @returns {Promise<object|null>} null for casts or files without a config chunk
+     */
+    async readConfig() {
         const isMovie = [Magic.MV93, Magic.MVPV].includes(this.extractor.dirFile.subtype) ||
             [Magic.VWSC, Magic.SCORE, Magic.MCsL, Magic.Lscl].some(tag => this.extractor.dirFile.getChunksByType(tag).length > 0);
 
-        if (!isMovie || !this.extractor.metadataManager.movieConfig) return;
+        if (!isMovie || !this.extractor.metadataManager.movieConfig) return null;
 
         const config = this.extractor.metadataManager.movieConfig;
 
         // DRCF data for extra movie settings
         const drcfChunks = [Magic.DRCF, Magic.VWCF, Magic.fgrD].flatMap(tag => this.extractor.dirFile.getChunksByType(tag));
         const drcf = drcfChunks[0];
-        if (!drcf) return;
+        if (!drcf) return null;
 
         const data = await this.extractor.dirFile.getChunkData(drcf);
-        if (!data) return;
+        if (!data) return null;
 
         const ds = new DataStream(data, 'big');
         ds.skip(2); // Skip len
@@ -66,7 +85,7 @@ class MovieProcessor {
         const platform = platformMap[platformId] || `Unknown (${platformId})`;
         const protection = (protectionVal % 23 === 0) ? "Protected" : "None";
 
-        this.extractor.metadata.movie = {
+        return {
             fileVersion: fileVer,
             directorVersion: dirVer,
             humanVersion: ver,
@@ -80,8 +99,6 @@ class MovieProcessor {
             maxMember: config.maxMember,
             defaultPaletteId: config.defaultPaletteId
         };
-        this.extractor.bitmapExtractor.fileVersion = fileVer;
-        fs.writeFileSync(path.join(this.extractor.outputDir, 'movie.json'), JSON.stringify(this.extractor.metadata.movie, null, 2));
     }
 
     async extractTimeline() {
@@ -94,46 +111,162 @@ class MovieProcessor {
 
         const timeline = {
             frameCount: 0,
-            markers: [],
-            scoreChunk: { id: scoreChunk.id, type: scoreChunk.type, size: data.length }
+            markers: await this.extractMarkers(data, scoreChunk),
+            scoreChunk: { id: scoreChunk.id, type: scoreChunk.type, size: data.length },
+            format: null,
+            intervals: [],
+            frames: []
         };
 
-        const ds = new DataStream(data, 'big');
+        const parser = new ScoreParser((lvl, msg) => this.extractor.log(lvl, msg));
+        const score = parser.parse(data, {
+            resolveRegPoint: (castLib, memberId) => {
+                if (castLib > 1) return null;
+                const member = this.extractor.castManager.getMemberById(memberId);
+                return member ? member.regPoint : null;
+            }
+        });
+
+        if (score) {
+            timeline.frameCount = score.frameCount;
+            timeline.format = score.format;
+            timeline.intervals = score.intervals;
+            timeline.frames = score.frames;
+            this.extractor.log('INFO', `[MovieProcessor] Decoded ${score.frameCount} score frames (${score.format.layout} layout, ${score.intervals.length} sprite spans).`);
+        } else {
+            this.extractor.log('WARN', `Score chunk ${scoreChunk.id} could not be decoded; writing markers only.`);
+        }
+
+        fs.writeFileSync(path.join(this.extractor.outputDir, 'timeline.json'), JSON.stringify(timeline, null, 2));
+    }
+
+    /**
+     * Reads frame labels from VWLB, falling back to the inline label table
+     * used by older Score chunks.
+     */
+    async extractMarkers(scoreData, scoreChunk) {
+        const markers = [];
+        const labelChunk = this.extractor.dirFile.getChunksByType(Magic.VWLB)[0];
+        const labelData = labelChunk ? await this.extractor.dirFile.getChunkData(labelChunk) : null;
+
         try {
-            if (scoreChunk.type === Magic.VWSC) {
-                ds.seek(4);
-                timeline.frameCount = ds.readUint32();
-                const labelsOffset = ds.readUint32();
-                if (labelsOffset > 0 && labelsOffset < data.length) {
-                    ds.seek(labelsOffset);
-                    const labelCount = ds.readUint16();
-                    for (let i = 0; i < labelCount; i++) {
-                        if (ds.position + 3 > data.length) break;
-                        const frame = ds.readUint16();
-                        const nameLen = ds.readUint8();
-                        const name = ds.readString(nameLen);
-                        timeline.markers.push({ frame, name });
-                    }
+            if (labelData && labelData.length >= 2) {
+                const ds = new DataStream(labelData, 'big');
+                const labelCount = ds.readUint16();
+                const entries = [];
+                for (let i = 0; i <= labelCount && ds.position + 4 <= labelData.length; i++) {
+                    entries.push({ frame: ds.readUint16(), offset: ds.readUint16() });
                 }
-            } else if (scoreChunk.type === Magic.SCORE) {
-                ds.seek(12);
-                const labelsOffset = ds.readUint32();
-                if (labelsOffset > 0 && labelsOffset < data.length) {
-                    ds.seek(labelsOffset);
-                    const labelCount = ds.readUint16();
-                    for (let i = 0; i < labelCount; i++) {
-                        if (ds.position + 3 > data.length) break;
-                        const frame = ds.readUint16();
-                        const nameLen = ds.readUint8();
-                        const name = ds.readString(nameLen);
-                        timeline.markers.push({ frame, name });
-                    }
+                const stringsBase = 2 + ((labelCount + 1) * 4);
+                for (let i = 0; i < labelCount && i + 1 < entries.length; i++) {
+                    const start = stringsBase + entries[i].offset;
+                    const end = Math.min(stringsBase + entries[i + 1].offset, labelData.length);
+                    if (start > end) continue;
+                    markers.push({ frame: entries[i].frame, name: labelData.slice(start, end).toString('latin1') });
+                }
+                return markers;
+            }
+
+            const ds = new DataStream(scoreData, 'big');
+            ds.seek(4);
+            if (ds.readInt32() === Score.EntryTableMarker) return markers;
+            ds.seek(scoreChunk.type === Magic.VWSC ? 8 : 12);
+            const labelsOffset = ds.readUint32();
+            if (labelsOffset > 0 && labelsOffset < scoreData.length) {
+                ds.seek(labelsOffset);
+                const labelCount = ds.readUint16();
+                for (let i = 0; i < labelCount; i++) {
+                    if (ds.position + 3 > scoreData.length) break;
+                    const frame = ds.readUint16();
+                    const nameLen = ds.readUint8();
+                    const name = ds.readString(nameLen);
+                    markers.push({ frame, name });
                 }
             }
         } catch (e) {
-            this.extractor.log('WARN', `Failed to parse timeline details: ${e.message}`);
+            this.extractor.log('WARN', `Failed to parse timeline markers: ${e.message}`);
+        }
+        return markers;
+    }
+
+    /**
+     * Composites FilmLoop members into APNG or sprite sheet output.
+     * Runs after the worker pool so channel members can be resolved against
+     * the fully enriched cast.
+     */
+    async exportFilmLoops() {
+        const format = this.extractor.options.filmloop;
+        if (!format) return;
+
+        const loops = this.extractor.members.filter(m => m.typeId === MemberType.FilmLoop);
+        if (loops.length === 0) return;
+
+        const bitmapCache = new Map();
+        const resolveBitmap = async (castLib, memberId) => {
+            if (castLib > 1) return null;
+            if (bitmapCache.has(memberId)) return bitmapCache.get(memberId);
+            const bitmap = await this.decodeBitmap(memberId);
+            bitmapCache.set(memberId, bitmap);
+            return bitmap;
+        };
+        const resolveRegPoint = (castLib, memberId) => {
+            if (castLib > 1) return null;
+            const member = this.extractor.castManager.getMemberById(memberId);
+            return member ? member.regPoint : null;
+        };
+
+        for (const member of loops) {
+            const map = this.extractor.metadataManager.keyTable[member.id];
+            const sectionId = getPreferredSectionId(map, MemberType.FilmLoop);
+            const chunk = sectionId ? this.extractor.dirFile.getChunkById(sectionId) : null;
+            const data = chunk ? await this.extractor.dirFile.getChunkData(chunk) : null;
+            if (!data) continue;
+
+            const outputPrefix = path.join(this.extractor.outputDir, sanitizeArtifactStem(member.name, `member_${member.id}`));
+            const result = await this.extractor.movieExtractor.exportAnimation(data, outputPrefix, member, resolveBitmap, {
+                format,
+                fps: this.extractor.metadata.movie?.frameRate || null,
+                resolveRegPoint
+            });
+
+            if (result && result.file) {
+                member.image = result.file;
+                if (result.atlasFile) member.atlasFile = result.atlasFile;
+                this.extractor.log('INFO', `[MovieProcessor] FilmLoop ${member.id} rendered ${result.frameCount} frames -> ${result.file}`);
+            } else {
+                this.extractor.log('WARN', `FilmLoop ${member.id} could not be rendered (${result?.reason || 'write_failed'}).`);
+            }
+        }
+    }
+
+    /**
+     * Decodes a bitmap member to RGBA for compositing.
+     */
+    async decodeBitmap(memberId) {
+        const member = this.extractor.castManager.getMemberById(memberId);
+        if (!member || member.typeId !== MemberType.Bitmap) return null;
+
+        const map = this.extractor.metadataManager.keyTable[memberId];
+        const sectionId = getPreferredSectionId(map, MemberType.Bitmap);
+        const chunk = sectionId ? this.extractor.dirFile.getChunkById(sectionId) : null;
+        const data = chunk ? await this.extractor.dirFile.getChunkData(chunk) : null;
+        if (!data) return null;
+
+        let alphaData = null;
+        if (map[Magic.ALFA]) {
+            alphaData = await this.extractor.dirFile.getChunkData(this.extractor.dirFile.getChunkById(map[Magic.ALFA]));
+        }
+
+        try {
+            const palette = await Palette.resolveMemberPalette(member, this.extractor);
+            const png = await this.extractor.bitmapExtractor.extract(data, null, member, palette, alphaData);
+            if (!Buffer.isBuffer(png) || png.readUInt32BE(0) !== 0x89504E47) return null;
+            const decoded = PNG.sync.read(png);
+            return { width: decoded.width, height: decoded.height, data: decoded.data };
+        } catch (e) {
+            this.extractor.log('WARN', `Failed to decode bitmap ${memberId} for FilmLoop compositing: ${e.message}`);
+            return null;
         }
-        fs.writeFileSync(path.join(this.extractor.outputDir, 'timeline.json'), JSON.stringify(timeline, null, 2));
     }
 
     async extractCastList() {
@@ -144,59 +277,7 @@ class MovieProcessor {
         const data = await this.extractor.dirFile.getChunkData(chunk);
         if (!data) return;
 
-        const ds = new DataStream(data, 'big');
-        const dataOffset = ds.readUint32();
-        if (dataOffset >= data.length) {
-            this.extractor.log('WARN', `Invalid cast list data offset: ${dataOffset}. Skipping cast extraction.`);
-            return;
-        }
-        ds.skip(2);
-        const castCount = ds.readUint16();
-        const itemsPerCast = ds.readUint16();
-
-        if (castCount === 0 || itemsPerCast === 0) return;
-
-        ds.seek(dataOffset);
-        const offsetTableLen = ds.readUint16();
-        const offsets = [];
-        for (let i = 0; i < offsetTableLen; i++) offsets.push(ds.readUint32());
-
-        const itemsLen = ds.readUint32();
-        const itemsBase = ds.position;
-
-        const readItem = (idx) => {
-            if (idx >= offsets.length) return null;
-            const start = offsets[idx], end = (idx + 1 < offsets.length) ? offsets[idx + 1] : itemsLen;
-            if (start >= end) return null;
-            const itemData = data.slice(itemsBase + start, itemsBase + end);
-            if (itemData.length === 0) return "";
-            const len = itemData[0];
-            if (len > 0 && len < itemData.length) return itemData.slice(1, 1 + len).toString('utf8');
-            return itemData.toString('utf8').replace(/\0/g, '').trim();
-        };
-
-        const castList = [];
-        const actualCastCount = Math.floor(offsetTableLen / itemsPerCast);
-        const preloadMap = { 0: "Never", 1: "When Needed", 2: "Before Frame 1", 3: "After Frame 1" };
-
-        for (let i = 0; i < actualCastCount; i++) {
-            let name = readItem(i * itemsPerCast + 1) || "Unnamed Cast";
-            let pathStr = readItem(i * itemsPerCast + 2) || "";
-            let preloadMode = "When Needed";
-            const preloadIdx = i * itemsPerCast + 3;
-            if (preloadIdx < offsetTableLen) {
-                const pData = data.slice(itemsBase + offsets[preloadIdx], itemsBase + (offsets[preloadIdx + 1] || itemsLen));
-                if (pData.length >= 2) preloadMode = preloadMap[pData.readUInt16BE(0)] || `Unknown (${pData.readUInt16BE(0)})`;
-            }
-            if (name.includes('\\') || name.includes('/') || name.toLowerCase().endsWith('.cst') || name.toLowerCase().endsWith('.cct')) {
-                if (!pathStr) pathStr = name;
-                name = path.basename(name.replace(/\\/g, '/')).replace(/\.(cst|cct|dcr|dir)$/i, '');
-            }
-            if (pathStr && (pathStr.includes('\\') || pathStr.includes('/')) && !pathStr.toLowerCase().match(/\.(cst|cct|dcr|dir)$/)) pathStr += '.cst';
-            if (name.toLowerCase() === 'internal') continue;
-            castList.push({ index: i + 1, name, path: pathStr, preloadMode });
-        }
-
+        const castList = new CastListParser((lvl, msg) => this.extractor.log(lvl, msg)).parse(data);
         if (castList.length > 0) this.extractor.castLibs = castList;
     }
 }
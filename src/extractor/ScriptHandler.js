@@ -40,6 +40,7 @@ class ScriptHandler {
                     member.format = result.format;
                 }
                 member.scriptLength = result.length;
+                if (result.nameBinding) member.nameBinding = result.nameBinding;
                 return result;
             }
         } else if (member.typeId === MemberType.Script) {
@@ -111,9 +112,16 @@ class ScriptHandler {
 
         this.extractor.log('INFO', `Member ID ${member.id}: Decompiling Bytecode from ${source}...`);
 
-        const names = this.extractor.metadataManager.getNameTableForScript(lscrId);
+        const { names, binding } = this.extractor.metadataManager.getNameBinding(lscrId);
+        if (binding === 'heuristic') {
+            this.extractor.log('WARNING', `Member ID ${member.id}: No LctX name table; calibrating against the nearest Lnam.`);
+        }
 
-        const decompiled = this.extractor.lingoDecompiler.decompile(lscrData, names, member.scriptType, member.id, { lasm: this.extractor.options.lasm });
+        const decompiled = this.extractor.lingoDecompiler.decompile(lscrData, names, member.scriptType, member.id, {
+            lasm: this.extractor.options.lasm,
+            calibrate: binding === 'heuristic',
+            ast: !!this.extractor.options.js
+        });
         const decompiledText = (typeof decompiled === 'object') ? decompiled.text || decompiled.source : decompiled;
 
         // Optional: save raw bytecode (.lsc)
@@ -133,13 +141,19 @@ class ScriptHandler {
                 fs.writeFileSync(lasmPath, decompiled.lasm);
             }
 
+            if (this.extractor.options.js && typeof decompiled === 'object' && decompiled.ast) {
+                const jsPath = path.join(this.extractor.outputDir, `${fileStem}.js`);
+                fs.writeFileSync(jsPath, this.extractor.lingoTranspiler.transpile(decompiled.ast, { name: member.name }));
+            }
+
             if (decompiledText.includes(LingoConfig.Labels.ProtectedScript)) {
                 this.extractor.stats.protectedScripts = (this.extractor.stats.protectedScripts || 0) + 1;
             }
 
             return {
                 format: Resources.Formats.LS,
-                length: decompiledText.length
+                length: decompiledText.length,
+                nameBinding: binding
             };
         } else {
             this.extractor.log('WARNING', `Member ID ${member.id}: Decompilation failed.`);
@@ -9,9 +9,9 @@
  * 
  * 1. Root Handler: Initializes with the main Handler node of a script.
  * 2. Block Stack: Uses a stack to manage nested blocks (IF/ELSE, REPEAT).
- *    Processing jumps (like `jmpifz`) pushes a new block onto the stack.
- * 3. Scope Management: When the current bytecode position reaches the 
- *    `endPos` of the top-most block on the stack, that block is "exited" 
+ *    The decompiler enters a block before it structures the code of an
+ *    if, case or repeat part (see ControlFlowGraph.js).
+ * 3. Scope Management: Once that part is done, the block is "exited"
  *    (popped), returning the insertion point to the parent block.
  * 
  * Facilitates the tree-building phase of the decompiler by 
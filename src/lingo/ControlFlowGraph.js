@@ -0,0 +1,265 @@
+/**
+ * @version 1.4.2
+ * ControlFlowGraph.js
+ *
+ * Splits one handler's bytecode into basic blocks and links them by their jumps.
+ * On that graph it computes dominators, post-dominators and the natural loops
+ * (an `endrepeat` back to a block that dominates it). LingoDecompiler reads the
+ * loops and the merge points of conditional jumps from here when it structures
+ * if/else, case and repeat statements.
+ */
+
+const JUMP = new Set(['jmp', 'endrepeat', 'jmpifz', 'jmp_if_z']);
+const CONDITIONAL = new Set(['jmpifz', 'jmp_if_z']);
+const RETURN = new Set(['ret', 'ret_factory']);
+
+class BasicBlock {
+    /**
+     * @param {number} id - Index in ControlFlowGraph.blocks
+     * @param {number} start - Index of the first instruction
+     * @param {number} end - Index one past the last instruction
+     */
+    constructor(id, start, end) {
+        this.id = id;
+        this.start = start;
+        this.end = end;
+        this.succs = [];
+        this.preds = [];
+    }
+
+    get last() {
+        return this.end - 1;
+    }
+}
+
+class ControlFlowGraph {
+    /**
+     * @param {Bytecode[]} codes - One handler's instructions, in order
+     */
+    constructor(codes) {
+        this.codes = codes;
+        this.posMap = new Map();
+        codes.forEach((bc, i) => this.posMap.set(bc.pos, i));
+
+        this.blocks = [];
+        this.blockOf = new Array(codes.length);
+        this._buildBlocks();
+
+        // Returns, and jumps past the last instruction, lead to a virtual exit node
+        this.exit = this.blocks.length;
+        this._linkBlocks();
+
+        const count = this.blocks.length + 1;
+        this.idom = this._immediateDominators(0, count, b => this._succs(b), b => this._preds(b));
+        this.ipdom = this._immediateDominators(this.exit, count, b => this._preds(b), b => this._succs(b));
+        this.loops = this._findLoops();
+    }
+
+    static isJump(bc) {
+        return !!bc && JUMP.has(bc.opcode);
+    }
+
+    static isConditional(bc) {
+        return !!bc && CONDITIONAL.has(bc.opcode);
+    }
+
+    /**
+     * @returns {number} Index of the instruction a jump lands on: codes.length past
+     *          the end of the handler, -1 between two instructions
+     */
+    targetIndex(i) {
+        const bc = this.codes[i];
+        const pos = bc.opcode === 'endrepeat' ? bc.pos - bc.obj : bc.pos + bc.obj;
+        const index = this.posMap.get(pos);
+        if (index !== undefined) return index;
+
+        const last = this.codes[this.codes.length - 1];
+        return pos >= last.pos + last.len ? this.codes.length : -1;
+    }
+
+    /**
+     * @returns {boolean} Whether every path from the entry to block b passes block a
+     */
+    dominates(a, b) {
+        for (let node = b; node >= 0; node = this.idom[node]) {
+            if (node === a) return true;
+            if (this.idom[node] === node) return false;
+        }
+        return false;
+    }
+
+    /**
+     * Where the paths out of a conditional jump meet again: the first instruction of
+     * the block's immediate post-dominator.
+     * @param {number} i - Index of the jump
+     * @returns {number} An instruction index, codes.length at the exit, -1 when unknown
+     */
+    follow(i) {
+        const merge = this.ipdom[this.blockOf[i]];
+        if (merge === undefined || merge < 0) return -1;
+        return merge === this.exit ? this.codes.length : this.blocks[merge].start;
+    }
+
+    _buildBlocks() {
+        const n = this.codes.length;
+        const leaders = new Set(n > 0 ? [0] : []);
+        for (let i = 0; i < n; i++) {
+            const bc = this.codes[i];
+            if (ControlFlowGraph.isJump(bc)) {
+                const target = this.targetIndex(i);
+                if (target >= 0 && target < n) leaders.add(target);
+                if (i + 1 < n) leaders.add(i + 1);
+            } else if (RETURN.has(bc.opcode) && i + 1 < n) {
+                leaders.add(i + 1);
+            }
+        }
+
+        const starts = [...leaders].sort((a, b) => a - b);
+        starts.forEach((start, id) => {
+            const block = new BasicBlock(id, start, id + 1 < starts.length ? starts[id + 1] : n);
+            for (let i = block.start; i < block.end; i++) this.blockOf[i] = id;
+            this.blocks.push(block);
+        });
+    }
+
+    _linkBlocks() {
+        const n = this.codes.length;
+        const blockAt = index => (index >= 0 && index < n ? this.blockOf[index] : this.exit);
+        this.exitPreds = [];
+
+        for (const block of this.blocks) {
+            const bc = this.codes[block.last];
+            const succs = [];
+            if (RETURN.has(bc.opcode)) {
+                succs.push(this.exit);
+            } else if (ControlFlowGraph.isJump(bc)) {
+                if (ControlFlowGraph.isConditional(bc)) succs.push(blockAt(block.end));
+                succs.push(blockAt(this.targetIndex(block.last)));
+            } else {
+                succs.push(blockAt(block.end));
+            }
+
+            for (const succ of new Set(succs)) {
+                block.succs.push(succ);
+                if (succ === this.exit) this.exitPreds.push(block.id);
+                else this.blocks[succ].preds.push(block.id);
+            }
+        }
+    }
+
+    _succs(id) {
+        return id === this.exit ? [] : this.blocks[id].succs;
+    }
+
+    _preds(id) {
+        return id === this.exit ? this.exitPreds : this.blocks[id].preds;
+    }
+
+    /**
+     * Cooper, Harvey and Kennedy's iterative algorithm. Nodes the root cannot reach
+     * (dead code after a `ret`, loops that never leave) become roots of their own, so
+     * every node gets a dominator.
+     */
+    _immediateDominators(root, count, succsOf, predsOf) {
+        const order = [];
+        const tree = new Array(count).fill(-1);
+        const visit = start => {
+            const stack = [[start, 0]];
+            tree[start] = start;
+            while (stack.length > 0) {
+                const top = stack[stack.length - 1];
+                const succs = succsOf(top[0]);
+                if (top[1] < succs.length) {
+                    const next = succs[top[1]++];
+                    if (tree[next] === -1) {
+                        tree[next] = start;
+                        stack.push([next, 0]);
+                    }
+                } else {
+                    order.push(stack.pop()[0]);
+                }
+            }
+        };
+
+        const roots = [root];
+        visit(root);
+        for (let id = 0; id < count; id++) {
+            if (tree[id] === -1) {
+                roots.push(id);
+                visit(id);
+            }
+        }
+
+        const rank = new Array(count);
+        order.forEach((id, i) => { rank[id] = i; });
+        const idom = new Array(count).fill(-1);
+        for (const r of roots) idom[r] = r;
+
+        const intersect = (a, b) => {
+            while (a !== b) {
+                while (rank[a] < rank[b]) a = idom[a];
+                while (rank[b] < rank[a]) b = idom[b];
+            }
+            return a;
+        };
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let i = order.length - 1; i >= 0; i--) {
+                const id = order[i];
+                if (idom[id] === id) continue;
+                let next = -1;
+                for (const pred of predsOf(id)) {
+                    // Dead code jumping into a tree does not change dominance inside it
+                    if (idom[pred] === -1 || tree[pred] !== tree[id]) continue;
+                    next = next === -1 ? pred : intersect(pred, next);
+                }
+                if (next !== -1 && idom[id] !== next) {
+                    idom[id] = next;
+                    changed = true;
+                }
+            }
+        }
+        return idom;
+    }
+
+    /**
+     * One loop per header: the blocks that reach a back edge without passing the
+     * header. Its test is the conditional jump in the header that leaves the loop
+     * right after the `endrepeat`. Entries hold instruction indices (header, test,
+     * latch for the `endrepeat`, exit after it) and the set of block ids.
+     */
+    _findLoops() {
+        const byHeader = new Map();
+        for (const block of this.blocks) {
+            for (const succ of block.succs) {
+                if (succ === this.exit || !this.dominates(succ, block.id)) continue;
+                if (!byHeader.has(succ)) byHeader.set(succ, { header: succ, latches: [] });
+                byHeader.get(succ).latches.push(block.id);
+            }
+        }
+
+        const loops = [];
+        for (const { header, latches } of byHeader.values()) {
+            const blocks = new Set([header]);
+            const work = [...latches];
+            while (work.length > 0) {
+                const id = work.pop();
+                if (blocks.has(id)) continue;
+                blocks.add(id);
+                work.push(...this.blocks[id].preds);
+            }
+
+            const latch = this.blocks[Math.max(...latches)].last;
+            const test = this.blocks[header].last;
+            if (this.codes[latch].opcode !== 'endrepeat' || !ControlFlowGraph.isConditional(this.codes[test])) continue;
+            if (this.targetIndex(test) !== latch + 1) continue;
+
+            loops.push({ header: this.blocks[header].start, latch, exit: latch + 1, test, blocks });
+        }
+        return loops.sort((a, b) => a.header - b.header);
+    }
+}
+
+module.exports = ControlFlowGraph;
@@ -44,7 +44,7 @@ class Block extends Node {
         super();
         this.parent = parent;
         this.statements = [];
-        this.endPos = 0; // The bytecode position where this block must close
+        this.endPos = 0; // The bytecode position where this block's code ends
     }
 
     /**
@@ -214,7 +214,13 @@ class Literal extends Node {
 }
 
 class IntLiteral extends Literal { }
-class FloatLiteral extends Literal { }
+class FloatLiteral extends Literal {
+    // Keeps the decimal point, so a whole float does not read back as an integer
+    buildString(arr) {
+        const text = String(this.value);
+        arr.push(Number.isFinite(this.value) && !/[.e]/.test(text) ? `${text}.0` : text);
+    }
+}
 class StringLiteral extends Literal {
     buildString(arr) {
         if (!this.value) { arr.push('""'); return; }
@@ -448,11 +454,22 @@ class LogicalOperator extends Node {
 /**
  * Unary operators: not cond, -value
  */
+/**
+ * `not` and unary `-` bind tighter than any binary operator, so a binary operand
+ * keeps its parentheses: not (a contains b)
+ */
+function buildUnaryOperand(expr, arr) {
+    const needsParens = expr instanceof BinaryOperator || expr instanceof LogicalOperator;
+    if (needsParens) arr.push("(");
+    expr.buildString(arr);
+    if (needsParens) arr.push(")");
+}
+
 class NotOperator extends Node {
     constructor(expr) { super(); this.expr = expr; }
     buildString(arr) {
         arr.push("not ");
-        if (this.expr) this.expr.buildString(arr);
+        if (this.expr) buildUnaryOperand(this.expr, arr);
     }
 }
 
@@ -460,7 +477,7 @@ class InverseOperator extends Node {
     constructor(expr) { super(); this.expr = expr; }
     buildString(arr) {
         arr.push("-");
-        if (this.expr) this.expr.buildString(arr);
+        if (this.expr) buildUnaryOperand(this.expr, arr);
     }
 }
 
@@ -632,6 +649,12 @@ class ExitRepeatStatement extends Node {
     }
 }
 
+class NextRepeatStatement extends Node {
+    buildString(arr, indent = "") {
+        arr.push(indent); arr.push("next repeat");
+    }
+}
+
 /**
  * Try/Catch statement: try ... catch ... end try
  */
@@ -651,6 +674,25 @@ class TryStatement extends Node {
     }
 }
 
+/**
+ * Tell statement: tell window ... end tell
+ */
+class TellStatement extends Node {
+    constructor(target) {
+        super();
+        this.target = target;
+        this.block = new Block(this);
+        this.isStatement = true;
+    }
+    buildString(arr, indent = "") {
+        arr.push(indent); arr.push("tell ");
+        if (this.target) this.target.buildString(arr);
+        arr.push("\n");
+        this.block.buildString(arr, indent + "  ");
+        arr.push(indent); arr.push("end tell");
+    }
+}
+
 /**
  * Reference to a member or field: field(id, castLib) or member(id, castLib)
  */
@@ -723,5 +765,5 @@ module.exports = {
     RangeExpression,
     NotOperator, InverseOperator, IfStatement, CaseStatement, CaseBranch,
     RepeatWithStatement, RepeatWithInStatement, RepeatWhileStatement,
-    ReturnStatement, ExitStatement, ExitRepeatStatement, TryStatement, MemberExpression, ChunkExpression, ERROR
+    ReturnStatement, ExitStatement, ExitRepeatStatement, NextRepeatStatement, TryStatement, TellStatement, MemberExpression, ChunkExpression, ERROR
 };
@@ -0,0 +1,469 @@
+/**
+ * @version 1.4.2
+ * LingoAssembler.js
+ *
+ * Assembles `.lasm` listings (as emitted by LingoDecompiler with { lasm: true })
+ * back into an Lscr chunk and a matching Lnam name table.
+ *
+ * Listing syntax:
+ *   .scripttype <n>            Script type word (header offset 18)
+ *   .nameshift <n>             Name id shift the listing was decompiled with
+ *   .property <name>           Property declaration
+ *   .global <name>             Global the script uses (listed in the globals section)
+ *   .literal <i> <type> <json> Literal (int, float, string, symbol, list)
+ *   .handler <name>            Starts a handler
+ *   .args a, b / .locals x, y  Handler argument and local names
+ *   label:                     Jump target
+ *   [  pos]  opcode  0xNN (N)  Instruction (position and hex are optional)
+ *
+ * Operands may be numbers, `#name` (Lnam symbol) or `@label` (jump target).
+ */
+
+const { LingoConfig, LingoOpcode } = require('../Constants');
+
+const L = LingoConfig.LSCR;
+const T = LingoConfig.LITERAL_TYPE;
+const SHIFT = LingoConfig.OP_SHIFT_THRESHOLD;
+
+// Operand decoding rules mirrored from LingoDecompiler._getBytecodes
+const SIGNED_BYTE_OPS = new Set([0x01]);
+const SIGNED_SHORT_OPS = new Set([0x01, 0x13, 0x14, 0x15, 0x16, 0x2e, 0x2f]);
+const SIGNED_LONG_OPS = new Set([0x2f]);
+const FLOAT_OP = 0x31;
+
+class LingoAssembler {
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+        this.oneByte = {};
+        this.multiByte = {};
+        for (const [val, name] of Object.entries(LingoOpcode.ONE_BYTE_CODES)) this.oneByte[name] = Number(val);
+        for (const [idx, name] of Object.entries(LingoOpcode.MULTI_BYTE_CODES)) this.multiByte[name] = Number(idx);
+    }
+
+    /**
+     * @param {string} source - .lasm listing
+     * @param {object} options - { nameTable: string[], template: Buffer (original Lscr) }
+     * @returns {{lscr: Buffer, lnam: Buffer, names: string[]}}
+     */
+    assemble(source, options = {}) {
+        const script = this.parse(source);
+        const names = [...(options.nameTable || [])];
+        const nameId = (name) => {
+            let idx = names.indexOf(name);
+            if (idx === -1) {
+                idx = names.length;
+                names.push(name);
+                this.log('DEBUG', `[LingoAssembler] Added name '${name}' at ${idx}`);
+            }
+            if (!script.nameShift) return idx;
+            return (idx + script.nameShift) % names.length;
+        };
+
+        // Register every symbolic name first so the table is final before shifted ids are computed
+        const symbolic = [
+            ...script.properties,
+            ...script.globals,
+            ...script.handlers.flatMap(h => [h.name, ...h.args, ...h.locals]),
+            ...script.handlers.flatMap(h => h.instructions.filter(i => typeof i.operand === 'string' && i.operand.startsWith('#')).map(i => i.operand.slice(1)))
+        ];
+        const baseCount = names.length;
+        for (const name of symbolic) {
+            if (!names.includes(name)) names.push(name);
+        }
+        if (script.nameShift && names.length !== baseCount) {
+            this.log('WARN', `[LingoAssembler] Added ${names.length - baseCount} name(s) to a table decompiled with .nameshift ${script.nameShift}; shifted ids may not resolve as before.`);
+        }
+
+        const lscr = this._buildLscr(script, nameId, options.template);
+        return { lscr, lnam: this.buildNameTable(names), names };
+    }
+
+    /**
+     * Parses a listing into script directives and per-handler instructions.
+     */
+    parse(source) {
+        const script = { scriptType: 0, nameShift: 0, properties: [], globals: [], literals: [], handlers: [] };
+        const hasHandlerDirectives = /^\s*\.handler\s/m.test(source);
+        let handler = null;
+        let pendingLabels = [];
+
+        const lines = String(source).split(/\r?\n/);
+        lines.forEach((rawLine, lineNo) => {
+            const fail = (msg) => { throw new Error(`Line ${lineNo + 1}: ${msg}`); };
+            const { code, comment } = this._splitComment(rawLine);
+
+            // Listings without directives mark handlers only with a banner comment
+            if (!hasHandlerDirectives && comment) {
+                const banner = comment.match(/---\s*Handler:\s*(\S+)\s*---/);
+                if (banner) {
+                    handler = { name: banner[1], args: [], locals: [], instructions: [] };
+                    script.handlers.push(handler);
+                }
+            }
+
+            let line = code.trim();
+            if (!line) return;
+
+            if (line.startsWith('.')) {
+                const directive = line.split(/\s+/)[0];
+                const arg = line.slice(directive.length).trim();
+                switch (directive) {
+                    case '.scripttype': script.scriptType = this._parseInt(arg, fail); break;
+                    case '.nameshift': script.nameShift = this._parseInt(arg, fail); break;
+                    case '.property': script.properties.push(arg); break;
+                    case '.global': script.globals.push(arg); break;
+                    case '.literal': {
+                        const m = arg.match(/^(\d+)\s+(\w+)\s+(.+)$/);
+                        if (!m) fail(`Malformed literal '${arg}'`);
+                        let value;
+                        try { value = JSON.parse(m[3]); } catch (e) { fail(`Invalid literal value '${m[3]}'`); }
+                        script.literals[Number(m[1])] = this._checkLiteral({ type: m[2], value }, fail);
+                        break;
+                    }
+                    case '.handler':
+                        handler = { name: arg, args: [], locals: [], instructions: [] };
+                        script.handlers.push(handler);
+                        break;
+                    case '.args':
+                    case '.locals': {
+                        if (!handler) fail(`${directive} outside of a handler`);
+                        const list = arg ? arg.split(',').map(s => s.trim()).filter(Boolean) : [];
+                        if (directive === '.args') handler.args = list; else handler.locals = list;
+                        break;
+                    }
+                    default: fail(`Unknown directive ${directive}`);
+                }
+                return;
+            }
+
+            if (!handler) fail('Instruction outside of a handler');
+
+            let labelMatch;
+            while ((labelMatch = line.match(/^([A-Za-z_][\w.]*):\s*/))) {
+                pendingLabels.push(labelMatch[1]);
+                line = line.slice(labelMatch[0].length);
+            }
+            if (!line) return;
+
+            const instr = this._parseInstruction(line, fail);
+            instr.labels = pendingLabels;
+            pendingLabels = [];
+            handler.instructions.push(instr);
+        });
+
+        for (let i = 0; i < script.literals.length; i++) {
+            if (!script.literals[i]) throw new Error(`Literal ${i} is missing`);
+        }
+        return script;
+    }
+
+    _splitComment(line) {
+        let inString = false;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (c === '\\' && inString) { i++; continue; }
+            if (c === '"') inString = !inString;
+            else if (c === ';' && !inString) return { code: line.slice(0, i), comment: line.slice(i + 1) };
+        }
+        return { code: line, comment: '' };
+    }
+
+    _parseInt(text, fail) {
+        const value = Number(text);
+        if (!Number.isInteger(value)) fail(`Expected an integer, got '${text}'`);
+        return value;
+    }
+
+    _checkLiteral(lit, fail) {
+        const { type, value } = lit;
+        if (type === 'int' && Number.isInteger(value)) return lit;
+        if (type === 'float' && typeof value === 'number') return lit;
+        if ((type === 'string' || type === 'symbol') && typeof value === 'string') return lit;
+        if (type === 'list' && Array.isArray(value)) return { type, value: value.map(item => this._checkLiteral(item, fail)) };
+        fail(`Invalid ${type} literal`);
+    }
+
+    _parseInstruction(line, fail) {
+        const m = line.match(/^(?:\[\s*(-?\d+)\s*\]\s*)?([A-Za-z_][\w]*)\s*(.*)$/);
+        if (!m) fail(`Cannot parse instruction '${line}'`);
+        const pos = m[1] !== undefined ? Number(m[1]) : null;
+        const mnemonic = m[2];
+        const rest = m[3].trim();
+
+        let val = null, idx = null;
+        if (this.oneByte[mnemonic] !== undefined) {
+            val = this.oneByte[mnemonic];
+        } else if (this.multiByte[mnemonic] !== undefined) {
+            idx = this.multiByte[mnemonic];
+        } else if (/^unk_0x[0-9a-f]+$/i.test(mnemonic)) {
+            const raw = parseInt(mnemonic.slice(6), 16);
+            if (raw < SHIFT) val = raw; else idx = raw % SHIFT;
+        } else {
+            fail(`Unknown opcode '${mnemonic}'`);
+        }
+
+        // The decimal in parentheses is authoritative; the hex column is informational
+        let operand = 0;
+        if (idx !== null) {
+            const paren = rest.match(/\((-?[\d.eE+-]+)\)/);
+            const token = paren ? paren[1] : rest.split(/\s+/)[0];
+            if (!token) fail(`Opcode '${mnemonic}' needs an operand`);
+            if (token.startsWith('#') || token.startsWith('@')) {
+                operand = token;
+            } else {
+                operand = /^-?0x[0-9a-f]+$/i.test(token) ? parseInt(token, 16) : Number(token);
+                if (!Number.isFinite(operand)) fail(`Invalid operand '${token}'`);
+            }
+        }
+        return { pos, mnemonic, val, idx, operand };
+    }
+
+    /**
+     * Picks the smallest operand width the decompiler will read back unchanged.
+     */
+    _encodeWidth(instr, hint) {
+        if (instr.idx === null) return 0;
+        if (LingoConfig.JUMP_OPS.includes(instr.mnemonic)) return 2;
+        if (instr.idx === FLOAT_OP) return 4;
+
+        const v = instr.operand;
+        if (!Number.isInteger(v)) throw new Error(`Opcode '${instr.mnemonic}' needs an integer operand, got ${v}`);
+        const byteMin = SIGNED_BYTE_OPS.has(instr.idx) ? -0x80 : 0;
+        const byteMax = SIGNED_BYTE_OPS.has(instr.idx) ? 0x7f : 0xff;
+        const shortMin = SIGNED_SHORT_OPS.has(instr.idx) ? -0x8000 : 0;
+        const shortMax = SIGNED_SHORT_OPS.has(instr.idx) ? 0x7fff : 0xffff;
+        const fitsByte = v >= byteMin && v <= byteMax;
+        const fitsShort = v >= shortMin && v <= shortMax;
+
+        // Keep the width an unedited listing was decoded from so it reassembles byte-for-byte
+        if (hint === 4 || (hint === 2 && fitsShort) || (hint === 1 && fitsByte)) return hint;
+        if (fitsByte) return 1;
+        if (fitsShort) return 2;
+        return 4;
+    }
+
+    /**
+     * Resolves symbolic operands, lays out instructions and encodes one handler.
+     */
+    _assembleHandler(handler, nameId, handlerIndex) {
+        const instrs = handler.instructions;
+        for (const instr of instrs) {
+            if (typeof instr.operand === 'string' && instr.operand.startsWith('#')) {
+                instr.operand = nameId(instr.operand.slice(1));
+            } else if (instr.mnemonic === 'localcall' && typeof instr.operand === 'string' && instr.operand.startsWith('@')) {
+                instr.operand = handlerIndex(instr.operand.slice(1));
+            }
+        }
+
+        // Jump operands from a listing are relative to listed positions; rebind them to instructions
+        const labels = new Map();
+        instrs.forEach((instr, i) => instr.labels.forEach(label => labels.set(label, i)));
+        const listedPos = new Map();
+        instrs.forEach((instr, i) => { if (instr.pos !== null) listedPos.set(instr.pos, i); });
+        const lastListed = instrs.length > 0 ? instrs[instrs.length - 1].pos : null;
+
+        for (const instr of instrs) {
+            if (!LingoConfig.JUMP_OPS.includes(instr.mnemonic)) continue;
+            if (typeof instr.operand === 'string') {
+                const label = instr.operand.slice(1);
+                if (!labels.has(label)) throw new Error(`Unknown label '${label}' in handler ${handler.name}`);
+                instr.target = labels.get(label);
+            } else if (instr.pos !== null) {
+                const targetPos = instr.mnemonic === 'endrepeat' ? instr.pos - instr.operand : instr.pos + instr.operand;
+                if (listedPos.has(targetPos)) instr.target = listedPos.get(targetPos);
+                else if (lastListed !== null && targetPos > lastListed) instr.target = instrs.length;
+                else throw new Error(`Jump at [${instr.pos}] in handler ${handler.name} does not land on an instruction`);
+            }
+        }
+
+        // Layout
+        let offset = 0;
+        const positions = instrs.map((instr, i) => {
+            const next = instrs[i + 1];
+            const hint = (instr.pos !== null && next && next.pos !== null) ? next.pos - instr.pos - 1 : null;
+            instr.width = this._encodeWidth(instr, hint);
+            const at = offset;
+            offset += 1 + instr.width;
+            return at;
+        });
+        positions.push(offset);
+
+        const out = Buffer.alloc(offset);
+        instrs.forEach((instr, i) => {
+            const at = positions[i];
+            let v = instr.operand;
+            if (instr.target !== undefined) {
+                v = instr.mnemonic === 'endrepeat' ? at - positions[instr.target] : positions[instr.target] - at;
+                if (v < -0x8000 || v > 0x7fff) throw new Error(`Jump out of range in handler ${handler.name}`);
+            }
+
+            if (instr.idx === null) {
+                out.writeUInt8(instr.val, at);
+                return;
+            }
+            if (instr.width === 1) {
+                out.writeUInt8(SHIFT + instr.idx, at);
+                if (SIGNED_BYTE_OPS.has(instr.idx)) out.writeInt8(v, at + 1); else out.writeUInt8(v, at + 1);
+            } else if (instr.width === 2) {
+                out.writeUInt8(0x80 + instr.idx, at);
+                if (SIGNED_SHORT_OPS.has(instr.idx)) out.writeInt16BE(v, at + 1); else out.writeUInt16BE(v, at + 1);
+            } else {
+                out.writeUInt8(0xc0 + instr.idx, at);
+                // pushfloat32 listings carry the raw operand bits; only fractional values are encoded as floats
+                if (instr.idx === FLOAT_OP && !Number.isInteger(v)) out.writeFloatBE(v, at + 1);
+                else if (SIGNED_LONG_OPS.has(instr.idx) || v < 0) out.writeInt32BE(v, at + 1);
+                else out.writeUInt32BE(v, at + 1);
+            }
+        });
+        return out;
+    }
+
+    _encodeLiteral(lit) {
+        switch (lit.type) {
+            case 'int': {
+                const b = Buffer.alloc(4);
+                b.writeInt32BE(lit.value, 0);
+                return { type: T.INT, data: b };
+            }
+            case 'float': {
+                const b = Buffer.alloc(12);
+                b.writeUInt32BE(8, 0);
+                b.writeDoubleBE(lit.value, 4);
+                return { type: T.FLOAT, data: b };
+            }
+            case 'string':
+            case 'symbol': {
+                const str = Buffer.from(lit.value, 'utf8');
+                const b = Buffer.alloc(4 + str.length + 1);
+                b.writeUInt32BE(str.length + 1, 0);
+                str.copy(b, 4);
+                return { type: lit.type === 'string' ? T.STRING : T.SYMBOL, data: b };
+            }
+            case 'list': {
+                const parts = [Buffer.alloc(4)];
+                parts[0].writeUInt32BE(lit.value.length, 0);
+                for (const item of lit.value) {
+                    const enc = this._encodeLiteral(item);
+                    const head = Buffer.alloc(8);
+                    head.writeUInt32BE(enc.type, 0);
+                    head.writeUInt32BE(enc.data.length, 4);
+                    parts.push(head, enc.data);
+                }
+                return { type: T.LIST, data: Buffer.concat(parts) };
+            }
+        }
+        throw new Error(`Unsupported literal type ${lit.type}`);
+    }
+
+    /**
+     * Lays out the Lscr chunk: header, properties, globals, handler records, literal
+     * descriptors, literal data, then bytecode and arg/local name ids per handler.
+     */
+    _buildLscr(script, nameId, template) {
+        const handlerNames = script.handlers.map(h => h.name);
+        const handlerIndex = (name) => {
+            const i = handlerNames.indexOf(name);
+            if (i === -1) throw new Error(`localcall to unknown handler '${name}'`);
+            return i;
+        };
+
+        const code = script.handlers.map(h => this._assembleHandler(h, nameId, handlerIndex));
+        const literals = script.literals.map(lit => this._encodeLiteral(lit));
+
+        const propsOffset = LingoConfig.V4_HLEN;
+        const globalsOffset = propsOffset + (script.properties.length * 2);
+        const handlersOffset = globalsOffset + (script.globals.length * 2);
+        const litOffset = handlersOffset + (script.handlers.length * L.HANDLER_SIZE);
+        const litDataOffset = litOffset + (literals.length * 8);
+        const litDataLen = literals.reduce((sum, lit) => sum + lit.data.length, 0);
+        let cursor = litDataOffset + litDataLen;
+
+        const layout = script.handlers.map((h, i) => {
+            const entry = { codeOffset: cursor, codeLen: code[i].length };
+            cursor += code[i].length;
+            if (cursor % 2) cursor++;
+            entry.argOffset = cursor;
+            cursor += h.args.length * 2;
+            entry.localOffset = cursor;
+            cursor += h.locals.length * 2;
+            return entry;
+        });
+
+        const total = Math.max(cursor, L.MIN_SIZE);
+        const out = Buffer.alloc(total);
+
+        if (template && template.length >= LingoConfig.V4_HLEN && template.readUInt16BE(L.HEADER_LENGTH) === LingoConfig.V4_HLEN) {
+            template.copy(out, 0, 0, LingoConfig.V4_HLEN);
+        } else {
+            if (template) this.log('WARN', '[LingoAssembler] Template Lscr does not use the 92-byte header; building a fresh header.');
+            out.writeInt16BE(-1, L.FACTORY_NAME);
+        }
+
+        out.writeUInt32BE(total, L.TOTAL_LENGTH);
+        out.writeUInt32BE(total, L.TOTAL_LENGTH2);
+        out.writeUInt16BE(LingoConfig.V4_HLEN, L.HEADER_LENGTH);
+        out.writeUInt16BE(script.scriptType, L.SCRIPT_TYPE);
+
+        out.writeUInt16BE(script.properties.length, L.PROPERTIES);
+        out.writeUInt32BE(propsOffset, L.PROPERTIES + 2);
+        out.writeUInt16BE(script.globals.length, L.GLOBALS);
+        out.writeUInt32BE(script.globals.length > 0 ? globalsOffset : 0, L.GLOBALS + 2);
+        out.writeUInt16BE(script.handlers.length, L.HANDLERS);
+        out.writeUInt32BE(handlersOffset, L.HANDLERS + 2);
+        out.writeUInt16BE(literals.length, L.LITERALS);
+        out.writeUInt32BE(litOffset, L.LITERALS + 2);
+        out.writeUInt32BE(litDataLen, L.LITERAL_DATA);
+        out.writeUInt32BE(litDataOffset, L.LITERAL_DATA + 4);
+
+        script.properties.forEach((name, i) => out.writeUInt16BE(nameId(name), propsOffset + i * 2));
+        script.globals.forEach((name, i) => out.writeUInt16BE(nameId(name), globalsOffset + i * 2));
+
+        script.handlers.forEach((h, i) => {
+            const at = handlersOffset + i * L.HANDLER_SIZE;
+            const entry = layout[i];
+            out.writeUInt16BE(nameId(h.name), at);
+            out.writeUInt16BE(i, at + 2);
+            out.writeUInt32BE(entry.codeLen, at + 4);
+            out.writeUInt32BE(entry.codeOffset, at + 8);
+            out.writeUInt16BE(h.args.length, at + 12);
+            out.writeUInt32BE(entry.argOffset, at + 14);
+            out.writeUInt16BE(h.locals.length, at + 18);
+            out.writeUInt32BE(entry.localOffset, at + 20);
+
+            code[i].copy(out, entry.codeOffset);
+            h.args.forEach((name, k) => out.writeUInt16BE(nameId(name), entry.argOffset + k * 2));
+            h.locals.forEach((name, k) => out.writeUInt16BE(nameId(name), entry.localOffset + k * 2));
+        });
+
+        let dataCursor = 0;
+        literals.forEach((lit, i) => {
+            out.writeUInt32BE(lit.type, litOffset + i * 8);
+            out.writeUInt32BE(dataCursor, litOffset + i * 8 + 4);
+            lit.data.copy(out, litDataOffset + dataCursor);
+            dataCursor += lit.data.length;
+        });
+
+        return out;
+    }
+
+    /**
+     * Serializes a name table in the layout LnamParser reads.
+     * @param {string[]} names
+     * @returns {Buffer}
+     */
+    buildNameTable(names) {
+        const encoded = names.map(name => {
+            const str = Buffer.from(name, 'utf8').slice(0, 255);
+            return Buffer.concat([Buffer.from([str.length]), str]);
+        });
+        const header = Buffer.alloc(LingoConfig.LNAM_HEADER_SIZE);
+        const total = header.length + encoded.reduce((sum, b) => sum + b.length, 0);
+        header.writeUInt32BE(total, 8);
+        header.writeUInt32BE(total, 12);
+        header.writeUInt16BE(LingoConfig.LNAM_HEADER_SIZE, 16);
+        header.writeUInt16BE(names.length, 18);
+        return Buffer.concat([header, ...encoded]);
+    }
+}
+
+module.exports = LingoAssembler;
@@ -0,0 +1,340 @@
+/**
+ * @version 1.4.2
+ * LingoBuiltins.js
+ *
+ * The Lingo functions LingoVM runs itself: list and property list methods, type
+ * tests and conversions, string and math functions, and script objects. Each entry
+ * is `(args, vm) => value` under its lower-case name. A method call (`l.add(3)`) reaches
+ * the same function with the object as the first argument.
+ *
+ * Anything that needs Director (sprites, members, sound, the network) is missing on
+ * purpose; LingoVM passes such calls to its stub.
+ */
+
+const LingoParser = require('./LingoParser');
+const {
+    LingoFloat, LingoSymbol, LingoList, LingoPropList, LingoScript, LingoInstance,
+    isNumber, ilk, format, toLingoString, parseNumber, toNumber, equals, compare, duplicate
+} = require('./LingoValue');
+
+const LITERAL_CONSTANTS = { true: 1, false: 0, empty: '', void: undefined };
+
+const toInt = v => {
+    const n = toNumber(v);
+    return typeof n === 'number' ? n : Math.round(Math.abs(n.value)) * Math.sign(n.value) | 0;
+};
+
+function expectList(v, name) {
+    if (v instanceof LingoList || v instanceof LingoPropList) return v;
+    throw new Error(`${name}: list expected, got ${format(v)}`);
+}
+
+function checkIndex(list, index, name) {
+    const i = toInt(index);
+    if (i < 1 || i > list.count) throw new Error(`${name}: index ${i} out of range (count ${list.count})`);
+    return i - 1;
+}
+
+function mathFn(fn) {
+    return ([x]) => new LingoFloat(fn(+toNumber(x)));
+}
+
+/**
+ * value(): literals only (numbers, strings, symbols, lists, TRUE/FALSE/EMPTY/VOID).
+ * Anything else evaluates to VOID.
+ */
+function parseValue(text) {
+    const parser = new LingoParser();
+    let node;
+    try {
+        parser.tokens = parser.tokenize(text);
+        parser.pos = 0;
+        node = parser.parseExpression();
+        while (parser.accept('newline')) { /* trailing line breaks */ }
+        if (!parser.at('eof')) return undefined;
+    } catch (e) {
+        return undefined;
+    }
+
+    const evaluate = n => {
+        switch (n.type) {
+            case 'int': return n.value | 0;
+            case 'float': return new LingoFloat(n.value);
+            case 'string': return n.value;
+            case 'symbol': return new LingoSymbol(n.value);
+            case 'list': return new LingoList(n.items.map(evaluate));
+            case 'propList': return new LingoPropList(n.pairs.map(p => evaluate(p.key)), n.pairs.map(p => evaluate(p.value)));
+            case 'neg': {
+                const v = evaluate(n.expr);
+                return v instanceof LingoFloat ? new LingoFloat(-v.value) : typeof v === 'number' ? -v | 0 : undefined;
+            }
+            case 'var': return LITERAL_CONSTANTS[n.name.toLowerCase()];
+            default: return undefined;
+        }
+    };
+    return evaluate(node);
+}
+
+const BUILTINS = {
+    // --- Lists ---
+    list: args => new LingoList([...args]),
+    count: ([list]) => {
+        if (typeof list === 'string') return list.length;
+        return expectList(list, 'count').count;
+    },
+    getat: ([list, index]) => {
+        expectList(list, 'getAt');
+        // pl[#key] is written as getAt
+        if (list instanceof LingoPropList && !isNumber(index)) return list.get(index);
+        const i = checkIndex(list, index, 'getAt');
+        return list instanceof LingoList ? list.items[i] : list.values[i];
+    },
+    setat: ([list, index, value]) => {
+        expectList(list, 'setAt');
+        if (list instanceof LingoPropList && !isNumber(index)) return list.set(index, value);
+        const i = toInt(index);
+        if (list instanceof LingoPropList) {
+            list.values[checkIndex(list, i, 'setAt')] = value;
+        } else {
+            if (i < 1) throw new Error(`setAt: index ${i} out of range`);
+            while (list.items.length < i - 1) list.items.push(0);
+            list.items[i - 1] = value;
+        }
+    },
+    getlast: ([list]) => {
+        expectList(list, 'getLast');
+        return list instanceof LingoList ? list.items[list.count - 1] : list.values[list.count - 1];
+    },
+    getone: ([list, value]) => {
+        expectList(list, 'getOne');
+        if (list instanceof LingoList) return list.items.findIndex(item => equals(item, value)) + 1;
+        const i = list.values.findIndex(item => equals(item, value));
+        return i < 0 ? 0 : list.keys[i];
+    },
+    getpos: ([list, value]) => {
+        expectList(list, 'getPos');
+        const items = list instanceof LingoList ? list.items : list.values;
+        return items.findIndex(item => equals(item, value)) + 1;
+    },
+    findpos: ([list, key]) => {
+        if (list instanceof LingoPropList) {
+            const i = list.indexOf(key);
+            return i < 0 ? undefined : i + 1;
+        }
+        return BUILTINS.getpos([list, key]);
+    },
+    add: ([list, value]) => {
+        if (!(list instanceof LingoList)) throw new Error(`add: list expected, got ${format(list)}`);
+        let i = list.items.length;
+        if (list.sorted) {
+            i = list.items.findIndex(item => compare(item, value) > 0);
+            if (i < 0) i = list.items.length;
+        }
+        list.items.splice(i, 0, value);
+    },
+    append: ([list, value]) => {
+        if (!(list instanceof LingoList)) throw new Error(`append: list expected, got ${format(list)}`);
+        list.items.push(value);
+        list.sorted = false;
+    },
+    addat: ([list, index, value]) => {
+        if (!(list instanceof LingoList)) throw new Error(`addAt: list expected, got ${format(list)}`);
+        const i = toInt(index);
+        while (list.items.length < i - 1) list.items.push(0);
+        list.items.splice(i - 1, 0, value);
+        list.sorted = false;
+    },
+    deleteat: ([list, index]) => {
+        expectList(list, 'deleteAt');
+        const i = checkIndex(list, index, 'deleteAt');
+        if (list instanceof LingoList) {
+            list.items.splice(i, 1);
+        } else {
+            list.keys.splice(i, 1);
+            list.values.splice(i, 1);
+        }
+    },
+    deleteone: ([list, value]) => {
+        expectList(list, 'deleteOne');
+        const items = list instanceof LingoList ? list.items : list.values;
+        const i = items.findIndex(item => equals(item, value));
+        if (i < 0) return;
+        items.splice(i, 1);
+        if (list instanceof LingoPropList) list.keys.splice(i, 1);
+    },
+    deleteall: ([list]) => {
+        expectList(list, 'deleteAll');
+        if (list instanceof LingoList) list.items.length = 0;
+        else list.keys.length = list.values.length = 0;
+    },
+    getprop: ([list, key, index], vm) => {
+        if (list instanceof LingoList) return BUILTINS.getat([list, key]);
+        if (!(list instanceof LingoPropList)) return vm.getProperty(list, toLingoString(key));
+        const i = list.indexOf(key);
+        if (i < 0) throw new Error(`getProp: property ${format(key)} not found`);
+        return index === undefined ? list.values[i] : BUILTINS.getat([list.values[i], index]);
+    },
+    getaprop: ([list, key], vm) => {
+        if (list instanceof LingoList) return list.items[toInt(key) - 1];
+        if (!(list instanceof LingoPropList)) return vm.getProperty(list, toLingoString(key));
+        return list.get(key);
+    },
+    setprop: ([list, key, value], vm) => {
+        if (list instanceof LingoList) return BUILTINS.setat([list, key, value]);
+        if (!(list instanceof LingoPropList)) return vm.setProperty(list, toLingoString(key), value);
+        const i = list.indexOf(key);
+        if (i < 0) throw new Error(`setProp: property ${format(key)} not found`);
+        list.values[i] = value;
+    },
+    setaprop: ([list, key, value], vm) => {
+        if (list instanceof LingoList) return BUILTINS.setat([list, key, value]);
+        if (!(list instanceof LingoPropList)) return vm.setProperty(list, toLingoString(key), value);
+        list.set(key, value);
+    },
+    addprop: ([list, key, value]) => {
+        if (!(list instanceof LingoPropList)) throw new Error(`addProp: property list expected, got ${format(list)}`);
+        list.add(key, value);
+    },
+    deleteprop: ([list, key]) => {
+        if (list instanceof LingoList) return BUILTINS.deleteat([list, key]);
+        if (!(list instanceof LingoPropList)) throw new Error(`deleteProp: property list expected, got ${format(list)}`);
+        const i = list.indexOf(key);
+        if (i < 0) return;
+        list.keys.splice(i, 1);
+        list.values.splice(i, 1);
+    },
+    getpropat: ([list, index]) => {
+        if (!(list instanceof LingoPropList)) throw new Error(`getPropAt: property list expected, got ${format(list)}`);
+        return list.keys[checkIndex(list, index, 'getPropAt')];
+    },
+    sort: ([list]) => {
+        expectList(list, 'sort');
+        if (list instanceof LingoList) {
+            list.items.sort(compare);
+        } else {
+            const order = list.keys.map((key, i) => i).sort((a, b) => compare(list.keys[a], list.keys[b]) || a - b);
+            const keys = order.map(i => list.keys[i]), values = order.map(i => list.values[i]);
+            list.keys.splice(0, list.count, ...keys);
+            list.values.splice(0, values.length, ...values);
+        }
+        list.sorted = true;
+    },
+    duplicate: ([value]) => duplicate(value),
+    max: args => {
+        const items = args.length === 1 && args[0] instanceof LingoList ? args[0].items : args;
+        return items.reduce((best, v) => (best === undefined || compare(v, best) > 0 ? v : best), undefined);
+    },
+    min: args => {
+        const items = args.length === 1 && args[0] instanceof LingoList ? args[0].items : args;
+        return items.reduce((best, v) => (best === undefined || compare(v, best) < 0 ? v : best), undefined);
+    },
+
+    // --- Types ---
+    ilk: ([value, type]) => {
+        const kind = ilk(value);
+        if (type === undefined) return new LingoSymbol(kind);
+        const wanted = toLingoString(type).toLowerCase();
+        if (wanted === 'list' && kind === 'propList') return 1;
+        return wanted === kind.toLowerCase() ? 1 : 0;
+    },
+    voidp: ([value]) => (value === undefined ? 1 : 0),
+    integerp: ([value]) => (typeof value === 'number' ? 1 : 0),
+    floatp: ([value]) => (value instanceof LingoFloat ? 1 : 0),
+    stringp: ([value]) => (typeof value === 'string' ? 1 : 0),
+    symbolp: ([value]) => (value instanceof LingoSymbol ? 1 : 0),
+    listp: ([value]) => (value instanceof LingoList || value instanceof LingoPropList ? 1 : 0),
+    objectp: ([value]) => (value !== undefined && typeof value === 'object' && !(value instanceof LingoFloat) && !(value instanceof LingoSymbol) ? 1 : 0),
+    integer: ([value]) => {
+        if (typeof value === 'string') {
+            const n = parseNumber(value);
+            return n === undefined ? undefined : toInt(n);
+        }
+        return isNumber(value) ? toInt(value) : undefined;
+    },
+    float: ([value]) => {
+        if (typeof value === 'string') {
+            const n = parseNumber(value);
+            return n === undefined ? value : new LingoFloat(+n);
+        }
+        return isNumber(value) ? new LingoFloat(+value) : value;
+    },
+    string: ([value], vm) => toLingoString(value, vm.floatPrecision),
+    symbol: ([value]) => {
+        if (value instanceof LingoSymbol) return value;
+        if (typeof value !== 'string') return undefined;
+        return value === '' ? new LingoSymbol('EMPTY') : new LingoSymbol(value);
+    },
+    value: ([text]) => (typeof text === 'string' ? parseValue(text) : text),
+
+    // --- Strings ---
+    length: ([text]) => toLingoString(text).length,
+    chars: ([text, first, last]) => {
+        const s = toLingoString(text);
+        const a = toInt(first), b = toInt(last);
+        if (a < 1 || b < a) return '';
+        return s.slice(a - 1, b);
+    },
+    chartonum: ([text]) => {
+        const s = toLingoString(text);
+        return s.length > 0 ? s.charCodeAt(0) : 0;
+    },
+    numtochar: ([code]) => String.fromCharCode(toInt(code)),
+    offset: ([needle, haystack]) => toLingoString(haystack).toLowerCase().indexOf(toLingoString(needle).toLowerCase()) + 1,
+
+    // --- Math ---
+    abs: ([x]) => {
+        const n = toNumber(x);
+        return n instanceof LingoFloat ? new LingoFloat(Math.abs(n.value)) : Math.abs(n) | 0;
+    },
+    random: ([n], vm) => {
+        const max = toInt(n);
+        return max < 1 ? 1 : Math.floor(vm.random() * max) + 1;
+    },
+    power: ([x, y]) => new LingoFloat(Math.pow(+toNumber(x), +toNumber(y))),
+    sqrt: ([x]) => {
+        const n = toNumber(x);
+        return typeof n === 'number' ? Math.round(Math.sqrt(n)) | 0 : new LingoFloat(Math.sqrt(n.value));
+    },
+    sin: mathFn(Math.sin),
+    cos: mathFn(Math.cos),
+    tan: mathFn(Math.tan),
+    atan: ([x, y]) => new LingoFloat(y === undefined ? Math.atan(+toNumber(x)) : Math.atan2(+toNumber(x), +toNumber(y))),
+    exp: mathFn(Math.exp),
+    log: mathFn(Math.log),
+    bitand: ([a, b]) => toInt(a) & toInt(b),
+    bitor: ([a, b]) => toInt(a) | toInt(b),
+    bitxor: ([a, b]) => toInt(a) ^ toInt(b),
+    bitnot: ([a]) => ~toInt(a),
+
+    // --- Scripts and objects ---
+    script: ([name], vm) => {
+        if (name instanceof LingoScript) return name;
+        const script = vm.script(toLingoString(name));
+        if (!script) throw new Error(`script: no script named ${format(name)} is loaded`);
+        return script;
+    },
+    new: ([script, ...args], vm) => {
+        if (script instanceof LingoScript) return vm.instantiate(script, args);
+        return vm.callStub('new', [script, ...args]);
+    },
+    callancestor: ([name, obj, ...args], vm) => {
+        const targets = obj instanceof LingoList ? obj.items : [obj];
+        let result;
+        for (const target of targets) {
+            if (!(target instanceof LingoInstance)) throw new Error(`callAncestor: instance expected, got ${format(target)}`);
+            result = vm.callMethod(target.ancestor, toLingoString(name), args);
+        }
+        return result;
+    },
+    call: ([name, obj, ...args], vm) => {
+        const targets = obj instanceof LingoList ? obj.items : [obj];
+        let result;
+        for (const target of targets) result = vm.callMethod(target, toLingoString(name), args);
+        return result;
+    },
+    param: ([n], vm) => vm.frame.args[toInt(n) - 1],
+    put: (args, vm) => vm.output(args.map(v => vm.format(v)).join(' ')),
+    nothing: () => undefined
+};
+
+module.exports = BUILTINS;
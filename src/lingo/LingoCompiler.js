@@ -0,0 +1,588 @@
+/**
+ * @version 1.4.2
+ * LingoCompiler.js - Compiles Lingo source into an Lscr chunk
+ *
+ * LingoParser reads the `.ls` text; this class walks the tree and writes a `.lasm`
+ * listing with symbolic operands (`#name`, `@label`, `@handler`), which LingoAssembler
+ * turns into the Lscr chunk and its Lnam name table. The bytecode follows the shapes
+ * LingoDecompiler recognizes: repeat loops, case statements, chunk references and
+ * put targets come back out as the same constructs.
+ *
+ * Name resolution inside a handler: arguments, then globals (script or handler
+ * declarations), then properties, then the built-in constants (TRUE, EMPTY, RETURN...).
+ * Any other name is a local variable.
+ */
+
+const LingoParser = require('./LingoParser');
+const LingoAssembler = require('./LingoAssembler');
+
+const BINARY_OPS = {
+    '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', 'mod': 'mod',
+    '&': 'joinstr', '&&': 'joinpadstr',
+    '=': 'eq', '<>': 'nteq', '<': 'lt', '<=': 'lteq', '>': 'gt', '>=': 'gteq',
+    'and': 'and', 'or': 'or', 'contains': 'containsstr', 'starts': 'contains0str'
+};
+
+const CONSTANTS = Object.assign(Object.create(null), {
+    true: { type: 'int', value: 1 },
+    false: { type: 'int', value: 0 },
+    empty: { type: 'string', value: '' },
+    return: { type: 'string', value: '\r' },
+    enter: { type: 'string', value: '\x03' },
+    quote: { type: 'string', value: '"' },
+    tab: { type: 'string', value: '\t' },
+    space: { type: 'string', value: ' ' },
+    backspace: { type: 'string', value: '\b' },
+    pi: { type: 'float', value: Math.PI },
+    // An unassigned global reads as VOID
+    void: { type: 'global', value: 'VOID' }
+});
+
+const PUT_TYPES = { into: 1, after: 2, before: 3 };
+const VAR_TYPES = { global: 0x01, prop: 0x03, param: 0x04, local: 0x05, field: 0x06 };
+
+// `get` property types for chunk expressions (see LingoDecompiler._readV4Property)
+const LAST_CHUNK_BASE = 0x0b;
+const GET_MOVIE_PROP = 0x00;
+const GET_CHUNK_COUNT = 0x01;
+
+class LingoCompiler {
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+        this.parser = new LingoParser();
+        this.assembler = new LingoAssembler(this.log);
+    }
+
+    /**
+     * @param {string} source - Lingo script text
+     * @param {object} options - { nameTable: string[] (names to keep, e.g. the cast's Lnam),
+     *                             template: Buffer (Lscr whose header is reused),
+     *                             scriptType: number (header word at offset 18) }
+     * @returns {{lscr: Buffer, lnam: Buffer, names: string[], lasm: string}}
+     */
+    compile(source, options = {}) {
+        const lasm = this.toListing(source, options);
+        const { lscr, lnam, names } = this.assembler.assemble(lasm, { nameTable: options.nameTable, template: options.template });
+        return { lscr, lnam, names, lasm };
+    }
+
+    /**
+     * Compiles to a `.lasm` listing without assembling it.
+     * @param {string} source
+     * @param {object} [options] - { scriptType }
+     * @returns {string}
+     */
+    toListing(source, options = {}) {
+        const script = this.parser.parse(source);
+        this.scriptType = options.scriptType || 0;
+        this.literals = [];
+        this.literalIndex = new Map();
+        this.labelCount = 0;
+
+        this.properties = new Map(script.properties.map(name => [name.toLowerCase(), name]));
+        this.scriptGlobals = new Map(script.globals.map(name => [name.toLowerCase(), name]));
+        this.handlerNames = new Map();
+        for (const handler of script.handlers) {
+            const key = handler.name.toLowerCase();
+            if (this.handlerNames.has(key)) throw new Error(`Line ${handler.line}: Handler '${handler.name}' is defined twice`);
+            this.handlerNames.set(key, handler.name);
+        }
+
+        const allGlobals = new Map(this.scriptGlobals);
+        const bodies = script.handlers.map(handler => {
+            const lines = this.compileHandler(handler);
+            for (const [key, name] of this.globals) if (!allGlobals.has(key)) allGlobals.set(key, name);
+            return lines;
+        });
+
+        const out = [`.scripttype ${this.scriptType}`];
+        for (const name of this.properties.values()) out.push(`.property ${name}`);
+        for (const name of allGlobals.values()) out.push(`.global ${name}`);
+        this.literals.forEach((lit, i) => out.push(`.literal ${i} ${lit.type} ${JSON.stringify(lit.value)}`));
+        for (const lines of bodies) out.push('', ...lines);
+        return out.join('\n') + '\n';
+    }
+
+    compileHandler(handler) {
+        this.lines = [`.handler ${handler.name}`];
+        this.loops = [];
+        this.args = new Map(handler.args.map((name, i) => [name.toLowerCase(), i]));
+        this.globals = new Map(this.scriptGlobals);
+        this._collectGlobals(handler.body);
+
+        const locals = [];
+        this.locals = new Map();
+        this._walk(handler.body, name => {
+            const key = name.toLowerCase();
+            if (this.args.has(key) || this.globals.has(key) || this.properties.has(key) || this.locals.has(key)) return;
+            if (CONSTANTS[key]) return;
+            this.locals.set(key, locals.length);
+            locals.push(name);
+        });
+
+        if (handler.args.length > 0) this.lines.push(`.args ${handler.args.join(', ')}`);
+        if (locals.length > 0) this.lines.push(`.locals ${locals.join(', ')}`);
+        this.block(handler.body);
+        this.emit('ret');
+        return this.lines;
+    }
+
+    _collectGlobals(node) {
+        if (Array.isArray(node)) return node.forEach(n => this._collectGlobals(n));
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'global') {
+            for (const name of node.names) this.globals.set(name.toLowerCase(), name);
+        }
+        for (const value of Object.values(node)) {
+            if (value && typeof value === 'object') this._collectGlobals(value);
+        }
+    }
+
+    /**
+     * Visits every variable name in a handler body in source order.
+     */
+    _walk(node, visit) {
+        if (Array.isArray(node)) return node.forEach(n => this._walk(n, visit));
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'var') visit(node.name);
+        if (node.type === 'repeatWith' || node.type === 'repeatIn') visit(node.variable);
+        for (const [key, value] of Object.entries(node)) {
+            if (key !== 'type' && value && typeof value === 'object') this._walk(value, visit);
+        }
+    }
+
+    // --- Emission ---
+
+    emit(mnemonic, operand) {
+        this.lines.push(operand === undefined ? `    ${mnemonic}` : `    ${mnemonic} ${operand}`);
+    }
+
+    newLabel(hint) {
+        return `${hint}_${++this.labelCount}`;
+    }
+
+    label(name) {
+        this.lines.push(`${name}:`);
+    }
+
+    literal(type, value) {
+        const key = `${type}:${JSON.stringify(value)}`;
+        if (!this.literalIndex.has(key)) {
+            this.literalIndex.set(key, this.literals.length);
+            this.literals.push({ type, value });
+        }
+        return this.literalIndex.get(key);
+    }
+
+    pushInt(value) {
+        if (value === 0) this.emit('pushint0');
+        else if (value >= -0x80 && value <= 0x7f) this.emit('pushint8', value);
+        else if (value >= -0x8000 && value <= 0x7fff) this.emit('pushint16', value);
+        else if (value >= -0x80000000 && value <= 0x7fffffff) this.emit('pushint32', value);
+        else this.emit('pushcons', this.literal('float', value));
+    }
+
+    /**
+     * @returns {{kind: string, index?: number, name?: string, value?: *}}
+     */
+    resolve(name) {
+        const key = name.toLowerCase();
+        if (this.args.has(key)) return { kind: 'param', index: this.args.get(key) };
+        if (this.globals.has(key)) return { kind: 'global', name: this.globals.get(key) };
+        if (this.properties.has(key)) return { kind: 'prop', name: this.properties.get(key) };
+        if (this.locals.has(key)) return { kind: 'local', index: this.locals.get(key) };
+        if (CONSTANTS[key]) return { kind: 'const', ...CONSTANTS[key] };
+        throw new Error(`Unknown variable '${name}'`);
+    }
+
+    getVar(ref) {
+        switch (ref.kind) {
+            case 'param': return this.emit('getparam', ref.index);
+            case 'local': return this.emit('getlocal', ref.index);
+            case 'global': return this.emit('getglobal', `#${ref.name}`);
+            case 'prop': return this.emit('getprop', `#${ref.name}`);
+        }
+    }
+
+    setVar(ref, name) {
+        switch (ref.kind) {
+            case 'param': return this.emit('setparam', ref.index);
+            case 'local': return this.emit('setlocal', ref.index);
+            case 'global': return this.emit('setglobal', `#${ref.name}`);
+            case 'prop': return this.emit('setprop', `#${ref.name}`);
+        }
+        throw new Error(`Cannot assign to the constant ${name}`);
+    }
+
+    /**
+     * Pushes the operands put, putchunk and deletechunk read a variable or field from.
+     * @returns {number} The variable type for the opcode's low nibble
+     */
+    pushVarRef(node) {
+        if (node.type === 'field') {
+            this.expr(node.id);
+            if (this.scriptType >= 0x05) {
+                if (node.castLib) this.expr(node.castLib); else this.emit('pushint0');
+            }
+            return VAR_TYPES.field;
+        }
+        if (node.type !== 'var') throw new Error('Expected a variable or field');
+        const ref = this.resolve(node.name);
+        if (ref.kind === 'param' || ref.kind === 'local') this.pushInt(ref.index);
+        else if (ref.kind === 'global' || ref.kind === 'prop') this.emit('pushint8', `#${ref.name}`);
+        else throw new Error(`Cannot put into the constant ${node.name}`);
+        return VAR_TYPES[ref.kind];
+    }
+
+    // --- Statements ---
+
+    block(statements) {
+        for (const stmt of statements) {
+            try {
+                this.statement(stmt);
+            } catch (e) {
+                if (stmt.line && !/^Line \d+:/.test(e.message)) e.message = `Line ${stmt.line}: ${e.message}`;
+                throw e;
+            }
+        }
+    }
+
+    statement(node) {
+        switch (node.type) {
+            case 'global':
+                return;
+            case 'assign':
+                return this.assign(node.target, node.value);
+            case 'put':
+                return this.put(node);
+            case 'call':
+                return this.call(node.expr, false);
+            case 'delete': {
+                const { ranges, base } = this._flattenChunk(node.target);
+                if (!ranges) throw new Error('delete needs a chunk expression');
+                this._pushRanges(ranges);
+                return this.emit('deletechunk', this.pushVarRef(base));
+            }
+            case 'return':
+                if (node.value) this.expr(node.value);
+                return this.emit('ret');
+            case 'exit':
+                return this.emit('ret');
+            case 'exitRepeat':
+            case 'nextRepeat': {
+                const loop = this.loops[this.loops.length - 1];
+                if (!loop) throw new Error(`${node.type === 'exitRepeat' ? 'exit' : 'next'} repeat outside of a repeat loop`);
+                return this.emit('jmp', `@${node.type === 'exitRepeat' ? loop.end : loop.next}`);
+            }
+            case 'if':
+                return this.ifStatement(node);
+            case 'case':
+                return this.caseStatement(node);
+            case 'repeatWhile':
+                return this.repeatWhile(node);
+            case 'repeatWith':
+                return this.repeatWith(node);
+            case 'repeatIn':
+                return this.repeatIn(node);
+            case 'tell':
+                this.expr(node.target);
+                this.emit('starttell');
+                this.block(node.body);
+                return this.emit('endtell');
+        }
+        throw new Error(`Unsupported statement ${node.type}`);
+    }
+
+    assign(target, value) {
+        switch (target.type) {
+            case 'var': {
+                const ref = this.resolve(target.name);
+                this.expr(value);
+                return this.setVar(ref, target.name);
+            }
+            case 'the':
+                this.expr(value);
+                return this.emit('setmovieprop', `#${target.name}`);
+            case 'theOf':
+            case 'prop':
+                this.expr(target.obj);
+                this.expr(value);
+                return this.emit('setobjprop', `#${target.name}`);
+            case 'index':
+                this.expr(target.obj);
+                this.expr(target.index);
+                this.expr(value);
+                this.emit('pusharglistnoret', 3);
+                return this.emit('objcall', '#setAt');
+            case 'field':
+            case 'chunk':
+                return this.put({ mode: 'into', target, value });
+        }
+        throw new Error('Invalid assignment target');
+    }
+
+    put(node) {
+        const putType = PUT_TYPES[node.mode];
+        const target = node.target;
+
+        if (target.type === 'chunk') {
+            const { ranges, base } = this._flattenChunk(target);
+            this.expr(node.value);
+            this._pushRanges(ranges);
+            return this.emit('putchunk', (putType << 4) | this.pushVarRef(base));
+        }
+        if (target.type === 'field' || (target.type === 'var' && putType !== PUT_TYPES.into)) {
+            this.expr(node.value);
+            return this.emit('put', (putType << 4) | this.pushVarRef(target));
+        }
+        if (putType === PUT_TYPES.into) return this.assign(target, node.value);
+        throw new Error(`put ${node.mode} needs a variable, field or chunk`);
+    }
+
+    /**
+     * Calls a handler, global function or method; statements discard the result.
+     */
+    call(node, keepResult = true) {
+        const argListOp = keepResult ? 'pusharglist' : 'pusharglistnoret';
+        if (node.type === 'objcall') {
+            this.expr(node.obj);
+            node.args.forEach(arg => this.expr(arg));
+            this.emit(argListOp, node.args.length + 1);
+            return this.emit('objcall', `#${node.name}`);
+        }
+        if (node.type !== 'call') throw new Error('Expression used as a statement');
+
+        node.args.forEach(arg => this.expr(arg));
+        this.emit(argListOp, node.args.length);
+        // new(script "x") is always the built-in; a parent script's own `new` only runs on an object
+        const local = node.name.toLowerCase() !== 'new' && this.handlerNames.get(node.name.toLowerCase());
+        if (local) this.emit('localcall', `@${local}`);
+        else this.emit('extcall', `#${node.name}`);
+    }
+
+    ifStatement(node) {
+        const elseLabel = this.newLabel('else');
+        this.expr(node.cond);
+        this.emit('jmpifz', `@${elseLabel}`);
+        this.block(node.then);
+        if (!node.else) return this.label(elseLabel);
+
+        const endLabel = this.newLabel('endif');
+        this.emit('jmp', `@${endLabel}`);
+        this.label(elseLabel);
+        this.block(node.else);
+        this.label(endLabel);
+    }
+
+    /**
+     * Each label test peeks at the case value; the matching branch pops it before its
+     * body runs, and the fall-through path pops it before `otherwise`. In a list of
+     * labels every one but the last jumps straight to the body on a match (nteq/jmpifz).
+     */
+    caseStatement(node) {
+        const endLabel = this.newLabel('endcase');
+        this.expr(node.expr);
+        node.branches.forEach(branch => {
+            const bodyLabel = this.newLabel('when');
+            const nextLabel = this.newLabel('case');
+            branch.labels.forEach((value, i) => {
+                const last = i === branch.labels.length - 1;
+                this.emit('peek', 0);
+                this.expr(value);
+                this.emit(last ? 'eq' : 'nteq');
+                this.emit('jmpifz', `@${last ? nextLabel : bodyLabel}`);
+            });
+            this.label(bodyLabel);
+            this.emit('pop', 1);
+            this.block(branch.body);
+            this.emit('jmp', `@${endLabel}`);
+            this.label(nextLabel);
+        });
+        this.emit('pop', 1);
+        if (node.otherwise) this.block(node.otherwise);
+        this.label(endLabel);
+    }
+
+    repeatWhile(node) {
+        const start = this.newLabel('repeat');
+        const end = this.newLabel('endrepeat');
+        this.label(start);
+        this.expr(node.cond);
+        this.emit('jmpifz', `@${end}`);
+        this._loopBody(node.body, { next: start, end });
+        this.emit('endrepeat', `@${start}`);
+        this.label(end);
+    }
+
+    repeatWith(node) {
+        const ref = this.resolve(node.variable);
+        const cond = this.newLabel('repeat');
+        const next = this.newLabel('next');
+        const end = this.newLabel('endrepeat');
+
+        this.expr(node.from);
+        this.setVar(ref, node.variable);
+        this.label(cond);
+        this.getVar(ref);
+        this.expr(node.to);
+        this.emit(node.down ? 'gteq' : 'lteq');
+        this.emit('jmpifz', `@${end}`);
+        this._loopBody(node.body, { next, end });
+        this.label(next);
+        this.pushInt(node.down ? -1 : 1);
+        this.getVar(ref);
+        this.emit('add');
+        this.setVar(ref, node.variable);
+        this.emit('endrepeat', `@${cond}`);
+        this.label(end);
+    }
+
+    /**
+     * Keeps [list, count, index] on the stack for the whole loop and pops them at the end.
+     */
+    repeatIn(node) {
+        const ref = this.resolve(node.variable);
+        const cond = this.newLabel('repeat');
+        const next = this.newLabel('next');
+        const end = this.newLabel('endrepeat');
+
+        this.expr(node.list);
+        this.emit('peek', 0);
+        this.emit('pusharglist', 1);
+        this.emit('extcall', '#count');
+        this.emit('pushint8', 1);
+        this.label(cond);
+        this.emit('peek', 0);
+        this.emit('peek', 2);
+        this.emit('lteq');
+        this.emit('jmpifz', `@${end}`);
+        this.emit('peek', 2);
+        this.emit('peek', 1);
+        this.emit('pusharglist', 2);
+        this.emit('extcall', '#getAt');
+        this.setVar(ref, node.variable);
+        this._loopBody(node.body, { next, end });
+        this.label(next);
+        this.emit('pushint8', 1);
+        this.emit('add');
+        this.emit('endrepeat', `@${cond}`);
+        this.label(end);
+        this.emit('pop', 3);
+    }
+
+    _loopBody(body, labels) {
+        this.loops.push(labels);
+        this.block(body);
+        this.loops.pop();
+    }
+
+    // --- Expressions ---
+
+    expr(node) {
+        switch (node.type) {
+            case 'int':
+                return this.pushInt(node.value);
+            case 'float':
+                return this.emit('pushcons', this.literal('float', node.value));
+            case 'string':
+                return this.emit('pushcons', this.literal('string', node.value));
+            case 'symbol':
+                return this.emit('pushsymb', `#${node.value}`);
+            case 'var': {
+                const ref = this.resolve(node.name);
+                if (ref.kind !== 'const') return this.getVar(ref);
+                if (ref.type === 'global') return this.emit('getglobal', `#${ref.value}`);
+                return this.expr({ type: ref.type, value: ref.value });
+            }
+            case 'call':
+            case 'objcall':
+                return this.call(node);
+            case 'prop':
+            case 'theOf':
+                this.expr(node.obj);
+                return this.emit('getobjprop', `#${node.name}`);
+            case 'the':
+                return this.emit('getmovieprop', `#${node.name}`);
+            case 'index':
+                this.expr(node.obj);
+                this.expr(node.index);
+                this.emit('pusharglist', 2);
+                return this.emit('objcall', '#getAt');
+            case 'chunk': {
+                const { ranges, base } = this._flattenChunk(node);
+                this._pushRanges(ranges);
+                this.expr(base);
+                return this.emit('getchunk');
+            }
+            case 'lastChunk':
+                this.expr(node.base);
+                this.pushInt(LAST_CHUNK_BASE + node.chunkType);
+                return this.emit('get', GET_MOVIE_PROP);
+            case 'chunkCount':
+                this.expr(node.base);
+                this.pushInt(node.chunkType);
+                return this.emit('get', GET_CHUNK_COUNT);
+            case 'field':
+                this.pushVarRef(node);
+                return this.emit('getfield');
+            case 'list':
+                node.items.forEach(item => this.expr(item));
+                this.emit('pusharglist', node.items.length);
+                return this.emit('pushlist');
+            case 'propList':
+                node.pairs.forEach(pair => {
+                    this.expr(pair.key);
+                    this.expr(pair.value);
+                });
+                this.emit('pusharglist', node.pairs.length * 2);
+                return this.emit('pushproplist');
+            case 'binary':
+                this.expr(node.left);
+                this.expr(node.right);
+                return this.emit(BINARY_OPS[node.op]);
+            case 'not':
+                this.expr(node.expr);
+                return this.emit('not');
+            case 'neg':
+                this.expr(node.expr);
+                return this.emit('inv');
+        }
+        throw new Error(`Unsupported expression ${node.type}`);
+    }
+
+    /**
+     * Folds nested chunks (char 1 of word 2 of s) into the char/word/item/line ranges
+     * of one chunk reference, as long as each level is larger than the one inside it.
+     * @returns {{ranges: object|null, base: object}}
+     */
+    _flattenChunk(node) {
+        if (node.type !== 'chunk') return { ranges: null, base: node };
+        const ranges = {};
+        let current = node;
+        let smallest = 0;
+        while (current.type === 'chunk' && current.chunkType > smallest) {
+            ranges[current.chunkType] = { first: current.first, last: current.last };
+            smallest = current.chunkType;
+            current = current.base;
+        }
+        return { ranges, base: current };
+    }
+
+    /**
+     * Pushes first/last for char, word, item and line in that order; 0 marks an unused level.
+     */
+    _pushRanges(ranges) {
+        for (let type = 1; type <= 4; type++) {
+            const range = ranges[type];
+            if (!range) {
+                this.emit('pushint0');
+                this.emit('pushint0');
+                continue;
+            }
+            this.expr(range.first);
+            if (range.last) this.expr(range.last); else this.emit('pushint0');
+        }
+    }
+}
+
+module.exports = LingoCompiler;
@@ -9,6 +9,7 @@
 const DataStream = require('../utils/DataStream');
 const AST = require('./LingoAST');
 const ASTWrapper = require('./ASTWrapper');
+const ControlFlowGraph = require('./ControlFlowGraph');
 const Bytecode = require('./Bytecode');
 const { LingoConfig, LingoOpcode } = require('../Constants');
 
@@ -37,7 +38,11 @@ class LingoDecompiler {
      * @param {string[]} nameTable - Parsed symbol names from Lnam.
      * @param {number} externalScriptType - Fallback script type if header is empty.
      * @param {number} memberId - For logging/debugging.
-     * @param {object} options - Options (e.g., { lasm: true }).
+     * @param {object} options - Options (e.g., { lasm: true }). Name ids index nameTable
+     *        directly; { calibrate: true } guesses a name id shift instead, for a table
+     *        that is not the script's own (see MetadataManager.getNameBinding).
+     *        { ast: true } also returns the syntax tree as { properties, handlers }.
+     * @returns {string|object} The source, or { source, lasm, ast } with lasm or ast
      */
     decompile(lscrData, nameTable, externalScriptType = 0, memberId = 0, options = {}) {
         this.log('DEBUG', `[LingoDecompiler] Decompiling script ${memberId}`);
@@ -48,41 +53,25 @@ class LingoDecompiler {
             const endianness = options.endianness || 'big';
             const stream = new DataStream(lscrData, endianness);
             const { hLen, sType, map } = this._getSchema(lscrData, externalScriptType);
-            const cal = this._getCalibration(lscrData, nameTable, map, hLen, sType, memberId);
-
-            /**
-             * Resolves a bytecode ID to a name based on the calibrated shift.
-             * Uses a simple 2D map cache to bypass math and slow string allocations.
-             */
-            const nameCache = { 'handle': [], 'global': [], 'movie_prop': [], 'global_prop': [] };
-            const getName = (id, type) => {
-                if (id === undefined || id === null) return `unk_${type}`;
-                let cacheGroup = nameCache[type];
-                if (!cacheGroup) { cacheGroup = []; nameCache[type] = cacheGroup; }
-                if (cacheGroup[id] !== undefined) return cacheGroup[id];
-
-                if (!nameTable || nameTable.length === 0) {
-                    const fallback = type.includes("prop") ? `p_${id}` : `n_${id}`;
-                    cacheGroup[id] = fallback;
-                    return fallback;
-                }
-
-                let shift = cal.hShift;
-                if (type === "global_prop") shift = cal.gShift;
-                else if (type === "movie_prop") shift = cal.mShift;
-
-                const N = nameTable.length;
-                const idx = (id - shift + (N * 50)) % N;
-                const name = nameTable[idx] || `u_${id}`;
+            const cal = options.calibrate
+                ? this._getCalibration(lscrData, nameTable, map, hLen, sType, memberId)
+                : { hShift: 0, gShift: 0, mShift: 0 };
 
-                cacheGroup[id] = name;
-                return name;
-            };
+            const getName = this._getNameResolver(nameTable, cal, options.calibrate);
 
             const literals = this._getLiterals(stream, map);
             const properties = this._getProperties(stream, map, getName);
+            const globals = this._getGlobals(stream, map, getName);
             const handlers = this._getHandlers(stream, map, hLen);
-            const scriptBlocks = [], asmBlocks = [];
+            const scriptBlocks = [], asmBlocks = [], handlerNodes = [];
+
+            // Globals the bytecode reaches but the GLOB table lacks still need declaring.
+            // VOID is read as an undeclared global, so it is left out.
+            const resolver = (id, type) => {
+                const name = getName(id, type);
+                if (type === 'global' && name && name.toLowerCase() !== 'void' && !globals.some(g => g.toLowerCase() === name.toLowerCase())) globals.push(name);
+                return name;
+            };
 
             // Decompile each handler individually
             for (const handler of handlers) {
@@ -105,83 +94,34 @@ class LingoDecompiler {
                 }
 
                 const codes = this._getBytecodes(lscrData.slice(handler.off, handler.off + handler.len), handler.off);
-                this._tagLoops(codes, getName);
+                const cfg = new ControlFlowGraph(codes);
+                this._tagLoops(codes, getName, cfg);
                 const stack = new LingoStack();
                 const ast = new ASTWrapper(new AST.Handler(hName, args));
 
                 const localInfo = this._getSymbols(stream, handler.lCnt, handler.lOff, getName);
                 const locals = localInfo.symbols || localInfo;
                 const context = {
-                    stack, ast, resolver: getName,
+                    stack, ast, resolver,
                     handler: { locals, args, name: hName, meWasFiltered },
                     literals: literals,
                     isV4: (hLen === LingoConfig.V4_HLEN),
                     sType,
-                    codes, index: 0, memberId,
+                    codes, cfg, index: 0, memberId,
                     handlers: handlers
                 };
 
-
-
-
-
-
-                // Sequential instruction processing
-                for (let i = 0; i < codes.length; i++) {
-                    const bc = codes[i];
-                    context.index = i;
-
-                    // Close control flow blocks if jump target reached
-                    let safetyShift = 0;
-                    while (ast.currentBlock && ast.currentBlock.endPos > 0 && bc.pos >= ast.currentBlock.endPos && safetyShift < 100) {
-                        ast.exitBlock();
-                        safetyShift++;
-                    }
-
-                    // Detection for 'otherwise' branch
-                    if (context.activeCase && !context.activeCase.isOtherwiseActive) {
-                        const isAtCaseLevel = ast.currentBlock.statements[ast.currentBlock.statements.length - 1] === context.activeCase;
-                        if (isAtCaseLevel && context.activeCase.finalPos > 0 && bc.pos < context.activeCase.finalPos) {
-                            // Look ahead to see if there is a jmpifz before the next absolute jump or the end of the case.
-                            // Case checks always consist of peek/push/eq/jmpifz.
-                            let hasJmpifz = false;
-                            for (let j = context.index; j < context.codes.length; j++) {
-                                const peekBc = context.codes[j];
-                                if (peekBc.pos >= context.activeCase.finalPos || peekBc.opcode === 'jmp') break;
-                                if (peekBc.opcode === 'jmpifz' || peekBc.opcode === 'jmp_if_z') {
-                                    hasJmpifz = true;
-                                    break;
-                                }
-                            }
-
-                            // Also skip standalone 'pop' which cleans up the peeked value before otherwise body
-                            if (!hasJmpifz && bc.opcode !== 'pop') {
-                                const otherwise = new AST.CaseBranch([]);
-                                otherwise.block.endPos = context.activeCase.finalPos;
-                                context.activeCase.addBranch(otherwise);
-                                context.activeCase.isOtherwiseActive = true;
-                                ast.enterBlock(otherwise.block);
-                            }
-                        }
-                    }
-
-                    // Special case for ending an 'otherwise' block or CaseStatement
-                    if (context.activeCase && context.activeCase.finalPos > 0 && bc.pos >= context.activeCase.finalPos) {
-                        context.activeCase = null;
-                    }
-
-                    try {
-                        this._translate(bc, context);
-                    } catch (e) {
-                        this.log('ERROR', `Translation failed at pos ${bc.pos} (${bc.opcode}): ${e.message}\nStack: ${e.stack}`);
-                    }
-                }
-
+                this._structure(0, codes.length, context, null);
 
                 scriptBlocks.push(ast.toString());
+                handlerNodes.push(ast.root);
 
                 if (options.lasm) {
-                    let asm = `\n; --- Handler: ${hName} ---\n`;
+                    let asm = `\n; --- Handler: ${hName} ---\n.handler ${hName}\n`;
+                    const rawArgs = this._getRawSymbols(stream, handler.aCnt, handler.aOff, getName);
+                    const rawLocals = this._getRawSymbols(stream, handler.lCnt, handler.lOff, getName);
+                    if (rawArgs.length > 0) asm += `.args ${rawArgs.join(', ')}\n`;
+                    if (rawLocals.length > 0) asm += `.locals ${rawLocals.join(', ')}\n`;
                     for (const bc of codes) {
                         asm += `[${bc.pos.toString().padStart(6)}]  ${bc.opcode.padEnd(16)} 0x${bc.obj.toString(16).padStart(4, '0')} (${bc.obj})\n`;
                     }
@@ -191,15 +131,117 @@ class LingoDecompiler {
 
             let source = "";
             if (properties.length > 0) source += `property ${properties.join(', ')}\n\n`;
+            if (globals.length > 0) source += `global ${globals.join(', ')}\n\n`;
             source += scriptBlocks.join('\n\n');
 
-            return options.lasm ? { source, lasm: asmBlocks.join("\n") } : source;
+            if (options.lasm || options.ast) {
+                const result = { source };
+                if (options.lasm) {
+                    asmBlocks.unshift(this._getAsmHeader(stream, map, sType, cal, literals, getName));
+                    result.lasm = asmBlocks.join("\n");
+                }
+                if (options.ast) result.ast = { properties, handlers: handlerNodes };
+                return result;
+            }
+            return source;
         } catch (e) {
             this.log('ERROR', `Decompilation failed [ID:${memberId}]: ${e.message}\nStack: ${e.stack}`);
-            return options.lasm ? { source: `-- Error: ${e.message}`, lasm: "" } : `-- Error: ${e.message}`;
+            return (options.lasm || options.ast) ? { source: `-- Error: ${e.message}`, lasm: "" } : `-- Error: ${e.message}`;
         }
     }
 
+    /**
+     * Reads a script into the tables LingoVM executes, with names resolved as
+     * decompile() resolves them.
+     * @param {Buffer} lscrData - Raw Lscr chunk data.
+     * @param {string[]} nameTable - Parsed symbol names from Lnam.
+     * @param {number} externalScriptType - Fallback script type if header is empty.
+     * @param {object} options - { calibrate } as for decompile()
+     * @returns {{sType: number, properties: string[], literals: AST.Literal[],
+     *            handlers: {name, args, locals, codes}[], getName: function}}
+     *          args and locals are unfiltered, so `me` keeps its slot
+     */
+    load(lscrData, nameTable, externalScriptType = 0, options = {}) {
+        if (!lscrData || lscrData.length < LingoConfig.LSCR.MIN_SIZE) throw new Error('Script buffer too small/empty');
+        const stream = new DataStream(lscrData, 'big');
+        const { hLen, sType, map } = this._getSchema(lscrData, externalScriptType);
+        const cal = options.calibrate
+            ? this._getCalibration(lscrData, nameTable, map, hLen, sType, 0)
+            : { hShift: 0, gShift: 0, mShift: 0 };
+        const getName = this._getNameResolver(nameTable, cal, options.calibrate);
+
+        const literals = this._getLiterals(stream, map);
+        const properties = this._getProperties(stream, map, getName);
+        const handlers = this._getHandlers(stream, map, hLen)
+            .filter(handler => handler.off < lscrData.length)
+            .map(handler => ({
+                name: getName(handler.nameId, "handle"),
+                args: this._getRawSymbols(stream, handler.aCnt, handler.aOff, getName),
+                locals: this._getRawSymbols(stream, handler.lCnt, handler.lOff, getName),
+                codes: this._getBytecodes(lscrData.slice(handler.off, handler.off + handler.len), handler.off)
+            }));
+
+        return { sType, properties, literals, handlers, getName };
+    }
+
+    /**
+     * The header layout of a script: its section map (PROP, GLOB, HAND, LIT, LTD)
+     * and the size of one handler record, for checking a script without decompiling it.
+     * @param {Buffer} lscrData - Raw Lscr chunk data.
+     * @returns {{hLen: number, sType: number, map: Map<string, {offset, len?, count?}>, handlerSize: number}}
+     */
+    getSchema(lscrData, externalScriptType = 0) {
+        const schema = this._getSchema(lscrData, externalScriptType);
+        return { ...schema, handlerSize: this._handlerSize(schema.hLen) };
+    }
+
+    /**
+     * The handler records of a script whose schema getSchema() returned: name id,
+     * bytecode length and offset, and the count and offset of its arguments and locals.
+     * @returns {{nameId, hId, len, off, aCnt, aOff, lCnt, lOff}[]}
+     */
+    getHandlers(lscrData, schema) {
+        return this._getHandlers(new DataStream(lscrData, 'big'), schema.map, schema.hLen);
+    }
+
+    /**
+     * Resolves a bytecode ID to a name: directly in the script's own table, or
+     * based on the calibrated shift with the calibrate option.
+     * Uses a simple 2D map cache to bypass math and slow string allocations.
+     */
+    _getNameResolver(nameTable, cal, calibrate) {
+        const nameCache = { 'handle': [], 'global': [], 'movie_prop': [], 'global_prop': [] };
+        return (id, type) => {
+            if (id === undefined || id === null) return `unk_${type}`;
+            let cacheGroup = nameCache[type];
+            if (!cacheGroup) { cacheGroup = []; nameCache[type] = cacheGroup; }
+            if (cacheGroup[id] !== undefined) return cacheGroup[id];
+
+            if (!nameTable || nameTable.length === 0) {
+                const fallback = type.includes("prop") ? `p_${id}` : `n_${id}`;
+                cacheGroup[id] = fallback;
+                return fallback;
+            }
+
+            if (!calibrate) {
+                const name = nameTable[id] || `u_${id}`;
+                cacheGroup[id] = name;
+                return name;
+            }
+
+            let shift = cal.hShift;
+            if (type === "global_prop") shift = cal.gShift;
+            else if (type === "movie_prop") shift = cal.mShift;
+
+            const N = nameTable.length;
+            const idx = (id - shift + (N * 50)) % N;
+            const name = nameTable[idx] || `u_${id}`;
+
+            cacheGroup[id] = name;
+            return name;
+        };
+    }
+
     /**
      * Determines script structure and maps internal segments.
      */
@@ -215,6 +257,7 @@ class LingoDecompiler {
                 const r16 = (p) => data.readUInt16BE(p);
                 const r32 = (p) => data.readUInt32BE(p);
                 map.set('PROP', { count: r16(60), offset: r32(62) });
+                map.set('GLOB', { count: r16(66), offset: r32(68) });
                 map.set('HAND', { count: r16(72), offset: r32(74) });
                 map.set('LIT ', { count: r16(78), offset: r32(80) });
                 map.set('LTD ', { len: r32(84), offset: r32(88) });
@@ -507,7 +550,7 @@ class LingoDecompiler {
         if (info.offset >= stream.buffer.length) return [];
         stream.seek(info.offset);
         const res = [];
-        const size = (hLen === LingoConfig.V4_HLEN) ? 46 : hLen;
+        const size = this._handlerSize(hLen);
         const count = (info.count !== undefined) ? info.count : (info.len / size);
         for (let i = 0; i < count; i++) {
             res.push({
@@ -519,6 +562,10 @@ class LingoDecompiler {
         return res;
     }
 
+    _handlerSize(hLen) {
+        return hLen === LingoConfig.V4_HLEN ? LingoConfig.LSCR.HANDLER_SIZE : hLen;
+    }
+
     /**
      * Reads symbol names from a specific segment offset.
      */
@@ -542,6 +589,72 @@ class LingoDecompiler {
         return { symbols: res, meWasFiltered };
     }
 
+    /**
+     * Reads a handler's argument or local names without filtering, for .lasm output.
+     */
+    _getRawSymbols(stream, count, offset, getName) {
+        if (offset < 0 || offset >= stream.buffer.length) return [];
+        const saved = stream.position;
+        stream.seek(offset);
+        const res = [];
+        for (let k = 0; k < count; k++) res.push(getName(stream.readUint16(), "handle"));
+        stream.seek(saved);
+        return res;
+    }
+
+    /**
+     * Reads the script's GLOB table: the globals it declares.
+     */
+    _getGlobals(stream, map, getName) {
+        const info = map.get('GLOB');
+        if (!info || !info.count || info.offset >= stream.buffer.length) return [];
+        stream.seek(info.offset);
+        const res = [];
+        for (let i = 0; i < info.count; i++) {
+            const name = getName(stream.readUint16(), "global");
+            if (name && !res.includes(name)) res.push(name);
+        }
+        return res;
+    }
+
+    /**
+     * Builds the script-level .lasm directives (type, name shift, properties,
+     * globals, literals) understood by LingoAssembler.
+     */
+    _getAsmHeader(stream, map, sType, cal, literals, getName) {
+        // The header's own word, not the member type it falls back to, so the listing reassembles exactly
+        const headerType = stream.buffer.length >= LingoConfig.LSCR.SCRIPT_TYPE + 2 ? stream.buffer.readUInt16BE(LingoConfig.LSCR.SCRIPT_TYPE) : sType;
+        const lines = ['; --- Script ---', `.scripttype ${headerType}`];
+        if (cal.hShift) lines.push(`.nameshift ${cal.hShift}`);
+
+        const info = map.get('PROP');
+        if (info && info.offset < stream.buffer.length) {
+            stream.seek(info.offset);
+            const count = (info.count !== undefined) ? info.count : (info.len / 2);
+            for (let i = 0; i < count; i++) lines.push(`.property ${getName(stream.readUint16(), "handle")}`);
+        }
+        const globals = map.get('GLOB');
+        if (globals && globals.count > 0 && globals.offset < stream.buffer.length) {
+            stream.seek(globals.offset);
+            for (let i = 0; i < globals.count; i++) lines.push(`.global ${getName(stream.readUint16(), "global")}`);
+        }
+
+        const toAsm = (node) => {
+            if (node instanceof AST.IntLiteral) return { type: 'int', value: node.value };
+            if (node instanceof AST.FloatLiteral) return { type: 'float', value: node.value };
+            if (node instanceof AST.StringLiteral) return { type: 'string', value: node.value };
+            if (node instanceof AST.SymbolLiteral) return { type: 'symbol', value: node.value };
+            if (node instanceof AST.ListLiteral) return { type: 'list', value: node.items.map(toAsm) };
+            return null;
+        };
+        literals.forEach((node, i) => {
+            const lit = toAsm(node);
+            if (lit) lines.push(`.literal ${i} ${lit.type} ${JSON.stringify(lit.value)}`);
+            else lines.push(`.literal ${i} int 0 ; unsupported ${node.msg || 'literal'}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
     /**
      * Converts raw handler bytes into a list of Bytecode objects.
      */
@@ -611,24 +724,10 @@ class LingoDecompiler {
         }
     }
 
-    _sameNode(a, b) {
-        if (!a || !b) return false;
-        if (a === b) return true;
-        return a.toString() === b.toString();
-    }
-
     _isOpcode(bc, ...names) {
         return !!bc && names.includes(bc.opcode);
     }
 
-    _getLoopPosMap(codes) {
-        const posMap = new Map();
-        for (let i = 0; i < codes.length; i++) {
-            posMap.set(codes[i].pos, i);
-        }
-        return posMap;
-    }
-
     _isNamedExtCall(bc, resolver, name) {
         return this._isOpcode(bc, 'extcall', 'call_ext') && resolver(bc.obj, "handle") === name;
     }
@@ -779,29 +878,27 @@ class LingoDecompiler {
         }
     }
 
-    _tagLoops(codes, resolver) {
-        const posMap = this._getLoopPosMap(codes);
-
-        for (let startIndex = 0; startIndex < codes.length; startIndex++) {
+    /**
+     * Marks the test of every loop the graph found with its kind and the indices the
+     * structuring needs: bodyEnd, where the body stops, and next, where `next repeat`
+     * jumps to. The setup and increment instructions of `repeat with` are marked 'skip'.
+     */
+    _tagLoops(codes, resolver, cfg) {
+        for (const loop of cfg.loops) {
+            const startIndex = loop.test;
+            const endIndex = loop.exit;
             const jmpIfZ = codes[startIndex];
-            if (!this._isOpcode(jmpIfZ, 'jmpifz', 'jmp_if_z')) continue;
-
-            const endPos = jmpIfZ.pos + jmpIfZ.obj;
-            const endIndex = posMap.get(endPos);
-            if (endIndex === undefined || endIndex < 1) continue;
 
-            const endRepeat = codes[endIndex - 1];
-            if (!this._isOpcode(endRepeat, 'endrepeat')) continue;
-            if ((endRepeat.pos - endRepeat.obj) > jmpIfZ.pos) continue;
-
-            const loopInfo = this._identifyLoop(codes, startIndex, endIndex, resolver, posMap);
+            const loopInfo = this._identifyLoop(codes, startIndex, endIndex, resolver, cfg.posMap);
             if (!loopInfo) {
                 jmpIfZ.loopTag = 'repeat_while';
+                jmpIfZ.loopInfo = { tag: 'repeat_while', bodyEnd: loop.latch, next: loop.header, exit: loop.exit };
                 continue;
             }
 
             jmpIfZ.loopTag = loopInfo.tag;
             jmpIfZ.loopInfo = loopInfo;
+            loopInfo.exit = loop.exit;
 
             if (loopInfo.tag === 'repeat_with_in') {
                 for (let i = startIndex - 7; i <= startIndex - 1; i++) {
@@ -814,6 +911,7 @@ class LingoDecompiler {
                 codes[endIndex - 2].loopTag = 'skip';
                 codes[endIndex - 1].loopTag = 'skip';
                 codes[endIndex].loopTag = 'skip';
+                loopInfo.bodyEnd = loopInfo.next = endIndex - 3;
             } else {
                 const conditionSetIndex = loopInfo.conditionSetIndex;
                 codes[conditionSetIndex].loopTag = 'skip';
@@ -824,6 +922,7 @@ class LingoDecompiler {
                 codes[endIndex - 3].loopTag = 'skip';
                 codes[endIndex - 2].loopTag = 'skip';
                 codes[endIndex - 1].loopTag = 'skip';
+                loopInfo.bodyEnd = loopInfo.next = endIndex - 5;
             }
         }
     }
@@ -859,6 +958,235 @@ class LingoDecompiler {
         return node;
     }
 
+    /**
+     * Phase 3: Rebuilds instructions [from, to) into statements of the current block.
+     * Jumps never reach _translate. A conditional opens a repeat, an if or a catch
+     * whose parts are structured in turn, a `peek 0` with a case test opens a case,
+     * and any other `jmp` can only leave the innermost loop.
+     * @param {object|null} loop - The innermost loop's loopInfo
+     */
+    _structure(from, to, ctx, loop) {
+        const { ast, codes } = ctx;
+        const depth = ast.blockStack.length;
+
+        let i = from;
+        while (i < to) {
+            const bc = codes[i];
+            if (ControlFlowGraph.isConditional(bc)) {
+                i = this._structureConditional(i, to, ctx, loop);
+            } else if (bc.opcode === 'jmp') {
+                const kind = this._loopJump(i, ctx, loop);
+                if (kind === 'exit') ast.addStatement(new AST.ExitRepeatStatement());
+                else if (kind === 'next') ast.addStatement(new AST.NextRepeatStatement());
+                i++;
+            } else if (bc.opcode === 'endrepeat') {
+                i++;
+            } else if (this._caseTest(i, to, ctx)) {
+                i = this._structureCase(i, to, ctx, loop);
+            } else {
+                this._emit(i, ctx);
+                i++;
+            }
+        }
+
+        // A try() or tell opened in this range ends with it
+        while (ast.blockStack.length > depth) ast.exitBlock();
+    }
+
+    _structureBlock(block, from, to, ctx, loop) {
+        const { ast, codes } = ctx;
+        const last = codes[codes.length - 1];
+        block.endPos = to < codes.length ? codes[to].pos : last.pos + last.len;
+        ast.enterBlock(block);
+        this._structure(from, to, ctx, loop);
+        ast.exitBlock();
+    }
+
+    _emit(i, ctx) {
+        const bc = ctx.codes[i];
+        ctx.index = i;
+        try {
+            this._translate(bc, ctx);
+        } catch (e) {
+            this.log('ERROR', `Translation failed at pos ${bc.pos} (${bc.opcode}): ${e.message}\nStack: ${e.stack}`);
+        }
+    }
+
+    /**
+     * @returns {string|null} 'exit' for a jump out of the innermost loop, 'next' for
+     *          a jump to its next pass
+     */
+    _loopJump(i, ctx, loop) {
+        if (!loop) return null;
+        const target = ctx.cfg.targetIndex(i);
+        if (target >= loop.exit) return 'exit';
+        if (target === loop.next) return 'next';
+        return null;
+    }
+
+    /**
+     * Structures the conditional jump at i: a loop test, the catch() of a try, or an if.
+     * The then-part runs to the jump target. It has an else when it ends with a forward
+     * `jmp` that stays in the range and does not leave the loop.
+     * @returns {number} Index of the first instruction after the statement
+     */
+    _structureConditional(i, to, ctx, loop) {
+        const { stack, ast, codes, cfg } = ctx;
+        const bc = codes[i];
+        let end = cfg.targetIndex(i);
+        if (end > to || end < 0) {
+            // A target outside the range: the paths meet where the graph says, if in range
+            const follow = cfg.follow(i);
+            end = follow > i && follow <= to ? follow : to;
+        } else if (end <= i) {
+            end = i + 1;
+        }
+
+        const loopInfo = bc.loopInfo;
+        if (loopInfo) {
+            const repeatNode = this._openLoop(bc, ctx);
+            ast.addStatement(repeatNode);
+            this._structureBlock(repeatNode.block, i + 1, loopInfo.bodyEnd, ctx, loopInfo);
+            return loopInfo.exit;
+        }
+
+        const condVal = stack.pop();
+
+        // HABBO ORIGINS: Catch transformation
+        // Detect 'if catch() then'
+        const isCatchCond = (condVal instanceof AST.CallStatement && condVal.name === 'catch') ||
+                            (condVal instanceof AST.NotOperator && condVal.expr instanceof AST.CallStatement && condVal.expr.name === 'catch');
+
+        if (isCatchCond && ast.currentBlock.parent instanceof AST.TryStatement) {
+            const tryNode = ast.currentBlock.parent;
+            ast.exitBlock(); // Exit tryBlock
+            this._structureBlock(tryNode.catchBlock, i + 1, end, ctx, loop);
+            return end;
+        }
+
+        const ifNode = new AST.IfStatement(0, condVal);
+        ast.addStatement(ifNode);
+
+        const jump = end - 1;
+        const elseEnd = (jump > i && codes[jump].opcode === 'jmp') ? cfg.targetIndex(jump) : -1;
+        const kind = elseEnd > end && elseEnd <= to ? this._loopJump(jump, ctx, loop) : 'none';
+        // A then-part that only jumps to the next pass is a `next repeat`. After other
+        // statements the same jump closes an else that ends the loop body.
+        if (kind === 'none' || kind === 'exit' || (kind === 'next' && jump === i + 1)) {
+            this._structureBlock(ifNode.block1, i + 1, end, ctx, loop);
+            return end;
+        }
+
+        ifNode.setType(1);
+        this._structureBlock(ifNode.block1, i + 1, jump, ctx, loop);
+        this._structureBlock(ifNode.block2, end, elseEnd, ctx, loop);
+        return elseEnd;
+    }
+
+    _openLoop(bc, ctx) {
+        const { stack } = ctx;
+        if (bc.loopTag === 'repeat_with_in') {
+            const listExpr = stack.pop();
+            const varName = this._getLoopVarName(ctx.codes[bc.loopInfo.varSetIndex], ctx);
+            return new AST.RepeatWithInStatement(varName, listExpr);
+        }
+
+        if (bc.loopTag === 'repeat_with_to' || bc.loopTag === 'repeat_with_down_to') {
+            const endExpr = stack.pop();
+            const startExpr = stack.pop();
+            const varName = this._getLoopVarName(ctx.codes[bc.loopInfo.conditionSetIndex], ctx);
+            return new AST.RepeatWithStatement(varName, startExpr, endExpr, bc.loopTag === 'repeat_with_down_to');
+        }
+
+        return new AST.RepeatWhileStatement(stack.pop());
+    }
+
+    /**
+     * A case test is `peek 0`, the label value, `eq` and a `jmpifz` past the branch,
+     * whose body starts by popping the case value. In a label list, all but the last
+     * test use `nteq` and jump to that `pop 1` instead.
+     * @returns {object|null} { jump, target, op } with the indices of the jmpifz and its target
+     */
+    _caseTest(i, to, ctx) {
+        const { codes, cfg } = ctx;
+        const peek = codes[i];
+        if (!peek || peek.opcode !== 'peek' || peek.obj !== 0 || peek.loopTag === 'skip') return null;
+
+        let jump = i + 1;
+        while (jump < to && !ControlFlowGraph.isJump(codes[jump]) && codes[jump].opcode !== 'ret') jump++;
+        if (jump >= to || jump < i + 3 || !ControlFlowGraph.isConditional(codes[jump])) return null;
+
+        const op = codes[jump - 1].opcode;
+        const target = cfg.targetIndex(jump);
+        if ((op !== 'eq' && op !== 'nteq') || target <= jump || target > to) return null;
+
+        const body = codes[op === 'eq' ? jump + 1 : target];
+        if (!body || body.opcode !== 'pop' || body.obj !== 1) return null;
+        return { jump, target, op };
+    }
+
+    /**
+     * Structures the case whose first test starts at i. The case value stays on the
+     * stack under every test, so the stack is reset to it for each one. The branches'
+     * closing jumps give the end of the case, and the code between the last test's
+     * `pop 1` and that end is the otherwise branch.
+     * @returns {number} Index of the first instruction after the case
+     */
+    _structureCase(i, to, ctx, loop) {
+        const { stack, ast, codes, cfg } = ctx;
+        const caseNode = new AST.CaseStatement(stack.pop());
+        ast.addStatement(caseNode);
+
+        const base = stack._items.slice();
+        const reset = (withValue) => { stack._items = withValue ? [...base, caseNode.expr] : base.slice(); };
+
+        let k = i, end = -1, labels = [], test;
+        const first = this._caseTest(i, to, ctx);
+        while ((test = this._caseTest(k, to, ctx))) {
+            reset(true);
+            for (let j = k; j < test.jump; j++) this._emit(j, ctx);
+            const cond = stack.pop();
+            labels.push(cond instanceof AST.BinaryOperator ? cond.right : cond);
+            if (test.op === 'nteq') {
+                k = test.jump + 1;
+                continue;
+            }
+
+            const branch = new AST.CaseBranch(labels);
+            labels = [];
+            caseNode.addBranch(branch);
+
+            let bodyEnd = test.target;
+            const jump = bodyEnd - 1;
+            if (jump > test.jump + 1 && codes[jump].opcode === 'jmp') {
+                const target = cfg.targetIndex(jump);
+                if (target >= bodyEnd && target <= to) {
+                    end = Math.max(end, target);
+                    bodyEnd = jump;
+                }
+            }
+
+            reset(false);
+            this._structureBlock(branch.block, test.jump + 2, bodyEnd, ctx, loop);
+            k = test.target;
+        }
+
+        // The fall-through path pops the case value
+        if (codes[k] && codes[k].opcode === 'pop' && codes[k].obj === 1) k++;
+        if (end < 0) {
+            const follow = cfg.follow(first.jump);
+            end = follow >= k && follow <= to ? follow : k;
+        }
+
+        reset(false);
+        if (end > k) {
+            const otherwise = new AST.CaseBranch([]);
+            caseNode.addBranch(otherwise);
+            this._structureBlock(otherwise.block, k, end, ctx, loop);
+        }
+        return Math.max(end, k);
+    }
+
     /**
      * Phase 4: Translates a single bytecode into AST nodes.
      */
@@ -875,6 +1203,8 @@ class LingoDecompiler {
                 let rv = stack.pop();
                 // Allow void returns (stack underflows) anywhere - they're valid Lingo patterns
                 if (rv && rv.constructor.name === 'ERROR') {
+                    // The handler's closing ret is implied by `end`
+                    if (bc === ctx.codes[ctx.codes.length - 1] && ast.currentBlock === ast.root.block) break;
                     const last = (ast.currentBlock.statements.length > 0) ? ast.currentBlock.statements[ast.currentBlock.statements.length - 1] : null;
                     const isRet = last && (last.constructor.name === 'ReturnStatement' || (last.constructor.name === 'CallStatement' && last.name === 'return'));
                     if (!isRet) {
@@ -971,9 +1301,9 @@ class LingoDecompiler {
             case 'not': stack.push(new AST.NotOperator(stack.pop())); break;
 
             case 'add': case 'sub': case 'mul': case 'div': case 'mod': case 'eq': case 'lt': case 'gt': case 'lteq': case 'gteq':
-            case 'and': case 'or': case 'joinstr': case 'nteq': case 'containsstr': case 'joinpadstr':
+            case 'and': case 'or': case 'joinstr': case 'nteq': case 'containsstr': case 'contains0str': case 'joinpadstr':
                 const right = stack.pop(), left = stack.pop();
-                const map = { add: '+', sub: '-', mul: '*', div: '/', mod: 'mod', eq: '=', lt: '<', gt: '>', lteq: '<=', gteq: '>=', and: 'and', or: 'or', joinstr: '&', nteq: '<>', containsstr: 'contains', joinpadstr: '&&' };
+                const map = { add: '+', sub: '-', mul: '*', div: '/', mod: 'mod', eq: '=', lt: '<', gt: '>', lteq: '<=', gteq: '>=', and: 'and', or: 'or', joinstr: '&', nteq: '<>', containsstr: 'contains', contains0str: 'starts', joinpadstr: '&&' };
                 stack.push(new AST.BinaryOperator(map[op], left, right)); break;
 
             case 'getlocal': case 'get_local':
@@ -1179,138 +1509,21 @@ class LingoDecompiler {
                 }
                 break;
 
-            case 'jmpifz': case 'jmp_if_z': {
-                const blockEnd = bc.pos + bc.obj;
-
-                if (bc.loopTag === 'repeat_with_in') {
-                    const listExpr = stack.pop();
-                    const varName = this._getLoopVarName(ctx.codes[bc.loopInfo.varSetIndex], ctx);
-                    const repeatNode = new AST.RepeatWithInStatement(varName, listExpr);
-                    repeatNode.block.endPos = blockEnd;
-                    ast.addStatement(repeatNode);
-                    ast.enterBlock(repeatNode.block);
-                    break;
-                }
-
-                if (bc.loopTag === 'repeat_with_to' || bc.loopTag === 'repeat_with_down_to') {
-                    const endExpr = stack.pop();
-                    const startExpr = stack.pop();
-                    const varName = this._getLoopVarName(ctx.codes[bc.loopInfo.conditionSetIndex], ctx);
-                    const repeatNode = new AST.RepeatWithStatement(
-                        varName,
-                        startExpr,
-                        endExpr,
-                        bc.loopTag === 'repeat_with_down_to'
-                    );
-                    repeatNode.block.endPos = blockEnd;
-                    ast.addStatement(repeatNode);
-                    ast.enterBlock(repeatNode.block);
-                    break;
-                }
-
-                const condVal = stack.pop();
-
-                // HABBO ORIGINS: Catch transformation
-                // Detect 'if catch() then'
-                const isCatchCond = (condVal instanceof AST.CallStatement && condVal.name === 'catch') ||
-                                    (condVal instanceof AST.NotOperator && condVal.expr instanceof AST.CallStatement && condVal.expr.name === 'catch');
-
-                if (isCatchCond && ast.currentBlock.parent instanceof AST.TryStatement) {
-                    const tryNode = ast.currentBlock.parent;
-                    ast.exitBlock(); // Exit tryBlock
-                    tryNode.catchBlock.endPos = blockEnd;
-                    ast.enterBlock(tryNode.catchBlock);
-                    break;
-                }
-
-                if (ctx.activeCase &&
-                    condVal instanceof AST.BinaryOperator &&
-                    condVal.op === '=' &&
-                    this._sameNode(condVal.left, ctx.activeCase.expr)) {
-                    const branch = new AST.CaseBranch([condVal.right]);
-                    branch.block.endPos = blockEnd;
-                    ctx.activeCase.addBranch(branch);
-                    ast.enterBlock(branch.block);
-                } else {
-                    const isRepeatWhile = bc.loopTag === 'repeat_while';
-
-                    if (isRepeatWhile) {
-                        const repeatNode = new AST.RepeatWhileStatement(condVal);
-                        repeatNode.block.endPos = blockEnd;
-                        ast.addStatement(repeatNode);
-                        ast.enterBlock(repeatNode.block);
-                    } else {
-                        const ifNode = new AST.IfStatement(0, condVal);
-                        ifNode.block1.endPos = blockEnd;
-                        ast.addStatement(ifNode);
-                        ast.enterBlock(ifNode.block1);
-                    }
-                }
-                break;
-            }
-
-            case 'jmp':
-                const jumpTarget = bc.pos + bc.obj, nextBc = ctx.codes[ctx.index + 1];
-
-                let inLoop = false;
-                let currNode = ast.currentBlock;
-                while (currNode) {
-                    if (currNode.parent instanceof AST.RepeatWhileStatement
-                        || currNode.parent instanceof AST.RepeatWithStatement
-                        || currNode.parent instanceof AST.RepeatWithInStatement) {
-                        if (jumpTarget >= currNode.parent.block.endPos) {
-                            inLoop = true;
-                            break;
-                        }
-                    }
-                    currNode = currNode.parent ? currNode.parent.parent : null;
-                }
-
-                if (inLoop) {
-                    ast.addStatement(new AST.ExitRepeatStatement());
-                    break;
-                }
-
-                if (ast.currentBlock.parent instanceof AST.IfStatement) {
-                    const si = ast.currentBlock.parent;
-                    if (nextBc && nextBc.pos === ast.currentBlock.endPos) {
-                        si.setType(1);
-                        si.block2.endPos = jumpTarget;
-                        ast.exitBlock(); // exit block1
-                        ast.enterBlock(si.block2); // enter block2
-                    }
-                } else if (ast.currentBlock.parent instanceof AST.CaseBranch) {
-                    const branch = ast.currentBlock.parent;
-                    const caseStmt = branch.parent;
-                    if (caseStmt instanceof AST.CaseStatement) {
-                        caseStmt.finalPos = Math.max(caseStmt.finalPos || 0, jumpTarget);
-                    }
-                }
-                break;
-
-            case 'peek':
-                {
+            case 'peek': {
                 const depth = Number.isInteger(bc.obj) ? bc.obj : 0;
                 const idx = stack.length - 1 - depth;
-                const valPeek = idx >= 0
-                    ? stack._items[idx]
-                    : ((depth === 0 && ctx.activeCase) ? ctx.activeCase.expr : new AST.ERROR("Stack Underflow"));
-                stack.push(valPeek);
-
-                if (depth === 0 && !ctx.activeCase && ctx.index + 3 < ctx.codes.length) {
-                    const n1 = ctx.codes[ctx.index + 1], n2 = ctx.codes[ctx.index + 2], n3 = ctx.codes[ctx.index + 3];
-                    if (n1.opcode.startsWith('push') && n2.opcode === 'eq' && n3.opcode === 'jmpifz') {
-                        ctx.activeCase = new AST.CaseStatement(valPeek);
-                        ctx.activeCase.finalPos = -1;
-                        ast.addStatement(ctx.activeCase);
-                    }
-                }
+                stack.push(idx >= 0 ? stack._items[idx] : new AST.ERROR("Stack Underflow"));
                 break;
-                }
+            }
 
-            case 'endrepeat':
-                // endrepeat jumps back to the loop condition; the block exit is handled
-                // by the position-based block closing logic in the main loop.
+            case 'starttell': {
+                const tellNode = new AST.TellStatement(stack.pop());
+                ast.addStatement(tellNode);
+                ast.enterBlock(tellNode.block);
+                break;
+            }
+            case 'endtell':
+                if (ast.currentBlock.parent instanceof AST.TellStatement) ast.exitBlock();
                 break;
 
             case 'newobj':
@@ -0,0 +1,719 @@
+/**
+ * @version 1.4.2
+ * LingoParser.js - Lexer and recursive-descent parser for Lingo source
+ *
+ * Turns `.ls` text into a plain-object syntax tree for LingoCompiler: handlers,
+ * property and global declarations, if/else, case, the repeat forms, tell, put,
+ * chunk expressions, lists and proplists, `the` properties, dot syntax and
+ * commands called without parentheses. Keywords are case-insensitive, `--` starts
+ * a comment and `¬` (or a trailing `\`) continues a line. String literals take the
+ * `\"`, `\\` and `\r` escapes LingoDecompiler writes.
+ *
+ * Operator precedence, loosest first: or, and, comparisons (= <> < <= > >=
+ * contains starts), & &&, + -, * / mod, unary - and not.
+ */
+
+const CHUNK_TYPES = { char: 1, word: 2, item: 3, line: 4 };
+const CHUNK_PLURALS = { chars: 1, words: 2, items: 3, lines: 4 };
+
+// Object references written with a bare argument: sprite 1, member "x" of castLib 2
+const REFERENCE_WORDS = new Set(['sprite', 'member', 'castlib', 'cast', 'script', 'window', 'xtra']);
+
+// Words that end an expression rather than start one
+const STOP_WORDS = new Set(['of', 'in', 'to', 'down', 'into', 'after', 'before', 'then', 'else', 'end',
+    'and', 'or', 'mod', 'contains', 'starts', 'otherwise']);
+
+const COMPARISON_OPS = new Set(['=', '<>', '<', '<=', '>', '>=']);
+
+const STRING_ESCAPES = { '"': '"', '\\': '\\', r: '\r' };
+
+class LingoParser {
+    /**
+     * @param {string} source - Lingo script text
+     * @returns {{properties: string[], globals: string[], handlers: object[]}}
+     */
+    parse(source) {
+        this.tokens = this.tokenize(source);
+        this.pos = 0;
+
+        const script = { properties: [], globals: [], handlers: [] };
+        while (!this.at('eof')) {
+            if (this.accept('newline')) continue;
+            if (this.acceptWord('property')) {
+                script.properties.push(...this.parseNameList());
+            } else if (this.acceptWord('global')) {
+                script.globals.push(...this.parseNameList());
+            } else if (this.atWord('on')) {
+                script.handlers.push(this.parseHandler());
+                continue;
+            } else {
+                this.fail('Expected a handler, property or global declaration');
+            }
+            this.endStatement();
+        }
+        return script;
+    }
+
+    tokenize(source) {
+        const text = String(source).replace(/\r\n?/g, '\n');
+        const tokens = [];
+        let line = 1;
+        let i = 0;
+        const push = (type, value = null) => tokens.push({ type, value, line });
+        const fail = (msg) => { throw new Error(`Line ${line}: ${msg}`); };
+
+        const numberRe = /(\d+\.\d*|\.\d+|\d+)(e[+-]?\d+)?/iy;
+        const identRe = /[A-Za-z_\u00C0-\uFFFF][\w\u00C0-\uFFFF]*/y;
+
+        while (i < text.length) {
+            const c = text[i];
+            if (c === '\n') { push('newline'); line++; i++; continue; }
+            if (c === ' ' || c === '\t' || c === '\f' || c === '\v') { i++; continue; }
+            if (c === '-' && text[i + 1] === '-') {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+            if (c === '\u00AC' || (c === '\\' && this._endsLine(text, i + 1))) {
+                // Continuation: the statement goes on after the line break
+                const nl = text.indexOf('\n', i);
+                i = nl === -1 ? text.length : nl + 1;
+                line++;
+                continue;
+            }
+            if (c === '"') {
+                // \" \\ and \r are the escapes LingoDecompiler writes; any other backslash is literal
+                let value = '';
+                for (i++; text[i] !== '"'; i++) {
+                    if (i >= text.length || text[i] === '\n') fail('Unterminated string');
+                    const escape = text[i] === '\\' ? STRING_ESCAPES[text[i + 1]] : undefined;
+                    if (escape !== undefined) i++;
+                    value += escape !== undefined ? escape : text[i];
+                }
+                push('string', value);
+                i++;
+                continue;
+            }
+            if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+                numberRe.lastIndex = i;
+                const m = numberRe.exec(text);
+                const isFloat = /[.eE]/.test(m[0]);
+                push(isFloat ? 'float' : 'int', Number(m[0]));
+                i += m[0].length;
+                continue;
+            }
+            identRe.lastIndex = i;
+            const word = identRe.exec(text);
+            if (word) {
+                push('ident', word[0]);
+                i += word[0].length;
+                continue;
+            }
+            if (c === '#') {
+                identRe.lastIndex = i + 1;
+                const sym = identRe.exec(text);
+                if (!sym) fail('Expected a symbol name after #');
+                push('symbol', sym[0]);
+                i += 1 + sym[0].length;
+                continue;
+            }
+            const two = text.slice(i, i + 2);
+            if (two === '<>' || two === '<=' || two === '>=' || two === '&&') {
+                push(two);
+                i += 2;
+                continue;
+            }
+            if ('+-*/&=<>()[],.:'.includes(c)) {
+                push(c);
+                i++;
+                continue;
+            }
+            fail(`Unexpected character '${c}'`);
+        }
+        push('eof');
+        return tokens;
+    }
+
+    _endsLine(text, i) {
+        while (text[i] === ' ' || text[i] === '\t') i++;
+        return i >= text.length || text[i] === '\n';
+    }
+
+    // --- Token helpers ---
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    at(type, offset = 0) {
+        return this.peek(offset).type === type;
+    }
+
+    accept(type) {
+        if (!this.at(type)) return false;
+        this.next();
+        return true;
+    }
+
+    expect(type, what = `'${type}'`) {
+        if (!this.at(type)) this.fail(`Expected ${what}`);
+        return this.next();
+    }
+
+    atWord(word, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'ident' && token.value.toLowerCase() === word;
+    }
+
+    acceptWord(word) {
+        if (!this.atWord(word)) return false;
+        this.next();
+        return true;
+    }
+
+    expectWord(word) {
+        if (!this.acceptWord(word)) this.fail(`Expected '${word}'`);
+    }
+
+    expectIdent(what = 'a name') {
+        if (!this.at('ident')) this.fail(`Expected ${what}`);
+        return this.next().value;
+    }
+
+    atEndOfStatement() {
+        return this.at('newline') || this.at('eof') || this.atWord('else');
+    }
+
+    endStatement() {
+        if (this.at('eof')) return;
+        if (!this.accept('newline')) this.fail(`Unexpected ${this.describe(this.peek())}`);
+    }
+
+    skipNewlines() {
+        while (this.accept('newline'));
+    }
+
+    describe(token) {
+        if (token.type === 'eof') return 'end of script';
+        if (token.type === 'newline') return 'end of line';
+        if (token.type === 'string') return `"${token.value}"`;
+        if (token.type === 'symbol') return `#${token.value}`;
+        return `'${token.value !== null ? token.value : token.type}'`;
+    }
+
+    fail(msg) {
+        throw new Error(`Line ${this.peek().line}: ${msg}`);
+    }
+
+    parseNameList() {
+        const names = [this.expectIdent()];
+        while (this.accept(',')) names.push(this.expectIdent());
+        return names;
+    }
+
+    // --- Handlers and statements ---
+
+    parseHandler() {
+        const line = this.next().line;
+        const name = this.expectIdent('a handler name');
+        const paren = this.accept('(');
+        let args = [];
+        if (this.at('ident')) args = this.parseNameList();
+        if (paren) this.expect(')');
+        this.endStatement();
+
+        const body = this.parseBlock(['end']);
+        this.expectWord('end');
+        if (this.at('ident')) this.next();
+        this.endStatement();
+        return { name, args, body, line };
+    }
+
+    /**
+     * Parses statements up to one of the terminator words (left unconsumed).
+     * @param {string[]} terminators
+     * @param {Function} [stop] - Extra check for where the block ends (case labels)
+     */
+    parseBlock(terminators, stop = null) {
+        const body = [];
+        for (;;) {
+            this.skipNewlines();
+            if (this.at('eof')) this.fail(`Expected '${terminators[terminators.length - 1]}'`);
+            if (terminators.some(word => this.atWord(word))) return body;
+            if (stop && stop()) return body;
+            body.push(this.parseStatement());
+            this.endStatement();
+        }
+    }
+
+    parseStatement() {
+        const token = this.peek();
+        const word = token.type === 'ident' ? token.value.toLowerCase() : null;
+        const line = token.line;
+
+        switch (word) {
+            case 'if': return this.parseIf();
+            case 'repeat': return this.parseRepeat();
+            case 'case': return this.parseCase();
+            case 'tell': return this.parseTell();
+            case 'exit':
+                this.next();
+                if (this.acceptWord('repeat')) return { type: 'exitRepeat', line };
+                return { type: 'exit', line };
+            case 'next':
+                if (!this.atWord('repeat', 1)) break;
+                this.next();
+                this.next();
+                return { type: 'nextRepeat', line };
+            case 'return':
+                this.next();
+                return { type: 'return', value: this.atEndOfStatement() ? null : this.parseExpression(), line };
+            case 'global':
+                this.next();
+                return { type: 'global', names: this.parseNameList(), line };
+            case 'property':
+                this.fail('Property declarations belong at the top of the script');
+                break;
+            case 'set': {
+                this.next();
+                const target = this.parsePostfix();
+                if (!this.accept('=')) this.expectWord('to');
+                return { type: 'assign', target, value: this.parseExpression(), line };
+            }
+            case 'put': {
+                this.next();
+                const value = this.parseExpression();
+                const mode = ['into', 'after', 'before'].find(w => this.acceptWord(w));
+                if (!mode) return { type: 'call', expr: { type: 'call', name: token.value, args: [value] }, line };
+                return { type: 'put', mode, value, target: this.parsePostfix(), line };
+            }
+            case 'delete':
+                this.next();
+                return { type: 'delete', target: this.parsePostfix(), line };
+            // `play frame 1` compiles as `go to frame 1` does, to a call of play()
+            case 'go':
+            case 'play': {
+                this.next();
+                this.acceptWord('to');
+                const args = [];
+                if (this.acceptWord('movie')) {
+                    args.push({ type: 'int', value: 1 }, this.parseExpression());
+                } else {
+                    this.acceptWord('frame');
+                    args.push(this.parseExpression());
+                    if (this.acceptWord('of')) {
+                        this.expectWord('movie');
+                        args.push(this.parseExpression());
+                    }
+                }
+                return { type: 'call', expr: { type: 'call', name: token.value, args }, line };
+            }
+            default:
+                break;
+        }
+        return this.parseSimpleStatement();
+    }
+
+    /**
+     * Assignments, calls and commands: `x = 1`, `sprite(1).locH = 2`, `foo(1)`, `alert "hi"`.
+     */
+    parseSimpleStatement() {
+        const start = this.pos;
+        const first = this.peek();
+        const line = first.line;
+
+        let expr = null;
+        try {
+            expr = this.parsePostfix();
+        } catch (e) {
+            if (first.type !== 'ident') throw e;
+        }
+
+        if (expr) {
+            if (this.accept('=')) return { type: 'assign', target: expr, value: this.parseExpression(), line };
+            if (this.atEndOfStatement()) {
+                if (expr.type === 'call' || expr.type === 'objcall') return { type: 'call', expr, line };
+                if (expr.type === 'var') return { type: 'call', expr: { type: 'call', name: expr.name, args: [] }, line };
+                this.fail('Expression used as a statement');
+            }
+        }
+
+        // A command with its arguments written without parentheses
+        if (first.type === 'ident' && !STOP_WORDS.has(first.value.toLowerCase())) {
+            this.pos = start + 1;
+            const args = this.parseExpressionList();
+            if (!this.atEndOfStatement()) this.fail(`Unexpected ${this.describe(this.peek())}`);
+            return { type: 'call', expr: { type: 'call', name: first.value, args }, line };
+        }
+        this.pos = start;
+        return this.fail(`Unexpected ${this.describe(first)}`);
+    }
+
+    parseIf() {
+        const { node, block } = this.parseIfRest();
+        if (block) {
+            this.skipNewlines();
+            this.expectWord('end');
+            this.expectWord('if');
+        }
+        return node;
+    }
+
+    /**
+     * Parses from the condition on; an `else if` chain shares the outermost `end if`.
+     * @returns {{node: object, block: boolean}} block is set when any branch spans lines
+     */
+    parseIfRest() {
+        const line = this.next().line;
+        const cond = this.parseExpression();
+        this.skipNewlines();
+        this.expectWord('then');
+
+        const node = { type: 'if', cond, then: [], else: null, line };
+        let block = false;
+        if (this.at('newline')) {
+            node.then = this.parseBlock(['else', 'end']);
+            block = true;
+        } else {
+            node.then = [this.parseStatement()];
+        }
+
+        const save = this.pos;
+        this.skipNewlines();
+        if (this.atWord('else')) {
+            this.next();
+            if (this.atWord('if')) {
+                const nested = this.parseIfRest();
+                node.else = [nested.node];
+                block = block || nested.block;
+            } else if (this.at('newline')) {
+                node.else = this.parseBlock(['end']);
+                block = true;
+            } else {
+                node.else = [this.parseStatement()];
+            }
+        } else {
+            this.pos = save;
+        }
+        return { node, block };
+    }
+
+    parseRepeat() {
+        const line = this.next().line;
+        let node;
+        if (this.acceptWord('while')) {
+            node = { type: 'repeatWhile', cond: this.parseExpression(), line };
+        } else if (this.acceptWord('with')) {
+            const variable = this.expectIdent('a loop variable');
+            if (this.acceptWord('in')) {
+                node = { type: 'repeatIn', variable, list: this.parseExpression(), line };
+            } else {
+                this.expect('=');
+                const from = this.parseExpression();
+                const down = this.acceptWord('down');
+                this.expectWord('to');
+                node = { type: 'repeatWith', variable, from, to: this.parseExpression(), down, line };
+            }
+        } else {
+            this.fail("Expected 'while' or 'with' after 'repeat'");
+        }
+        this.endStatement();
+        node.body = this.parseBlock(['end']);
+        this.expectWord('end');
+        this.expectWord('repeat');
+        return node;
+    }
+
+    parseCase() {
+        const line = this.next().line;
+        const expr = this.parseExpression();
+        this.expectWord('of');
+        this.endStatement();
+
+        const node = { type: 'case', expr, branches: [], otherwise: null, line };
+        const atLabel = () => this.atCaseLabel();
+        for (;;) {
+            this.skipNewlines();
+            if (this.acceptWord('end')) {
+                this.expectWord('case');
+                return node;
+            }
+            if (this.acceptWord('otherwise')) {
+                this.accept(':');
+                node.otherwise = this.parseBranchBody(['end'], null);
+                continue;
+            }
+            if (node.otherwise) this.fail("Expected 'end case' after 'otherwise'");
+            const labels = this.parseExpressionList();
+            this.expect(':');
+            node.branches.push({ labels, body: this.parseBranchBody(['end', 'otherwise'], atLabel) });
+        }
+    }
+
+    parseBranchBody(terminators, stop) {
+        const body = [];
+        if (!this.at('newline')) {
+            body.push(this.parseStatement());
+            this.endStatement();
+        }
+        return body.concat(this.parseBlock(terminators, stop));
+    }
+
+    /**
+     * True when the line ahead is a case label list ending in ':'.
+     */
+    atCaseLabel() {
+        const save = this.pos;
+        try {
+            this.parseExpressionList();
+            return this.at(':');
+        } catch (e) {
+            return false;
+        } finally {
+            this.pos = save;
+        }
+    }
+
+    parseTell() {
+        const line = this.next().line;
+        const target = this.parseExpression();
+        if (this.acceptWord('to')) return { type: 'tell', target, body: [this.parseStatement()], line };
+        this.endStatement();
+        const body = this.parseBlock(['end']);
+        this.expectWord('end');
+        this.expectWord('tell');
+        return { type: 'tell', target, body, line };
+    }
+
+    // --- Expressions ---
+
+    parseExpressionList() {
+        const list = [this.parseExpression()];
+        while (this.accept(',')) list.push(this.parseExpression());
+        return list;
+    }
+
+    parseExpression() {
+        return this.parseOr();
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.acceptWord('or')) left = { type: 'binary', op: 'or', left, right: this.parseAnd() };
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseComparison();
+        while (this.acceptWord('and')) left = { type: 'binary', op: 'and', left, right: this.parseComparison() };
+        return left;
+    }
+
+    parseComparison() {
+        let left = this.parseConcat();
+        for (;;) {
+            const token = this.peek();
+            let op = null;
+            if (COMPARISON_OPS.has(token.type)) op = token.type;
+            else if (this.atWord('contains')) op = 'contains';
+            else if (this.atWord('starts')) op = 'starts';
+            if (!op) return left;
+            this.next();
+            left = { type: 'binary', op, left, right: this.parseConcat() };
+        }
+    }
+
+    parseConcat() {
+        let left = this.parseAdditive();
+        while (this.at('&') || this.at('&&')) {
+            const op = this.next().type;
+            left = { type: 'binary', op, left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.at('+') || this.at('-')) {
+            const op = this.next().type;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        for (;;) {
+            let op = null;
+            if (this.at('*') || this.at('/')) op = this.peek().type;
+            else if (this.atWord('mod')) op = 'mod';
+            if (!op) return left;
+            this.next();
+            left = { type: 'binary', op, left, right: this.parseUnary() };
+        }
+    }
+
+    parseUnary() {
+        if (this.accept('-')) {
+            const operand = this.parseUnary();
+            if (operand.type === 'int' || operand.type === 'float') return { ...operand, value: -operand.value };
+            return { type: 'neg', expr: operand };
+        }
+        if (this.acceptWord('not')) return { type: 'not', expr: this.parseUnary() };
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let expr = this.parsePrimary();
+        for (;;) {
+            if (this.accept('.')) {
+                const name = this.expectIdent('a property or method name');
+                if (this.accept('(')) {
+                    const args = this.at(')') ? [] : this.parseExpressionList();
+                    this.expect(')');
+                    expr = { type: 'objcall', obj: expr, name, args };
+                } else {
+                    expr = { type: 'prop', obj: expr, name };
+                }
+            } else if (this.accept('[')) {
+                const index = this.parseExpression();
+                this.expect(']');
+                expr = { type: 'index', obj: expr, index };
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    startsExpression(token) {
+        switch (token.type) {
+            case 'int': case 'float': case 'string': case 'symbol': case '(': case '[': case '-':
+                return true;
+            case 'ident':
+                return !STOP_WORDS.has(token.value.toLowerCase());
+            default:
+                return false;
+        }
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        switch (token.type) {
+            case 'int':
+            case 'float':
+            case 'string':
+            case 'symbol':
+                this.next();
+                return { type: token.type, value: token.value };
+            case '(': {
+                this.next();
+                const expr = this.parseExpression();
+                this.expect(')');
+                return expr;
+            }
+            case '[':
+                return this.parseList();
+            case 'ident':
+                break;
+            default:
+                return this.fail(`Unexpected ${this.describe(token)}`);
+        }
+
+        const word = token.value.toLowerCase();
+        if (STOP_WORDS.has(word)) this.fail(`Unexpected ${this.describe(token)}`);
+        this.next();
+
+        if (word === 'the') return this.parseThe();
+        if (CHUNK_TYPES[word] && this.startsExpression(this.peek())) return this.parseChunk(CHUNK_TYPES[word]);
+        if (word === 'field' && !this.at('(') && this.startsExpression(this.peek())) {
+            const id = this.parseUnary();
+            const castLib = this.acceptWord('of') ? this.parseCastLibRef() : null;
+            return { type: 'field', id, castLib };
+        }
+        if (this.accept('(')) {
+            const args = this.at(')') ? [] : this.parseExpressionList();
+            this.expect(')');
+            if (word === 'field') return { type: 'field', id: args[0], castLib: args[1] || null };
+            return { type: 'call', name: token.value, args };
+        }
+        if (REFERENCE_WORDS.has(word) && this.startsExpression(this.peek())) {
+            const args = [this.parseUnary()];
+            if (word === 'member' && this.acceptWord('of')) args.push(this.parseCastLibRef());
+            return { type: 'call', name: token.value, args };
+        }
+        return { type: 'var', name: token.value };
+    }
+
+    /**
+     * The castLib in `member x of castLib y`; the bare castLib number or name is kept.
+     */
+    parseCastLibRef() {
+        if (!this.acceptWord('castlib')) this.expectWord('cast');
+        return this.parseUnary();
+    }
+
+    parseList() {
+        this.expect('[');
+        if (this.accept(']')) return { type: 'list', items: [] };
+        if (this.accept(':')) {
+            this.expect(']');
+            return { type: 'propList', pairs: [] };
+        }
+
+        const first = this.parseExpression();
+        if (this.accept(':')) {
+            const pairs = [{ key: first, value: this.parseExpression() }];
+            while (this.accept(',')) {
+                const key = this.parseExpression();
+                this.expect(':');
+                pairs.push({ key, value: this.parseExpression() });
+            }
+            this.expect(']');
+            return { type: 'propList', pairs };
+        }
+
+        const items = [first];
+        while (this.accept(',')) items.push(this.parseExpression());
+        this.expect(']');
+        return { type: 'list', items };
+    }
+
+    /**
+     * `the` forms: the number of words in s, the last item of s, the name of member 1, the mouseH.
+     */
+    parseThe() {
+        if (this.atWord('number') && this.atWord('of', 1) && this.at('ident', 2) && CHUNK_PLURALS[this.peek(2).value.toLowerCase()]) {
+            this.next();
+            this.next();
+            const chunkType = CHUNK_PLURALS[this.next().value.toLowerCase()];
+            if (!this.acceptWord('in')) this.expectWord('of');
+            return { type: 'chunkCount', chunkType, base: this.parseUnary() };
+        }
+        if (this.atWord('last') && this.at('ident', 1) && CHUNK_TYPES[this.peek(1).value.toLowerCase()]) {
+            this.next();
+            const chunkType = CHUNK_TYPES[this.next().value.toLowerCase()];
+            if (!this.acceptWord('in')) this.expectWord('of');
+            return { type: 'lastChunk', chunkType, base: this.parseUnary() };
+        }
+
+        const name = this.expectIdent('a property name after the');
+        if (this.acceptWord('of')) return { type: 'theOf', name, obj: this.parseUnary() };
+        return { type: 'the', name };
+    }
+
+    parseChunk(chunkType) {
+        const first = this.parseAdditive();
+        const last = this.acceptWord('to') ? this.parseAdditive() : null;
+        this.expectWord('of');
+        return { type: 'chunk', chunkType, first, last, base: this.parseUnary() };
+    }
+}
+
+LingoParser.CHUNK_TYPES = CHUNK_TYPES;
+
+module.exports = LingoParser;
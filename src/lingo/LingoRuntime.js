@@ -0,0 +1,276 @@
+/**
+ * @version 1.4.2
+ * LingoRuntime.js
+ *
+ * The `lingo` object the modules of LingoTranspiler run against. A port exports one
+ * from the module the generated code imports (`./lingo-runtime.js` by default):
+ *
+ *     import { LingoRuntime } from 'mx-shock-ripper-js';
+ *     export default new LingoRuntime(null, { stub: (name, args) => stage[name](...args) });
+ *
+ * It covers the language only: lists, chunks, the operators JavaScript does not share
+ * and the built-ins LingoVM runs, with the semantics of LingoValue.js, so a transpiled
+ * handler computes what its bytecode does. Sprites, members, sound, navigation and
+ * anything else that needs Director go to the stub, which throws unless one is given.
+ *
+ * Transpiled code holds plain JavaScript values: numbers (a whole float is an integer),
+ * strings, `#name` strings for symbols, `undefined` for VOID, and the LingoList and
+ * LingoPropList this runtime makes. Those lists keep their items as LingoVM does, so
+ * iterating one yields LingoFloat and LingoSymbol values; every runtime call accepts
+ * either form. A string that reads as a symbol (`"#abc"`) is taken for one.
+ */
+
+const BUILTINS = require('./LingoBuiltins');
+const { LingoBuiltinNames } = require('../Constants');
+const {
+    LingoFloat, LingoSymbol, LingoList, LingoPropList,
+    format, toLingoString, toNumber, equals, chunkCount, getChunk, lastChunk, putChunk, deleteChunk
+} = require('./LingoValue');
+
+const CHUNK_TYPES = { char: 1, word: 2, item: 3, line: 4 };
+
+// Built-ins that need a running handler's frame or LingoVM's own scripts
+const VM_ONLY = new Set(['param', 'callancestor', 'script', 'new']);
+
+/**
+ * A JavaScript value as LingoBuiltins expects it: non-integer numbers are floats,
+ * `#name` strings symbols.
+ */
+function toLingo(v) {
+    if (typeof v === 'number' && !Number.isInteger(v)) return new LingoFloat(v);
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    if (typeof v === 'string' && /^#[A-Za-z_]\w*$/.test(v)) return new LingoSymbol(v.slice(1));
+    return v;
+}
+
+/**
+ * A Lingo value as transpiled code holds it: floats are numbers, symbols `#name`.
+ */
+function fromLingo(v) {
+    if (v instanceof LingoFloat) return v.value;
+    if (v instanceof LingoSymbol) return `#${v.name}`;
+    return v;
+}
+
+/**
+ * An object whose property names are case-insensitive, as Lingo globals and `the`
+ * properties are.
+ */
+function caseless(initial) {
+    const values = new Map(Object.entries(initial).map(([key, value]) => [key.toLowerCase(), value]));
+    return new Proxy({}, {
+        get: (target, key) => (typeof key === 'string' ? values.get(key.toLowerCase()) : undefined),
+        set: (target, key, value) => {
+            values.set(String(key).toLowerCase(), value);
+            return true;
+        },
+        has: (target, key) => values.has(String(key).toLowerCase()),
+        deleteProperty: (target, key) => values.delete(String(key).toLowerCase())
+    });
+}
+
+/**
+ * The property or method of an object matching a Lingo name regardless of case,
+ * prototype methods included.
+ */
+function findKey(obj, name) {
+    if (obj === null || typeof obj !== 'object' || name in obj) return name;
+    const lower = name.toLowerCase();
+    for (let o = obj; o && o !== Object.prototype; o = Object.getPrototypeOf(o)) {
+        const key = Object.getOwnPropertyNames(o).find(k => k.toLowerCase() === lower);
+        if (key) return key;
+    }
+    return null;
+}
+
+class LingoRuntime {
+    /**
+     * @param {function} logger
+     * @param {object} options - { stub: (name, args, runtime) => value for what needs
+     *        Director, output: (text) => void for `put`, random: () => [0, 1) }
+     */
+    constructor(logger, options = {}) {
+        this.log = logger || ((lvl, msg) => { });
+        this.stub = options.stub || null;
+        this.output = options.output || (text => this.log('INFO', `-- ${text}`));
+        this.scripts = new Map();
+        this.globals = caseless({});
+        this.the = caseless({ itemDelimiter: ',', floatPrecision: 4 });
+
+        // What LingoBuiltins asks of LingoVM
+        const runtime = this;
+        this.vm = {
+            random: options.random || Math.random,
+            get floatPrecision() { return +toNumber(runtime.the.floatPrecision); },
+            output: text => this.output(text),
+            format: value => format(toLingo(value), this.vm.floatPrecision),
+            getProperty: (obj, name) => obj[findKey(obj, name) || name],
+            setProperty: (obj, name, value) => { obj[findKey(obj, name) || name] = value; },
+            callMethod: (target, name, args) => this.callMethod(target, name, ...args.map(fromLingo)),
+            callStub: (name, args) => this._stub(name, args.map(fromLingo))
+        };
+
+        for (const name of LingoBuiltinNames) {
+            if (!(name in this)) this[name] = (...args) => this._builtin(name, args);
+        }
+    }
+
+    /**
+     * Makes a transpiled script known to callHandler(), new() and script(): the
+     * exports of a movie script module, or a parent script's class.
+     */
+    define(name, script) {
+        this.scripts.set(name.toLowerCase(), script);
+    }
+
+    list(...items) {
+        return new LingoList(items.map(toLingo));
+    }
+
+    propList(...pairs) {
+        const list = new LingoPropList();
+        for (let i = 0; i + 1 < pairs.length; i += 2) list.add(toLingo(pairs[i]), toLingo(pairs[i + 1]));
+        return list;
+    }
+
+    /**
+     * `list[i]`, `propList[#key]`, or `s[from..to]` for the characters of a string.
+     */
+    getAt(list, index, last) {
+        if (last !== undefined) return getChunk(CHUNK_TYPES.char, this._string(list), toNumber(index), toNumber(last));
+        return this._builtin('getAt', [list, index]);
+    }
+
+    setAt(list, index, ...rest) {
+        if (rest.length > 1) throw new Error('setAt: a range cannot be assigned');
+        this._builtin('setAt', [list, index, rest[0]]);
+    }
+
+    /**
+     * Lingo `=`, as 1 or 0.
+     */
+    eq(a, b) {
+        return equals(toLingo(a), toLingo(b)) ? 1 : 0;
+    }
+
+    concat(...values) {
+        return values.map(v => this._string(v)).join('');
+    }
+
+    concatSpace(...values) {
+        return values.map(v => this._string(v)).join(' ');
+    }
+
+    /**
+     * `/`: integer division when both operands are integers.
+     */
+    div(a, b) {
+        const x = toNumber(toLingo(a)), y = toNumber(toLingo(b));
+        if (+y === 0) throw new Error('Division by zero');
+        return typeof x === 'number' && typeof y === 'number' ? (x / y) | 0 : +x / +y;
+    }
+
+    contains(a, b) {
+        return this._string(a).toLowerCase().includes(this._string(b).toLowerCase()) ? 1 : 0;
+    }
+
+    starts(a, b) {
+        return this._string(a).toLowerCase().startsWith(this._string(b).toLowerCase()) ? 1 : 0;
+    }
+
+    chunk(type, s, first, last = 0) {
+        return getChunk(CHUNK_TYPES[type], this._string(s), first, last, this._itemDelimiter());
+    }
+
+    setChunk(type, s, first, last, value) {
+        return putChunk(CHUNK_TYPES[type], this._string(s), first, last, this._string(value), 1, this._itemDelimiter());
+    }
+
+    deleteChunk(type, s, first, last = 0) {
+        return deleteChunk(CHUNK_TYPES[type], this._string(s), first, last, this._itemDelimiter());
+    }
+
+    lastChunk(type, s) {
+        return lastChunk(CHUNK_TYPES[type], this._string(s), this._itemDelimiter());
+    }
+
+    chunkCount(type, s) {
+        return chunkCount(CHUNK_TYPES[type], this._string(s), this._itemDelimiter());
+    }
+
+    /**
+     * Without Director there is no other window to direct calls to.
+     */
+    tell(target, body) {
+        body();
+    }
+
+    /**
+     * A handler the calling script does not define: a movie script handler, else the
+     * handler of the object passed first, else a list method or other built-in, else
+     * the stub.
+     */
+    callHandler(name, ...args) {
+        const lower = name.toLowerCase();
+        for (const script of this.scripts.values()) {
+            if (typeof script !== 'object') continue;
+            const key = findKey(script, name);
+            if (key !== null && typeof script[key] === 'function') return script[key](...args);
+        }
+        if (args[0] !== null && typeof args[0] === 'object' && !(args[0] instanceof LingoList) && !(args[0] instanceof LingoPropList)) {
+            const key = findKey(args[0], name);
+            if (key !== null && typeof args[0][key] === 'function') return args[0][key](...args.slice(1));
+        }
+        if (BUILTINS[lower] && !VM_ONLY.has(lower)) return this._builtin(name, args);
+        return this._stub(name, args);
+    }
+
+    /**
+     * `obj.name(args)`: a method of an instance, or a list method.
+     */
+    callMethod(target, name, ...args) {
+        if (target instanceof LingoList || target instanceof LingoPropList) return this._builtin(name, [target, ...args]);
+        const key = findKey(target, name);
+        if (key === null || typeof target[key] !== 'function') throw new Error(`Undefined handler: #${name}`);
+        return target[key](...args);
+    }
+
+    /**
+     * `new(script "name", args...)`: an instance of a parent script's class, with its
+     * `new` handler run on it; that handler's result is what new() returns.
+     */
+    new(script, ...args) {
+        const Script = typeof script === 'function' ? script : this.script(script);
+        if (typeof Script !== 'function') return this._stub('new', [script, ...args]);
+        const instance = new Script();
+        return typeof instance.new === 'function' ? instance.new(...args) : instance;
+    }
+
+    script(name) {
+        const script = this.scripts.get(String(name).toLowerCase());
+        if (!script) throw new Error(`script: no script named "${name}" is defined`);
+        return script;
+    }
+
+    _builtin(name, args) {
+        const lower = name.toLowerCase();
+        const fn = BUILTINS[lower];
+        if (!fn || VM_ONLY.has(lower)) return this._stub(name, args);
+        return fromLingo(fn(args.map(toLingo), this.vm));
+    }
+
+    _stub(name, args) {
+        if (this.stub) return this.stub(name, args, this);
+        throw new Error(`Undefined handler: #${name}`);
+    }
+
+    _string(v) {
+        return toLingoString(toLingo(v), this.vm.floatPrecision);
+    }
+
+    _itemDelimiter() {
+        return toLingoString(this.the.itemDelimiter);
+    }
+}
+
+module.exports = LingoRuntime;
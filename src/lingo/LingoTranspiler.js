@@ -0,0 +1,453 @@
+/**
+ * @version 1.4.2
+ * LingoTranspiler.js - Turns a decompiled Lingo script into an ES module
+ *
+ * Input is the syntax tree LingoDecompiler returns with { ast: true }, so nothing is
+ * re-parsed from text. A script with properties or `me` handlers becomes a default
+ * exported class, with `me` as `this`; a movie script becomes exported functions.
+ *
+ * Director itself is out of reach of plain JavaScript, so every built-in, `the`
+ * property, global and Lingo-specific operator goes through one imported runtime
+ * object (`lingo`), a LingoRuntime or anything with its interface. See
+ * docs/doc/33_LingoTranspiler.md.
+ */
+
+const AST = require('./LingoAST');
+const { LingoBuiltinNames } = require('../Constants');
+
+const RESERVED = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function',
+    'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null',
+    'package', 'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this',
+    'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+    'arguments', 'eval', 'undefined', 'NaN', 'Infinity', 'lingo'
+]);
+
+// Lingo functions and commands the runtime implements, by lower-case name; other calls go through callHandler()
+const BUILTINS = new Map(LingoBuiltinNames.map(name => [name.toLowerCase(), name]));
+
+const CHUNK_TYPES = { 1: 'char', 2: 'word', 3: 'item', 4: 'line' };
+
+// JavaScript precedence of what an expression renders to
+const PREC = { or: 3, and: 4, equality: 8, relational: 9, additive: 11, multiplicative: 12, unary: 14, member: 17, primary: 20 };
+const OPERATORS = {
+    '+': ['+', PREC.additive], '-': ['-', PREC.additive], '*': ['*', PREC.multiplicative],
+    'mod': ['%', PREC.multiplicative], '<': ['<', PREC.relational], '>': ['>', PREC.relational],
+    '<=': ['<=', PREC.relational], '>=': ['>=', PREC.relational], 'and': ['&&', PREC.and], 'or': ['||', PREC.or]
+};
+// Operators whose Lingo meaning JavaScript does not share
+const RUNTIME_OPERATORS = { '&': 'concat', '&&': 'concatSpace', '/': 'div', 'contains': 'contains', 'starts': 'starts' };
+
+class LingoTranspiler {
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+    }
+
+    /**
+     * @param {{properties: string[], handlers: AST.Handler[]}} script - The `ast` of
+     *        LingoDecompiler.decompile(..., { ast: true })
+     * @param {object} [options] - { name: class name and header comment,
+     *                               runtime: module whose default export is the runtime (default './lingo-runtime.js'),
+     *                               kind: 'class' | 'module' to override the detected form }
+     * @returns {string} ES module source
+     */
+    transpile(script, options = {}) {
+        const properties = script.properties || [];
+        const handlers = script.handlers || [];
+        const name = options.name || 'Script';
+
+        this.isClass = options.kind
+            ? options.kind === 'class'
+            : properties.length > 0 || handlers.some(h => h.args[0] === 'me');
+        this.className = this._identifier(name.replace(/\.[a-z]+$/i, ''));
+        this.properties = new Set(properties.map(p => p.toLowerCase()));
+        this.handlerNames = new Map();
+        for (const handler of handlers) {
+            const jsName = this.isClass ? this._methodName(handler.name) : this._identifier(handler.name);
+            this.handlerNames.set(handler.name.toLowerCase(), jsName);
+        }
+
+        const lines = [`// ${name} - transpiled from Lingo`, `import lingo from ${JSON.stringify(options.runtime || './lingo-runtime.js')};`, ''];
+        if (this.isClass) {
+            lines.push(`export default class ${this.className} {`);
+            const members = [];
+            if (properties.length > 0) {
+                members.push(['    constructor() {', ...properties.map(p => `        this.${this._identifier(p)} = undefined;`), '    }']);
+            }
+            for (const handler of handlers) members.push(this._handler(handler, '    '));
+            members.forEach((member, i) => {
+                if (i > 0) lines.push('');
+                lines.push(...member);
+            });
+            lines.push('}');
+        } else {
+            handlers.forEach((handler, i) => {
+                if (i > 0) lines.push('');
+                lines.push(...this._handler(handler, ''));
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    _handler(handler, indent) {
+        const args = handler.args.slice(this.isClass && handler.args[0] === 'me' ? 1 : 0);
+        this.params = new Set(handler.args.map(a => a.toLowerCase()));
+        this.locals = new Map();
+        this.caseCount = 0;
+
+        // The `return` closing every handler adds nothing in JavaScript
+        const statements = [...handler.block.statements];
+        const last = statements[statements.length - 1];
+        if (last instanceof AST.ReturnStatement && !last.value) statements.pop();
+        const body = this._block({ statements }, indent + '    ');
+        const jsName = this.handlerNames.get(handler.name.toLowerCase());
+        const params = args.map((a, i) => {
+            const id = this._identifier(a);
+            return args.indexOf(a) === i ? id : `${id}_${i}`;
+        }).join(', ');
+        const lines = [this.isClass ? `${indent}${jsName}(${params}) {` : `${indent}export function ${jsName}(${params}) {`];
+        if (this.locals.size > 0) lines.push(`${indent}    let ${[...this.locals.values()].join(', ')};`);
+        lines.push(...body, `${indent}}`);
+        return lines;
+    }
+
+    _block(block, indent) {
+        const lines = [];
+        for (const stmt of block.statements) this._statement(stmt, indent, lines);
+        return lines;
+    }
+
+    _statement(node, indent, lines) {
+        const inner = indent + '    ';
+        if (node instanceof AST.AssignmentStatement) {
+            lines.push(indent + this._assign(node.target, this._expr(node.value)));
+        } else if (node instanceof AST.PutStatement) {
+            // put ... after/before joins the value to what the target holds
+            let value = this._expr(node.value);
+            if (node.type === 0x02) value = `lingo.concat(${this._expr(node.variable)}, ${value})`;
+            else if (node.type === 0x03) value = `lingo.concat(${value}, ${this._expr(node.variable)})`;
+            lines.push(indent + this._assign(node.variable, value));
+        } else if (node instanceof AST.ReturnStatement) {
+            lines.push(`${indent}return${node.value ? ' ' + this._expr(node.value) : ''};`);
+        } else if (node instanceof AST.ExitStatement) {
+            lines.push(`${indent}return;`);
+        } else if (node instanceof AST.ExitRepeatStatement) {
+            lines.push(`${indent}break;`);
+        } else if (node instanceof AST.NextRepeatStatement) {
+            lines.push(`${indent}continue;`);
+        } else if (node instanceof AST.IfStatement) {
+            this._if(node, indent, lines, false);
+        } else if (node instanceof AST.CaseStatement) {
+            this._case(node, indent, lines);
+        } else if (node instanceof AST.RepeatWhileStatement) {
+            lines.push(`${indent}while (${this._expr(node.cond)}) {`, ...this._block(node.block, inner), `${indent}}`);
+        } else if (node instanceof AST.RepeatWithStatement) {
+            const it = this._iterator(node.it);
+            const [cmp, step] = node.down ? ['>=', '--'] : ['<=', '++'];
+            lines.push(`${indent}for (${it} = ${this._expr(node.start)}; ${it} ${cmp} ${this._expr(node.end, PREC.relational + 1)}; ${it}${step}) {`,
+                ...this._block(node.block, inner), `${indent}}`);
+        } else if (node instanceof AST.RepeatWithInStatement) {
+            lines.push(`${indent}for (${this._iterator(node.it)} of ${this._expr(node.list)}) {`, ...this._block(node.block, inner), `${indent}}`);
+        } else if (node instanceof AST.TryStatement) {
+            lines.push(`${indent}try {`, ...this._block(node.tryBlock, inner), `${indent}} catch {`, ...this._block(node.catchBlock, inner), `${indent}}`);
+        } else if (node instanceof AST.TellStatement) {
+            lines.push(`${indent}lingo.tell(${this._expr(node.target)}, () => {`, ...this._block(node.block, inner), `${indent}});`);
+        } else if (node instanceof AST.CallStatement && node.name === 'return') {
+            const args = this._args(node.args);
+            lines.push(`${indent}return${args.length > 0 ? ' ' + this._expr(args[0]) : ''};`);
+        } else if (node instanceof AST.CallStatement && node.name === 'delete' && node.args instanceof AST.ChunkExpression) {
+            const chunk = node.args;
+            lines.push(indent + this._assign(chunk.base, `lingo.deleteChunk(${this._chunkArgs(chunk)})`));
+        } else if (node instanceof AST.ERROR) {
+            lines.push(`${indent}// [DECOMPILE ERROR: ${node.msg}]`);
+        } else {
+            lines.push(`${indent}${this._expr(node)};`);
+        }
+    }
+
+    _if(node, indent, lines, chained) {
+        const head = `if (${this._expr(node.cond)}) {`;
+        if (chained) lines[lines.length - 1] += ` else ${head}`;
+        else lines.push(indent + head);
+        lines.push(...this._block(node.block1, indent + '    '));
+        lines.push(`${indent}}`);
+
+        if (node.type !== 1) return;
+        const rest = node.block2.statements;
+        if (rest.length === 1 && rest[0] instanceof AST.IfStatement) {
+            this._if(rest[0], indent, lines, true);
+            return;
+        }
+        lines[lines.length - 1] += ' else {';
+        lines.push(...this._block(node.block2, indent + '    '), `${indent}}`);
+    }
+
+    /**
+     * Lingo compares case labels with `=`, so a case becomes an if/else chain rather
+     * than a switch, and `exit repeat` inside it still leaves the loop.
+     */
+    _case(node, indent, lines) {
+        let value = this._expr(node.expr);
+        const simple = node.expr instanceof AST.Literal || node.expr instanceof AST.LocalVarReference
+            || node.expr instanceof AST.ParamReference || node.expr instanceof AST.PropertyReference
+            || node.expr instanceof AST.VarReference;
+        if (!simple) {
+            const temp = this._local(this.caseCount++ === 0 ? 'caseValue' : `caseValue${this.caseCount}`);
+            lines.push(`${indent}${temp} = ${value};`);
+            value = temp;
+        }
+
+        let open = false;
+        for (const branch of node.branches) {
+            if (branch.labels.length === 0 && !open) {
+                lines.push(...this._block(branch.block, indent));
+                return;
+            }
+            const body = this._block(branch.block, indent + '    ');
+            if (branch.labels.length === 0) {
+                lines[lines.length - 1] += ' else {';
+            } else {
+                const test = branch.labels.map(label => this._equals(value, label)).join(' || ');
+                if (open) lines[lines.length - 1] += ` else if (${test}) {`;
+                else lines.push(`${indent}if (${test}) {`);
+            }
+            lines.push(...body, `${indent}}`);
+            open = true;
+        }
+    }
+
+    /**
+     * @returns {string} A statement storing value where target reads from
+     */
+    _assign(target, value) {
+        if (target instanceof AST.ChunkExpression) {
+            return this._assign(target.base, `lingo.setChunk(${this._chunkArgs(target, true)}, ${value})`);
+        }
+        if (target instanceof AST.BinaryOperator && target.op === '[]') {
+            const index = target.right instanceof AST.RangeExpression
+                ? `${this._expr(target.right.start)}, ${this._expr(target.right.end)}`
+                : this._expr(target.right);
+            return `lingo.setAt(${this._expr(target.left)}, ${index}, ${value});`;
+        }
+        const assignable = !(target instanceof AST.ERROR)
+            && !(target instanceof AST.MemberExpression && target.type !== 'field')
+            && !(target instanceof AST.ParamReference && this.isClass && target.name === 'me');
+        if (!assignable) return `// [UNSUPPORTED TARGET: ${target.toString()}] = ${value}`;
+        return `${this._expr(target)} = ${value};`;
+    }
+
+    /**
+     * @param {AST.Node} node
+     * @param {number} [minPrec] - Precedence the surrounding code needs without parentheses
+     * @returns {string}
+     */
+    _expr(node, minPrec = 0) {
+        const [code, prec] = this._render(node);
+        return prec < minPrec ? `(${code})` : code;
+    }
+
+    _render(node) {
+        if (!node) return ['undefined', PREC.primary];
+
+        if (node instanceof AST.StringLiteral) return [JSON.stringify(String(node.value ?? '')), PREC.primary];
+        if (node instanceof AST.SymbolLiteral || (node instanceof AST.Literal && node.type === 'symbol')) {
+            return [JSON.stringify(`#${node.value}`), PREC.primary];
+        }
+        if (node instanceof AST.FloatLiteral) {
+            const code = Number.isInteger(node.value) ? `${node.value}.0` : String(node.value);
+            return [code, node.value < 0 ? PREC.unary : PREC.primary];
+        }
+        if (node instanceof AST.Literal) {
+            return [String(node.value), typeof node.value === 'number' && node.value < 0 ? PREC.unary : PREC.primary];
+        }
+
+        if (node instanceof AST.LocalVarReference) return [this._local(node.name), PREC.primary];
+        if (node instanceof AST.ParamReference) {
+            return [this.isClass && node.name === 'me' ? 'this' : this._identifier(node.name), PREC.primary];
+        }
+        if (node instanceof AST.PropertyReference) return [`this${this._member(node.name)}`, PREC.member];
+        if (node instanceof AST.VarReference) return this._global(node.name);
+        if (node instanceof AST.TheExpression) return [`lingo.the${this._member(node.name)}`, PREC.member];
+        if (node instanceof AST.ObjectPropertyExpression) {
+            return [`${this._expr(node.object, PREC.member)}${this._member(node.property)}`, PREC.member];
+        }
+
+        if (node instanceof AST.ListLiteral) return [`lingo.list(${this._list(node.items)})`, PREC.member];
+        if (node instanceof AST.PropListLiteral) return [`lingo.propList(${this._list(node.items)})`, PREC.member];
+        if (node instanceof AST.ArgListLiteral) {
+            // An argument list left on the stack; Lingo shows its values
+            if (node.value.length === 1) return this._render(node.value[0]);
+            return [node.value.length === 0 ? 'undefined' : `(${this._list(node.value)})`, PREC.primary];
+        }
+
+        if (node instanceof AST.NotOperator) return [`!${this._expr(node.expr, PREC.unary)}`, PREC.unary];
+        if (node instanceof AST.InverseOperator) {
+            const operand = this._expr(node.expr, PREC.unary);
+            return [operand.startsWith('-') ? `-(${operand})` : `-${operand}`, PREC.unary];
+        }
+        if (node instanceof AST.BinaryOperator || node instanceof AST.LogicalOperator) return this._binary(node);
+
+        if (node instanceof AST.CallStatement) return this._call(node);
+        if (node instanceof AST.ObjCallStatement) {
+            const args = this._args(node.args);
+            if (this.isClass && node.target instanceof AST.ParamReference && node.target.name === 'me') {
+                return [`this${this._member(node.method)}(${this._list(args)})`, PREC.member];
+            }
+            // The target may be a list, whose methods (add, getProp...) only the runtime has
+            return [`lingo.callMethod(${[this._expr(node.target), JSON.stringify(node.method), ...args.map(a => this._expr(a))].join(', ')})`, PREC.member];
+        }
+
+        if (node instanceof AST.MemberExpression) {
+            const args = [this._expr(node.id)];
+            if (node.castLib && node.castLib.toString() !== '0') args.push(this._expr(node.castLib));
+            // A field reads and writes as the text of its member
+            if (node.type === 'field') return [`lingo.member(${args.join(', ')}).text`, PREC.member];
+            return [`lingo${this._member(node.type)}(${args.join(', ')})`, PREC.member];
+        }
+        if (node instanceof AST.ChunkExpression) return [`lingo.chunk(${this._chunkArgs(node)})`, PREC.member];
+        if (node instanceof AST.LastChunkExpression) {
+            return [`lingo.lastChunk(${JSON.stringify(CHUNK_TYPES[node.type] || 'char')}, ${this._expr(node.object)})`, PREC.member];
+        }
+        if (node instanceof AST.ChunkCountExpression) {
+            return [`lingo.chunkCount(${JSON.stringify(CHUNK_TYPES[node.type] || 'char')}, ${this._expr(node.object)})`, PREC.member];
+        }
+        if (node instanceof AST.RangeExpression) {
+            return [`lingo.range(${this._expr(node.start)}, ${this._expr(node.end)})`, PREC.member];
+        }
+        if (node instanceof AST.AssignmentStatement) {
+            return [this._assign(node.target, this._expr(node.value)).replace(/;$/, ''), 2];
+        }
+        if (node instanceof AST.ERROR) return [`undefined /* [DECOMPILE ERROR: ${node.msg}] */`, PREC.primary];
+
+        this.log('WARNING', `[LingoTranspiler] No JavaScript form for ${node.constructor.name}`);
+        return [`undefined /* ${node.toString()} */`, PREC.primary];
+    }
+
+    _binary(node) {
+        const { op, left, right } = node;
+        if (op === '.') {
+            const path = right instanceof AST.VarReference ? right.name.split('.') : [this._expr(right)];
+            return [this._expr(left, PREC.member) + path.map(p => this._member(p)).join(''), PREC.member];
+        }
+        if (op === '[]') {
+            if (right instanceof AST.RangeExpression) {
+                return [`lingo.getAt(${this._expr(left)}, ${this._expr(right.start)}, ${this._expr(right.end)})`, PREC.member];
+            }
+            return [`lingo.getAt(${this._expr(left)}, ${this._expr(right)})`, PREC.member];
+        }
+        if (op === '=') return [`lingo.eq(${this._expr(left)}, ${this._expr(right)})`, PREC.member];
+        if (op === '<>') return [`!lingo.eq(${this._expr(left)}, ${this._expr(right)})`, PREC.unary];
+        // JavaScript numbers cannot tell 7.0 from 7, so a float literal operand means float division here
+        if (op === '/' && (left instanceof AST.FloatLiteral || right instanceof AST.FloatLiteral)) {
+            return [`${this._expr(left, PREC.multiplicative)} / ${this._expr(right, PREC.multiplicative + 1)}`, PREC.multiplicative];
+        }
+
+        if (RUNTIME_OPERATORS[op]) {
+            // a & b & c reads as one concat(a, b, c)
+            const operands = [];
+            const collect = n => {
+                if ((op === '&' || op === '&&') && n instanceof AST.BinaryOperator && n.op === op) {
+                    collect(n.left);
+                    operands.push(n.right);
+                } else {
+                    operands.push(n);
+                }
+            };
+            collect(left);
+            operands.push(right);
+            return [`lingo.${RUNTIME_OPERATORS[op]}(${this._list(operands)})`, PREC.member];
+        }
+
+        const [jsOp, prec] = OPERATORS[op] || [op, PREC.relational];
+        return [`${this._expr(left, prec)} ${jsOp} ${this._expr(right, prec + 1)}`, prec];
+    }
+
+    /**
+     * Lingo `=` (case-insensitive, VOID equal to 0, numeric strings equal to numbers)
+     * is the runtime's.
+     */
+    _equals(value, label) {
+        return `lingo.eq(${value}, ${this._expr(label)})`;
+    }
+
+    _call(node) {
+        const args = this._args(node.args);
+        const lower = String(node.name).toLowerCase();
+
+        const own = this.handlerNames.get(lower);
+        if (own) {
+            if (!this.isClass) return [`${own}(${this._list(args)})`, PREC.member];
+            const [first, ...rest] = args;
+            if (first instanceof AST.ParamReference && first.name === 'me') return [`this.${own}(${this._list(rest)})`, PREC.member];
+            // Another object handed in as `me`
+            return [`${this.className}.prototype.${own}.call(${this._list(args)})`, PREC.member];
+        }
+
+        if (lower === 'new' && args[0] instanceof AST.VarReference) {
+            return [`lingo.new(${[JSON.stringify(args[0].name), ...args.slice(1).map(a => this._expr(a))].join(', ')})`, PREC.member];
+        }
+        if (BUILTINS.has(lower)) return [`lingo.${BUILTINS.get(lower)}(${this._list(args)})`, PREC.member];
+        return [`lingo.callHandler(${[JSON.stringify(node.name), ...args.map(a => this._expr(a))].join(', ')})`, PREC.member];
+    }
+
+    _chunkArgs(chunk, withEnd = false) {
+        const type = JSON.stringify(CHUNK_TYPES[chunk.type] || 'char');
+        const args = [type, this._expr(chunk.base), this._expr(chunk.start)];
+        const noEnd = chunk.end instanceof AST.Literal && chunk.end.value === 0;
+        if (!noEnd || withEnd) args.push(noEnd ? '0' : this._expr(chunk.end));
+        return args.join(', ');
+    }
+
+    _global(name) {
+        if (name === 'VOID') return ['undefined', PREC.primary];
+        // Top-level objects of Director 10 and later: _movie, _player, _system...
+        if (/^_[A-Za-z]+$/.test(name)) return [`lingo${this._member(name)}`, PREC.member];
+        return [`lingo.globals${this._member(name)}`, PREC.member];
+    }
+
+    _iterator(name) {
+        const lower = name.toLowerCase();
+        if (this.params.has(lower)) return this._identifier(name);
+        if (this.properties.has(lower)) return `this${this._member(name)}`;
+        return this._local(name);
+    }
+
+    _local(name) {
+        const lower = name.toLowerCase();
+        if (this.params.has(lower)) return this._identifier(name);
+        if (!this.locals.has(lower)) this.locals.set(lower, this._identifier(name));
+        return this.locals.get(lower);
+    }
+
+    _args(args) {
+        if (args instanceof AST.ArgListLiteral) return args.value;
+        return args ? [args] : [];
+    }
+
+    _list(nodes) {
+        return nodes.map(n => this._expr(n)).join(', ');
+    }
+
+    /**
+     * @returns {string} `.name`, or `["name"]` when name is not an identifier
+     */
+    _member(name) {
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? `.${name}` : `[${JSON.stringify(name)}]`;
+    }
+
+    _methodName(name) {
+        const id = this._identifier(name);
+        // Class bodies take reserved words as method names, except `constructor`
+        if (id.endsWith('_') && RESERVED.has(name)) return name;
+        return id === 'constructor' ? 'constructor_' : id;
+    }
+
+    _identifier(name) {
+        let id = String(name).replace(/[^\w$]/g, '_');
+        if (/^\d/.test(id)) id = `_${id}`;
+        return RESERVED.has(id) ? `${id}_` : id;
+    }
+}
+
+module.exports = LingoTranspiler;
@@ -0,0 +1,695 @@
+/**
+ * @version 1.4.2
+ * LingoVM.js
+ *
+ * Runs Lscr bytecode without Director, to check what a handler does: string
+ * utilities, list code, protocol encoders and other logic that needs no stage.
+ * Scripts are read with LingoDecompiler.load(), so handler, property and name
+ * resolution are the decompiler's own. Values are described in LingoValue.js and the
+ * built-in functions in LingoBuiltins.js.
+ *
+ * A call goes to a movie script handler first, then to a built-in, then to the stub,
+ * which throws unless the caller plugged one in. `the` properties, fields and
+ * globals are plain maps the caller can fill.
+ */
+
+const LingoDecompiler = require('./LingoDecompiler');
+const BUILTINS = require('./LingoBuiltins');
+const AST = require('./LingoAST');
+const { LingoConfig } = require('../Constants');
+const {
+    LingoFloat, LingoSymbol, LingoList, LingoPropList, LingoScript, LingoInstance,
+    ilk, format, toLingoString, toNumber, isTrue, equals, compare, duplicate, fromJS,
+    chunkCount, lastChunk, chunkLevels, getChunkPath, putChunkPath, deleteChunkPath
+} = require('./LingoValue');
+
+// Opcodes whose operand is a name id, and the name table group it resolves in
+const NAME_OPERANDS = {
+    pushsymb: 'handle', getprop: 'handle', setprop: 'handle', getobjprop: 'handle', setobjprop: 'handle',
+    getchainedprop: 'handle', extcall: 'handle', tellcall: 'handle', objcall: 'handle', thebuiltin: 'handle',
+    newobj: 'handle', getglobal: 'global', getglobal2: 'global', setglobal: 'global', setglobal2: 'global',
+    getmovieprop: 'movie_prop', setmovieprop: 'movie_prop', gettoplevelprop: 'global_prop'
+};
+
+const COMPARISONS = {
+    lt: c => c < 0, lteq: c => c <= 0, gt: c => c > 0, gteq: c => c >= 0
+};
+
+/**
+ * The arguments pusharglist collects for the call that follows it.
+ */
+class ArgList {
+    constructor(values, noRet) {
+        this.values = values;
+        this.noRet = noRet;
+    }
+}
+
+/**
+ * `+ - * / mod` on numbers, and item by item when either side is a list.
+ */
+function arith(op, a, b) {
+    if (a instanceof LingoList || b instanceof LingoList) {
+        const left = a instanceof LingoList ? a.items : null;
+        const right = b instanceof LingoList ? b.items : null;
+        const count = left && right ? Math.min(left.length, right.length) : (left || right).length;
+        const items = [];
+        for (let i = 0; i < count; i++) items.push(arith(op, left ? left[i] : a, right ? right[i] : b));
+        return new LingoList(items);
+    }
+
+    const x = toNumber(a), y = toNumber(b);
+    if (x instanceof LingoFloat || y instanceof LingoFloat) {
+        const f = +x, g = +y;
+        switch (op) {
+            case 'add': return new LingoFloat(f + g);
+            case 'sub': return new LingoFloat(f - g);
+            case 'mul': return new LingoFloat(f * g);
+            case 'div':
+                if (g === 0) throw new Error('Division by zero');
+                return new LingoFloat(f / g);
+            case 'mod': return arith('mod', Math.round(f) | 0, Math.round(g) | 0);
+        }
+    }
+    switch (op) {
+        case 'add': return (x + y) | 0;
+        case 'sub': return (x - y) | 0;
+        case 'mul': return Math.imul(x, y);
+        case 'div':
+            if (y === 0) throw new Error('Division by zero');
+            return (x / y) | 0;
+        case 'mod':
+            if (y === 0) throw new Error('Division by zero');
+            return x % y;
+    }
+    throw new Error(`Unknown operator ${op}`);
+}
+
+function literalValue(node) {
+    if (node instanceof AST.IntLiteral) return node.value;
+    if (node instanceof AST.FloatLiteral) return new LingoFloat(node.value);
+    if (node instanceof AST.StringLiteral) return node.value;
+    if (node instanceof AST.SymbolLiteral) return new LingoSymbol(node.value);
+    if (node instanceof AST.ListLiteral) return new LingoList(node.items.map(literalValue));
+    return undefined;
+}
+
+/**
+ * Finds an own property of a host object regardless of case.
+ */
+function hostKey(obj, name) {
+    if (name in obj) return name;
+    const lower = name.toLowerCase();
+    for (const key in obj) if (key.toLowerCase() === lower) return key;
+    return null;
+}
+
+class LingoVM {
+    /**
+     * @param {function} logger
+     * @param {object} options - { stub: (name, args, vm) => value for handlers nothing
+     *        else defines, output: (text) => void for `put`, random: () => [0, 1),
+     *        maxSteps: instructions per call (default 10,000,000), maxDepth: nested
+     *        calls (default 500) }
+     */
+    constructor(logger, options = {}) {
+        this.log = logger || ((lvl, msg) => { });
+        this.decompiler = new LingoDecompiler(this.log);
+        this.stub = options.stub || null;
+        this.output = options.output || (text => this.log('INFO', `-- ${text}`));
+        this.random = options.random || Math.random;
+        this.maxSteps = options.maxSteps || 10000000;
+        this.maxDepth = options.maxDepth || 500;
+
+        this.scripts = [];
+        this.movieHandlers = new Map();
+        this.builtins = new Map(Object.entries(BUILTINS));
+        this.globals = new Map();
+        this.the = new Map([['itemdelimiter', ','], ['floatprecision', 4]]);
+        this.fields = new Map();
+        this.frames = [];
+        this.steps = 0;
+    }
+
+    /**
+     * @param {Buffer} lscrData - Raw Lscr chunk
+     * @param {string[]} nameTable - The script's Lnam names
+     * @param {object} options - { name: for `script "name"`, type: 'movie' or 'parent'
+     *        (by default a script with properties or `me` handlers is a parent script),
+     *        scriptType: fallback header type, calibrate: as for decompile() }
+     * @returns {LingoScript}
+     */
+    loadScript(lscrData, nameTable, options = {}) {
+        const loaded = this.decompiler.load(lscrData, nameTable, options.scriptType || 0, { calibrate: options.calibrate });
+        const isParent = loaded.properties.length > 0 ||
+            loaded.handlers.some(handler => (handler.args[0] || '').toLowerCase() === 'me');
+        const script = new LingoScript(
+            options.name || `script_${this.scripts.length + 1}`,
+            options.type || (isParent ? 'parent' : 'movie'),
+            { ...loaded, literals: loaded.literals.map(literalValue) }
+        );
+
+        for (const handler of script.handlerList) {
+            handler.posMap = new Map(handler.codes.map((bc, i) => [bc.pos, i]));
+            for (const bc of handler.codes) {
+                const group = NAME_OPERANDS[bc.opcode];
+                if (group) bc.name = loaded.getName(bc.obj, group);
+            }
+        }
+        if (script.type === 'movie') {
+            for (const [key, handler] of script.handlers) {
+                if (!this.movieHandlers.has(key)) this.movieHandlers.set(key, { script, handler });
+            }
+        }
+
+        this.scripts.push(script);
+        this.log('DEBUG', `[LingoVM] Loaded ${script.type} script "${script.name}" (${script.handlerList.length} handlers)`);
+        return script;
+    }
+
+    /**
+     * @returns {LingoScript|undefined} A loaded script by name, or by 1-based load order
+     */
+    script(nameOrNumber) {
+        if (typeof nameOrNumber === 'number') return this.scripts[nameOrNumber - 1];
+        const key = String(nameOrNumber).toLowerCase();
+        return this.scripts.find(script => script.name.toLowerCase() === key);
+    }
+
+    /**
+     * Adds or replaces a built-in; the name is case-insensitive.
+     * @param {function} fn - (args: Lingo values, vm) => Lingo value
+     */
+    registerBuiltin(name, fn) {
+        this.builtins.set(name.toLowerCase(), fn);
+    }
+
+    getGlobal(name) {
+        return this.globals.get(name.toLowerCase());
+    }
+
+    setGlobal(name, value) {
+        this.globals.set(name.toLowerCase(), fromJS(value));
+    }
+
+    /**
+     * Sets a `the` property. A function is called on each read.
+     */
+    setThe(name, value) {
+        this.the.set(name.toLowerCase(), typeof value === 'function' ? value : fromJS(value));
+    }
+
+    /**
+     * Sets the text of `field "name"` or `field n`.
+     */
+    setField(nameOrNumber, text) {
+        this.fields.set(this._fieldKey(nameOrNumber), String(text));
+    }
+
+    /**
+     * The text `put` shows for a value, with the current floatPrecision.
+     */
+    format(value) {
+        return format(value, this.floatPrecision);
+    }
+
+    get frame() {
+        return this.frames[this.frames.length - 1];
+    }
+
+    get floatPrecision() {
+        return +toNumber(this._getThe('floatPrecision'));
+    }
+
+    get itemDelimiter() {
+        return toLingoString(this._getThe('itemDelimiter'));
+    }
+
+    /**
+     * Target of the innermost `tell` block running, VOID outside one.
+     */
+    get tellTarget() {
+        for (let i = this.frames.length - 1; i >= 0; i--) {
+            const tell = this.frames[i].tell;
+            if (tell.length > 0) return tell[tell.length - 1];
+        }
+        return undefined;
+    }
+
+    /**
+     * Calls a movie script handler or built-in. JavaScript arguments are converted
+     * with LingoValue.fromJS; the result is a Lingo value.
+     */
+    call(name, ...args) {
+        return this._enter(() => this._callHandler(name, args.map(fromJS)));
+    }
+
+    /**
+     * Calls a handler of an instance (`obj.name(args)`), a built-in method of a list,
+     * or a method of a host object.
+     */
+    callMethod(target, name, ...args) {
+        return this._enter(() => this._callMethod(target, name, args.map(fromJS)));
+    }
+
+    /**
+     * `new(script "name", args...)`.
+     */
+    newObject(scriptName, ...args) {
+        const script = this.script(scriptName);
+        if (!script) throw new Error(`No script named "${scriptName}" is loaded`);
+        return this._enter(() => this.instantiate(script, args.map(fromJS)));
+    }
+
+    /**
+     * Makes an instance and runs the script's `new` handler on it, whose result is
+     * what `new()` returns, as in Director.
+     */
+    instantiate(script, args) {
+        const instance = new LingoInstance(script);
+        const handler = script.handlers.get('new');
+        return handler ? this._run(script, handler, [instance, ...args], instance) : instance;
+    }
+
+    callStub(name, args) {
+        this.log('DEBUG', `[LingoVM] Stub: ${name}`);
+        if (this.stub) return fromJS(this.stub(name, args, this));
+        throw new Error(name.startsWith('the ') ? `Undefined property: ${name}` : `Undefined handler: #${name}`);
+    }
+
+    /**
+     * `obj.name`: instance and movie script properties, property list entries,
+     * `count` of lists, `length` of strings, or a host object's property.
+     */
+    getProperty(obj, name) {
+        const key = name.toLowerCase();
+        if (obj instanceof LingoInstance) {
+            const owner = obj.owner(name);
+            if (!owner) throw new Error(`Property #${name} not found in ${obj}`);
+            return owner.props.get(key).value;
+        }
+        if (obj instanceof LingoScript) {
+            const prop = obj.props.get(key);
+            return prop ? prop.value : undefined;
+        }
+        if (obj instanceof LingoPropList) {
+            const i = obj.indexOf(new LingoSymbol(name));
+            if (i >= 0) return obj.values[i];
+            if (key === 'count') return obj.count;
+            return undefined;
+        }
+        if (obj instanceof LingoList && key === 'count') return obj.count;
+        if (typeof obj === 'string' && key === 'length') return obj.length;
+        if (ilk(obj) === 'object') {
+            const hostName = hostKey(obj, name);
+            return hostName === null ? undefined : fromJS(obj[hostName]);
+        }
+        throw new Error(`Cannot read #${name} of ${format(obj)}`);
+    }
+
+    setProperty(obj, name, value) {
+        const key = name.toLowerCase();
+        if (obj instanceof LingoInstance) {
+            const owner = obj.owner(name);
+            if (!owner) throw new Error(`Property #${name} not found in ${obj}`);
+            owner.props.get(key).value = value;
+            return;
+        }
+        if (obj instanceof LingoScript) {
+            obj.props.set(key, { name, value });
+            return;
+        }
+        if (obj instanceof LingoPropList) {
+            obj.set(new LingoSymbol(name), value);
+            return;
+        }
+        if (ilk(obj) === 'object') {
+            obj[hostKey(obj, name) || name] = value;
+            return;
+        }
+        throw new Error(`Cannot set #${name} of ${format(obj)}`);
+    }
+
+    _enter(fn) {
+        if (this.frames.length === 0) this.steps = 0;
+        return fn();
+    }
+
+    _callHandler(name, args) {
+        const key = name.toLowerCase();
+        const movieHandler = this.movieHandlers.get(key);
+        if (movieHandler) return this._run(movieHandler.script, movieHandler.handler, args, movieHandler.script);
+        const builtin = this.builtins.get(key);
+        if (builtin) return builtin(args, this);
+        return this.callStub(name, args);
+    }
+
+    _callMethod(target, name, args) {
+        const key = name.toLowerCase();
+        if (target instanceof LingoInstance) {
+            for (let obj = target; obj instanceof LingoInstance; obj = obj.ancestor) {
+                const handler = obj.script.handlers.get(key);
+                if (handler) return this._run(obj.script, handler, [target, ...args], obj);
+            }
+        } else if (target instanceof LingoScript) {
+            if (key === 'new') return this.instantiate(target, args);
+            const handler = target.handlers.get(key);
+            if (handler) return this._run(target, handler, [target, ...args], target);
+        } else if (ilk(target) === 'object') {
+            const hostName = hostKey(target, name);
+            if (hostName !== null && typeof target[hostName] === 'function') return fromJS(target[hostName](...args));
+        }
+
+        const builtin = this.builtins.get(key);
+        if (builtin) return builtin([target, ...args], this);
+        if (target instanceof LingoInstance || target instanceof LingoScript) {
+            throw new Error(`Handler #${name} not found in ${target}`);
+        }
+        return this.callStub(name, [target, ...args]);
+    }
+
+    _getThe(name) {
+        const key = name.toLowerCase();
+        if (key === 'paramcount') return this.frame ? this.frame.args.length : 0;
+        if (!this.the.has(key)) return this.callStub(`the ${name}`, []);
+        const value = this.the.get(key);
+        return typeof value === 'function' ? fromJS(value(this)) : value;
+    }
+
+    _fieldKey(nameOrNumber) {
+        return typeof nameOrNumber === 'string' ? nameOrNumber.toLowerCase() : toNumber(nameOrNumber);
+    }
+
+    _getField(id, castLib) {
+        const key = this._fieldKey(id);
+        if (this.fields.has(key)) return this.fields.get(key);
+        return toLingoString(this.callStub('field', castLib === undefined ? [id] : [id, castLib]));
+    }
+
+    /**
+     * Runs one handler. `context` is the object whose properties getprop and setprop
+     * reach: the instance (or ancestor) owning the handler, or the script itself.
+     */
+    _run(script, handler, args, context) {
+        if (this.frames.length >= this.maxDepth) {
+            throw new Error(`Calls nested deeper than ${this.maxDepth} levels`);
+        }
+        const frame = {
+            script, handler, args: [...args], context, pos: 0,
+            locals: handler.locals.map(() => undefined), stack: [], tell: []
+        };
+        this.frames.push(frame);
+        try {
+            return this._execute(frame);
+        } catch (e) {
+            if (!e.lingoHandler) {
+                e.lingoHandler = `${script.name}.${handler.name}`;
+                e.message += ` (in handler ${handler.name} of script "${script.name}" at ${frame.pos})`;
+            }
+            throw e;
+        } finally {
+            this.frames.pop();
+        }
+    }
+
+    _execute(frame) {
+        const { script, handler, stack } = frame;
+        const codes = handler.codes;
+        const pop = () => {
+            if (stack.length === 0) throw new Error('Stack underflow');
+            return stack.pop();
+        };
+        const popArgs = () => {
+            const args = pop();
+            if (!(args instanceof ArgList)) throw new Error('Argument list expected on the stack');
+            return args;
+        };
+        const popRanges = () => {
+            if (stack.length < 8) throw new Error('Stack underflow');
+            return chunkLevels(stack.splice(stack.length - 8, 8).map(v => +toNumber(v) | 0));
+        };
+        const bool = value => (value ? 1 : 0);
+
+        let i = 0;
+        while (i < codes.length) {
+            const bc = codes[i++];
+            frame.pos = bc.pos;
+            if (++this.steps > this.maxSteps) throw new Error(`Stopped after ${this.maxSteps} instructions`);
+
+            switch (bc.opcode) {
+                case 'ret':
+                case 'ret_factory':
+                    return stack.length > 0 ? stack.pop() : undefined;
+
+                // --- Constants ---
+                case 'pushint0': stack.push(0); break;
+                case 'pushint8': case 'pushint16': case 'pushint32': stack.push(bc.obj); break;
+                case 'pushfloat32': stack.push(new LingoFloat(bc.obj)); break;
+                case 'pushcons': stack.push(duplicate(script.literals[bc.obj])); break;
+                case 'pushsymb': stack.push(new LingoSymbol(bc.name)); break;
+
+                // --- Variables ---
+                case 'getglobal': case 'getglobal2': stack.push(this.globals.get(bc.name.toLowerCase())); break;
+                case 'setglobal': case 'setglobal2': this.globals.set(bc.name.toLowerCase(), pop()); break;
+                case 'getprop': stack.push(this.getProperty(frame.context, bc.name)); break;
+                case 'setprop': this.setProperty(frame.context, bc.name, pop()); break;
+                case 'getparam': stack.push(frame.args[bc.obj]); break;
+                case 'setparam': frame.args[bc.obj] = pop(); break;
+                case 'getlocal': stack.push(frame.locals[bc.obj]); break;
+                case 'setlocal': frame.locals[bc.obj] = pop(); break;
+                case 'getmovieprop': stack.push(this._getThe(bc.name)); break;
+                case 'setmovieprop': this.the.set(bc.name.toLowerCase(), pop()); break;
+                case 'gettoplevelprop': stack.push(this._callHandler(bc.name, [])); break;
+                case 'getobjprop': case 'getchainedprop': stack.push(this.getProperty(pop(), bc.name)); break;
+                case 'setobjprop': {
+                    const value = pop();
+                    this.setProperty(pop(), bc.name, value);
+                    break;
+                }
+                case 'get': case 'set': this._getSet(bc, pop, stack); break;
+
+                // --- Operators ---
+                case 'add': case 'sub': case 'mul': case 'div': case 'mod': {
+                    const right = pop();
+                    stack.push(arith(bc.opcode, pop(), right));
+                    break;
+                }
+                case 'inv': stack.push(arith('sub', 0, pop())); break;
+                case 'joinstr': case 'joinpadstr': {
+                    const right = toLingoString(pop(), this.floatPrecision);
+                    const left = toLingoString(pop(), this.floatPrecision);
+                    stack.push(bc.opcode === 'joinstr' ? left + right : `${left} ${right}`);
+                    break;
+                }
+                case 'eq': case 'nteq': {
+                    const right = pop();
+                    const same = equals(pop(), right);
+                    stack.push(bool(bc.opcode === 'eq' ? same : !same));
+                    break;
+                }
+                case 'lt': case 'lteq': case 'gt': case 'gteq': {
+                    const right = pop();
+                    stack.push(bool(COMPARISONS[bc.opcode](compare(pop(), right))));
+                    break;
+                }
+                case 'and': case 'or': {
+                    const right = isTrue(pop()), left = isTrue(pop());
+                    stack.push(bool(bc.opcode === 'and' ? left && right : left || right));
+                    break;
+                }
+                case 'not': stack.push(bool(!isTrue(pop()))); break;
+                case 'containsstr': case 'contains0str': {
+                    const part = toLingoString(pop()).toLowerCase();
+                    const whole = toLingoString(pop()).toLowerCase();
+                    stack.push(bool(bc.opcode === 'containsstr' ? whole.includes(part) : whole.startsWith(part)));
+                    break;
+                }
+
+                // --- Jumps ---
+                case 'jmp': case 'endrepeat': i = this._jumpTarget(handler, bc); break;
+                case 'jmpifz': if (!isTrue(pop())) i = this._jumpTarget(handler, bc); break;
+
+                // --- Stack ---
+                case 'peek':
+                    if (bc.obj >= stack.length) throw new Error('Stack underflow');
+                    stack.push(stack[stack.length - 1 - bc.obj]);
+                    break;
+                case 'pop':
+                    if (bc.obj > stack.length) throw new Error('Stack underflow');
+                    stack.length -= bc.obj;
+                    break;
+                case 'swap': {
+                    const top = pop(), below = pop();
+                    stack.push(top, below);
+                    break;
+                }
+
+                // --- Lists and calls ---
+                case 'pusharglist': case 'pusharglistnoret':
+                    if (bc.obj > stack.length) throw new Error('Stack underflow');
+                    stack.push(new ArgList(stack.splice(stack.length - bc.obj, bc.obj), bc.opcode === 'pusharglistnoret'));
+                    break;
+                case 'pushlist': stack.push(new LingoList(popArgs().values)); break;
+                case 'pushproplist': {
+                    const values = popArgs().values;
+                    const list = new LingoPropList();
+                    for (let k = 0; k + 1 < values.length; k += 2) list.add(values[k], values[k + 1]);
+                    stack.push(list);
+                    break;
+                }
+                case 'localcall': case 'extcall': case 'tellcall': case 'objcall': case 'thebuiltin': case 'newobj': {
+                    const args = popArgs();
+                    const result = this._call(frame, bc, args.values);
+                    if (!args.noRet) stack.push(result);
+                    break;
+                }
+                case 'starttell': frame.tell.push(pop()); break;
+                case 'endtell': frame.tell.pop(); break;
+
+                // --- Chunks, fields and put ---
+                case 'getchunk': {
+                    const text = toLingoString(pop(), this.floatPrecision);
+                    stack.push(getChunkPath(text, popRanges(), this.itemDelimiter));
+                    break;
+                }
+                case 'putchunk': {
+                    const ref = this._popVarRef(frame, bc.obj & 0x0f, pop);
+                    const levels = popRanges();
+                    const value = toLingoString(pop(), this.floatPrecision);
+                    const text = toLingoString(ref.get(), this.floatPrecision);
+                    ref.set(levels.length > 0 ? putChunkPath(text, levels, value, (bc.obj >> 4) & 0x0f, this.itemDelimiter) : value);
+                    break;
+                }
+                case 'deletechunk': {
+                    const ref = this._popVarRef(frame, bc.obj, pop);
+                    const levels = popRanges();
+                    if (levels.length > 0) ref.set(deleteChunkPath(toLingoString(ref.get(), this.floatPrecision), levels, this.itemDelimiter));
+                    break;
+                }
+                case 'put': {
+                    const putType = (bc.obj >> 4) & 0x0f;
+                    const ref = this._popVarRef(frame, bc.obj & 0x0f, pop);
+                    const value = pop();
+                    if (putType === 2 || putType === 3) {
+                        const text = toLingoString(ref.get(), this.floatPrecision);
+                        const part = toLingoString(value, this.floatPrecision);
+                        ref.set(putType === 2 ? text + part : part + text);
+                    } else {
+                        ref.set(value);
+                    }
+                    break;
+                }
+                case 'getfield': {
+                    const castLib = script.sType >= 0x05 ? pop() : undefined;
+                    stack.push(this._getField(pop(), castLib));
+                    break;
+                }
+
+                default:
+                    throw new Error(`Unsupported opcode ${bc.opcode}`);
+            }
+        }
+        return undefined;
+    }
+
+    _call(frame, bc, args) {
+        switch (bc.opcode) {
+            case 'localcall': {
+                const target = frame.script.handlerList[bc.obj];
+                if (!target) throw new Error(`No handler ${bc.obj} in script "${frame.script.name}"`);
+                return this._run(frame.script, target, args, frame.context);
+            }
+            case 'objcall':
+                if (args.length === 0) throw new Error(`Method #${bc.name} called without an object`);
+                return this._callMethod(args[0], bc.name, args.slice(1));
+            case 'newobj': {
+                const script = this.script(bc.name);
+                return script ? this.instantiate(script, args) : this.callStub('new', [new LingoSymbol(bc.name), ...args]);
+            }
+            default:
+                return this._callHandler(bc.name, args);
+        }
+    }
+
+    /**
+     * The V4-style `get`/`set` opcodes: movie properties by number, and the chunk
+     * expressions `the last word in s` and `the number of words in s`.
+     */
+    _getSet(bc, pop, stack) {
+        const id = +toNumber(pop()) | 0;
+        const propName = (table, kind) => {
+            const name = table[id];
+            if (!name) throw new Error(`Unknown ${kind} property ${id}`);
+            return name;
+        };
+
+        if (bc.opcode === 'set') {
+            const value = pop();
+            if (bc.obj === 0x00 && id <= 0x0b) this.the.set(propName(LingoConfig.V4_MOVIE_PROPS, 'movie').toLowerCase(), value);
+            else if (bc.obj === 0x07) this.the.set(propName(LingoConfig.V4_ANIMATION_PROPS, 'animation').toLowerCase(), value);
+            else throw new Error(`Unsupported set ${bc.obj}`);
+            return;
+        }
+
+        switch (bc.obj) {
+            case 0x00:
+                if (id <= 0x0b) return void stack.push(this._getThe(propName(LingoConfig.V4_MOVIE_PROPS, 'movie')));
+                return void stack.push(lastChunk(id - 0x0b, toLingoString(pop(), this.floatPrecision), this.itemDelimiter));
+            case 0x01:
+                return void stack.push(chunkCount(id, toLingoString(pop(), this.floatPrecision), this.itemDelimiter));
+            case 0x07:
+                return void stack.push(this._getThe(propName(LingoConfig.V4_ANIMATION_PROPS, 'animation')));
+            default:
+                throw new Error(`Unsupported get ${bc.obj}`);
+        }
+    }
+
+    /**
+     * The variable put, putchunk and deletechunk write, as the compiler pushes it:
+     * a name id for globals and properties, an index for arguments and locals, a
+     * member (and cast library) for fields.
+     */
+    _popVarRef(frame, varType, pop) {
+        const { script } = frame;
+        switch (varType) {
+            case 0x01:
+            case 0x02: {
+                const key = script.getName(+toNumber(pop()) | 0, 'global').toLowerCase();
+                return { get: () => this.globals.get(key), set: v => this.globals.set(key, v) };
+            }
+            case 0x03: {
+                const name = script.getName(+toNumber(pop()) | 0, 'handle');
+                return { get: () => this.getProperty(frame.context, name), set: v => this.setProperty(frame.context, name, v) };
+            }
+            case 0x04: {
+                const index = +toNumber(pop()) | 0;
+                return { get: () => frame.args[index], set: v => { frame.args[index] = v; } };
+            }
+            case 0x05: {
+                const index = +toNumber(pop()) | 0;
+                return { get: () => frame.locals[index], set: v => { frame.locals[index] = v; } };
+            }
+            case 0x06: {
+                const castLib = script.sType >= 0x05 ? pop() : undefined;
+                const id = pop();
+                return {
+                    get: () => this._getField(id, castLib),
+                    set: v => this.fields.set(this._fieldKey(id), toLingoString(v, this.floatPrecision))
+                };
+            }
+            default:
+                throw new Error(`Unsupported variable type ${varType}`);
+        }
+    }
+
+    _jumpTarget(handler, bc) {
+        const pos = bc.opcode === 'endrepeat' ? bc.pos - bc.obj : bc.pos + bc.obj;
+        const index = handler.posMap.get(pos);
+        if (index !== undefined) return index;
+        const last = handler.codes[handler.codes.length - 1];
+        if (pos >= last.pos + last.len) return handler.codes.length;
+        throw new Error(`Jump to ${pos} lands inside an instruction`);
+    }
+}
+
+module.exports = LingoVM;
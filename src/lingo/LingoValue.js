@@ -0,0 +1,455 @@
+/**
+ * @version 1.4.2
+ * LingoValue.js
+ *
+ * The values LingoVM computes with, and the Lingo semantics of comparing, printing
+ * and converting them. Integers are JavaScript numbers, strings are strings and VOID
+ * is `undefined`. Floats are boxed in LingoFloat so that `2.0` does not turn into the
+ * integer `2`, which would change the result of `/` and of `string()`.
+ *
+ * Chunk expressions (`word 2 of s`) are also here: in Lingo they are operations on
+ * string values, and both the VM's chunk opcodes and its built-ins use them.
+ */
+
+class LingoFloat {
+    constructor(value) { this.value = +value; }
+    valueOf() { return this.value; }
+    toString() { return formatFloat(this.value, 4); }
+}
+
+class LingoSymbol {
+    constructor(name) { this.name = String(name); }
+    toString() { return `#${this.name}`; }
+}
+
+/**
+ * A linear list; positions are 1-based. `sorted` is set by sort(), after which add()
+ * keeps the order, as in Director.
+ */
+class LingoList {
+    constructor(items = []) {
+        this.items = items;
+        this.sorted = false;
+    }
+
+    get count() { return this.items.length; }
+
+    [Symbol.iterator]() { return this.items[Symbol.iterator](); }
+}
+
+/**
+ * A property list, kept as parallel key and value arrays so that order and duplicate
+ * keys survive as they do in Director.
+ */
+class LingoPropList {
+    constructor(keys = [], values = []) {
+        this.keys = keys;
+        this.values = values;
+        this.sorted = false;
+    }
+
+    get count() { return this.keys.length; }
+
+    /**
+     * @returns {number} 0-based position of the first matching key, -1 if missing
+     */
+    indexOf(key) {
+        return this.keys.findIndex(k => ilk(k) === ilk(key) && equals(k, key));
+    }
+
+    get(key) {
+        const i = this.indexOf(key);
+        return i < 0 ? undefined : this.values[i];
+    }
+
+    set(key, value) {
+        const i = this.indexOf(key);
+        if (i >= 0) this.values[i] = value;
+        else this.add(key, value);
+    }
+
+    add(key, value) {
+        let i = this.keys.length;
+        if (this.sorted) {
+            i = this.keys.findIndex(k => compare(k, key) > 0);
+            if (i < 0) i = this.keys.length;
+        }
+        this.keys.splice(i, 0, key);
+        this.values.splice(i, 0, value);
+    }
+
+    [Symbol.iterator]() { return this.values[Symbol.iterator](); }
+}
+
+/**
+ * A script loaded into LingoVM. `script "name"` returns it; `new()` makes instances
+ * of it. Properties of a movie script, or of the script itself when a handler is
+ * called on it, live in `props`.
+ */
+class LingoScript {
+    constructor(name, type, loaded) {
+        this.name = name;
+        this.type = type;
+        this.sType = loaded.sType;
+        this.properties = loaded.properties;
+        this.literals = loaded.literals;
+        this.getName = loaded.getName;
+        this.handlerList = loaded.handlers;
+        this.handlers = new Map();
+        for (const handler of loaded.handlers) {
+            const key = handler.name.toLowerCase();
+            if (!this.handlers.has(key)) this.handlers.set(key, handler);
+        }
+        this.props = new Map();
+    }
+
+    toString() { return `(script "${this.name}")`; }
+}
+
+/**
+ * A parent script instance. Property names are case-insensitive; `ancestor` is an
+ * ordinary property that method and property lookups follow.
+ */
+class LingoInstance {
+    constructor(script) {
+        this.script = script;
+        this.props = new Map();
+        for (const name of script.properties) this.props.set(name.toLowerCase(), { name, value: undefined });
+        if (!this.props.has('ancestor')) this.props.set('ancestor', { name: 'ancestor', value: undefined });
+    }
+
+    get ancestor() { return this.props.get('ancestor').value; }
+
+    /**
+     * @returns {LingoInstance|null} This instance or the first ancestor declaring the property
+     */
+    owner(name) {
+        const key = name.toLowerCase();
+        for (let obj = this; obj instanceof LingoInstance; obj = obj.ancestor) {
+            if (obj.props.has(key)) return obj;
+        }
+        return null;
+    }
+
+    toString() { return `<offspring "${this.script.name}">`; }
+}
+
+const isNumber = v => typeof v === 'number' || v instanceof LingoFloat;
+const isList = v => v instanceof LingoList || v instanceof LingoPropList;
+
+function ilk(v) {
+    if (v === undefined || v === null) return 'void';
+    if (typeof v === 'number') return 'integer';
+    if (v instanceof LingoFloat) return 'float';
+    if (typeof v === 'string') return 'string';
+    if (v instanceof LingoSymbol) return 'symbol';
+    if (v instanceof LingoList) return 'list';
+    if (v instanceof LingoPropList) return 'propList';
+    if (v instanceof LingoInstance) return 'instance';
+    if (v instanceof LingoScript) return 'script';
+    return 'object';
+}
+
+function formatFloat(value, precision) {
+    if (Number.isNaN(value)) return 'NAN';
+    if (!Number.isFinite(value)) return value < 0 ? '-INF' : 'INF';
+    return precision > 0 ? value.toFixed(Math.min(precision, 15)) : String(Math.round(value));
+}
+
+/**
+ * The text `put` shows for a value: strings quoted, symbols with `#`.
+ */
+function format(v, precision = 4) {
+    if (v === undefined || v === null) return '<Void>';
+    if (typeof v === 'string') return `"${v}"`;
+    if (v instanceof LingoFloat) return formatFloat(v.value, precision);
+    if (v instanceof LingoList) return `[${v.items.map(item => format(item, precision)).join(', ')}]`;
+    if (v instanceof LingoPropList) {
+        if (v.count === 0) return '[:]';
+        return `[${v.keys.map((key, i) => `${format(key, precision)}: ${format(v.values[i], precision)}`).join(', ')}]`;
+    }
+    return String(v);
+}
+
+/**
+ * Lingo's string(): strings as they are, symbols without `#`, VOID as EMPTY.
+ */
+function toLingoString(v, precision = 4) {
+    if (v === undefined || v === null) return '';
+    if (typeof v === 'string') return v;
+    if (v instanceof LingoSymbol) return v.name;
+    return format(v, precision);
+}
+
+/**
+ * Reads a string as an integer or float; VOID for anything else.
+ */
+function parseNumber(text) {
+    const s = text.trim();
+    if (/^[-+]?\d+$/.test(s)) return parseInt(s, 10) | 0;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s)) return new LingoFloat(parseFloat(s));
+    return undefined;
+}
+
+/**
+ * The number an arithmetic operand stands for. VOID counts as 0.
+ */
+function toNumber(v) {
+    if (isNumber(v)) return v;
+    if (v === undefined || v === null) return 0;
+    if (typeof v === 'string') {
+        const n = parseNumber(v);
+        if (n !== undefined) return n;
+    }
+    throw new Error(`Number expected, got ${format(v)}`);
+}
+
+function isTrue(v) {
+    if (v === undefined || v === null) return false;
+    if (isNumber(v)) return +v !== 0;
+    if (typeof v === 'string') {
+        const n = parseNumber(v);
+        return n !== undefined && +n !== 0;
+    }
+    return true;
+}
+
+/**
+ * Lingo `=`: numbers by value (numeric strings included, VOID as 0), strings and
+ * symbols without regard to case, lists item by item, everything else by identity.
+ */
+function equals(a, b) {
+    if (a === b) return true;
+    if (a === undefined || a === null) return b === undefined || b === null || (isNumber(b) && +b === 0);
+    if (b === undefined || b === null) return isNumber(a) && +a === 0;
+    if (isNumber(a) || isNumber(b)) {
+        const x = isNumber(a) ? a : (typeof a === 'string' ? parseNumber(a) : undefined);
+        const y = isNumber(b) ? b : (typeof b === 'string' ? parseNumber(b) : undefined);
+        return x !== undefined && y !== undefined && +x === +y;
+    }
+    const text = v => (typeof v === 'string' ? v : v instanceof LingoSymbol ? v.name : null);
+    if (text(a) !== null && text(b) !== null) return text(a).toLowerCase() === text(b).toLowerCase();
+    if (a instanceof LingoList && b instanceof LingoList) {
+        return a.count === b.count && a.items.every((item, i) => equals(item, b.items[i]));
+    }
+    if (a instanceof LingoPropList && b instanceof LingoPropList) {
+        return a.count === b.count && a.keys.every((key, i) => equals(key, b.keys[i]) && equals(a.values[i], b.values[i]));
+    }
+    return false;
+}
+
+/**
+ * Ordering for `<`, `>` and sort(): numeric when both sides are numbers, otherwise
+ * the string forms without regard to case.
+ * @returns {number} Negative, 0 or positive
+ */
+function compare(a, b) {
+    const numeric = v => (isNumber(v) || v === undefined || v === null ? +toNumber(v) : typeof v === 'string' ? parseNumber(v) : undefined);
+    if (isNumber(a) || isNumber(b)) {
+        const x = numeric(a), y = numeric(b);
+        if (x !== undefined && y !== undefined) return +x - +y;
+    }
+    const s = toLingoString(a).toLowerCase(), t = toLingoString(b).toLowerCase();
+    return s < t ? -1 : s > t ? 1 : 0;
+}
+
+/**
+ * A copy of a value that shares no list with the original.
+ */
+function duplicate(v) {
+    if (v instanceof LingoList) {
+        const copy = new LingoList(v.items.map(duplicate));
+        copy.sorted = v.sorted;
+        return copy;
+    }
+    if (v instanceof LingoPropList) {
+        const copy = new LingoPropList(v.keys.map(duplicate), v.values.map(duplicate));
+        copy.sorted = v.sorted;
+        return copy;
+    }
+    return v;
+}
+
+/**
+ * Turns plain JavaScript into Lingo values: non-integer numbers become floats, arrays
+ * lists and plain objects property lists with symbol keys. Strings starting with `#`
+ * stay strings; pass a LingoSymbol for a symbol.
+ */
+function fromJS(v) {
+    if (v === null || v === undefined) return undefined;
+    if (typeof v === 'number') return Number.isInteger(v) && Math.abs(v) <= 0x7fffffff ? v : new LingoFloat(v);
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    if (Array.isArray(v)) return new LingoList(v.map(fromJS));
+    if (Object.getPrototypeOf(v) === Object.prototype) {
+        const keys = Object.keys(v);
+        return new LingoPropList(keys.map(key => new LingoSymbol(key)), keys.map(key => fromJS(v[key])));
+    }
+    return v;
+}
+
+/**
+ * Turns Lingo values into plain JavaScript: floats become numbers, symbols `#name`
+ * strings, lists arrays and property lists objects keyed by the key's string form.
+ */
+function toJS(v) {
+    if (v instanceof LingoFloat) return v.value;
+    if (v instanceof LingoSymbol) return `#${v.name}`;
+    if (v instanceof LingoList) return v.items.map(toJS);
+    if (v instanceof LingoPropList) {
+        const out = {};
+        v.keys.forEach((key, i) => { out[toLingoString(key)] = toJS(v.values[i]); });
+        return out;
+    }
+    return v;
+}
+
+// --- Chunks ---
+
+const CHUNK_TYPES = { 1: 'char', 2: 'word', 3: 'item', 4: 'line' };
+// `the last word in s` is stored as first -30000, last 0
+const LAST_CHUNK = -30000;
+
+const isSpace = c => c === ' ' || c === '\t' || c === '\r' || c === '\n';
+
+/**
+ * [start, end) of every chunk of a type in s. Words are runs of characters other than
+ * space, tab, CR and LF; items are separated by the item delimiter and lines by CR.
+ */
+function chunkSpans(type, s, itemDelimiter = ',') {
+    const spans = [];
+    if (type === 1) {
+        for (let i = 0; i < s.length; i++) spans.push([i, i + 1]);
+    } else if (type === 2) {
+        for (let i = 0; i < s.length;) {
+            while (i < s.length && isSpace(s[i])) i++;
+            if (i >= s.length) break;
+            const start = i;
+            while (i < s.length && !isSpace(s[i])) i++;
+            spans.push([start, i]);
+        }
+    } else if (type === 3 || type === 4) {
+        if (s.length === 0) return spans;
+        const delimiter = type === 3 ? (itemDelimiter || ',') : '\r';
+        let start = 0;
+        for (let i = s.indexOf(delimiter); i >= 0; i = s.indexOf(delimiter, start)) {
+            spans.push([start, i]);
+            start = i + delimiter.length;
+        }
+        spans.push([start, s.length]);
+    } else {
+        throw new Error(`Unknown chunk type ${type}`);
+    }
+    return spans;
+}
+
+function chunkRange(spans, first, last) {
+    if (first === LAST_CHUNK) first = last = spans.length;
+    if (!last || last < first) last = first;
+    if (first < 1 || first > spans.length) return null;
+    return [spans[first - 1][0], spans[Math.min(last, spans.length) - 1][1]];
+}
+
+function chunkCount(type, s, itemDelimiter) {
+    return chunkSpans(type, s, itemDelimiter).length;
+}
+
+/**
+ * `char first to last of s`; `last` is 0 for a single chunk.
+ */
+function getChunk(type, s, first, last, itemDelimiter) {
+    const range = chunkRange(chunkSpans(type, s, itemDelimiter), first, last);
+    return range ? s.slice(range[0], range[1]) : '';
+}
+
+function lastChunk(type, s, itemDelimiter) {
+    const count = chunkCount(type, s, itemDelimiter);
+    return getChunk(type, s, count, count, itemDelimiter);
+}
+
+/**
+ * `put value into/after/before chunk of s`. Putting into an item or line past the end
+ * adds the delimiters in between, as Director does.
+ * @param {number} putType - 1 into, 2 after, 3 before
+ */
+function putChunk(type, s, first, last, value, putType = 1, itemDelimiter) {
+    let spans = chunkSpans(type, s, itemDelimiter);
+    if (first === LAST_CHUNK) first = last = Math.max(spans.length, 1);
+    if (first > spans.length) {
+        if (type === 3 || type === 4) {
+            const delimiter = type === 3 ? (itemDelimiter || ',') : '\r';
+            s += delimiter.repeat(first - Math.max(spans.length, 1));
+        } else if (type === 2 && s.length > 0 && !isSpace(s[s.length - 1])) {
+            s += ' ';
+        }
+        if (type !== 3 && type !== 4) return s + value;
+        spans = chunkSpans(type, s, itemDelimiter);
+    }
+    const range = chunkRange(spans, Math.max(first, 1), last);
+    if (!range) return s + value;
+    if (putType === 2) return s.slice(0, range[1]) + value + s.slice(range[1]);
+    if (putType === 3) return s.slice(0, range[0]) + value + s.slice(range[0]);
+    return s.slice(0, range[0]) + value + s.slice(range[1]);
+}
+
+/**
+ * `delete chunk of s`, taking a delimiter with the chunk: the one after it, or the
+ * one before it for the last chunk.
+ */
+function deleteChunk(type, s, first, last, itemDelimiter) {
+    const range = chunkRange(chunkSpans(type, s, itemDelimiter), first, last);
+    if (!range) return s;
+    let [start, end] = range;
+    if (type === 3 || type === 4) {
+        const delimiter = type === 3 ? (itemDelimiter || ',') : '\r';
+        if (end < s.length) end += delimiter.length;
+        else if (start > 0) start -= delimiter.length;
+    } else if (type === 2) {
+        while (end < s.length && isSpace(s[end])) end++;
+        if (end === range[1]) while (start > 0 && isSpace(s[start - 1])) start--;
+    }
+    return s.slice(0, start) + s.slice(end);
+}
+
+/**
+ * A chunk reference as the bytecode stores it: first/last for char, word, item and
+ * line, 0 where a level is unused. Returns the levels outermost (line) first.
+ * @param {number[]} ranges - [firstChar, lastChar, firstWord, lastWord, firstItem, lastItem, firstLine, lastLine]
+ */
+function chunkLevels(ranges) {
+    const levels = [];
+    for (let type = 4; type >= 1; type--) {
+        const first = ranges[(type - 1) * 2], last = ranges[(type - 1) * 2 + 1];
+        if (first !== 0) levels.push({ type, first, last });
+    }
+    return levels;
+}
+
+function getChunkPath(s, levels, itemDelimiter) {
+    return levels.reduce((text, level) => getChunk(level.type, text, level.first, level.last, itemDelimiter), s);
+}
+
+/**
+ * Writes into a nested chunk (`char 1 of word 2 of s`) by rewriting each enclosing
+ * chunk with the changed one inside it.
+ */
+function putChunkPath(s, levels, value, putType, itemDelimiter) {
+    const [level, ...inner] = levels;
+    if (inner.length === 0) return putChunk(level.type, s, level.first, level.last, value, putType, itemDelimiter);
+    const part = getChunk(level.type, s, level.first, level.last, itemDelimiter);
+    return putChunk(level.type, s, level.first, level.last, putChunkPath(part, inner, value, putType, itemDelimiter), 1, itemDelimiter);
+}
+
+function deleteChunkPath(s, levels, itemDelimiter) {
+    const [level, ...inner] = levels;
+    if (inner.length === 0) return deleteChunk(level.type, s, level.first, level.last, itemDelimiter);
+    const part = getChunk(level.type, s, level.first, level.last, itemDelimiter);
+    return putChunk(level.type, s, level.first, level.last, deleteChunkPath(part, inner, itemDelimiter), 1, itemDelimiter);
+}
+
+module.exports = {
+    LingoFloat, LingoSymbol, LingoList, LingoPropList, LingoScript, LingoInstance,
+    isNumber, isList, ilk, format, formatFloat, toLingoString, parseNumber, toNumber, isTrue,
+    equals, compare, duplicate, fromJS, toJS,
+    CHUNK_TYPES, LAST_CHUNK, chunkSpans, chunkCount, getChunk, lastChunk, putChunk, deleteChunk,
+    chunkLevels, getChunkPath, putChunkPath, deleteChunkPath
+};
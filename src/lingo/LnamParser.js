@@ -46,7 +46,8 @@ class LnamParser {
                 }
             }
 
-            if (process.env.VERBOSE) {
+            // `process` does not exist in browser bundles
+            if (typeof process !== 'undefined' && process.env.VERBOSE) {
                 this.log('DEBUG', `Parsed LNAM with ${nameCount} names. First 300: ${JSON.stringify(names.slice(0, 300))}`);
             }
 
@@ -0,0 +1,260 @@
+/**
+ * @version 1.4.2
+ * BitmapEncoder - Converts PNG images back into Director BITD payloads.
+ *
+ * The inverse of BitmapExtractor: quantises to the target palette at 1-8 bits,
+ * packs RGB555 at 16 bits or row-planar ARGB at 32 bits, and PackBits-compresses
+ * each row. 32-bit images with transparency also get a separate ALFA plane.
+ * See docs/doc/06_BitmapExtraction.md for the layouts.
+ */
+
+const { PNG } = require('pngjs');
+const { Bitmap } = require('../Constants');
+const { Palette } = require('../utils/Palette');
+
+const MONO_PALETTE = [[255, 255, 255], [0, 0, 0]];
+
+class BitmapEncoder {
+    /**
+     * @param {Function} logger - Logger callback (lvl, msg)
+     */
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+    }
+
+    /**
+     * @param {Buffer} pngBuffer - Source PNG
+     * @param {object} options
+     * @param {number} [options.bitDepth=32] - 1, 2, 4, 8, 16 or 32
+     * @param {Array|string|number} [options.palette='SystemMac'] - [[r, g, b], ...], a system palette
+     *        name (see Palette.getSystemPaletteName) or a system palette id. Used at 2-8 bits.
+     * @param {boolean} [options.dither=false] - Floyd-Steinberg error diffusion instead of nearest colour
+     * @param {boolean} [options.compress=true] - PackBits rows when that is smaller than raw
+     * @returns {{bitd: Buffer, alfa: Buffer|null, width: number, height: number, bitDepth: number,
+     *            pitch: number, hasAlpha: boolean, compressed: boolean, paletteId: number|null}}
+     */
+    encode(pngBuffer, options = {}) {
+        const { width, height, data } = PNG.sync.read(pngBuffer);
+        const bitDepth = options.bitDepth || 32;
+        if (![1, 2, 4, 8, 16, 32].includes(bitDepth)) throw new Error(`Unsupported bit depth ${bitDepth}`);
+
+        const pitch = this.rowBytes(width, bitDepth);
+        let raw;
+        let paletteId = null;
+        let hasAlpha = false;
+
+        if (bitDepth === 32) {
+            raw = this._packPlanar(data, width, height, pitch);
+            for (let i = 3; i < data.length; i += 4) {
+                if (data[i] !== Bitmap.Alpha.Opaque) { hasAlpha = true; break; }
+            }
+        } else if (bitDepth === 16) {
+            raw = this._pack555(this._flatten(data), width, height, pitch);
+        } else {
+            const resolved = bitDepth === 1 ? { id: null, palette: MONO_PALETTE } : this.resolvePalette(options.palette);
+            paletteId = resolved.id;
+            const colors = resolved.palette.slice(0, 1 << bitDepth);
+            const indices = this.quantize(this._flatten(data), width, height, colors, !!options.dither);
+            raw = this._packIndexed(indices, width, height, bitDepth, pitch);
+        }
+
+        let bitd = raw;
+        let compressed = false;
+        if (options.compress !== false) {
+            const packed = this.packBitsRows(raw, pitch, height);
+            // BitmapExtractor treats a payload of exactly pitch * height (or the unpadded
+            // row size * height) as raw, so only keep a PackBits stream that cannot be mistaken for one
+            if (packed.length < raw.length && packed.length !== Math.ceil(width * bitDepth / 8) * height) {
+                bitd = packed;
+                compressed = true;
+            }
+        }
+
+        let alfa = null;
+        if (hasAlpha) {
+            alfa = Buffer.alloc(width * height);
+            for (let i = 0; i < alfa.length; i++) alfa[i] = data[i * 4 + 3];
+        }
+
+        this.log('DEBUG', `[BitmapEncoder] ${width}x${height} @ ${bitDepth} bit: ${bitd.length} bytes${compressed ? ' (PackBits)' : ''}${alfa ? ' + ALFA' : ''}`);
+        return { bitd, alfa, width, height, bitDepth, pitch, hasAlpha, compressed, paletteId };
+    }
+
+    /**
+     * Padded row size BitmapExtractor expects for the given width and depth.
+     */
+    rowBytes(width, bitDepth) {
+        const align = Bitmap.RowAlignment[bitDepth] || 2;
+        return Math.ceil((Math.ceil(width / align) * align * bitDepth) / 8);
+    }
+
+    /**
+     * @returns {{id: number|null, palette: Array}} Normalised system palette id (null for custom colours)
+     */
+    resolvePalette(palette) {
+        if (Array.isArray(palette)) {
+            if (palette.length === 0) throw new Error('Palette has no colours');
+            return { id: null, palette };
+        }
+        if (typeof palette === 'number') {
+            const colors = Palette.getSystemPaletteById(palette);
+            if (!colors) throw new Error(`Unknown system palette id ${palette}`);
+            return { id: palette, palette: colors };
+        }
+        const named = Palette.getSystemPaletteByName(palette || 'SystemMac');
+        if (!named) throw new Error(`Unknown system palette '${palette}'`);
+        return named;
+    }
+
+    /**
+     * Maps RGB pixels to palette indices, optionally with Floyd-Steinberg dithering.
+     * @param {Float32Array} rgb - width * height * 3 channel values
+     */
+    quantize(rgb, width, height, colors, dither) {
+        const indices = new Uint8Array(width * height);
+        const cache = new Map();
+        const nearest = (r, g, b) => {
+            const key = (r << 16) | (g << 8) | b;
+            let idx = cache.get(key);
+            if (idx !== undefined) return idx;
+
+            let best = Infinity;
+            for (let i = 0; i < colors.length; i++) {
+                const [pr, pg, pb] = colors[i];
+                const d = (r - pr) * (r - pr) * 2 + (g - pg) * (g - pg) * 4 + (b - pb) * (b - pb) * 3;
+                if (d < best) { best = d; idx = i; }
+            }
+            cache.set(key, idx);
+            return idx;
+        };
+
+        const clamp = (v) => v < 0 ? 0 : (v > 255 ? 255 : Math.round(v));
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const r = clamp(rgb[p * 3]), g = clamp(rgb[p * 3 + 1]), b = clamp(rgb[p * 3 + 2]);
+                const idx = nearest(r, g, b);
+                indices[p] = idx;
+                if (!dither) continue;
+
+                const [pr, pg, pb] = colors[idx];
+                const err = [r - pr, g - pg, b - pb];
+                const spread = (dx, dy, weight) => {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) return;
+                    const q = (ny * width + nx) * 3;
+                    rgb[q] += err[0] * weight;
+                    rgb[q + 1] += err[1] * weight;
+                    rgb[q + 2] += err[2] * weight;
+                };
+                spread(1, 0, 7 / 16);
+                spread(-1, 1, 3 / 16);
+                spread(0, 1, 5 / 16);
+                spread(1, 1, 1 / 16);
+            }
+        }
+        return indices;
+    }
+
+    /**
+     * PackBits-encodes each row independently; decodePackBits reads the rows back as one stream.
+     */
+    packBitsRows(raw, pitch, height) {
+        const out = [];
+        for (let y = 0; y < height; y++) {
+            this._packBitsRow(raw, y * pitch, (y + 1) * pitch, out);
+        }
+        return Buffer.from(out);
+    }
+
+    _packBitsRow(src, start, end, out) {
+        const { MaxRun, MinRepeat } = Bitmap.PackBits;
+        let pos = start;
+        let literalStart = start;
+
+        const flushLiteral = (until) => {
+            while (literalStart < until) {
+                const count = Math.min(MaxRun, until - literalStart);
+                out.push(count - 1);
+                for (let i = 0; i < count; i++) out.push(src[literalStart + i]);
+                literalStart += count;
+            }
+        };
+
+        while (pos < end) {
+            let run = 1;
+            while (pos + run < end && run < MaxRun && src[pos + run] === src[pos]) run++;
+
+            if (run >= MinRepeat) {
+                flushLiteral(pos);
+                out.push((1 - run) & 0xFF);
+                out.push(src[pos]);
+                pos += run;
+                literalStart = pos;
+            } else {
+                pos += run;
+            }
+        }
+        flushLiteral(end);
+    }
+
+    /**
+     * Composites RGBA over white (the stage colour indexed bitmaps are drawn on) into float RGB.
+     */
+    _flatten(data) {
+        const rgb = new Float32Array((data.length / 4) * 3);
+        for (let i = 0, o = 0; i < data.length; i += 4, o += 3) {
+            const a = data[i + 3] / 255;
+            rgb[o] = data[i] * a + 255 * (1 - a);
+            rgb[o + 1] = data[i + 1] * a + 255 * (1 - a);
+            rgb[o + 2] = data[i + 2] * a + 255 * (1 - a);
+        }
+        return rgb;
+    }
+
+    _packIndexed(indices, width, height, bitDepth, pitch) {
+        const out = Buffer.alloc(pitch * height);
+        const perByte = 8 / bitDepth;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = indices[y * width + x];
+                const shift = (perByte - 1 - (x % perByte)) * bitDepth;
+                out[y * pitch + Math.floor(x / perByte)] |= idx << shift;
+            }
+        }
+        return out;
+    }
+
+    _pack555(rgb, width, height, pitch) {
+        const out = Buffer.alloc(pitch * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = (y * width + x) * 3;
+                const c = (v) => Math.min(31, Math.round(v) >> 3);
+                out.writeUInt16BE((c(rgb[p]) << 10) | (c(rgb[p + 1]) << 5) | c(rgb[p + 2]), y * pitch + x * 2);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * 32-bit rows hold four planes of pitch / 4 bytes each: A, R, G, B.
+     */
+    _packPlanar(data, width, height, pitch) {
+        const out = Buffer.alloc(pitch * height);
+        const planeWidth = pitch / 4;
+        for (let y = 0; y < height; y++) {
+            const rowBase = y * pitch;
+            for (let x = 0; x < width; x++) {
+                const src = (y * width + x) * 4;
+                out[rowBase + x] = data[src + 3];
+                out[rowBase + planeWidth + x] = data[src];
+                out[rowBase + planeWidth * 2 + x] = data[src + 1];
+                out[rowBase + planeWidth * 3 + x] = data[src + 2];
+            }
+        }
+        return out;
+    }
+}
+
+module.exports = BitmapEncoder;
@@ -1,9 +1,9 @@
 const path = require('path');
-const zlib = require('zlib');
 const { PNG } = require('pngjs');
 const fs = require('fs');
 const BaseExtractor = require('../extractor/BaseExtractor');
 const DataStream = require('../utils/DataStream');
+const Compression = require('../utils/Compression');
 const { Bitmap, MemberType, HeaderSize, Resources } = require('../Constants');
 const { Palette } = require('../utils/Palette');
 
@@ -23,7 +23,16 @@ class BitmapExtractor extends BaseExtractor {
         this.compressionThreshold = compressionThreshold;
     }
 
-    async extract(bitmapBuf, outputPath, member, customPalette = null, alphaBuf = null) {
+    /**
+     * Decodes a BITD payload to RGBA without encoding a PNG.
+     * @returns {Promise<{width: number, height: number, bitDepth: number, palette: Array|null, pixels: Buffer}|{reason: string}|Buffer>}
+     *          The RAW bytes when the bitmap has no dimensions, like extract() without outputPath
+     */
+    async decode(bitmapBuf, member, customPalette = null, alphaBuf = null) {
+        return this.extract(bitmapBuf, null, member, customPalette, alphaBuf, { pixels: true });
+    }
+
+    async extract(bitmapBuf, outputPath, member, customPalette = null, alphaBuf = null, options = {}) {
         if (!bitmapBuf || bitmapBuf.length === 0) return { reason: 'empty_asset' };
 
         // 1. Geometry sets
@@ -94,7 +103,7 @@ class BitmapExtractor extends BaseExtractor {
                 member.width = inferred.w;
                 member.height = inferred.h;
                 this.log('INFO', `Inferred geometry for ${member.name}: ${inferred.w}x${inferred.h} via ${inferred.method}`);
-                return this._doExtract(inferred.data, inferred.w, inferred.h, inferred.depth, inferred.rowBytes, member, customPalette, alphaBuf, outputPath);
+                return this._doExtract(inferred.data, inferred.w, inferred.h, inferred.depth, inferred.rowBytes, member, customPalette, alphaBuf, outputPath, options);
             }
 
             this.log('WARNING', `Member ${member.name} has ${bitmapBuf.length} bytes of data but no dimensions. Extracting as RAW .dat file.`);
@@ -123,14 +132,14 @@ class BitmapExtractor extends BaseExtractor {
                     for (const rb of rowByteCandidates) {
                         const expectedLen = rb * dims.h;
                         if (expectedLen === actualLen) {
-                            return this._doExtract(data, dims.w, dims.h, d, rb, member, customPalette, alphaBuf, outputPath);
+                            return this._doExtract(data, dims.w, dims.h, d, rb, member, customPalette, alphaBuf, outputPath, options);
                         }
 
                         // Director 8-bit BITD streams can legally unpack to one extra padded row.
                         // In that case, keep decoding from the flat unpacked stream and only
                         // consume the rows needed for the target image.
                         if (this._canUseTrailingIndexedRow(d, actualLen, expectedLen, rb)) {
-                            return this._doExtract(data, dims.w, dims.h, d, rb, member, customPalette, alphaBuf, outputPath);
+                            return this._doExtract(data, dims.w, dims.h, d, rb, member, customPalette, alphaBuf, outputPath, options);
                         }
                     }
                 }
@@ -150,7 +159,7 @@ class BitmapExtractor extends BaseExtractor {
                     for (const src of rowSources) {
                         const rowResult = this.decompressPackBitsRows(src.data, rb, dims.h);
                         if (rowResult && rowResult.actualLen === rb * dims.h) {
-                            return this._doExtract(rowResult.data, dims.w, dims.h, d, rb, member, customPalette, alphaBuf, outputPath);
+                            return this._doExtract(rowResult.data, dims.w, dims.h, d, rb, member, customPalette, alphaBuf, outputPath, options);
                         }
                     }
                 }
@@ -175,7 +184,8 @@ class BitmapExtractor extends BaseExtractor {
                 member,
                 customPalette,
                 alphaBuf,
-                outputPath
+                outputPath,
+                options
             );
         }
 
@@ -191,7 +201,7 @@ class BitmapExtractor extends BaseExtractor {
     }
 
 
-    async _doExtract(data, width, height, depth, rowBytes, member, customPalette, alphaBuf, outputPath) {
+    async _doExtract(data, width, height, depth, rowBytes, member, customPalette, alphaBuf, outputPath, options = {}) {
         if (!data || data.length === 0) return null;
 
         const resolvedPalette = customPalette || this.internalPalette || await Palette.resolveMemberPalette(member, this.extractor) || null;
@@ -206,6 +216,7 @@ class BitmapExtractor extends BaseExtractor {
         for (const order of orders) {
             try {
                 const chunkyData = this._processChunkyData(data, width, height, depth, rowBytes, palette, alphaBuf, order, member);
+                if (options.pixels) return { width, height, bitDepth: depth, palette: depth <= 8 ? palette : null, pixels: chunkyData };
                 const dst = new PNG({ width, height, colorType: 6, inputHasAlpha: true });
                 dst.data = chunkyData;
                 const imgData = PNG.sync.write(dst);
@@ -234,20 +245,7 @@ class BitmapExtractor extends BaseExtractor {
     }
 
     _getAlignmentWidthPixels(depth) {
-        switch (depth) {
-            case 1:
-                return 16;
-            case 4:
-            case 32:
-                return 4;
-            case 2:
-            case 8:
-                return 2;
-            case 16:
-                return 1;
-            default:
-                return 2;
-        }
+        return Bitmap.RowAlignment[depth] || 2;
     }
 
     _calculateDeclaredRowBytes(width, depth) {
@@ -479,12 +477,12 @@ class BitmapExtractor extends BaseExtractor {
 
     _tryZlib(buf) {
         try {
-            return zlib.inflateSync(buf);
+            return Compression.inflateZlib(buf);
         } catch (e) {
             for (let i = 0; i < Math.min(buf.length, 128); i++) {
                 if (buf[i] === 0x78 && (buf[i + 1] === 0x01 || buf[i + 1] === 0x9C || buf[i + 1] === 0xDA)) {
                     try {
-                        return zlib.inflateSync(buf.slice(i));
+                        return Compression.inflateZlib(buf.slice(i));
                     } catch (inner) { }
                 }
             }
@@ -1,9 +1,11 @@
 /**
  * @version 1.4.2
- * MemberSpec.js - Type-specific binary metadata parsers
+ * MemberSpec.js - Type-specific binary metadata parsers and their writers
  */
 
 const { Palette } = require('../utils/Palette');
+const DataWriter = require('../utils/DataWriter');
+const { Bitmap } = require('../Constants');
 
 class BitmapSpec {
     /**
@@ -82,6 +84,35 @@ class BitmapSpec {
         };
         return res;
     }
+
+    /**
+     * Writes the 28-byte layout parse() reads. Expects width, height, bitDepth,
+     * regPoint, paletteId, clutCastLib plus `_pitch` and `_hasAlpha` from the encoder.
+     */
+    static build(member) {
+        const ds = new DataWriter('big', 28);
+        const rect = { top: 0, left: 0, bottom: member.height || 0, right: member.width || 0 };
+        const regPoint = member.regPoint || { x: 0, y: 0 };
+        const bitDepth = member.bitDepth || 8;
+
+        let flags = (member._pitch || 0) & 0x3FFF;
+        if (bitDepth > 1) flags |= Bitmap.Flags.HasCustomPalette;
+        if (member._hasAlpha) flags |= Bitmap.Flags.AlphaChannelUsed;
+
+        ds.writeUint16(flags);
+        ds.writeRect(rect);
+        ds.writeRect(rect);
+        ds.writeInt16(regPoint.y + rect.top);
+        ds.writeInt16(regPoint.x + rect.left);
+        ds.writeUint8(0);
+        ds.writeUint8(bitDepth);
+
+        // Undo Palette.normalizePaletteId for built-in (negative) palettes
+        const paletteId = member.paletteId || 0;
+        ds.writeInt16(member.clutCastLib || 0);
+        ds.writeInt16(paletteId < 0 ? paletteId + 1 : paletteId);
+        return ds.toBuffer();
+    }
 }
 
 class ShapeSpec {
@@ -116,12 +147,24 @@ class TextSpec {
         if (len < 8) return {};
         return { rect: ds.readRect() };
     }
+
+    static build(member) {
+        const ds = new DataWriter('big', 8);
+        ds.writeRect(member.rect || {});
+        return ds.toBuffer();
+    }
 }
 
 class ScriptSpec {
     static parse(ds, len) {
         return len < 2 ? {} : { scriptType: ds.readUint16() };
     }
+
+    static build(member) {
+        const ds = new DataWriter('big', 2);
+        ds.writeUint16(member.scriptType || 0);
+        return ds.toBuffer();
+    }
 }
 
 class MovieSpec {
@@ -154,6 +197,15 @@ class SoundSpec {
             channels: ds.readUint16()
         };
     }
+
+    static build(member) {
+        const ds = new DataWriter('big', 10);
+        ds.writeUint16(member._castFlags || 0);
+        ds.writeUint32(member.sampleRate || 0);
+        ds.writeUint16(member.bitDepth || 0);
+        ds.writeUint16(member.channels || 0);
+        return ds.toBuffer();
+    }
 }
 
 class TransitionSpec {
@@ -183,6 +235,12 @@ class PaletteSpec {
         if (len < 2) return {};
         return { _castFlags: ds.readUint16() };
     }
+
+    static build(member) {
+        const ds = new DataWriter('big', 2);
+        ds.writeUint16(member._castFlags || 0);
+        return ds.toBuffer();
+    }
 }
 
 module.exports = { BitmapSpec, ShapeSpec, TextSpec, ScriptSpec, MovieSpec, ButtonSpec, SoundSpec, TransitionSpec, XtraSpec, PaletteSpec };
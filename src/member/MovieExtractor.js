@@ -1,18 +1,25 @@
 /**
  * @version 1.4.2
  * MovieExtractor.js - Extraction logic for Movie and FilmLoop members
- * 
+ *
  * Handles parsing of internal Score data for FilmLoops (Type 2).
- * Reconstructs the timeline state (channels) from compressed binary data.
+ * Reconstructs the timeline state (channels) from compressed binary data
+ * and can composite the frames into an APNG or a sprite sheet.
  */
 
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
 const GenericExtractor = require('./GenericExtractor');
 const DataStream = require('../utils/DataStream');
-const { Resources } = require('../Constants');
+const ScoreParser = require('../utils/ScoreParser');
+const APNGEncoder = require('../utils/APNGEncoder');
+const { Resources, Limits, Score } = require('../Constants');
 
 class MovieExtractor extends GenericExtractor {
     constructor(log) {
         super(log);
+        this.scoreParser = new ScoreParser(this.log);
     }
 
     /**
@@ -23,26 +30,19 @@ class MovieExtractor extends GenericExtractor {
     extract(buffer, member) {
         if (!buffer || buffer.length < 12) return null;
 
-        const ds = new DataStream(buffer, 'big');
-
-        // FilmLoops usually wrap a Score structure.
-        // [2: flags], [8: rect], [2: castFlags?]
-        // The data that follows is the actual Score compression.
-
         try {
-            const flags = ds.readUint16();
-            const rect = ds.readRect();
-            const castFlags = ds.readUint16();
-
-            const scoreData = buffer.slice(ds.position);
-            const timeline = this._parseScore(scoreData);
+            const timeline = this.parseTimeline(buffer, member);
+            if (!timeline) {
+                return JSON.stringify({ error: 'No score data found', memberId: member.id }, null, 2);
+            }
 
             return JSON.stringify({
                 memberId: member.id,
                 name: member.name,
-                flags,
-                bounds: rect,
-                castFlags,
+                flags: timeline.flags,
+                bounds: timeline.bounds,
+                castFlags: timeline.castFlags,
+                format: timeline.format,
                 frameCount: timeline.frameCount,
                 frames: timeline.frames
             }, null, 2);
@@ -54,82 +54,241 @@ class MovieExtractor extends GenericExtractor {
     }
 
     /**
-     * Internal Score parser (supports delta-reconstruction).
+     * Decodes the FilmLoop score.
+     * SCVW payloads are bare Score frame data; CASt-embedded payloads are
+     * prefixed with [2: flags][8: rect][2: castFlags].
+     * @param {object} options - Forwarded to ScoreParser (e.g. resolveRegPoint)
      */
-    _parseScore(buffer) {
-        if (buffer.length < 12) return { frameCount: 0, frames: [] };
+    parseTimeline(buffer, member, options = {}) {
+        let header = { flags: undefined, bounds: null, castFlags: undefined };
+        let score = this.scoreParser.parse(buffer, options);
 
-        const ds = new DataStream(buffer, 'big');
-        const frames = [];
-
-        // Identify Score format (D4 uses VWSC header often embedded, D5+ uses SCORE)
-        // Note: FilmLoop payloads usually skip the "SCORE"/"VWSC" FourCC but keep the inner structure.
+        if (!score && buffer.length > 12) {
+            const ds = new DataStream(buffer, 'big');
+            header = { flags: ds.readUint16(), bounds: ds.readRect(), castFlags: ds.readUint16() };
+            score = this.scoreParser.parse(buffer.slice(ds.position), options);
+        }
+        if (!score) return null;
 
-        // Common header: [4: size][2: version][4: frameCount]
-        const size = ds.readUint32();
-        const version = ds.readUint16();
-        const frameCount = ds.readUint32();
+        return {
+            ...header,
+            bounds: this._getSpriteBounds(score.frames) || header.bounds || member.rect || null,
+            ...score
+        };
+    }
 
-        // The score is stored as a series of frame data blocks.
-        // Director uses a delta-compression: 
-        // A frame block contains only the changes since the previous frame.
+    /**
+     * Union of every sprite rect across all frames; this is the canvas a
+     * FilmLoop needs so that no frame is clipped.
+     */
+    _getSpriteBounds(frames) {
+        let bounds = null;
+        for (const frame of frames) {
+            for (const sprite of frame.sprites) {
+                const r = sprite.rect;
+                if (r.right <= r.left || r.bottom <= r.top) continue;
+                if (!bounds) {
+                    bounds = { ...r };
+                } else {
+                    bounds.left = Math.min(bounds.left, r.left);
+                    bounds.top = Math.min(bounds.top, r.top);
+                    bounds.right = Math.max(bounds.right, r.right);
+                    bounds.bottom = Math.max(bounds.bottom, r.bottom);
+                }
+            }
+        }
+        return bounds;
+    }
 
-        let currentFrameState = this._createEmptyFrame();
+    /**
+     * Composites every FilmLoop frame and writes it as an animated PNG or a
+     * sprite sheet with a JSON atlas.
+     * @param {Buffer} buffer - The raw FilmLoop payload
+     * @param {string} outputPrefix - Output path without extension
+     * @param {Object} member - The FilmLoop cast member
+     * @param {Function} resolveBitmap - async (castLib, memberNum) => { width, height, data (RGBA) } | null
+     * @param {object} options - { format: 'apng' | 'sheet', fps, resolveRegPoint }
+     */
+    async exportAnimation(buffer, outputPrefix, member, resolveBitmap, options = {}) {
+        if (!buffer || buffer.length < 12) return { reason: 'empty_asset' };
 
-        for (let f = 0; f < frameCount; f++) {
-            if (ds.position + 2 > buffer.length) break;
+        const timeline = this.parseTimeline(buffer, member, { resolveRegPoint: options.resolveRegPoint });
+        if (!timeline || timeline.frames.length === 0) return { reason: 'unsupported_content' };
 
-            const frameDataSize = ds.readUint16();
-            if (frameDataSize === 0) {
-                // No changes, duplicate previous state
-                frames.push(JSON.parse(JSON.stringify(currentFrameState)));
-                continue;
-            }
+        const bounds = timeline.bounds;
+        const width = bounds ? bounds.right - bounds.left : 0;
+        const height = bounds ? bounds.bottom - bounds.top : 0;
+        if (width <= 0 || height <= 0) return { reason: 'empty_asset' };
+        if (width > Limits.MaxImageDimension || height > Limits.MaxImageDimension) {
+            this.log('WARN', `FilmLoop ${member.id} canvas ${width}x${height} exceeds limits. Skipping animation export.`);
+            return { reason: 'unsupported_content' };
+        }
 
-            const frameEnd = ds.position + frameDataSize;
+        const fps = options.fps || this._getLoopTempo(timeline.frames) || 15;
+        // Frames are composited one at a time and written out straight away
+        const render = (frame) => this._composeFrame(frame, bounds, width, height, resolveBitmap);
 
-            // Channel data parsing
-            while (ds.position < frameEnd) {
-                const channelData = this._readChannelData(ds, version);
-                if (channelData) {
-                    currentFrameState.channels[channelData.index] = channelData.props;
-                }
-            }
+        if (options.format === 'sheet') {
+            return this._saveSpriteSheet(timeline.frames, render, width, height, fps, outputPrefix, member);
+        }
+        return this._saveAnimatedPng(timeline.frames, render, width, height, fps, outputPrefix);
+    }
 
-            ds.seek(frameEnd);
-            frames.push(JSON.parse(JSON.stringify(currentFrameState)));
+    async _saveAnimatedPng(frames, render, width, height, fps, outputPrefix) {
+        const finalPath = `${outputPrefix}.filmloop.${Resources.Formats.PNG}`;
+        let fd = null;
+        let size = 0;
+        try {
+            fd = fs.openSync(finalPath, 'w');
+            const writer = APNGEncoder.createWriter(part => {
+                fs.writeSync(fd, part);
+                size += part.length;
+            }, width, height, frames.length, { fps });
+            for (const frame of frames) writer.addFrame(await render(frame));
+            writer.end();
+        } catch (e) {
+            this.log('ERROR', `Failed to save FilmLoop (APNG): ${e.message}`);
+            if (fd !== null) fs.closeSync(fd);
+            fs.rmSync(finalPath, { force: true });
+            return false;
         }
+        fs.closeSync(fd);
+        return { file: path.basename(finalPath), size, format: Resources.Formats.PNG, width, height, frameCount: frames.length };
+    }
 
-        return { frameCount, frames };
+    _getLoopTempo(frames) {
+        const tempo = frames.find(f => f.tempo && f.tempo.mode === 'fps');
+        return tempo ? tempo.tempo.value : null;
     }
 
-    _createEmptyFrame() {
-        return {
-            channels: {} // Map of channelIndex -> properties
-        };
+    async _composeFrame(frame, bounds, width, height, resolveBitmap) {
+        const canvas = Buffer.alloc(width * height * 4);
+        for (const sprite of frame.sprites) {
+            const bitmap = await resolveBitmap(sprite.castLib, sprite.member);
+            if (!bitmap) continue;
+            this._drawSprite(canvas, width, height, bitmap, sprite, bounds);
+        }
+        return canvas;
+    }
+
+    /**
+     * Draws a sprite onto the canvas with nearest-neighbour stretching.
+     * Copy-style inks are drawn opaque; white-keyed inks drop white pixels;
+     * blend applies the sprite's blend percentage on top of the bitmap alpha.
+     */
+    _drawSprite(canvas, width, height, bitmap, sprite, bounds) {
+        const dw = sprite.width > 0 ? sprite.width : bitmap.width;
+        const dh = sprite.height > 0 ? sprite.height : bitmap.height;
+        const ox = sprite.rect.left - bounds.left;
+        const oy = sprite.rect.top - bounds.top;
+        const whiteKeyed = Score.WhiteKeyedInks.includes(sprite.ink);
+        const opacity = Math.max(0, Math.min(100, sprite.blend)) / 100;
+
+        for (let dy = 0; dy < dh; dy++) {
+            const y = oy + dy;
+            if (y < 0 || y >= height) continue;
+            const sy = Math.floor(dy * bitmap.height / dh);
+
+            for (let dx = 0; dx < dw; dx++) {
+                const x = ox + dx;
+                if (x < 0 || x >= width) continue;
+                const sx = Math.floor(dx * bitmap.width / dw);
+
+                const si = (sy * bitmap.width + sx) * 4;
+                const r = bitmap.data[si], g = bitmap.data[si + 1], b = bitmap.data[si + 2];
+                if (whiteKeyed && r === 255 && g === 255 && b === 255) continue;
+
+                const a = (bitmap.data[si + 3] / 255) * opacity;
+                if (a <= 0) continue;
+
+                const di = (y * width + x) * 4;
+                const da = canvas[di + 3] / 255;
+                const outA = a + da * (1 - a);
+                canvas[di] = Math.round((r * a + canvas[di] * da * (1 - a)) / outA);
+                canvas[di + 1] = Math.round((g * a + canvas[di + 1] * da * (1 - a)) / outA);
+                canvas[di + 2] = Math.round((b * a + canvas[di + 2] * da * (1 - a)) / outA);
+                canvas[di + 3] = Math.round(outA * 255);
+            }
+        }
     }
 
-    _readChannelData(ds, version) {
-        // Simplified Channel Parsing
-        // Typically [1: channelIndex][1: propFlags][...data]
-        // This varies wildly between D4 and D8.5.
-        // We implement a heuristic approach for standard properties.
+    /**
+     * Lays the frames out in a grid. A grid larger than MaxImageDimension is split over
+     * several sheets (`.sheet-1.png`, `.sheet-2.png`...), and each atlas frame then names
+     * its sheet in `image`.
+     */
+    async _saveSpriteSheet(frames, render, width, height, fps, outputPrefix, member) {
+        const maxColumns = Math.max(1, Math.floor(Limits.MaxImageDimension / width));
+        const maxRows = Math.max(1, Math.floor(Limits.MaxImageDimension / height));
+        const perSheet = maxColumns * maxRows;
+        const sheetCount = Math.ceil(frames.length / perSheet);
+        if (sheetCount > 1) {
+            this.log('WARN', `FilmLoop ${member.id} has ${frames.length} frames of ${width}x${height}; splitting the sprite sheet into ${sheetCount} images.`);
+        }
 
-        const channelIndex = ds.readUint8();
-        if (channelIndex === 0xFF) return null; // End of frame signal for some versions
+        const stride = width * 4;
+        const atlasFrames = [];
+        const sheets = [];
+        for (let s = 0; s < sheetCount; s++) {
+            const count = Math.min(perSheet, frames.length - s * perSheet);
+            let columns = Math.min(maxColumns, Math.ceil(Math.sqrt(count)));
+            let rows = Math.ceil(count / columns);
+            if (rows > maxRows) {
+                rows = maxRows;
+                columns = Math.ceil(count / rows);
+            }
 
-        const props = {};
+            const sheet = new PNG({ width: width * columns, height: height * rows, colorType: 6, inputHasAlpha: true });
+            sheet.data.fill(0);
+            const sheetStride = sheet.width * 4;
+            const sheetPath = sheetCount > 1
+                ? `${outputPrefix}.sheet-${s + 1}.${Resources.Formats.PNG}`
+                : `${outputPrefix}.sheet.${Resources.Formats.PNG}`;
+            const image = path.basename(sheetPath);
+
+            for (let i = 0; i < count; i++) {
+                const index = s * perSheet + i;
+                const rgba = await render(frames[index]);
+                const x = (i % columns) * width;
+                const y = Math.floor(i / columns) * height;
+                for (let row = 0; row < height; row++) {
+                    rgba.copy(sheet.data, (y + row) * sheetStride + x * 4, row * stride, (row + 1) * stride);
+                }
+                const entry = { frame: index + 1, x, y, w: width, h: height, duration: Math.round(1000 / fps) };
+                if (sheetCount > 1) entry.image = image;
+                atlasFrames.push(entry);
+            }
 
-        // Heuristic: Extracting common fields based on observed patterns
-        // [2: memberId][2: ink][8: rect]
-        if (ds.position + 12 <= ds.buffer.length) {
-            props.memberId = ds.readUint16();
-            props.ink = ds.readUint8();
-            props.blend = ds.readUint8();
-            props.rect = ds.readRect();
+            const res = this.saveFile(PNG.sync.write(sheet), sheetPath, 'FilmLoop (Sprite Sheet)');
+            if (!res) return false;
+            sheets.push({ ...res, w: sheet.width, h: sheet.height });
         }
 
-        return { index: channelIndex, props };
+        const first = sheets[0];
+        const atlas = {
+            frames: atlasFrames,
+            meta: {
+                image: first.file,
+                size: { w: first.w, h: first.h },
+                frameSize: { w: width, h: height },
+                frameCount: frames.length,
+                fps,
+                memberId: member.id,
+                name: member.name
+            }
+        };
+        if (sheets.length > 1) atlas.meta.sheets = sheets.map(sheet => ({ image: sheet.file, size: { w: sheet.w, h: sheet.h } }));
+        const atlasRes = this.saveFile(Buffer.from(JSON.stringify(atlas, null, 2), 'utf8'), `${outputPrefix}.atlas.${Resources.Formats.JSON}`, 'FilmLoop (Atlas)');
+
+        return {
+            file: first.file,
+            size: sheets.reduce((sum, sheet) => sum + sheet.size, 0),
+            format: Resources.Formats.PNG,
+            width: first.w,
+            height: first.h,
+            frameCount: frames.length,
+            atlasFile: atlasRes ? atlasRes.file : null
+        };
     }
 
     save(buffer, outputPath, member) {
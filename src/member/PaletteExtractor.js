@@ -86,6 +86,22 @@ class PaletteExtractor extends GenericExtractor {
         return content;
     }
 
+    /**
+     * Parse a JASC-PAL string (as written by formatJasc) back into [R, G, B] entries.
+     */
+    parseJasc(content) {
+        const lines = String(content).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+        if (lines[0] !== 'JASC-PAL') return [];
+
+        const count = parseInt(lines[2], 10) || 0;
+        const palette = [];
+        for (const line of lines.slice(3, 3 + count)) {
+            const rgb = line.split(/\s+/).map(v => Math.max(0, Math.min(255, parseInt(v, 10) || 0)));
+            palette.push([rgb[0] || 0, rgb[1] || 0, rgb[2] || 0]);
+        }
+        return palette;
+    }
+
     /**
      * Persists the palette to disk in JASC-PAL format.
      */
@@ -5,7 +5,7 @@
  */
 const GenericExtractor = require('./GenericExtractor');
 const DataStream = require('../utils/DataStream');
-const { Resources, Resources: { FileExtensions }, Sound: { Signatures: SoundSignatures, Codecs: SoundCodecs, SignaturesExtra: SoundSignaturesExtra } } = require('../Constants');
+const { Resources, Resources: { FileExtensions }, Sound: { Signatures: SoundSignatures, SignaturesExtra: SoundSignaturesExtra } } = require('../Constants');
 
 class SoundExtractor extends GenericExtractor {
     constructor(logger) {
@@ -18,6 +18,26 @@ class SoundExtractor extends GenericExtractor {
     save(buffer, outputPath, member) {
         if (!buffer || buffer.length === 0) return false;
 
+        const { data, ext, format } = this.convert(buffer);
+        const finalPath = outputPath.endsWith(ext) ? outputPath : outputPath + ext;
+        const result = this.saveFile(data, finalPath, `sound (${ext})`);
+
+        if (result) {
+            return {
+                file: result.file,
+                size: result.size,
+                format
+            };
+        }
+        return false;
+    }
+
+    /**
+     * Converts a sound payload to what save() writes: an MP3 stream, a WAV file for PCM,
+     * or the payload itself.
+     * @returns {{data: Buffer, ext: string, format: string, sampleRate: number, numChannels: number, sampleSize: number}}
+     */
+    convert(buffer) {
         const meta = this.detectFormat(buffer);
         let finalData = buffer;
         let ext = FileExtensions.Sound;
@@ -36,8 +56,17 @@ class SoundExtractor extends GenericExtractor {
         // 3. Standard PCM (Mac 'raw ' or 'twos')
         else if (meta.format === Resources.Formats.RAW || meta.format === Resources.Formats.TWOS || meta.sampleRate > 0) {
             if (meta.offset > 0) {
-                const rawData = buffer.slice(meta.offset);
+                let rawData = buffer.slice(meta.offset);
                 const sampleSize = meta.sampleSize || 8;
+                // 'snd ' stores 16-bit samples big-endian; WAV expects little-endian
+                if (sampleSize === 16) {
+                    rawData = Buffer.from(rawData);
+                    for (let i = 0; i + 1 < rawData.length; i += 2) {
+                        const hi = rawData[i];
+                        rawData[i] = rawData[i + 1];
+                        rawData[i + 1] = hi;
+                    }
+                }
                 const channels = meta.numChannels || 1;
                 // Generate WAV Header
                 const wavHeader = this.generateWavHeader(
@@ -51,17 +80,14 @@ class SoundExtractor extends GenericExtractor {
             }
         }
 
-        const finalPath = outputPath.endsWith(ext) ? outputPath : outputPath + ext;
-        const result = this.saveFile(finalData, finalPath, `sound (${ext})`);
-
-        if (result) {
-            return {
-                file: result.file,
-                size: result.size,
-                format: ext.startsWith('.') ? ext.slice(1) : ext
-            };
-        }
-        return false;
+        return {
+            data: finalData,
+            ext,
+            format: ext.startsWith('.') ? ext.slice(1) : ext,
+            sampleRate: meta.sampleRate || 0,
+            numChannels: meta.numChannels || 0,
+            sampleSize: meta.sampleSize || 0
+        };
     }
 
     /**
@@ -102,15 +128,7 @@ class SoundExtractor extends GenericExtractor {
             if (format === 1) {
                 const dataTypeCount = ds.readUint16();
                 if (dataTypeCount < 1 || dataTypeCount > 10) return meta;
-
-                for (let i = 0; i < dataTypeCount; i++) {
-                    const dataFormatID = ds.readUint32();
-                    ds.readUint32(); // initOption
-                    if (dataFormatID === SoundCodecs.IMA4) meta.format = Resources.Formats.IMA4;
-                    else if (dataFormatID === SoundCodecs.TWOS) meta.format = Resources.Formats.TWOS;
-                    else if (dataFormatID === SoundCodecs.RAW) meta.format = Resources.Formats.RAW;
-                    else if (dataFormatID === SoundCodecs.MAC3 || dataFormatID === SoundCodecs.MAC6) meta.format = Resources.Formats.MACE;
-                }
+                ds.skip(dataTypeCount * 6); // [2: synth id][4: init options] each
             } else if (format === 2) {
                 ds.readUint16(); // refCount
             } else {
@@ -122,7 +140,7 @@ class SoundExtractor extends GenericExtractor {
             ds.skip(cmdCount * 8);
 
             // Parse Sound Header Record
-            if (ds.position + 22 <= ds.byteLength) {
+            if (ds.position + 22 <= ds.length) {
                 ds.readUint32(); // samplePtr
                 const encodeDependent = ds.readUint32(); // headerEncode OR numChannels (if extended)
 
@@ -148,13 +166,11 @@ class SoundExtractor extends GenericExtractor {
                     meta.sampleSize = ds.readUint16(); // 16-bit
                     ds.skip(14); // futureUse1(2), futureUse2(4), futureUse3(4), futureUse4(4)
 
-                    // Extended header contains skipSamples immediately following
-                    const skipSamples = ds.readUint32();
+                    // An extended header describes uncompressed samples: offset binary at 8 bits, big-endian two's complement at 16
+                    if (encode === 0xFF) meta.format = meta.sampleSize === 16 ? Resources.Formats.TWOS : Resources.Formats.RAW;
 
-                    // If we successfully parsed this far, and we haven't identified a codec yet,
-                    // valid extended headers often imply compressed data (like MP3/SWA) in Director context.
-                    // Let's verify by checking if data follows.
-                    if (ds.position < ds.byteLength) {
+                    // A 0xFD header names no codec; Director keeps compressed (MP3/SWA) data behind it
+                    if (ds.position < ds.length) {
                         // Check for MP3 Sync right here
                         if (meta.format === 'unknown') {
                             const sync = this.findMP3Sync(ds.buffer.slice(ds.position, ds.position + 128));
@@ -172,7 +188,8 @@ class SoundExtractor extends GenericExtractor {
                         }
                     }
                 } else if (encode === 0) {
-                    // Standard Sound Header
+                    // Standard Sound Header: 8-bit mono offset binary
+                    meta.format = Resources.Formats.RAW;
                     meta.numChannels = 1;
                     meta.sampleSize = 8;
                     meta.offset = ds.position;
@@ -184,7 +201,7 @@ class SoundExtractor extends GenericExtractor {
                 if (meta.format === Resources.Formats.UNKNOWN || meta.format === Resources.Formats.IMA4) {
                     const currentPos = (meta.offset > 0) ? meta.offset : ds.position;
                     // Only scan if we have enough data left
-                    if (currentPos < ds.byteLength) {
+                    if (currentPos < ds.length) {
                         const sync = this.findMP3Sync(ds.buffer.slice(currentPos, currentPos + 128));
                         if (sync !== -1) {
                             meta.format = Resources.Formats.MP3;
@@ -2,14 +2,15 @@
  * @version 1.4.2
  * TextExtractor.js - Extraction logic for Director Text and Field members
  * 
- * Handles STXT and TEXT chunks. Exports as RTF to preserve potential formatting 
- * structure (even if style parsing is basic for now).
+ * Handles STXT and TEXT chunks. Style runs are exported as RTF or HTML with
+ * the original fonts, sizes, emphasis and colours, or as plain text.
+ * Text Xtra (XMED) and Rich Text (RTE) payloads are saved as stored.
  */
 
 const path = require('path');
 const GenericExtractor = require('./GenericExtractor');
 const DataStream = require('../utils/DataStream');
-const { HeaderSize, Resources } = require('../Constants');
+const { HeaderSize, Resources, Text } = require('../Constants');
 const { sanitizeArtifactStem } = require('../utils/ArtifactNames');
 
 class TextExtractor extends GenericExtractor {
@@ -19,40 +20,107 @@ class TextExtractor extends GenericExtractor {
 
     /**
      * Extracts text, optionally wrapping it in an RTF container.
+     * @param {object} options - { useRaw, chunkId, fontMap }
      */
     extract(buffer, options = {}) {
         if (!buffer || buffer.length === 0) return "";
 
-        let content = "";
         const chunkId = options.chunkId || 'N/A';
         this.log(
             'DEBUG',
             `[TextExtractor] Extracting chunk ${chunkId}: ${buffer.length} bytes. First 8 bytes: ${buffer.slice(0, 8).toString('hex')} (useRaw: ${!!options.useRaw})`
         );
 
-        // Detect modern 12-byte STXT header: [4:HdrSize][4:TxtSize][4:StyleSize]
-        // HeaderSize.Stxt should be 12. Check if the first 4 bytes match the header size.
-        if (buffer.length >= HeaderSize.Stxt) {
-            const ds = new DataStream(buffer, 'big');
-            const headerSize = ds.readUint32();
-            const textSize = ds.readUint32();
-
-            // Additional check: Does it look like an STXT chunk?
-            // Usually headerSize is 12 and textSize matches the rest of the buffer (excluding styles)
-            if (headerSize === HeaderSize.Stxt && headerSize + textSize <= buffer.length) {
-                content = buffer.slice(headerSize, headerSize + textSize).toString('utf8');
-            } else {
-                // If it doesn't look like STXT, treat it as raw text
-                content = buffer.toString('utf8');
+        const styled = this.parseStyledText(buffer, options.fontMap);
+        const cleanContent = this.normalizeContent(styled ? styled.text.toString(Text.Charset) : buffer.toString(Text.Charset));
+        if (options.useRaw) return cleanContent;
+
+        return this.formatRTF(cleanContent, styled ? this.buildSegments(styled) : null);
+    }
+
+    /**
+     * Parses an STXT record: [4:HdrSize][4:TxtSize][4:StyleSize], the text,
+     * then the style section ([2: runCount] + 20-byte runs).
+     * @returns {{text: Buffer, runs: object[]}|null} null when the buffer is not an STXT record.
+     */
+    parseStyledText(buffer, fontMap = {}) {
+        if (!buffer || buffer.length < HeaderSize.Stxt) return null;
+
+        const ds = new DataStream(buffer, 'big');
+        const headerSize = ds.readUint32();
+        const textSize = ds.readUint32();
+        const styleSize = ds.readUint32();
+        if (headerSize !== HeaderSize.Stxt || headerSize + textSize > buffer.length) return null;
+
+        const text = buffer.slice(headerSize, headerSize + textSize);
+        const runs = [];
+        const styleStart = headerSize + textSize;
+        const styleEnd = Math.min(buffer.length, styleStart + styleSize);
+
+        if (styleSize >= 2 && styleStart + 2 <= styleEnd) {
+            ds.seek(styleStart);
+            const count = Math.min(ds.readUint16(), Text.MaxStyleRuns);
+            for (let i = 0; i < count && ds.position + Text.StyleRunSize <= styleEnd; i++) {
+                const start = ds.readUint32();
+                const height = ds.readUint16();
+                const ascent = ds.readUint16();
+                const fontId = ds.readUint16();
+                const style = ds.readUint8();
+                ds.skip(1);
+                const size = ds.readUint16();
+                const r = ds.readUint16() >> 8;
+                const g = ds.readUint16() >> 8;
+                const b = ds.readUint16() >> 8;
+
+                if (start > textSize) continue;
+                runs.push({
+                    start,
+                    fontId,
+                    font: (fontMap && fontMap[fontId]) || null,
+                    size,
+                    height,
+                    ascent,
+                    bold: !!(style & Text.StyleFlags.Bold),
+                    italic: !!(style & Text.StyleFlags.Italic),
+                    underline: !!(style & Text.StyleFlags.Underline),
+                    color: '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')
+                });
             }
-        } else {
-            content = buffer.toString('utf8');
+            runs.sort((a, b) => a.start - b.start);
         }
 
-        const cleanContent = this.normalizeContent(content);
-        if (options.useRaw) return cleanContent;
+        return { text, runs };
+    }
+
+    /**
+     * Splits the text into styled segments following the run start offsets.
+     * Offsets are byte positions, so each slice is decoded on its own.
+     * Leading and trailing whitespace is trimmed to match normalizeContent.
+     */
+    buildSegments(styled) {
+        const { text, runs } = styled;
+        const clean = (str) => str.replace(/\0/g, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+        let segments;
+        if (runs.length === 0) {
+            segments = [{ text: clean(text.toString(Text.Charset)), run: null }];
+        } else {
+            segments = [];
+            if (runs[0].start > 0) segments.push({ text: clean(text.slice(0, runs[0].start).toString(Text.Charset)), run: runs[0] });
+            runs.forEach((run, i) => {
+                const end = i + 1 < runs.length ? runs[i + 1].start : text.length;
+                segments.push({ text: clean(text.slice(run.start, end).toString(Text.Charset)), run });
+            });
+        }
 
-        return this.formatRTF(cleanContent);
+        while (segments.length > 0 && segments[0].text.trim() === '') segments.shift();
+        while (segments.length > 0 && segments[segments.length - 1].text.trim() === '') segments.pop();
+        if (segments.length > 0) {
+            segments[0].text = segments[0].text.replace(/^\s+/, '');
+            const last = segments[segments.length - 1];
+            last.text = last.text.replace(/\s+$/, '');
+        }
+        return segments;
     }
 
     normalizeContent(content) {
@@ -88,49 +156,142 @@ class TextExtractor extends GenericExtractor {
     }
 
     /**
-     * Formats raw text into a simple RTF document.
+     * Formats text into an RTF document. When style segments are supplied,
+     * fonts and colours are collected into the RTF tables and every segment
+     * carries its own font, size and emphasis.
      */
-    formatRTF(cleanText) {
-        const normalized = this.normalizeContent(cleanText);
-        // Escape RTF special characters
-        const escaped = normalized
+    formatRTF(cleanText, segments = null) {
+        const escape = (str) => str
             .replace(/\\/g, '\\\\')
             .replace(/{/g, '\\{')
             .replace(/}/g, '\\}')
+            .replace(/[\u0080-\uffff]/g, (c) => `\\u${c.charCodeAt(0) > 32767 ? c.charCodeAt(0) - 65536 : c.charCodeAt(0)}?`)
             .replace(/\n/g, '\\par\n');
 
-        return `{\\rtf1\\ansi\\deff0\n{\\fonttbl{\\f0\\fswiss\\fcharset0 Arial;}}\n\\viewkind4\\uc1\\pard\\lang1033\\f0\\fs20 ${escaped}\\par\n}`;
+        if (!segments || segments.every(seg => !seg.run)) {
+            const normalized = this.normalizeContent(cleanText);
+            return `{\\rtf1\\ansi\\deff0\n{\\fonttbl{\\f0\\fswiss\\fcharset0 Arial;}}\n\\viewkind4\\uc1\\pard\\lang1033\\f0\\fs20 ${escape(normalized)}\\par\n}`;
+        }
+
+        const fonts = [Text.DefaultFont];
+        const colors = [];
+        for (const { run } of segments) {
+            if (!run) continue;
+            if (run.font && !fonts.includes(run.font)) fonts.push(run.font);
+            if (!colors.includes(run.color)) colors.push(run.color);
+        }
+
+        const fontTable = fonts.map((name, i) => `{\\f${i}\\fnil\\fcharset0 ${escape(name)};}`).join('');
+        const colorTable = colors.map((hex) => {
+            const v = parseInt(hex.slice(1), 16);
+            return `\\red${(v >> 16) & 0xFF}\\green${(v >> 8) & 0xFF}\\blue${v & 0xFF};`;
+        }).join('');
+
+        const body = segments.map(({ text, run }) => {
+            if (!run) return escape(text);
+            const f = run.font ? fonts.indexOf(run.font) : 0;
+            const size = (run.size || Text.DefaultFontSize) * 2;
+            const cf = colors.indexOf(run.color) + 1;
+            const emphasis = `${run.bold ? '\\b' : ''}${run.italic ? '\\i' : ''}${run.underline ? '\\ul' : ''}`;
+            return `{\\f${f}\\fs${size}\\cf${cf}${emphasis} ${escape(text)}}`;
+        }).join('');
+
+        return `{\\rtf1\\ansi\\deff0\n{\\fonttbl${fontTable}}\n{\\colortbl;${colorTable}}\n\\viewkind4\\uc1\\pard\\lang1033 ${body}\\par\n}`;
+    }
+
+    /**
+     * Formats text into a standalone HTML document with one span per style run.
+     */
+    formatHTML(cleanText, segments = null, title = '') {
+        const escape = (str) => String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const parts = segments || [{ text: this.normalizeContent(cleanText), run: null }];
+        const body = parts.map(({ text, run }) => {
+            if (!run) return escape(text);
+            const css = [];
+            if (run.font) css.push(`font-family: '${run.font.replace(/'/g, "\\'")}'`);
+            if (run.size) css.push(`font-size: ${run.size}pt`);
+            css.push(`color: ${run.color}`);
+            if (run.bold) css.push('font-weight: bold');
+            if (run.italic) css.push('font-style: italic');
+            if (run.underline) css.push('text-decoration: underline');
+            return `<span style="${escape(css.join('; '))}">${escape(text)}</span>`;
+        }).join('');
+
+        return `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${escape(title)}</title>\n</head>\n<body>\n<div style="white-space: pre-wrap">${body}</div>\n</body>\n</html>\n`;
     }
 
     /**
-     * Saves the extracted text.
+     * Saves the extracted text. Raw passthrough keeps the member's own extension.
+     * @param {object} options - { useRaw, chunkId, fontMap, textFormat }
      */
     save(buffer, outputPath, member, options = {}) {
         const rawContent = this.normalizeContent(this.extract(buffer, { ...options, useRaw: true }));
+        const styled = options.useRaw ? null : this.parseStyledText(buffer, options.fontMap);
+        return this.writeText(rawContent, styled ? this.buildSegments(styled) : null, outputPath, member, options);
+    }
+
+    /**
+     * Saves a Text Xtra (XMED) or Rich Text (RTE0/RTE1) payload as stored.
+     * Its layout is undocumented, so it is not decoded.
+     */
+    saveRichText(buffer, outputPath, member) {
+        if (!buffer || buffer.length === 0) return { reason: 'empty_asset' };
+
+        const parsedPath = path.parse(outputPath);
+        const res = this.saveFile(buffer, path.join(parsedPath.dir, parsedPath.name + Resources.FileExtensions.XMED), "Rich Text (Raw)");
+        return res ? { file: res.file, size: res.size, format: Resources.Formats.DAT } : false;
+    }
+
+    /**
+     * Writes text in the requested format: `rtf` (default), `html` or `txt`.
+     */
+    writeText(rawContent, segments, outputPath, member, options = {}) {
         const semanticName = this.inferSemanticName(rawContent, member);
-        const content = options.useRaw ? rawContent : this.formatRTF(rawContent);
+        const format = options.useRaw ? null : (options.textFormat || Resources.Formats.RTF);
 
         const parsedPath = path.parse(outputPath);
         const baseStem = semanticName
             ? sanitizeArtifactStem(semanticName, parsedPath.name || `member_${member?.id || 'text'}`)
             : parsedPath.name;
-        const finalExt = options.useRaw
-            ? (parsedPath.ext || '.txt')
-            : `.${Resources.Formats.RTF}`;
-        const finalPath = path.join(parsedPath.dir, `${baseStem}${finalExt}`);
+        const title = semanticName || member?.name || baseStem;
 
-        const formatLabel = options.useRaw ? "Text (Raw)" : "Text (RTF)";
+        let content, finalExt, formatLabel;
+        if (!format) {
+            content = rawContent;
+            finalExt = parsedPath.ext || `.${Resources.Formats.TEXT}`;
+            formatLabel = "Text (Raw)";
+        } else if (format === Resources.Formats.HTML) {
+            content = this.formatHTML(rawContent, segments, title);
+            finalExt = `.${Resources.Formats.HTML}`;
+            formatLabel = "Text (HTML)";
+        } else if (format === Resources.Formats.TEXT) {
+            content = rawContent;
+            finalExt = `.${Resources.Formats.TEXT}`;
+            formatLabel = "Text (Plain)";
+        } else {
+            content = this.formatRTF(rawContent, segments);
+            finalExt = `.${Resources.Formats.RTF}`;
+            formatLabel = "Text (RTF)";
+        }
+        const finalPath = path.join(parsedPath.dir, `${baseStem}${finalExt}`);
         const result = this.saveFile(Buffer.from(content, 'utf8'), finalPath, formatLabel);
 
         if (result) {
             if (semanticName && member) {
                 this.log('INFO', `Semantic text rename ${member.name} -> ${semanticName}`);
             }
+
             return {
                 file: result.file,
                 size: result.size,
-                format: options.useRaw ? ((parsedPath.ext || '').replace(/^\./, '') || Resources.Formats.TEXT || 'txt') : Resources.Formats.RTF,
-                renamed: semanticName || undefined
+                format: format || (parsedPath.ext || '').replace(/^\./, '') || Resources.Formats.TEXT,
+                renamed: semanticName || undefined,
+                styleRuns: segments ? segments.filter(seg => seg.run).length : undefined
             };
         }
         return false;
@@ -0,0 +1,102 @@
+/**
+ * @version 1.4.2
+ * CastLib.js - One cast library in the project object model
+ *
+ * A movie's internal cast or a linked cast file. Loading parses the file once through
+ * the project's DirectorReader for it and numbers the members by their slot in the
+ * cast's CAS* list, which is what member(n, castLib) refers to in Lingo.
+ */
+
+const Member = require('./Member');
+const { getPreferredSectionId } = require('../utils/MemberContent');
+const { Magic, MemberType } = require('../Constants');
+
+class CastLib {
+    /**
+     * @param {Project} project
+     * @param {object} entry - { number, name, fileName, libraryId, preloadMode, cast }; cast is
+     *                         the ProjectExtractor.loadedCasts record, null for a missing file
+     */
+    constructor(project, entry) {
+        this.project = project;
+        this.number = entry.number;
+        this.name = entry.name || '';
+        this.fileName = entry.fileName || ''; // As stored in MCsL; empty for internal casts
+        this.libraryId = entry.libraryId;
+        this.preloadMode = entry.preloadMode || null;
+        this.cast = entry.cast || null;
+        this.members = [];
+    }
+
+    get found() {
+        return !!this.cast;
+    }
+
+    get filePath() {
+        return this.cast ? this.cast.path : null;
+    }
+
+    async load() {
+        if (!this.cast) return this;
+        const reader = await this.project.extractor.getReader(this.cast.path);
+        const castManager = reader.extractor.castManager;
+        const keyTable = reader.extractor.metadataManager.keyTable;
+
+        const slots = await castManager.readCastSlots(this.libraryId);
+        const entries = slots
+            ? slots.map((id, number) => ({ castMember: castManager.getMemberById(id), number })).filter(e => e.castMember)
+            : reader.extractor.members
+                .filter(m => !this._isCastList(m, reader))
+                .sort((a, b) => a.id - b.id)
+                .map(castMember => ({ castMember, number: castMember.num || null }));
+
+        this.members = [];
+        for (const { castMember, number } of entries) {
+            let sound = null;
+            if (castMember.typeId === MemberType.Sound) {
+                const sectionId = getPreferredSectionId(keyTable[castMember.id] || {}, castMember.typeId);
+                const data = sectionId > 0 ? await reader.readSection(sectionId) : null;
+                if (data) sound = reader.extractor.soundExtractor.detectFormat(data);
+            }
+            this.members.push(new Member(this, castMember, number, sound));
+        }
+        return this;
+    }
+
+    /**
+     * Director's member(nameOrNumber) within this cast. Names match case-insensitively.
+     * @returns {Member|null}
+     */
+    member(nameOrNumber) {
+        if (typeof nameOrNumber === 'number') return this.members.find(m => m.number === nameOrNumber) || null;
+        const name = String(nameOrNumber).toLowerCase();
+        return this.members.find(m => m.name.toLowerCase() === name) || null;
+    }
+
+    /**
+     * @param {string|number|Function} [filter] - See Member.matches()
+     */
+    filter(filter) {
+        return this.members.filter(m => m.matches(filter));
+    }
+
+    [Symbol.iterator]() {
+        return this.members[Symbol.iterator]();
+    }
+
+    toJSON() {
+        const { project, cast, members, ...properties } = this;
+        return { ...properties, filePath: this.filePath, members: members.length };
+    }
+
+    /**
+     * Without a slot list, the CAS* record itself shows up as a member under the library id.
+     */
+    _isCastList(castMember, reader) {
+        const map = reader.extractor.metadataManager.keyTable[castMember.id];
+        const chunk = map && map[Magic.CAST] ? reader.dirFile.getChunkById(map[Magic.CAST]) : null;
+        return !!chunk && reader.extractor.castManager.isCastListChunk(chunk);
+    }
+}
+
+module.exports = CastLib;
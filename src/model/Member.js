@@ -0,0 +1,82 @@
+/**
+ * @version 1.4.2
+ * Member.js - One cast member in the project object model
+ *
+ * Wraps the enriched CastMember with its place in the project (cast library and slot
+ * number) and the properties Lingo exposes for its type. Content is only read when
+ * decode() is called.
+ */
+
+const CastMember = require('../CastMember');
+const { MemberType } = require('../Constants');
+
+class Member {
+    /**
+     * @param {CastLib} castLib - Owning cast library
+     * @param {CastMember} castMember - Enriched member from the cast's DirectorReader
+     * @param {number|null} number - Slot number in the cast (null when the file has no slot list)
+     * @param {object} [sound] - Sound header fields read while loading the cast
+     */
+    constructor(castLib, castMember, number, sound = null) {
+        this.castLib = castLib;
+        this.id = castMember.id;
+        this.number = number;
+        this.name = castMember.name || '';
+        this.type = castMember.type;
+        this.typeId = castMember.typeId;
+        this._castMember = castMember;
+
+        switch (castMember.typeId) {
+            case MemberType.Bitmap:
+                this.width = castMember.width;
+                this.height = castMember.height;
+                this.depth = castMember.bitDepth;
+                this.regPoint = { ...castMember.regPoint };
+                this.paletteRef = { member: castMember.paletteId, castLib: castMember.clutCastLib || 0 };
+                break;
+            case MemberType.Sound:
+                this.sampleRate = sound ? sound.sampleRate : 0;
+                this.channelCount = sound ? sound.numChannels : 0;
+                this.sampleSize = sound ? sound.sampleSize : 0;
+                this.format = sound ? sound.format : null;
+                break;
+            case MemberType.Script:
+                this.scriptType = CastMember.getScriptTypeTag(castMember.scriptType);
+                break;
+            case MemberType.Shape:
+                this.shapeType = castMember.shapeType;
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @param {string|number|Function} filter - Type name ('bitmap', '#bitmap', 'Bitmap'),
+     *                                          type id, or predicate
+     */
+    matches(filter) {
+        if (filter === undefined || filter === null) return true;
+        if (typeof filter === 'function') return !!filter(this);
+        if (typeof filter === 'number') return this.typeId === filter;
+        return Member.normalizeType(filter) === Member.normalizeType(this.type);
+    }
+
+    static normalizeType(type) {
+        return String(type).replace(/^#/, '').toLowerCase();
+    }
+
+    /**
+     * Decodes the member's content (see ProjectExtractor.decodeMember).
+     */
+    async decode() {
+        return this.castLib.project.extractor.decodeMember(this.castLib.cast, this.id);
+    }
+
+    toJSON() {
+        const { castLib, _castMember, ...properties } = this;
+        return { ...properties, castLib: castLib.number, metadata: _castMember.toJSON() };
+    }
+}
+
+module.exports = Member;
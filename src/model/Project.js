@@ -0,0 +1,137 @@
+/**
+ * @version 1.4.2
+ * Project.js - Queryable object model over a loaded project: Project -> CastLib -> Member
+ *
+ * Follows Director's lookup rules so tools can resolve members the way Lingo does:
+ * member("name") searches every cast in order, member(n) means cast library 1, and
+ * member(nameOrNumber, castLib) takes a cast library name or number. Every cast is parsed
+ * when the project opens; member content is decoded on request (ProjectExtractor.decodeMember()).
+ * See docs/doc/31_ObjectModel.md.
+ */
+
+const path = require('path');
+const ProjectExtractor = require('../ProjectExtractor');
+const CastLib = require('./CastLib');
+const { Container } = require('../Constants');
+
+class Project {
+    /**
+     * @param {ProjectExtractor} extractor - An initialised project context
+     */
+    constructor(extractor) {
+        this.extractor = extractor;
+        this.castLibs = [];
+    }
+
+    /**
+     * @param {string} entryPath - Movie or cast file
+     * @param {object} [options] - ProjectExtractor options (castSearchPaths, fileSource, colored, ...)
+     * @param {Function} [logger]
+     */
+    static async open(entryPath, options = {}, logger = null) {
+        const extractor = new ProjectExtractor(entryPath, options, logger);
+        await extractor.init();
+        return new Project(extractor).load();
+    }
+
+    get name() {
+        return path.basename(this.extractor.entryPath);
+    }
+
+    async load() {
+        const extractor = this.extractor;
+        const entryPath = path.resolve(extractor.entryPath);
+        const castFor = (filePath) => filePath ? extractor.loadedCasts.find(c => c.path === path.resolve(filePath)) || null : null;
+        const entries = [];
+
+        if (extractor.castList.length > 0) {
+            for (const entry of extractor.castList) {
+                const filePath = entry.path ? extractor.resolveCastPath(entry.path, path.dirname(entryPath)).resolved : entryPath;
+                entries.push({
+                    number: entry.index,
+                    name: entry.name,
+                    fileName: entry.path,
+                    // A linked file keeps its own slot list under the first library id
+                    libraryId: entry.path ? Container.CastLibId : (entry.id || Container.CastLibId),
+                    preloadMode: entry.preloadMode,
+                    cast: castFor(filePath)
+                });
+            }
+        } else {
+            const { name, ext } = path.parse(entryPath);
+            const isCast = Container.Zip.Extensions.cast.includes(ext.toLowerCase());
+            entries.push({ number: 1, name: isCast ? name : 'Internal', libraryId: Container.CastLibId, cast: castFor(entryPath) });
+        }
+
+        // Casts loaded outside the entry's table: scanDirectory, or links from linked casts
+        for (const cast of extractor.loadedCasts) {
+            if (entries.some(e => e.cast === cast)) continue;
+            const number = Math.max(0, ...entries.map(e => e.number)) + 1;
+            entries.push({ number, name: path.parse(cast.path).name, fileName: path.basename(cast.path), libraryId: Container.CastLibId, cast });
+        }
+
+        this.castLibs = entries.map(entry => new CastLib(this, entry));
+        for (const castLib of this.castLibs) {
+            try {
+                await castLib.load();
+            } catch (e) {
+                extractor.log('ERROR', `Failed to load cast library '${castLib.name}': ${e.message}`);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * @param {string|number} nameOrNumber - Cast library name (case-insensitive) or number
+     * @returns {CastLib|null}
+     */
+    castLib(nameOrNumber) {
+        if (typeof nameOrNumber === 'number') return this.castLibs.find(c => c.number === nameOrNumber) || null;
+        const name = String(nameOrNumber).toLowerCase();
+        return this.castLibs.find(c => c.name.toLowerCase() === name) || null;
+    }
+
+    /**
+     * Director's member(nameOrNumber, castLib).
+     * @param {string|number} nameOrNumber - Member name or slot number
+     * @param {string|number|CastLib} [castLib] - Defaults to every cast for names, cast 1 for numbers
+     * @returns {Member|null}
+     */
+    member(nameOrNumber, castLib = null) {
+        if (castLib !== null && castLib !== undefined) {
+            const lib = castLib instanceof CastLib ? castLib : this.castLib(castLib);
+            return lib ? lib.member(nameOrNumber) : null;
+        }
+        if (typeof nameOrNumber === 'number') {
+            const first = this.castLib(1);
+            return first ? first.member(nameOrNumber) : null;
+        }
+        for (const lib of this.castLibs) {
+            const member = lib.member(nameOrNumber);
+            if (member) return member;
+        }
+        return null;
+    }
+
+    /**
+     * Every member of every cast, in cast order.
+     * @param {string|number|Function} [filter] - Type name ('bitmap', '#script'), type id, or predicate
+     */
+    members(filter) {
+        return this.castLibs.flatMap(lib => lib.filter(filter));
+    }
+
+    [Symbol.iterator]() {
+        return this.members()[Symbol.iterator]();
+    }
+
+    async close() {
+        await this.extractor.close();
+    }
+
+    toJSON() {
+        return { name: this.name, castLibs: this.castLibs.map(c => c.toJSON()) };
+    }
+}
+
+module.exports = Project;
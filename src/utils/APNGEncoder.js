@@ -0,0 +1,130 @@
+/**
+ * @version 1.4.2
+ * APNGEncoder.js - Minimal animated PNG writer for RGBA frame sequences
+ *
+ * pngjs only writes single-image PNGs, so animated output is assembled here
+ * from raw chunks: IHDR, acTL, then fcTL + IDAT/fdAT per frame, and IEND.
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+let crcTable = null;
+
+function crc32(buf) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crcTable[n] = c;
+        }
+    }
+    let crc = -1;
+    for (let i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write(type, 4, 'ascii');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.slice(4), data])), 0);
+    return Buffer.concat([head, data, crc]);
+}
+
+/**
+ * Prefixes each scanline with filter type 0 and deflates the result.
+ */
+function compressFrame(rgba, width, height) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+    return zlib.deflateSync(raw);
+}
+
+/**
+ * Writes an APNG one frame at a time, so a long sequence never has to be held in memory.
+ * The frame count goes into acTL up front and must match the frames added.
+ * @param {function} write - Receives each encoded chunk in order (Buffer) => void
+ * @param {number} width
+ * @param {number} height
+ * @param {number} frameCount
+ * @param {object} options - { fps, loops } (loops 0 = infinite)
+ * @returns {{addFrame: function(Buffer): void, end: function(): void}}
+ */
+function createWriter(write, width, height, frameCount, options = {}) {
+    const fps = Math.max(1, Math.round(options.fps || 15));
+    write(PNG_SIGNATURE);
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;  // bit depth
+    ihdr[9] = 6;  // RGBA
+    write(chunk('IHDR', ihdr));
+
+    const actl = Buffer.alloc(8);
+    actl.writeUInt32BE(frameCount, 0);
+    actl.writeUInt32BE(options.loops || 0, 4);
+    write(chunk('acTL', actl));
+
+    let sequence = 0;
+    let index = 0;
+    return {
+        addFrame(rgba) {
+            if (index >= frameCount) throw new Error(`APNG declared ${frameCount} frames`);
+            const fctl = Buffer.alloc(26);
+            fctl.writeUInt32BE(sequence++, 0);
+            fctl.writeUInt32BE(width, 4);
+            fctl.writeUInt32BE(height, 8);
+            fctl.writeUInt32BE(0, 12); // x offset
+            fctl.writeUInt32BE(0, 16); // y offset
+            fctl.writeUInt16BE(1, 20); // delay numerator
+            fctl.writeUInt16BE(fps, 22); // delay denominator
+            fctl[24] = 0; // dispose: none
+            fctl[25] = 0; // blend: source
+            write(chunk('fcTL', fctl));
+
+            const data = compressFrame(rgba, width, height);
+            if (index === 0) {
+                write(chunk('IDAT', data));
+            } else {
+                const seq = Buffer.alloc(4);
+                seq.writeUInt32BE(sequence++, 0);
+                write(chunk('fdAT', Buffer.concat([seq, data])));
+            }
+            index++;
+        },
+        end() {
+            if (index !== frameCount) throw new Error(`APNG declared ${frameCount} frames but got ${index}`);
+            write(chunk('IEND', Buffer.alloc(0)));
+        }
+    };
+}
+
+/**
+ * Encodes full-canvas RGBA frames as an APNG.
+ * @param {Buffer[]} frames - RGBA buffers, each width * height * 4 bytes.
+ * @param {number} width
+ * @param {number} height
+ * @param {object} options - { fps, loops } (loops 0 = infinite)
+ * @returns {Buffer}
+ */
+function encode(frames, width, height, options = {}) {
+    const parts = [];
+    const writer = createWriter(part => parts.push(part), width, height, frames.length, options);
+    frames.forEach(rgba => writer.addFrame(rgba));
+    writer.end();
+    return Buffer.concat(parts);
+}
+
+module.exports = {
+    encode,
+    createWriter,
+    crc32
+};
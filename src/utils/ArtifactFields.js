@@ -21,6 +21,7 @@ function getPrimaryArtifactField(typeId) {
         case MemberType.Palette:
             return 'paletteFile';
         case MemberType.Text:
+        case MemberType.RTE:
         case MemberType.Field:
             return 'textFile';
         case MemberType.Sound:
@@ -0,0 +1,117 @@
+/**
+ * @version 1.4.2
+ * CastListParser.js
+ *
+ * Parses the movie cast-library table (MCsL / Lscl) into one entry per cast
+ * library: name, linked file path, preload mode, member range and library id.
+ * Internal casts have an empty path.
+ */
+
+const DataStream = require('./DataStream');
+const { Container } = require('../Constants');
+
+const { Items, PreloadModes } = Container.CastList;
+
+class CastListParser {
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+    }
+
+    /**
+     * @param {Buffer} buffer - Raw MCsL chunk data
+     * @returns {Array<{index: number, name: string, path: string, preload: number, preloadMode: string,
+     *          minMember: number|null, maxMember: number|null, id: number|null}>}
+     */
+    parse(buffer) {
+        if (!buffer || buffer.length < Container.CastList.HeaderSize) return [];
+        try {
+            return this._parse(buffer);
+        } catch (e) {
+            this.log('WARN', `Cast list parsing failed: ${e.message}`);
+            return [];
+        }
+    }
+
+    _parse(buffer) {
+        const ds = new DataStream(buffer, 'big');
+        const dataOffset = ds.readUint32();
+        ds.skip(2);
+        const castCount = ds.readUint16();
+        const itemsPerCast = ds.readUint16();
+        if (dataOffset + 2 > buffer.length) throw new Error(`data offset ${dataOffset} past end of chunk`);
+        if (castCount === 0 || itemsPerCast === 0) return [];
+
+        ds.seek(dataOffset);
+        const offsetCount = ds.readUint16();
+        if (ds.position + offsetCount * 4 + 4 > buffer.length) throw new Error(`offset table (${offsetCount} items) past end of chunk`);
+        const offsets = [];
+        for (let i = 0; i < offsetCount; i++) offsets.push(ds.readUint32());
+        const itemsLen = ds.readUint32();
+        const itemsBase = ds.position;
+
+        const item = (idx) => {
+            if (idx >= offsets.length) return null;
+            const start = offsets[idx];
+            const end = idx + 1 < offsets.length ? offsets[idx + 1] : itemsLen;
+            if (end <= start || itemsBase + end > buffer.length) return null;
+            return buffer.slice(itemsBase + start, itemsBase + end);
+        };
+        const pascal = (idx) => {
+            const data = item(idx);
+            if (!data) return '';
+            const len = Math.min(data[0], data.length - 1);
+            return data.toString('latin1', 1, 1 + len);
+        };
+
+        const entries = [];
+        for (let i = 0; i < castCount; i++) {
+            const base = i * itemsPerCast;
+            const entry = {
+                index: i + 1,
+                name: itemsPerCast >= Items.Name ? pascal(base + Items.Name) : '',
+                path: itemsPerCast >= Items.Path ? pascal(base + Items.Path) : '',
+                preload: 0,
+                preloadMode: PreloadModes[0],
+                minMember: null,
+                maxMember: null,
+                id: null
+            };
+
+            const preload = itemsPerCast >= Items.Preload ? item(base + Items.Preload) : null;
+            if (preload && preload.length >= 2) {
+                entry.preload = preload.readUInt16BE(0);
+                entry.preloadMode = PreloadModes[entry.preload] || `Unknown (${entry.preload})`;
+            }
+
+            const range = itemsPerCast >= Items.Range ? item(base + Items.Range) : null;
+            if (range && range.length >= 8) {
+                entry.minMember = range.readUInt16BE(0);
+                entry.maxMember = range.readUInt16BE(2);
+                entry.id = range.readInt32BE(4);
+            }
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    /**
+     * Splits a stored cast path into its components. Handles classic Mac (`HD:Game:casts:a.cst`),
+     * Windows (`C:\Game\a.cst`) and movie-relative (`@:casts:a.cct`, `@/casts/a.cct`) forms.
+     * @returns {string[]} Components without the volume, drive or `@` prefix
+     */
+    static splitPath(storedPath) {
+        if (!storedPath) return [];
+        let rest = storedPath.trim();
+        const windows = /^[A-Za-z]:[\\/]/.test(rest);
+        // Classic Mac absolute paths start with the volume name; `:casts:a.cst` is relative
+        const macVolume = !windows && !rest.startsWith('@') && !rest.startsWith(':') && rest.includes(':');
+        if (windows) rest = rest.slice(3);
+        else if (rest.startsWith('@')) rest = rest.slice(1);
+
+        const parts = rest.split(/[:\\/]+/).filter(Boolean);
+        if (macVolume && parts.length > 1) parts.shift();
+        return parts;
+    }
+}
+
+module.exports = CastListParser;
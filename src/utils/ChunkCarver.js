@@ -0,0 +1,140 @@
+/**
+ * @version 1.4.2
+ * ChunkCarver.js
+ *
+ * Rebuilds the chunk list of a RIFX file whose mmap is missing or unusable by scanning
+ * the raw bytes for section headers: a known FourCC followed by a length that fits the
+ * file. Section ids live in the mmap, so carved chunks are numbered from 1 in file order
+ * and KEY* / LctX references into the old numbering no longer apply.
+ */
+
+const { Magic, AfterburnerTags, Container } = require('../Constants');
+
+const { ExtraTags, SkipTags, SpanTags } = Container.Recovery;
+const SECTION_TAGS = new Set(
+    [...Object.values(Magic), ...Object.keys(AfterburnerTags), ...ExtraTags].filter(tag => tag.length === 4 && !SkipTags.includes(tag))
+);
+const SPAN_TAGS = new Set(SpanTags);
+const reverse = (tag) => tag.split('').reverse().join('');
+
+class ChunkCarver {
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+        // First-byte filters so most positions are rejected without building a string
+        this._leadBytes = {
+            big: new Uint8Array(256),
+            little: new Uint8Array(256)
+        };
+        for (const tag of [...SECTION_TAGS, ...SPAN_TAGS]) {
+            this._leadBytes.big[tag.charCodeAt(0)] = 1;
+            this._leadBytes.little[tag.charCodeAt(3)] = 1;
+        }
+    }
+
+    /**
+     * @param {Buffer} buffer - The whole file
+     * @returns {{endianness: string, codec: string|null, chunks: Array<{id: number, type: string, off: number, len: number}>,
+     *          truncated: Array<{type: string, off: number, len: number}>}} Tags are kept as stored, like mmap entries
+     */
+    carve(buffer) {
+        const header = buffer.length >= 12 ? buffer.toString('latin1', 0, 4) : '';
+        const hasHeader = header === Magic.RIFX || header === Magic.XFIR;
+        const endianness = hasHeader
+            ? (header === Magic.XFIR ? 'little' : 'big')
+            : this.detectEndianness(buffer);
+        const codec = hasHeader ? buffer.toString('latin1', 8, 12) : null;
+        const little = endianness === 'little';
+
+        const chunks = [];
+        const truncated = [];
+        let unconfirmed = null;
+        let pos = hasHeader ? 12 : 0;
+
+        while (pos + 8 <= buffer.length) {
+            const type = this._tagAt(buffer, pos, little);
+            const span = !type && this._tagAt(buffer, pos, little, SPAN_TAGS);
+            if (!type && !span) {
+                pos += Container.ChunkAlignment;
+                continue;
+            }
+
+            const len = little ? buffer.readUInt32LE(pos + 4) : buffer.readUInt32BE(pos + 4);
+            const end = pos + 8 + len;
+            const next = end + (end % Container.ChunkAlignment);
+            const chained = next + 8 > buffer.length || !!this._tagAt(buffer, next, little);
+            if (span) {
+                pos = (end <= buffer.length && chained) ? next : pos + Container.ChunkAlignment;
+                continue;
+            }
+            if (end > buffer.length) {
+                truncated.push({ type, off: pos, len });
+                pos += Container.ChunkAlignment;
+                continue;
+            }
+            if (this._isMapEntry(buffer, pos, little)) {
+                pos += Container.ChunkAlignment;
+                continue;
+            }
+
+            // A header inside the body of a chunk that was not followed by another header
+            // means that chunk's length was wrong
+            if (unconfirmed && pos < unconfirmed.end) chunks.splice(chunks.indexOf(unconfirmed.chunk), 1);
+            unconfirmed = null;
+
+            const chunk = { type, len, off: pos };
+            chunks.push(chunk);
+
+            if (chained) {
+                pos = next;
+            } else {
+                unconfirmed = { chunk, end };
+                pos += 8;
+            }
+        }
+
+        chunks.forEach((chunk, i) => {
+            chunk.id = i + 1;
+        });
+        // Only a header after the last carved chunk can be the file's cut-off tail; earlier
+        // oversized "headers" are tag-like bytes inside section data
+        const last = chunks[chunks.length - 1];
+        const tail = truncated.filter(t => !last || t.off >= last.off + 8 + last.len);
+        for (const t of tail) {
+            this.log('WARNING', `Carving: ${t.type} at ${t.off} claims ${t.len} bytes but the file ends ${buffer.length - t.off - 8} bytes later.`);
+        }
+        return { endianness, codec, chunks, truncated: tail };
+    }
+
+    /**
+     * Byte order for files whose RIFX header is gone: whichever orientation finds more section tags.
+     */
+    detectEndianness(buffer) {
+        let big = 0;
+        let little = 0;
+        for (let pos = 0; pos + 8 <= buffer.length; pos += Container.ChunkAlignment) {
+            if (this._tagAt(buffer, pos, false)) big++;
+            if (this._tagAt(buffer, pos, true)) little++;
+        }
+        return little > big ? 'little' : 'big';
+    }
+
+    _tagAt(buffer, pos, little, tags = SECTION_TAGS) {
+        const lead = little ? buffer[pos + 3] : buffer[pos];
+        if (!(little ? this._leadBytes.little : this._leadBytes.big)[lead]) return null;
+        const stored = buffer.toString('latin1', pos, pos + 4);
+        return tags.has(little ? reverse(stored) : stored) ? stored : null;
+    }
+
+    /**
+     * mmap entries are [tag][len][offset]...; one whose offset leads to a header with the same
+     * tag and length is a map entry left behind by a damaged mmap, not a section.
+     */
+    _isMapEntry(buffer, pos, little) {
+        if (pos + 12 > buffer.length) return false;
+        const off = little ? buffer.readUInt32LE(pos + 8) : buffer.readUInt32BE(pos + 8);
+        if (off === pos || off + 8 > buffer.length) return false;
+        return buffer.compare(buffer, pos, pos + 8, off, off + 8) === 0;
+    }
+}
+
+module.exports = ChunkCarver;
@@ -0,0 +1,230 @@
+/**
+ * @version 1.4.2
+ * Compression.js
+ *
+ * Afterburner compression registry. Fcdr lists the compression types a file uses by
+ * GUID and each ABMP entry refers to one of them by index, so decoders are looked up
+ * by GUID rather than guessed from the payload. Files without an Fcdr table (plain
+ * RIFX) keep the zlib detection used before.
+ *
+ * Every zlib stream in the project is inflated through setInflater()'s implementation,
+ * which is Node's zlib unless replaced. Browser builds have no zlib and must set one.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { Container } = require('../Constants');
+
+const decoders = new Map();
+const modules = [];
+
+const ZLIB_LEVELS = [0x01, 0x5E, 0x9C, 0xDA];
+const isZlibHeader = (buf, pos = 0) => buf.length > pos + 1 && buf[pos] === 0x78 && ZLIB_LEVELS.includes(buf[pos + 1]);
+
+// zlib is mapped to an empty module in browser builds
+let inflater = typeof zlib.inflateSync === 'function'
+    ? { inflate: (raw) => zlib.inflateSync(raw), inflateRaw: (raw) => zlib.inflateRawSync(raw) }
+    : null;
+
+/**
+ * Replaces the inflate implementation, e.g. with pako or fflate in a browser:
+ * `setInflater({ inflate: fflate.unzlibSync, inflateRaw: fflate.inflateSync })`.
+ * @param {{inflate: Function, inflateRaw: Function}} impl - Synchronous (Uint8Array) => Uint8Array
+ *        for zlib-wrapped and raw deflate streams; both throw on bad input
+ */
+function setInflater(impl) {
+    if (!impl || typeof impl.inflate !== 'function' || typeof impl.inflateRaw !== 'function') {
+        throw new Error('An inflater needs inflate(data) and inflateRaw(data) functions');
+    }
+    inflater = impl;
+}
+
+function getInflater() {
+    if (!inflater) throw new Error('No inflate implementation; call Compression.setInflater() first');
+    return inflater;
+}
+
+/**
+ * Inflates a zlib-wrapped stream with no fallbacks.
+ */
+function inflateZlib(raw) {
+    return Buffer.from(getInflater().inflate(raw));
+}
+
+/**
+ * Inflates a raw deflate stream (no zlib header).
+ */
+function inflateRaw(raw) {
+    return Buffer.from(getInflater().inflateRaw(raw));
+}
+
+/**
+ * @param {string|string[]} guid - 'AC99E904-0070-0B36-00000800072C6326' or its four parts
+ */
+function normalizeGuid(guid) {
+    const parts = Array.isArray(guid) ? guid : String(guid).replace(/[{}]/g, '').split('-');
+    return parts.join('-').toUpperCase();
+}
+
+/**
+ * Registers (or replaces) the decoder for a compression GUID.
+ * @param {string|string[]} guid
+ * @param {string} name - Short name shown in logs and by `mx-rip inspect`
+ * @param {Function} decode - (raw: Buffer, chunk) => Buffer; throw when the payload cannot be decoded
+ */
+function register(guid, name, decode) {
+    decoders.set(normalizeGuid(guid), { name, decode });
+}
+
+/**
+ * Loads a module exporting `(Compression) => void` that registers extra decoders. Extraction
+ * workers run in their own threads, so they load the same modules again on start-up.
+ */
+function registerModule(modulePath) {
+    const resolved = path.resolve(modulePath);
+    require(resolved)(module.exports);
+    if (!modules.includes(resolved)) modules.push(resolved);
+}
+
+function getDecoder(guid) {
+    return decoders.get(normalizeGuid(guid)) || null;
+}
+
+function listModules() {
+    return [...modules];
+}
+
+/**
+ * Reads a 16-byte MoaID (u32, u16, u16, 8 bytes) in the stream's byte order.
+ */
+function readGuid(ds) {
+    const hex = (value, width) => value.toString(16).toUpperCase().padStart(width, '0');
+    return [
+        hex(ds.readUint32(), 8),
+        hex(ds.readUint16(), 4),
+        hex(ds.readUint16(), 4),
+        ds.readBytes(8).toString('hex').toUpperCase()
+    ].join('-');
+}
+
+/**
+ * zlib with the Afterburner fallbacks: raw deflate, then a zlib header a few bytes in.
+ */
+function inflate(raw) {
+    try {
+        return inflateZlib(raw);
+    } catch (e) {
+        try {
+            return inflateRaw(raw);
+        } catch (e2) {
+            for (let i = 1; i < Math.min(raw.length, 8); i++) {
+                if (!isZlibHeader(raw, i)) continue;
+                try {
+                    return inflateZlib(raw.slice(i));
+                } catch (inner) { }
+            }
+            throw e;
+        }
+    }
+}
+
+/**
+ * Inflates as much of a cut-off or damaged zlib stream as possible (recovery mode). For a
+ * damaged stream this is the output of the longest prefix that still inflates. Needs
+ * Node's zlib, which can flush a stream that has no end.
+ */
+function inflatePartial(raw) {
+    if (!zlib.constants) throw new Error('partial inflation needs Node\'s zlib');
+    const options = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+    const attempt = (len) => {
+        try {
+            return zlib.inflateSync(raw.slice(0, len), options);
+        } catch (e) {
+            try {
+                return zlib.inflateRawSync(raw.slice(0, len), options);
+            } catch (e2) {
+                return null;
+            }
+        }
+    };
+
+    let best = attempt(raw.length);
+    if (best) return best;
+    let low = 0;
+    let high = raw.length;
+    while (low + 1 < high) {
+        const mid = (low + high) >> 1;
+        const data = attempt(mid);
+        if (data) {
+            best = data;
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    if (!best || best.length === 0) throw new Error('no part of the stream could be inflated');
+    return best;
+}
+
+/**
+ * Decodes a stored chunk payload.
+ * @param {Buffer} raw - Bytes as stored (ILS slice or file read)
+ * @param {object} chunk - { id, type, len, uncompLen, compType }
+ * @param {Array<{guid: string, name: string, label: string}>|null} table - The file's Fcdr entries
+ * @returns {{data: Buffer|null, compression: string, error: string|null}} data is null when error is set
+ */
+function decode(raw, chunk, table) {
+    if (table && table.length > 0 && Number.isInteger(chunk.compType)) {
+        const entry = table[chunk.compType];
+        if (!entry) {
+            return { data: null, compression: `#${chunk.compType}`, error: `compression index ${chunk.compType} is not in the Fcdr table (${table.length} entries)` };
+        }
+        const decoder = getDecoder(entry.guid);
+        if (!decoder) {
+            return { data: null, compression: entry.guid, error: `unknown compression ${entry.guid}${entry.label ? ` ('${entry.label}')` : ''}` };
+        }
+        try {
+            return { data: decoder.decode(raw, chunk), compression: decoder.name, error: null };
+        } catch (e) {
+            return { data: null, compression: decoder.name, error: `${decoder.name} decoding failed: ${e.message}` };
+        }
+    }
+
+    // No Fcdr: plain RIFX chunks are only compressed when they say so or look like zlib
+    if (chunk.compType === 1 || (chunk.uncompLen > 0 && chunk.uncompLen !== chunk.len) || isZlibHeader(raw)) {
+        try {
+            return { data: inflate(raw), compression: 'zlib', error: null };
+        } catch (e) {
+            return { data: raw, compression: 'none', error: `zlib decoding failed: ${e.message}` };
+        }
+    }
+    return { data: raw, compression: 'none', error: null };
+}
+
+const passthrough = (raw) => raw;
+const builtins = {
+    zlib: inflate,
+    none: passthrough,
+    // Sound-compressed sections hold the Shockwave Audio stream itself; SoundExtractor decodes it
+    sound: passthrough,
+    // The player supplies this font map; what the file stores is not it, so it has no payload
+    fontmap: () => Buffer.alloc(0)
+};
+for (const { name, guid } of Container.Afterburner.Compression) {
+    register(guid, name, builtins[name]);
+}
+
+module.exports = {
+    register,
+    registerModule,
+    getDecoder,
+    listModules,
+    setInflater,
+    normalizeGuid,
+    readGuid,
+    inflate,
+    inflateZlib,
+    inflateRaw,
+    inflatePartial,
+    decode
+};
@@ -0,0 +1,137 @@
+/**
+ * @version 1.4.2
+ * DataWriter.js - Growable binary writer, the write-side counterpart of DataStream.
+ */
+
+class DataWriter {
+    /**
+     * @param {string} endianness - Byte order ('big' or 'little')
+     * @param {number} [capacity] - Initial buffer size
+     */
+    constructor(endianness = 'big', capacity = 256) {
+        this.endianness = endianness;
+        this.buffer = Buffer.alloc(Math.max(16, capacity));
+        this.position = 0;
+        this.length = 0;
+    }
+
+    _ensure(bytes) {
+        const needed = this.position + bytes;
+        if (needed > this.buffer.length) {
+            const grown = Buffer.alloc(Math.max(needed, this.buffer.length * 2));
+            this.buffer.copy(grown, 0, 0, this.length);
+            this.buffer = grown;
+        }
+    }
+
+    _advance(bytes) {
+        this.position += bytes;
+        if (this.position > this.length) this.length = this.position;
+    }
+
+    seek(pos) {
+        this._ensure(Math.max(0, pos - this.position));
+        this.position = pos;
+        if (this.position > this.length) this.length = this.position;
+    }
+
+    skip(n) {
+        this.seek(this.position + n);
+    }
+
+    /**
+     * Pads with zero bytes up to the next multiple of `alignment`.
+     */
+    align(alignment = 2) {
+        const rem = this.position % alignment;
+        if (rem) this.skip(alignment - rem);
+    }
+
+    writeUint8(val) {
+        this._ensure(1);
+        this.buffer.writeUInt8(val & 0xFF, this.position);
+        this._advance(1);
+    }
+
+    writeInt8(val) {
+        this._ensure(1);
+        this.buffer.writeInt8(val, this.position);
+        this._advance(1);
+    }
+
+    writeUint16(val) {
+        this._ensure(2);
+        if (this.endianness === 'little') this.buffer.writeUInt16LE(val & 0xFFFF, this.position);
+        else this.buffer.writeUInt16BE(val & 0xFFFF, this.position);
+        this._advance(2);
+    }
+
+    writeInt16(val) {
+        this._ensure(2);
+        if (this.endianness === 'little') this.buffer.writeInt16LE(val, this.position);
+        else this.buffer.writeInt16BE(val, this.position);
+        this._advance(2);
+    }
+
+    writeUint32(val) {
+        this._ensure(4);
+        if (this.endianness === 'little') this.buffer.writeUInt32LE(val >>> 0, this.position);
+        else this.buffer.writeUInt32BE(val >>> 0, this.position);
+        this._advance(4);
+    }
+
+    writeInt32(val) {
+        this._ensure(4);
+        if (this.endianness === 'little') this.buffer.writeInt32LE(val, this.position);
+        else this.buffer.writeInt32BE(val, this.position);
+        this._advance(4);
+    }
+
+    writeFourCC(tag) {
+        this._ensure(4);
+        this.buffer.write(String(tag).padEnd(4, ' ').slice(0, 4), this.position, 4, 'ascii');
+        this._advance(4);
+    }
+
+    /**
+     * Writes a 7-bit variable-length integer (most significant group first), as read by DataStream.readVarInt.
+     */
+    writeVarInt(val) {
+        const groups = [val & 0x7F];
+        val = Math.floor(val / 0x80);
+        while (val > 0) {
+            groups.unshift((val & 0x7F) | 0x80);
+            val = Math.floor(val / 0x80);
+        }
+        for (const b of groups) this.writeUint8(b);
+    }
+
+    writeRect(rect) {
+        this.writeInt16(rect.top || 0);
+        this.writeInt16(rect.left || 0);
+        this.writeInt16(rect.bottom || 0);
+        this.writeInt16(rect.right || 0);
+    }
+
+    writeBytes(buf) {
+        if (!buf || buf.length === 0) return;
+        this._ensure(buf.length);
+        Buffer.from(buf).copy(this.buffer, this.position);
+        this._advance(buf.length);
+    }
+
+    /**
+     * Writes a length-prefixed (Pascal) string, truncated to 255 bytes.
+     */
+    writePascalString(str) {
+        const bytes = Buffer.from(String(str || ''), 'utf8').slice(0, 255);
+        this.writeUint8(bytes.length);
+        this.writeBytes(bytes);
+    }
+
+    toBuffer() {
+        return Buffer.from(this.buffer.slice(0, this.length));
+    }
+}
+
+module.exports = DataWriter;
@@ -0,0 +1,234 @@
+/**
+ * @version 1.4.2
+ * FileSource.js - Where movies and casts are read from
+ *
+ * DirectorExtractor and ProjectExtractor only touch input files through a source, so a
+ * project can be extracted from a zip archive without unpacking it. DiskSource is the
+ * local file system. MemorySource serves files held in memory under a root directory,
+ * which is how the browser build opens files. ZipSource serves an archive's entries
+ * under the archive's own path (game.zip/casts/hh_furni.cct). Both fall through to the
+ * disk for every other path, so --cast-path folders keep working.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ZipArchive = require('./ZipArchive');
+const { Container } = require('../Constants');
+
+class DiskSource {
+    exists(filePath) {
+        return fs.existsSync(filePath);
+    }
+
+    isFile(filePath) {
+        try {
+            return fs.statSync(filePath).isFile();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    isDirectory(filePath) {
+        try {
+            return fs.statSync(filePath).isDirectory();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    readdir(dirPath) {
+        return fs.readdirSync(dirPath);
+    }
+
+    readFile(filePath) {
+        return fs.readFileSync(filePath);
+    }
+
+    size(filePath) {
+        return fs.statSync(filePath).size;
+    }
+
+    /**
+     * @returns {number|Buffer} What DirectorFile takes: a file descriptor (closed by
+     *          DirectorFile.close()) or the whole file
+     */
+    open(filePath) {
+        return fs.openSync(filePath, 'r');
+    }
+
+    close() { }
+}
+
+class MemorySource extends DiskSource {
+    /**
+     * @param {Map<string, Buffer>|Object<string, Buffer>} files - Contents by relative name ('casts/furni.cct')
+     * @param {string} [root] - Directory the files appear in; paths outside it go to the disk
+     */
+    constructor(files = {}, root = '/') {
+        super();
+        this.root = path.resolve(root);
+        this.files = new Map();
+        // Directories are often implied by file names rather than listed
+        this._dirs = new Map([['', new Set()]]);
+        for (const [name, data] of (files instanceof Map ? files : Object.entries(files))) this._add(name, data);
+    }
+
+    /**
+     * Absolute paths of the Director files in the source, in insertion order.
+     * @param {string} [kind] - 'movie' or 'cast'; both when omitted
+     */
+    listDirectorFiles(kind = null) {
+        const extensions = kind ? Container.Zip.Extensions[kind] : [...Container.Zip.Extensions.movie, ...Container.Zip.Extensions.cast];
+        return [...this.files.keys()]
+            .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+            .map(name => this.resolve(name));
+    }
+
+    resolve(name) {
+        return path.join(this.root, ...name.split('/'));
+    }
+
+    exists(filePath) {
+        const name = this._entryName(filePath);
+        if (name === null) return super.exists(filePath);
+        return this._dirs.has(name) || this.files.has(name);
+    }
+
+    isFile(filePath) {
+        const name = this._entryName(filePath);
+        if (name === null) return super.isFile(filePath);
+        return this.files.has(name);
+    }
+
+    isDirectory(filePath) {
+        const name = this._entryName(filePath);
+        if (name === null) return super.isDirectory(filePath);
+        return this._dirs.has(name);
+    }
+
+    readdir(dirPath) {
+        const name = this._entryName(dirPath);
+        if (name === null) return super.readdir(dirPath);
+        if (!this._dirs.has(name)) throw new Error(`Not a directory: ${dirPath}`);
+        return [...this._dirs.get(name)];
+    }
+
+    readFile(filePath) {
+        const name = this._entryName(filePath);
+        if (name === null) return super.readFile(filePath);
+        if (!this.files.has(name)) throw new Error(`File not found: ${filePath}`);
+        return this._read(name);
+    }
+
+    size(filePath) {
+        const name = this._entryName(filePath);
+        if (name === null) return super.size(filePath);
+        if (!this.files.has(name)) throw new Error(`File not found: ${filePath}`);
+        return this._size(name);
+    }
+
+    open(filePath) {
+        const name = this._entryName(filePath);
+        if (name === null) return super.open(filePath);
+        return this.readFile(filePath);
+    }
+
+    _add(name, data) {
+        const normalized = ZipArchive.normalizeName(name);
+        const parts = normalized.split('/').filter(Boolean);
+        for (let i = 0; i < parts.length; i++) {
+            const parent = parts.slice(0, i).join('/');
+            if (!this._dirs.has(parent)) this._dirs.set(parent, new Set());
+            this._dirs.get(parent).add(parts[i]);
+            if (i < parts.length - 1 || normalized.endsWith('/')) {
+                const dir = parts.slice(0, i + 1).join('/');
+                if (!this._dirs.has(dir)) this._dirs.set(dir, new Set());
+            }
+        }
+        if (!normalized.endsWith('/')) this.files.set(parts.join('/'), data);
+    }
+
+    _read(name) {
+        // Wrap ArrayBuffers and typed arrays without copying them
+        const data = this.files.get(name);
+        if (Buffer.isBuffer(data)) return data;
+        if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        return Buffer.from(data);
+    }
+
+    _size(name) {
+        return this.files.get(name).byteLength;
+    }
+
+    /**
+     * Name relative to the root ('' for the root itself), null for paths outside it.
+     */
+    _entryName(filePath) {
+        const relative = path.relative(this.root, path.resolve(filePath));
+        if (relative === '') return '';
+        if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+        return relative.split(path.sep).join('/');
+    }
+}
+
+class ZipSource extends MemorySource {
+    /**
+     * Entries appear under the archive's own path, as if it were a directory.
+     * @param {string} archivePath - Zip file on disk
+     */
+    constructor(archivePath) {
+        super({}, archivePath);
+        this.archive = new ZipArchive(this.root);
+        this._cache = new Map();
+        for (const entry of this.archive.entries) this._add(entry.name, entry);
+    }
+
+    /**
+     * Splits a path that runs through a zip archive, e.g. /data/game.zip/dcr/main.dcr.
+     * @returns {{archive: string, entry: string}|null} entry is '' for the archive itself
+     */
+    static locate(filePath) {
+        let current = path.resolve(filePath);
+        const inner = [];
+        while (true) {
+            if (fs.existsSync(current)) {
+                if (!fs.statSync(current).isFile() || !ZipArchive.isZip(current)) return null;
+                return { archive: current, entry: inner.join('/') };
+            }
+            const parent = path.dirname(current);
+            if (parent === current) return null;
+            inner.unshift(path.basename(current));
+            current = parent;
+        }
+    }
+
+    close() {
+        this._cache.clear();
+        this.archive.close();
+    }
+
+    _read(name) {
+        if (this._cache.has(name)) {
+            // Re-insert so the map stays in least-recently-used order
+            const data = this._cache.get(name);
+            this._cache.delete(name);
+            this._cache.set(name, data);
+            return data;
+        }
+        const data = this.archive.read(this.files.get(name));
+        this._cache.set(name, data);
+        if (this._cache.size > Container.Zip.CachedEntries) this._cache.delete(this._cache.keys().next().value);
+        return data;
+    }
+
+    _size(name) {
+        return this.files.get(name).size;
+    }
+}
+
+module.exports = {
+    DiskSource,
+    MemorySource,
+    ZipSource,
+    disk: new DiskSource()
+};
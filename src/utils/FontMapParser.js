@@ -0,0 +1,82 @@
+/**
+ * @version 1.4.2
+ * FontMapParser.js
+ *
+ * Parses the movie font map (VWFM for Dir 4-6, Fmap for Dir 7+) into a
+ * fontId -> font name lookup used by STXT style runs.
+ */
+
+const DataStream = require('./DataStream');
+const { Magic, Text } = require('../Constants');
+
+class FontMapParser {
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+    }
+
+    /**
+     * @param {Buffer} buffer - Raw font map chunk data
+     * @param {string} tag - Chunk FourCC (VWFM or Fmap)
+     * @returns {Object<number, string>} Font names keyed by font id
+     */
+    parse(buffer, tag = Magic.VWFM) {
+        if (!buffer || buffer.length < 2) return {};
+        try {
+            return tag === Magic.VWFM ? this._parseVWFM(buffer) : this._parseV4(buffer);
+        } catch (e) {
+            this.log('WARN', `Font map (${tag}) parsing failed: ${e.message}`);
+            return {};
+        }
+    }
+
+    _parseVWFM(buffer) {
+        const ds = new DataStream(buffer, 'big');
+        const count = ds.readUint16();
+        if (2 + (count * 2) > buffer.length) return {};
+
+        const ids = [];
+        for (let i = 0; i < count; i++) ids.push(ds.readUint16());
+
+        const map = {};
+        for (const id of ids) {
+            if (ds.position >= buffer.length) break;
+            const len = ds.readUint8();
+            if (ds.position + len > buffer.length) break;
+            map[id] = ds.readString(len);
+        }
+        return map;
+    }
+
+    _parseV4(buffer) {
+        const F = Text.FontMap;
+        if (buffer.length < F.V4EntriesOffset) return {};
+
+        const ds = new DataStream(buffer, 'big');
+        ds.readUint32(); // mapLength
+        const namesLength = ds.readUint32();
+        if (namesLength > buffer.length) return {};
+        const namesStart = buffer.length - namesLength;
+
+        ds.seek(F.V4EntriesUsedOffset);
+        const entriesUsed = ds.readUint16();
+        if (F.V4EntriesOffset + (entriesUsed * F.V4EntrySize) > namesStart) return {};
+
+        const map = {};
+        for (let i = 0; i < entriesUsed; i++) {
+            ds.seek(F.V4EntriesOffset + (i * F.V4EntrySize));
+            const nameOffset = ds.readUint32();
+            ds.readUint16(); // platform
+            const id = ds.readUint16();
+
+            const namePos = namesStart + nameOffset;
+            if (namePos + 4 > buffer.length) continue;
+            ds.seek(namePos);
+            const len = ds.readUint32();
+            if (ds.position + len > buffer.length) continue;
+            map[id] = ds.readString(len);
+        }
+        return map;
+    }
+}
+
+module.exports = FontMapParser;
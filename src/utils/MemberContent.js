@@ -1,14 +1,15 @@
 const { MemberType, Magic } = require('../Constants');
 
 const CAST_METADATA_TAGS = [Magic.CAST, Magic.CAS_STAR, Magic.CArT, Magic.CAsT, Magic.cast_lower];
-const TEXT_TAGS = [Magic.STXT, Magic.stxt_lower, Magic.TEXT, Magic.text_lower, Magic.TXTS];
+const TEXT_TAGS = [Magic.STXT, Magic.stxt_lower, Magic.TEXT, Magic.text_lower, Magic.TXTS, Magic.XMED];
+const RICH_TEXT_TAGS = [Magic.XMED, Magic.RTE0, Magic.RTE1];
 const SOUND_TAGS = [Magic.SND, Magic.snd, Magic.SND_STAR, Magic.medi, Magic.ediM];
 const PALETTE_TAGS = [Magic.CLUT, Magic.clut_lower, Magic.Palt, Magic.palt_lower, Magic.PALT_UPPER];
 const BITMAP_TAGS = [Magic.BITD, Magic.bitd_lower, Magic.ABMP, Magic.DIB, Magic.DIB_STAR, Magic.PIXL, Magic.ILBM, Magic.MCrs];
 
 const TYPE_CONTENT_TAGS = {
     [MemberType.Bitmap]: BITMAP_TAGS,
-    [MemberType.FilmLoop]: CAST_METADATA_TAGS,
+    [MemberType.FilmLoop]: [Magic.SCVW, ...CAST_METADATA_TAGS],
     [MemberType.Text]: TEXT_TAGS,
     [MemberType.Palette]: PALETTE_TAGS,
     [MemberType.Picture]: [Magic.PICT],
@@ -18,9 +19,10 @@ const TYPE_CONTENT_TAGS = {
     [MemberType.Movie]: CAST_METADATA_TAGS,
     [MemberType.DigitalVideo]: [Magic.MooV, Magic.VdM],
     [MemberType.Script]: [Magic.LSCR, Magic.LSCR_UPPER, Magic.Lscl, Magic.rcsL],
+    [MemberType.RTE]: [Magic.RTE0, Magic.XMED, Magic.RTE1],
     [MemberType.Field]: TEXT_TAGS,
     [MemberType.Transition]: CAST_METADATA_TAGS,
-    [MemberType.Xtra]: [Magic.XTRA, Magic.XTCL],
+    [MemberType.Xtra]: [Magic.XTRA, Magic.XTCL, Magic.XMED],
     [MemberType.Font]: [Magic.FONT, Magic.VWFT],
     [MemberType.Mesh]: [],
     [MemberType.VectorShape]: [Magic.VCSH],
@@ -31,6 +33,7 @@ const TYPE_DETECTION_ORDER = [
     MemberType.Bitmap,
     MemberType.Palette,
     MemberType.Text,
+    MemberType.RTE,
     MemberType.Script,
     MemberType.Sound,
     MemberType.Xtra,
@@ -67,6 +70,18 @@ function hasContentForType(map, typeId) {
     return getMatchingTagsForType(map, typeId).length > 0;
 }
 
+/**
+ * Returns the tag of the section getPreferredSectionId would pick.
+ */
+function getPreferredSectionTag(map, typeId) {
+    if (!map) return null;
+    return getContentTagsForType(typeId).find(tag => map[tag]) || null;
+}
+
+function isRichTextTag(tag) {
+    return RICH_TEXT_TAGS.includes(tag);
+}
+
 function getPreferredSectionId(map, typeId) {
     if (!map) return 0;
 
@@ -103,8 +118,10 @@ module.exports = {
     getContentTagsForType,
     getMatchingTagsForType,
     getPreferredSectionId,
+    getPreferredSectionTag,
     hasContentForType,
     detectMemberTypeFromMap,
     detectMemberTypeFromTag,
+    isRichTextTag,
     isTransitionTag
 };
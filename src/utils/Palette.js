@@ -671,6 +671,22 @@ class Palette {
         return names[id] || null;
     }
 
+    /**
+     * Looks up a built-in palette by the name getSystemPaletteName() reports (case-insensitive).
+     * @param {string} name - e.g. "SystemMac", "SystemWin", "Grayscale"
+     * @returns {{id: number, palette: Array}|null} Resource id (negative) and colours
+     */
+    static getSystemPaletteByName(name) {
+        const wanted = String(name || '').toLowerCase();
+        for (const id of Object.values(this.SystemPalette)) {
+            if (id > 0) continue;
+            if ((this.getSystemPaletteName(id) || '').toLowerCase() === wanted) {
+                return { id, palette: this.getSystemPaletteById(id) };
+            }
+        }
+        return null;
+    }
+
     /**
      * Resolves a palette index to a hex color string.
      * @param {number} index 
@@ -0,0 +1,370 @@
+/**
+ * @version 1.4.2
+ * ScoreParser.js - Score (VWSC) frame, channel and sprite decoder
+ *
+ * Reconstructs the full per-frame channel state of a Director Score.
+ * Frames are stored as deltas against a persistent channel buffer:
+ * each frame lists [length][offset][bytes] patches which are applied
+ * on top of the previous frame before its channels are decoded.
+ */
+
+const DataStream = require('./DataStream');
+const { Score } = require('../Constants');
+
+class ScoreParser {
+    constructor(logger) {
+        this.log = logger || ((lvl, msg) => { });
+    }
+
+    /**
+     * Parses a Score chunk.
+     * @param {Buffer} buffer - Raw VWSC chunk data (or an embedded FilmLoop score).
+     * @param {object} options - { resolveRegPoint(castLib, member) => {x, y} | null }
+     * @returns {object|null} { format, frameCount, frames, intervals }, or null when the buffer is not a Score
+     */
+    parse(buffer, options = {}) {
+        if (!buffer || buffer.length < Score.FrameHeaderSize) return null;
+
+        try {
+            const sections = this._readEntryTable(buffer);
+            const frameData = sections ? sections[0] : buffer;
+            if (!frameData || frameData.length < Score.FrameHeaderSize) return null;
+
+            const intervals = sections ? this._readIntervals(sections) : new Map();
+            const result = this._readFrames(frameData, intervals, options);
+            if (!result) return null;
+            result.intervals = Array.from(intervals.values());
+            return result;
+        } catch (e) {
+            this.log('ERROR', `Score parsing failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Splits a D5+ Score into its entry sections.
+     * Returns null when the buffer is a bare frame data block (D4 and FilmLoops).
+     */
+    _readEntryTable(buffer) {
+        const ds = new DataStream(buffer, 'big');
+        ds.readInt32(); // totalLength
+        const marker = ds.readInt32();
+        const headerSize = ds.readInt32();
+        if (marker !== Score.EntryTableMarker || headerSize !== Score.EntryTableHeaderSize) return null;
+
+        const entryCount = ds.readInt32();
+        ds.readInt32(); // entryCount + 1
+        ds.readInt32(); // entry bytes used
+        if (entryCount <= 0 || Score.EntryTableFieldsSize + ((entryCount + 1) * 4) > buffer.length) return null;
+
+        const offsets = [];
+        for (let i = 0; i <= entryCount; i++) offsets.push(ds.readUint32());
+
+        const base = ds.position;
+        const sections = [];
+        for (let i = 0; i < entryCount; i++) {
+            const start = base + offsets[i];
+            const end = Math.min(base + offsets[i + 1], buffer.length);
+            sections.push(start < end ? buffer.slice(start, end) : Buffer.alloc(0));
+        }
+        return sections;
+    }
+
+    /**
+     * Reads frame interval (sprite span) records and their behavior lists.
+     * Section 1 holds the ordered list of primary entry indices; each primary
+     * entry is followed by a secondary entry listing attached behaviors.
+     */
+    _readIntervals(sections) {
+        const intervals = new Map();
+        const order = sections[1];
+        if (!order || order.length < 4) return intervals;
+
+        const ds = new DataStream(order, 'big');
+        while (ds.position + 4 <= order.length) {
+            const idx = ds.readUint32();
+            const primary = sections[idx];
+            if (!primary || primary.length < Score.IntervalPrimarySize) continue;
+
+            const ps = new DataStream(primary, 'big');
+            const interval = {
+                index: idx,
+                startFrame: ps.readInt32(),
+                endFrame: ps.readInt32(),
+                xtraInfo: ps.readInt32(),
+                spriteFlags: ps.readInt32(),
+                channel: ps.readInt32(),
+                behaviors: []
+            };
+
+            const secondary = sections[idx + 1];
+            if (secondary) {
+                const ss = new DataStream(secondary, 'big');
+                while (ss.position + Score.BehaviorRefSize <= secondary.length) {
+                    const castLib = ss.readUint16();
+                    const member = ss.readUint16();
+                    ss.readUint32(); // initializer reference
+                    if (member > 0) interval.behaviors.push({ castLib, member });
+                }
+            }
+
+            intervals.set(idx, interval);
+        }
+        return intervals;
+    }
+
+    /**
+     * Replays every frame delta and decodes the resulting channel state.
+     */
+    _readFrames(data, intervals, options) {
+        const ds = new DataStream(data, 'big');
+        const declaredSize = ds.readUint32();
+        const frame1Offset = ds.readUint32();
+        const frameCount = ds.readUint32();
+        const framesVersion = ds.readUint16();
+        const spriteRecordSize = ds.readUint16();
+        const channelCount = ds.readUint16();
+        const displayedChannels = ds.readUint16();
+
+        if (frame1Offset < Score.FrameHeaderSize || frame1Offset > data.length) return null;
+        if (spriteRecordSize && (spriteRecordSize < Score.SpriteRecordSize.D4 || spriteRecordSize > Score.MaxSpriteRecordSize)) return null;
+
+        const layout = this._getLayout(spriteRecordSize);
+        const channels = channelCount || Score.DefaultChannelCount;
+        const bufferSize = Math.min(layout.mainSize + (channels * layout.spriteSize), Score.MaxChannelBufferSize);
+        let state = Buffer.alloc(bufferSize);
+
+        const end = Math.min(declaredSize || data.length, data.length);
+        ds.seek(frame1Offset);
+
+        const frames = [];
+        while (ds.position + 2 <= end && frames.length < frameCount) {
+            const frameStart = ds.position;
+            const frameLen = ds.readUint16();
+            if (frameLen < 2 || frameStart + frameLen > end) {
+                this.log('WARN', `[ScoreParser] Frame ${frames.length + 1} has invalid length ${frameLen}. Stopping.`);
+                break;
+            }
+
+            const frameEnd = frameStart + frameLen;
+            while (ds.position + 4 <= frameEnd) {
+                const patchLen = ds.readUint16();
+                const patchOff = ds.readUint16();
+                if (ds.position + patchLen > frameEnd) break;
+
+                if (patchOff + patchLen > state.length) {
+                    const grown = patchOff + patchLen;
+                    if (grown > Score.MaxChannelBufferSize) {
+                        ds.skip(patchLen);
+                        continue;
+                    }
+                    state = Buffer.concat([state, Buffer.alloc(grown - state.length)]);
+                }
+                data.copy(state, patchOff, ds.position, ds.position + patchLen);
+                ds.skip(patchLen);
+            }
+            ds.seek(frameEnd);
+
+            frames.push(this._decodeFrame(state, frames.length + 1, layout, intervals, options));
+        }
+
+        if (frames.length < frameCount) {
+            this.log('WARN', `[ScoreParser] Decoded ${frames.length} of ${frameCount} declared frames.`);
+        }
+
+        return {
+            format: {
+                framesVersion,
+                spriteRecordSize: layout.spriteSize,
+                mainChannelSize: layout.mainSize,
+                channelCount,
+                displayedChannels,
+                layout: layout.name
+            },
+            frameCount: frames.length,
+            frames
+        };
+    }
+
+    _getLayout(spriteRecordSize) {
+        if (spriteRecordSize === Score.SpriteRecordSize.D4) {
+            return { name: 'D4', mainSize: Score.MainChannelSize.D4, spriteSize: spriteRecordSize };
+        }
+        if (spriteRecordSize >= Score.SpriteRecordSize.D7) {
+            return { name: 'D7', mainSize: Score.MainChannelSize.D7, spriteSize: spriteRecordSize };
+        }
+        return { name: 'D5', mainSize: Score.MainChannelSize.D5, spriteSize: spriteRecordSize || Score.SpriteRecordSize.D5 };
+    }
+
+    _decodeFrame(state, frameNum, layout, intervals, options) {
+        const frame = layout.name === 'D4'
+            ? this._readMainChannelsD4(state, frameNum)
+            : this._readMainChannelsD5(state, frameNum);
+
+        frame.sprites = [];
+        const spriteCount = Math.floor((state.length - layout.mainSize) / layout.spriteSize);
+        for (let i = 0; i < spriteCount; i++) {
+            const off = layout.mainSize + (i * layout.spriteSize);
+            const sprite = layout.name === 'D4'
+                ? this._readSpriteD4(state, off)
+                : this._readSpriteD5(state, off, intervals);
+            if (!sprite) continue;
+
+            sprite.channel = i + 1;
+            sprite.rect = this._computeRect(sprite, options);
+            frame.sprites.push(sprite);
+        }
+        return frame;
+    }
+
+    _memberRef(castLib, member) {
+        return member ? { castLib, member } : null;
+    }
+
+    _readMainChannelsD5(buf, frameNum) {
+        const tempo = buf.readUInt8(21);
+        const paletteMember = buf.readInt16BE(26);
+        return {
+            frame: frameNum,
+            script: this._memberRef(buf.readInt16BE(0), buf.readInt16BE(2)),
+            sound1: this._memberRef(buf.readInt16BE(4), buf.readInt16BE(6)),
+            sound2: this._memberRef(buf.readInt16BE(8), buf.readInt16BE(10)),
+            transition: this._memberRef(buf.readInt16BE(12), buf.readInt16BE(14)),
+            tempo: this._decodeTempo(tempo),
+            palette: paletteMember ? {
+                castLib: buf.readInt16BE(24),
+                member: paletteMember,
+                rate: buf.readUInt8(28),
+                flags: buf.readUInt8(29),
+                firstColor: buf.readUInt8(30),
+                lastColor: buf.readUInt8(31),
+                frameCount: buf.readInt16BE(32),
+                cycleCount: buf.readInt16BE(34)
+            } : null
+        };
+    }
+
+    _readMainChannelsD4(buf, frameNum) {
+        const script = buf.readUInt8(0);
+        const sound1 = buf.readUInt16BE(6);
+        const sound2 = buf.readUInt16BE(8);
+        const transType = buf.readUInt8(5);
+        const paletteId = buf.readInt16BE(20);
+        return {
+            frame: frameNum,
+            script: this._memberRef(1, script),
+            sound1: this._memberRef(1, sound1),
+            sound2: this._memberRef(1, sound2),
+            transition: transType ? {
+                type: transType,
+                duration: buf.readUInt8(2),
+                chunkSize: buf.readUInt8(3)
+            } : null,
+            tempo: this._decodeTempo(buf.readUInt8(4)),
+            palette: paletteId ? {
+                castLib: 1,
+                member: paletteId,
+                rate: buf.readUInt8(22),
+                flags: buf.readUInt8(23),
+                firstColor: buf.readUInt8(24),
+                lastColor: buf.readUInt8(25),
+                frameCount: buf.readInt16BE(26),
+                cycleCount: buf.readInt16BE(28)
+            } : null
+        };
+    }
+
+    /**
+     * Tempo bytes above MaxFps encode wait and delay commands rather than a rate.
+     */
+    _decodeTempo(raw) {
+        if (!raw) return null;
+        const T = Score.Tempo;
+        if (raw <= T.MaxFps) return { mode: 'fps', value: raw, raw };
+        if (raw === T.WaitForClick) return { mode: 'waitForClick', raw };
+        if (raw === T.WaitForSound1) return { mode: 'waitForSound1', raw };
+        if (raw === T.WaitForSound2) return { mode: 'waitForSound2', raw };
+        if (raw >= T.DelayMin) return { mode: 'delay', value: T.DelayBase - raw, raw };
+        if (raw > T.WaitForVideoBase) return { mode: 'waitForVideo', value: raw - T.WaitForVideoBase, raw };
+        return { mode: 'unknown', raw };
+    }
+
+    _decodeInk(inkData) {
+        const ink = inkData & Score.InkData.InkMask;
+        return {
+            ink,
+            inkName: Score.InkNames[ink] || `ink_${ink}`,
+            trails: !!(inkData & Score.InkData.Trails),
+            stretch: !!(inkData & Score.InkData.Stretch)
+        };
+    }
+
+    _readSpriteD5(buf, off, intervals) {
+        const spriteType = buf.readUInt8(off);
+        const castLib = buf.readInt16BE(off + 4);
+        const member = buf.readInt16BE(off + 6);
+        if (!spriteType && !member) return null;
+
+        const spriteListIdx = buf.readUInt32BE(off + 8);
+        const flags = buf.readUInt8(off + 20);
+        const blendRaw = buf.readUInt8(off + 21);
+        const interval = intervals.get(spriteListIdx);
+
+        return {
+            spriteType,
+            castLib,
+            member,
+            ...this._decodeInk(buf.readUInt8(off + 1)),
+            blend: Math.round(100 - (blendRaw * 100 / 255)),
+            foreColor: buf.readUInt8(off + 2),
+            backColor: buf.readUInt8(off + 3),
+            loc: { x: buf.readInt16BE(off + 14), y: buf.readInt16BE(off + 12) },
+            width: buf.readInt16BE(off + 18),
+            height: buf.readInt16BE(off + 16),
+            lineSize: buf.readUInt8(off + 22),
+            editable: !!(flags & Score.SpriteFlags.Editable),
+            moveable: !!(flags & Score.SpriteFlags.Moveable),
+            behaviors: interval ? interval.behaviors : []
+        };
+    }
+
+    _readSpriteD4(buf, off) {
+        const spriteType = buf.readUInt8(off + 1);
+        const member = buf.readUInt16BE(off + 6);
+        if (!spriteType && !member) return null;
+
+        const scriptId = buf.readUInt16BE(off + 16);
+        const blendRaw = buf.readUInt8(off + 19);
+
+        return {
+            spriteType,
+            castLib: 1,
+            member,
+            ...this._decodeInk(buf.readUInt8(off + 5)),
+            blend: Math.round(100 - (blendRaw * 100 / 255)),
+            foreColor: buf.readUInt8(off + 2),
+            backColor: buf.readUInt8(off + 3),
+            loc: { x: buf.readInt16BE(off + 10), y: buf.readInt16BE(off + 8) },
+            width: buf.readInt16BE(off + 14),
+            height: buf.readInt16BE(off + 12),
+            lineSize: buf.readUInt8(off + 4),
+            behaviors: scriptId ? [{ castLib: 1, member: scriptId }] : []
+        };
+    }
+
+    /**
+     * Sprite loc is the member's registration point on stage, so the
+     * bounding rect is offset by the member regPoint when it is known.
+     */
+    _computeRect(sprite, options) {
+        let reg = null;
+        if (typeof options.resolveRegPoint === 'function') {
+            reg = options.resolveRegPoint(sprite.castLib, sprite.member);
+        }
+        const left = sprite.loc.x - (reg ? reg.x : 0);
+        const top = sprite.loc.y - (reg ? reg.y : 0);
+        return { left, top, right: left + sprite.width, bottom: top + sprite.height };
+    }
+}
+
+module.exports = ScoreParser;
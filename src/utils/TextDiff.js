@@ -0,0 +1,83 @@
+/**
+ * @version 1.4.2
+ * TextDiff.js - Line diff for decompiled scripts
+ *
+ * Longest-common-subsequence over lines, printed as unified-diff hunks. Handlers are
+ * short, so the quadratic table is fine; there is no patience/Myers optimisation.
+ */
+
+/**
+ * @returns {Array<{op: string, line: string}>} op is ' ', '-' or '+'
+ */
+function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // lcs[i][j] = common lines between a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ op: ' ', line: a[i++] });
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ op: '-', line: a[i++] });
+        } else {
+            ops.push({ op: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ op: '-', line: a[i++] });
+    while (j < b.length) ops.push({ op: '+', line: b[j++] });
+    return ops;
+}
+
+/**
+ * Unified-diff hunks (`@@ -a,n +b,m @@`) with `context` unchanged lines around each change.
+ * Returns an empty string when the texts have the same lines.
+ */
+function unifiedDiff(oldText, newText, context = 3) {
+    const ops = diffLines(oldText, newText);
+    const changed = ops.map((o, k) => o.op !== ' ' ? k : -1).filter(k => k >= 0);
+    if (changed.length === 0) return '';
+
+    // Group changes whose context windows touch
+    const ranges = [];
+    for (const k of changed) {
+        const start = Math.max(0, k - context);
+        const end = Math.min(ops.length, k + context + 1);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end) last.end = end;
+        else ranges.push({ start, end });
+    }
+
+    const out = [];
+    for (const { start, end } of ranges) {
+        let oldLine = 1, newLine = 1;
+        for (let k = 0; k < start; k++) {
+            if (ops[k].op !== '+') oldLine++;
+            if (ops[k].op !== '-') newLine++;
+        }
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter(o => o.op !== '+').length;
+        const newCount = hunk.filter(o => o.op !== '-').length;
+        out.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+        for (const o of hunk) out.push(o.op + o.line);
+    }
+    return out.join('\n');
+}
+
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+module.exports = { diffLines, unifiedDiff };
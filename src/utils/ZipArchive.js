@@ -0,0 +1,151 @@
+/**
+ * @version 1.4.2
+ * ZipArchive.js - Read-only zip reader for archives of Director files
+ *
+ * Reads the central directory once and inflates single entries on request. Stored and
+ * deflated entries are supported through Node's zlib, so no native module is needed.
+ * ZIP64, encrypted entries and multi-disk archives are rejected.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { crc32 } = require('./APNGEncoder');
+const { Container } = require('../Constants');
+
+const Zip = Container.Zip;
+
+class ZipArchive {
+    /**
+     * @param {string} zipPath - Archive on disk; kept open until close()
+     */
+    constructor(zipPath) {
+        this.path = zipPath;
+        this.fd = fs.openSync(zipPath, 'r');
+        this.size = fs.fstatSync(this.fd).size;
+        try {
+            this.entries = this._readCentralDirectory();
+        } catch (e) {
+            this.close();
+            throw new Error(`${zipPath}: ${e.message}`);
+        }
+        this._byName = new Map(this.entries.map(entry => [entry.name, entry]));
+    }
+
+    /**
+     * True when the file starts with a local header or is an empty archive.
+     */
+    static isZip(filePath) {
+        try {
+            const fd = fs.openSync(filePath, 'r');
+            try {
+                const head = Buffer.alloc(4);
+                if (fs.readSync(fd, head, 0, 4, 0) < 4) return false;
+                const sig = head.readUInt32LE(0);
+                return sig === Zip.Signatures.Local || sig === Zip.Signatures.End;
+            } finally {
+                fs.closeSync(fd);
+            }
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Entry names use '/' and have no leading slash; directory entries end with '/'.
+     */
+    static normalizeName(name) {
+        return name.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+    }
+
+    getEntry(name) {
+        return this._byName.get(ZipArchive.normalizeName(name)) || null;
+    }
+
+    /**
+     * @returns {Buffer} The uncompressed entry, checked against its CRC-32
+     */
+    read(entry) {
+        const local = this._readAt(entry.offset, Zip.LocalSize);
+        if (local.readUInt32LE(0) !== Zip.Signatures.Local) throw new Error(`${entry.name}: local header not found at ${entry.offset}`);
+        const dataOffset = entry.offset + Zip.LocalSize + local.readUInt16LE(26) + local.readUInt16LE(28);
+        const stored = this._readAt(dataOffset, entry.compressedSize);
+
+        let data;
+        if (entry.method === Zip.Methods.Stored) data = stored;
+        else if (entry.method === Zip.Methods.Deflated) data = zlib.inflateRawSync(stored);
+        else throw new Error(`${entry.name}: compression method ${entry.method} is not supported`);
+
+        if (data.length !== entry.size || crc32(data) !== entry.crc) throw new Error(`${entry.name}: CRC or size mismatch`);
+        return data;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    _readCentralDirectory() {
+        const end = this._findEnd();
+        if (end.readUInt16LE(4) !== 0 || end.readUInt16LE(6) !== 0) throw new Error('multi-disk archives are not supported');
+        const count = end.readUInt16LE(10);
+        const cdSize = end.readUInt32LE(12);
+        const cdOffset = end.readUInt32LE(16);
+        if (cdOffset === Zip.Zip64Marker || cdSize === Zip.Zip64Marker) throw new Error('ZIP64 archives are not supported');
+
+        const cd = this._readAt(cdOffset, cdSize);
+        const entries = [];
+        let pos = 0;
+        for (let i = 0; i < count; i++) {
+            if (pos + Zip.CentralSize > cd.length || cd.readUInt32LE(pos) !== Zip.Signatures.Central) {
+                throw new Error(`central directory entry ${i} is damaged`);
+            }
+            const flags = cd.readUInt16LE(pos + 8);
+            const nameLength = cd.readUInt16LE(pos + 28);
+            const extraLength = cd.readUInt16LE(pos + 30);
+            const commentLength = cd.readUInt16LE(pos + 32);
+            const rawName = cd.slice(pos + Zip.CentralSize, pos + Zip.CentralSize + nameLength);
+            // Names without the UTF-8 flag are CP437; latin1 keeps ASCII names intact
+            const name = ZipArchive.normalizeName(rawName.toString(flags & Zip.Flags.Utf8 ? 'utf8' : 'latin1'));
+
+            const entry = {
+                name,
+                method: cd.readUInt16LE(pos + 10),
+                crc: cd.readUInt32LE(pos + 16),
+                compressedSize: cd.readUInt32LE(pos + 20),
+                size: cd.readUInt32LE(pos + 24),
+                offset: cd.readUInt32LE(pos + 42),
+                isDirectory: name.endsWith('/')
+            };
+            if ([entry.compressedSize, entry.size, entry.offset].includes(Zip.Zip64Marker)) throw new Error('ZIP64 archives are not supported');
+            if (flags & Zip.Flags.Encrypted) throw new Error(`${name}: encrypted entries are not supported`);
+            entries.push(entry);
+            pos += Zip.CentralSize + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    /**
+     * The end record is the last thing in the file, followed only by the archive comment.
+     */
+    _findEnd() {
+        const tailLength = Math.min(this.size, Zip.EndSize + Zip.MaxCommentLength);
+        const tail = this._readAt(this.size - tailLength, tailLength);
+        for (let pos = tail.length - Zip.EndSize; pos >= 0; pos--) {
+            if (tail.readUInt32LE(pos) === Zip.Signatures.End && pos + Zip.EndSize + tail.readUInt16LE(pos + 20) === tail.length) {
+                return tail.slice(pos, pos + Zip.EndSize);
+            }
+        }
+        throw new Error('not a zip archive (no end of central directory record)');
+    }
+
+    _readAt(offset, length) {
+        if (offset < 0 || offset + length > this.size) throw new Error(`read past the end of the archive at ${offset}`);
+        const buf = Buffer.alloc(length);
+        fs.readSync(this.fd, buf, 0, length, offset);
+        return buf;
+    }
+}
+
+module.exports = ZipArchive;
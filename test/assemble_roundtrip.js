@@ -0,0 +1,32 @@
+const { LingoCompiler, LingoDecompiler, LingoAssembler } = require('../index');
+const { LINGO_SAMPLES } = require('./fixtures');
+
+// assemble(disassemble(Lscr)) must give back the same Lscr, and the same listing again
+function run() {
+    console.log(`🚀 Starting disassemble -> assemble round-trip test`);
+    const failures = [];
+
+    for (const [name, source] of Object.entries(LINGO_SAMPLES)) {
+        try {
+            const { lscr, names } = new LingoCompiler().compile(source);
+            const { lasm } = new LingoDecompiler().decompile(lscr, names, 0, 0, { lasm: true });
+            const again = new LingoAssembler().assemble(lasm, { nameTable: names });
+            if (!again.lscr.equals(lscr)) {
+                failures.push(`${name}: reassembled bytecode differs\n${lasm}`);
+                continue;
+            }
+            const relisted = new LingoDecompiler().decompile(again.lscr, again.names, 0, 0, { lasm: true }).lasm;
+            if (relisted !== lasm) failures.push(`${name}: listing changed after reassembly`);
+        } catch (e) {
+            failures.push(`${name}: ${e.message}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${Object.keys(LINGO_SAMPLES).length} listings reassembled to identical bytecode`);
+}
+
+run();
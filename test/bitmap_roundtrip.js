@@ -0,0 +1,101 @@
+const { PNG } = require('pngjs');
+const BitmapEncoder = require('../src/member/BitmapEncoder');
+const BitmapExtractor = require('../src/member/BitmapExtractor');
+const { Bitmap } = require('../src/Constants');
+
+// An odd width, so rows are padded at every depth
+const WIDTH = 45;
+const HEIGHT = 4;
+
+const PALETTE_4 = [
+    [255, 255, 255], [0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 0], [0, 255, 255], [255, 0, 255],
+    [128, 128, 128], [64, 0, 0], [0, 64, 0], [0, 0, 64], [192, 96, 32], [32, 96, 192], [96, 192, 32], [200, 200, 200]
+];
+const PALETTE_8 = Array.from({ length: 256 }, (_, i) => [i, 255 - i, (i * 7) & 0xFF]);
+
+// Colours each depth holds exactly: palette entries, or 5-bit channels at 16 bits
+const DEPTHS = [
+    { bitDepth: 1, colors: [[255, 255, 255], [0, 0, 0]] },
+    { bitDepth: 4, palette: PALETTE_4, colors: PALETTE_4 },
+    { bitDepth: 8, palette: PALETTE_8, colors: PALETTE_8.filter((_, i) => i % 9 === 0) },
+    { bitDepth: 16, colors: [[0, 0, 0], [248, 248, 248], [248, 0, 0], [0, 128, 0], [8, 16, 24], [200, 96, 40]] },
+    { bitDepth: 32, colors: [[0, 0, 0], [255, 255, 255], [255, 0, 0], [1, 2, 3], [200, 100, 50], [17, 34, 51]] }
+];
+
+/**
+ * A WIDTH x HEIGHT RGBA image: two solid rows that PackBits shrinks, then rows cycling through the colours.
+ */
+function image(colors, alpha = () => 255) {
+    const pixels = Buffer.alloc(WIDTH * HEIGHT * 4);
+    for (let i = 0; i < WIDTH * HEIGHT; i++) {
+        const [r, g, b] = colors[i < 2 * WIDTH ? 0 : (i * 5) % colors.length];
+        pixels.set([r, g, b, alpha(i)], i * 4);
+    }
+    return pixels;
+}
+
+function png(pixels) {
+    const out = new PNG({ width: WIDTH, height: HEIGHT });
+    pixels.copy(out.data);
+    return PNG.sync.write(out);
+}
+
+const firstDifference = (a, b) => {
+    for (let i = 0; i < a.length; i += 4) {
+        if (!a.slice(i, i + 4).equals(b.slice(i, i + 4))) return `pixel ${i / 4}: ${a.slice(i, i + 4).toString('hex')} instead of ${b.slice(i, i + 4).toString('hex')}`;
+    }
+    return `${a.length} bytes instead of ${b.length}`;
+};
+
+// PNG -> BitmapEncoder -> BITD -> BitmapExtractor.decode must give back the same pixels at every depth
+async function run() {
+    console.log(`🚀 Starting PNG -> BITD -> decode round-trip test`);
+    const failures = [];
+    const check = (ok, message) => { if (!ok) failures.push(message); };
+    const encoder = new BitmapEncoder();
+    const extractor = new BitmapExtractor();
+    let runs = 0;
+
+    for (const { bitDepth, palette, colors } of DEPTHS) {
+        // Translucent pixels only where the depth keeps alpha
+        const pixels = image(colors, bitDepth === 32 ? i => (i * 37) & 0xFF : undefined);
+        for (const compress of [true, false]) {
+            const label = `${bitDepth}-bit${compress ? '' : ' raw'}`;
+            const encoded = encoder.encode(png(pixels), { bitDepth, palette, compress });
+            const member = {
+                width: WIDTH,
+                height: HEIGHT,
+                bitDepth,
+                _pitch: encoded.pitch,
+                _castFlags: encoded.hasAlpha ? Bitmap.Flags.AlphaChannelUsed : 0
+            };
+            const decoded = await extractor.decode(encoded.bitd, member, palette || null);
+            runs++;
+            if (!decoded || !decoded.pixels) {
+                failures.push(`${label}: BITD did not decode (${decoded && decoded.reason})`);
+                continue;
+            }
+            check(decoded.width === WIDTH && decoded.height === HEIGHT, `${label}: decoded as ${decoded.width}x${decoded.height}`);
+            check(decoded.pixels.equals(pixels), `${label}: ${firstDifference(decoded.pixels, pixels)}`);
+            check(!compress || encoded.compressed, `${label}: the solid rows did not make PackBits worthwhile`);
+        }
+    }
+
+    // Without AlphaChannelUsed in the cast flags the alpha plane is ignored, as encode-bitmap warns
+    const translucent = image(DEPTHS[4].colors, () => 0x40);
+    const encoded = encoder.encode(png(translucent), { bitDepth: 32 });
+    const opaque = await extractor.decode(encoded.bitd, { width: WIDTH, height: HEIGHT, bitDepth: 32, _pitch: encoded.pitch, _castFlags: 0 });
+    check(encoded.hasAlpha, `a translucent 32-bit image did not report hasAlpha`);
+    check(opaque.pixels && opaque.pixels.every((v, i) => i % 4 !== 3 || v === 255), `32-bit alpha was kept without AlphaChannelUsed`);
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${runs} bitmaps at 1, 4, 8, 16 and 32 bits decoded to their source pixels`);
+}
+
+run().catch(err => {
+    console.error(`❌ ${err.stack || err.message}`);
+    process.exit(1);
+});
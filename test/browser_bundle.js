@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { DirectorFileWriter } = require('../index');
+const { writeExtraction } = require('./fixtures');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_ROOT = path.resolve(__dirname, 'output', 'browser_bundle');
+
+/**
+ * Loads browser.js the way a bundler would: every require goes through package.json's
+ * `browser` field, Node modules it maps to false are empty, and `process` is not defined.
+ */
+function bundle() {
+    const browserField = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8')).browser;
+    const cache = new Map();
+
+    const resolve = (request, fromDir) => {
+        if (!request.startsWith('.')) {
+            if (request in browserField) return browserField[request] === false ? false : path.join(ROOT, browserField[request]);
+            // The `buffer` package browser.js asks the bundling project for
+            if (request === 'buffer') return 'buffer';
+            throw new Error(`${request} is not replaced for the browser`);
+        }
+        let file = path.resolve(fromDir, request);
+        if (!file.endsWith('.js')) file = fs.existsSync(`${file}.js`) ? `${file}.js` : path.join(file, 'index.js');
+        const mapped = browserField[`./${path.relative(ROOT, file)}`];
+        return mapped ? path.join(ROOT, mapped) : file;
+    };
+
+    const load = file => {
+        if (file === false) return {};
+        if (file === 'buffer') return require('buffer');
+        if (cache.has(file)) return cache.get(file).exports;
+        const module = { exports: {} };
+        cache.set(file, module);
+        const wrapper = vm.runInThisContext(`(function (exports, require, module, __filename, __dirname, process) {${fs.readFileSync(file, 'utf8')}\n})`, { filename: file });
+        wrapper(module.exports, request => load(resolve(request, path.dirname(file))), module, file, path.dirname(file), undefined);
+        return module.exports;
+    };
+
+    return load(path.join(ROOT, 'browser.js'));
+}
+
+// The browser entry point must decompile scripts with their names, without Node globals
+async function run() {
+    console.log(`🚀 Starting browser bundle smoke test`);
+    fs.rmSync(OUTPUT_ROOT, { recursive: true, force: true });
+
+    writeExtraction(path.join(OUTPUT_ROOT, 'src'));
+    const { buffer } = await new DirectorFileWriter().write(path.join(OUTPUT_ROOT, 'src'), path.join(OUTPUT_ROOT, 'cast.cst'));
+
+    const { DirectorReader } = bundle();
+    const errors = [];
+    const reader = await new DirectorReader((lvl, msg) => { if (lvl === 'ERROR') errors.push(msg); }).open(new Uint8Array(buffer).buffer, 'cast.cst');
+    const script = reader.listMembers('Script').find(m => m.name === 'Utils');
+    const decoded = script ? await reader.decode(script.id) : null;
+    reader.close();
+
+    const failures = errors.map(msg => `logged error: ${msg}`);
+    if (!decoded || !decoded.source) {
+        failures.push('Utils script was not decompiled');
+    } else {
+        for (const name of ['gCount', 'bump', 'n']) {
+            if (!new RegExp(`\\b${name}\\b`).test(decoded.source)) failures.push(`decompiled source is missing the name ${name}:\n${decoded.source}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ Browser build decompiled ${script.name} with its names`);
+}
+
+run().catch(err => {
+    console.error(`❌ ${err.stack || err.message}`);
+    process.exit(1);
+});
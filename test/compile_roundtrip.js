@@ -0,0 +1,29 @@
+const { LingoCompiler, LingoDecompiler } = require('../index');
+const { LINGO_SAMPLES } = require('./fixtures');
+
+// compile(decompile(Lscr)) must give back the same Lscr
+function run() {
+    console.log(`🚀 Starting compile -> decompile round-trip test`);
+    const failures = [];
+
+    for (const [name, source] of Object.entries(LINGO_SAMPLES)) {
+        try {
+            const original = new LingoCompiler().compile(source);
+            const decompiled = new LingoDecompiler().decompile(original.lscr, original.names, 0, 0);
+            const again = new LingoCompiler().compile(decompiled, { nameTable: original.names });
+            if (!again.lscr.equals(original.lscr)) {
+                failures.push(`${name}: recompiled bytecode differs\n--- decompiled ---\n${decompiled}\n--- original listing ---\n${original.lasm}--- recompiled listing ---\n${again.lasm}`);
+            }
+        } catch (e) {
+            failures.push(`${name}: ${e.message}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${Object.keys(LINGO_SAMPLES).length} scripts compiled back to identical bytecode`);
+}
+
+run();
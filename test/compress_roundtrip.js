@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { DirectorFile, DirectorFileWriter, AfterburnerWriter, DirectorValidator, Compression, Constants } = require('../index');
+const { writeExtraction, extract } = require('./fixtures');
+
+const OUTPUT_ROOT = path.resolve(__dirname, 'output', 'compress_roundtrip');
+
+const hex = text => Buffer.from(text.replace(/\s+/g, ''), 'hex');
+const ascii = text => Buffer.from(text, 'ascii');
+
+// Fcdr once inflated, in the cast's big-endian order: [2: count], the four GUIDs
+// (zlib, Shockwave Audio, none, font map) as u32-u16-u16-8 bytes, then their null-terminated labels
+const EXPECTED_FCDR = Buffer.concat([
+    hex(`0004
+        AC99E904 0070 0B36 00000800072C6326
+        7204A889 AFD0 11CF A22200A02453444C
+        AC99982E 005D 0D50 0000080007377A34
+        8A4679A1 3720 11D0 922300A0C90868B1`),
+    ascii('Standard Macromedia zlib compression\0Macromedia Sound compression\0Null compression\0Font Map compression\0')
+]);
+
+/**
+ * Reads the Afterburner header back by hand: 7-bit varints, most significant group first.
+ */
+function headerReader(buffer) {
+    let pos = 0;
+    return {
+        get pos() { return pos; },
+        seek(p) { pos = p; },
+        bytes(n) { pos += n; return buffer.slice(pos - n, pos); },
+        varint() {
+            let value = 0, byte;
+            do {
+                byte = buffer[pos++];
+                value = value * 128 + (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        }
+    };
+}
+
+/**
+ * Checks the RIFX header, Fver, Fcdr, ABMP and FGEI of the compressed cast byte for byte, and that
+ * every resource map entry points at the bytes of its source section.
+ */
+async function checkHeader(source, compressed, check) {
+    const imap = source.slice(20, 20 + source.readUInt32BE(16));
+    const r = headerReader(compressed);
+
+    check(r.bytes(12).equals(Buffer.concat([ascii('RIFX'), hex((compressed.length - 8).toString(16).padStart(8, '0')), ascii('FGDC')])),
+        `RIFX header is ${compressed.slice(0, 12).toString('hex')}`);
+
+    // Fver: [varint 0x501][varint imap version][varint Director version][pascal string ''] (both versions are 0 in a packed cast)
+    check(imap.readUInt32BE(8) === 0 && imap.readUInt32BE(12) === 0, `the packed cast's imap versions are not 0`);
+    const fver = r.bytes(10);
+    check(fver.equals(Buffer.concat([ascii('Fver'), hex('05 8A01 00 00 00')])), `Fver is ${fver.toString('hex')}`);
+
+    check(r.bytes(4).equals(ascii('Fcdr')), `Fcdr does not follow Fver`);
+    const fcdr = zlib.inflateSync(r.bytes(r.varint()));
+    check(fcdr.equals(EXPECTED_FCDR), `Fcdr is ${fcdr.toString('hex')}`);
+
+    // ABMP: [varint compression index 0 (zlib)][varint map size], the zlib map
+    check(r.bytes(4).equals(ascii('ABMP')), `ABMP does not follow Fcdr`);
+    const abmpEnd = r.varint() + r.pos;
+    const compType = r.varint();
+    const mapSize = r.varint();
+    const map = zlib.inflateSync(r.bytes(abmpEnd - r.pos));
+    check(compType === 0 && map.length === mapSize, `ABMP declares compression ${compType} and ${mapSize} bytes for a ${map.length}-byte map`);
+
+    // FGEI: [varint ILS id 0], then the data every map offset is relative to
+    check(r.bytes(5).equals(Buffer.concat([ascii('FGEI'), hex('00')])), `FGEI is ${compressed.slice(r.pos - 5, r.pos).toString('hex')}`);
+    const base = r.pos;
+
+    // Map: [varint 0][varint 0][varint count], then [id][offset][compSize][uncompSize][compType][tag] per entry
+    const m = headerReader(map);
+    check(m.varint() === 0 && m.varint() === 0, `the resource map does not start with two zeros`);
+    const entries = [];
+    for (let i = m.varint(); i > 0; i--) {
+        entries.push({ id: m.varint(), offset: m.varint(), compSize: m.varint(), uncompSize: m.varint(), compType: m.varint(), tag: m.bytes(4).toString('ascii') });
+    }
+    check(m.pos === map.length, `${map.length - m.pos} bytes follow the last resource map entry`);
+
+    const ilsEntry = entries[0] || {};
+    check(ilsEntry.id === 2 && ilsEntry.offset === 0 && ilsEntry.compType === 0 && ilsEntry.tag === 'ILS ', `the first map entry is not the zlib ILS at offset 0: ${JSON.stringify(ilsEntry)}`);
+    const ils = zlib.inflateSync(compressed.slice(base, base + ilsEntry.compSize));
+    check(ils.length === ilsEntry.uncompSize, `the ILS inflates to ${ils.length} bytes, the map says ${ilsEntry.uncompSize}`);
+
+    // The ILS body is [varint id][stored bytes] records, each at the offset its map entry gives
+    const walk = headerReader(ils);
+    const preloaded = new Set();
+    while (walk.pos < ils.length) {
+        const id = walk.varint();
+        const entry = entries.find(e => e.id === id);
+        if (!entry || entry.offset !== walk.pos) {
+            check(false, `ILS record ${id} at ${walk.pos} does not match its map entry ${JSON.stringify(entry)}`);
+            break;
+        }
+        preloaded.add(id);
+        walk.seek(walk.pos + entry.compSize);
+    }
+
+    const dirFile = new DirectorFile(source);
+    await dirFile.parse();
+    const sections = dirFile.chunks.filter(c => !['RIFX', 'imap', 'mmap', 'junk', 'free'].includes(c.type) && c.id !== 2);
+    check(entries.length === sections.length + 1, `the map has ${entries.length} entries for ${sections.length} sections plus the ILS`);
+    for (const section of sections) {
+        const entry = entries.find(e => e.id === section.id);
+        const original = source.slice(section.off + 8, section.off + 8 + section.len);
+        if (!entry || entry.tag !== section.type || entry.uncompSize !== original.length) {
+            check(false, `section ${section.id} (${section.type}, ${original.length} bytes) is mapped as ${JSON.stringify(entry)}`);
+            continue;
+        }
+        // Media is streamed after the ILS; everything else is preloaded in it
+        const inIls = !['BITD', 'ALFA', 'snd '].includes(section.type);
+        check(preloaded.has(section.id) === inIls, `section ${section.id} (${section.type}) is ${inIls ? 'not ' : ''}in the ILS`);
+        const stored = inIls ? ils.slice(entry.offset, entry.offset + entry.compSize) : compressed.slice(base + entry.offset, base + entry.offset + entry.compSize);
+        const data = entry.compType === 0 ? zlib.inflateSync(stored) : stored;
+        check(entry.compType !== 2 || entry.compSize === entry.uncompSize, `section ${section.id} is stored uncompressed at ${entry.compSize} of ${entry.uncompSize} bytes`);
+        check([0, 2].includes(entry.compType) && data.equals(original), `section ${section.id} (${section.type}) does not read back as its source bytes`);
+    }
+}
+
+// An Afterburned cast must validate cleanly and extract to the same members as its source
+async function run() {
+    console.log(`🚀 Starting compress -> extract round-trip test`);
+    fs.rmSync(OUTPUT_ROOT, { recursive: true, force: true });
+
+    const failures = [];
+    const check = (ok, message) => { if (!ok) failures.push(message); };
+
+    writeExtraction(path.join(OUTPUT_ROOT, 'src'));
+    const castPath = path.join(OUTPUT_ROOT, 'fixture.cst');
+    const compressedPath = path.join(OUTPUT_ROOT, 'fixture.cct');
+    await new DirectorFileWriter().write(path.join(OUTPUT_ROOT, 'src'), castPath);
+    await new AfterburnerWriter().write(castPath, compressedPath);
+    await checkHeader(fs.readFileSync(castPath), fs.readFileSync(compressedPath), check);
+
+    const validator = new DirectorValidator(compressedPath);
+    const report = await validator.validate();
+    validator.close();
+    check(report.errors === 0 && report.warnings === 0, `validate reported ${report.errors} errors and ${report.warnings} warnings: ${report.issues.map(i => i.code).join(', ')}`);
+
+    // Director stores its font map section under the font map compression, whose map the player supplies
+    const table = Constants.Container.Afterburner.Compression.map(({ guid, label }) => ({ guid: Compression.normalizeGuid(guid), label }));
+    const fontMap = Compression.decode(Buffer.from([0x78, 0x01, 0x02]), { id: 1, type: 'Fmap', compType: table.findIndex(e => e.label === 'Font Map compression') }, table);
+    check(fontMap.error === null && fontMap.data && fontMap.data.length === 0, `a font map compressed section did not read as an empty payload: ${fontMap.error}`);
+
+    const plain = await extract(castPath, path.join(OUTPUT_ROOT, 'x_cst'));
+    const compressed = await extract(compressedPath, path.join(OUTPUT_ROOT, 'x_cct'));
+    check(compressed.length === plain.length, `${compressed.length} members extracted from the .cct, ${plain.length} from the .cst`);
+    for (const member of plain) {
+        const other = compressed.find(m => m.name === member.name);
+        if (!other) {
+            failures.push(`${member.name} is missing from the .cct`);
+            continue;
+        }
+        check(other.typeId === member.typeId && other.num === member.num, `${member.name} came back as type ${other.typeId} in slot ${other.num}, expected type ${member.typeId} in slot ${member.num}`);
+        check(other.checksum === member.checksum, `${member.name} content differs between the .cst and the .cct`);
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${plain.length} members extracted identically from ${path.basename(castPath)} and ${path.basename(compressedPath)}`);
+}
+
+run().catch(err => {
+    console.error(`❌ ${err.stack || err.message}`);
+    process.exit(1);
+});
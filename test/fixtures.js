@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { LingoCompiler, CCTExtractor } = require('../index');
+
+// Type flags plus --lasm, as `mx-rip <file> --bitmap ... --lasm` would pass them
+const EXTRACT_OPTIONS = {
+    bitmap: true,
+    script: true,
+    sound: true,
+    palette: true,
+    shape: true,
+    text: true,
+    field: true,
+    lasm: true
+};
+
+const SCRIPTS = {
+    Utils: 'global gCount\n\non bump n\n  gCount = gCount + n\n  return gCount * 2\nend\n',
+    Obj: 'property pName\n\non new me, aName\n  pName = aName\n  return me\nend\n\non getName me\n  return pName\nend\n'
+};
+
+// Scripts covering the compiler's syntax, for the Lingo round-trip tests
+const LINGO_SAMPLES = {
+    globals: 'global gCount\n\non bump n\n  gCount = gCount + n\n  return gCount\nend\n',
+    handlerGlobals: 'on start\n  global gA, gB\n  gB = gA & "x"\nend\n\non stop\n  global gC\n  put gC\nend\n',
+    floats: 'on half n\n  return 7.0 / 2 + n * 0.5 - 1.25\nend\n',
+    properties: 'property pName, pItems\n\non new me, aName\n  pName = aName\n  pItems = [#a: 1, #b: [1, 2.5, "c"]]\n  return me\nend\n\non getName me\n  return pName\nend\n',
+    control: 'on classify x\n  if x < 0 then\n    return #negative\n  else if x = 0 then\n    return #zero\n  end if\n  case x of\n    1, 2:\n      return #small\n    otherwise\n      return #large\n  end case\nend\n',
+    loops: 'on total aList\n  sum = 0\n  repeat with i = 1 to count(aList)\n    sum = sum + aList[i]\n  end repeat\n  repeat with v in aList\n    if v > 10 then exit repeat\n  end repeat\n  repeat while sum > 100\n    sum = sum - 100\n  end repeat\n  return sum\nend\n',
+    chunks: 'on firstWord s\n  put "!" after s\n  return word 1 of line 1 of s & char 1 to 3 of s\nend\n',
+    void: 'on reset\n  global gState\n  gState = VOID\n  return voidp(gState)\nend\n',
+    play: 'on replay\n  play frame 1\nend\n',
+    starts: 'on prefixed x, y\n  return x starts y\nend\n',
+    notContains: 'on lacks x, y\n  return not (x contains y)\nend\n',
+    quotes: 'on quoted\n  return "say \\"hi\\" \\\\ back\\r"\nend\n'
+};
+
+function png(width, height, pixel) {
+    const image = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b, a = 255] = pixel(x, y);
+            image.data.set([r, g, b, a], (y * width + x) * 4);
+        }
+    }
+    return PNG.sync.write(image);
+}
+
+function wav(samples, sampleRate = 11025) {
+    const out = Buffer.alloc(44 + samples.length);
+    out.write('RIFF', 0);
+    out.writeUInt32LE(36 + samples.length, 4);
+    out.write('WAVEfmt ', 8);
+    out.writeUInt32LE(16, 16);
+    out.writeUInt16LE(1, 20);
+    out.writeUInt16LE(1, 22);
+    out.writeUInt32LE(sampleRate, 24);
+    out.writeUInt32LE(sampleRate, 28);
+    out.writeUInt16LE(1, 32);
+    out.writeUInt16LE(8, 34);
+    out.write('data', 36);
+    out.writeUInt32LE(samples.length, 40);
+    samples.copy(out, 44);
+    return out;
+}
+
+/**
+ * Writes a small extraction directory (members.json plus artifacts) that `pack` accepts:
+ * a movie and a parent script with .lasm listings, a 32-bit and an 8-bit bitmap,
+ * an 8-bit sound and a field.
+ */
+function writeExtraction(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const compiler = new LingoCompiler();
+    for (const [name, source] of Object.entries(SCRIPTS)) {
+        fs.writeFileSync(path.join(dir, `${name}.ls`), source);
+        fs.writeFileSync(path.join(dir, `${name}.lasm`), compiler.toListing(source));
+    }
+    fs.writeFileSync(path.join(dir, 'pic.png'), png(8, 6, (x, y) => [x * 30, y * 40, 100]));
+    fs.writeFileSync(path.join(dir, 'pic8.png'), png(4, 4, (x, y) => (x + y) % 2 ? [255, 255, 255] : [0, 0, 0]));
+    fs.writeFileSync(path.join(dir, 'beep.wav'), wav(Buffer.from(Array.from({ length: 64 }, (_, i) => 128 + Math.round(100 * Math.sin(i / 4))))));
+    fs.writeFileSync(path.join(dir, 'hello.txt'), 'Hello\nworld');
+
+    const members = [
+        { id: 1, num: 1, name: 'Utils', typeId: 11, type: 'Script', scriptType: 'movie', scriptFile: 'Utils.ls' },
+        { id: 2, num: 2, name: 'Obj', typeId: 11, type: 'Script', scriptType: 'parent', scriptFile: 'Obj.ls' },
+        { id: 3, num: 3, name: 'pic', typeId: 1, type: 'Bitmap', image: 'pic.png', bitDepth: 32 },
+        { id: 4, num: 4, name: 'pic8', typeId: 1, type: 'Bitmap', image: 'pic8.png', bitDepth: 8, paletteId: -1 },
+        { id: 5, num: 5, name: 'beep', typeId: 6, type: 'Sound', soundFile: 'beep.wav' },
+        { id: 6, num: 6, name: 'hello', typeId: 13, type: 'Field', textFile: 'hello.txt' }
+    ];
+    fs.writeFileSync(path.join(dir, 'members.json'), JSON.stringify({ members }, null, 2));
+    return members;
+}
+
+/**
+ * Extracts a cast with every member type and .lasm listings.
+ * @returns {Promise<object[]>} The members of the resulting members.json
+ */
+async function extract(file, outDir) {
+    const extractor = new CCTExtractor(file, outDir, { ...EXTRACT_OPTIONS });
+    extractor.log = () => { };
+    await extractor.extract();
+    return JSON.parse(fs.readFileSync(path.join(outDir, 'members.json'), 'utf8')).members;
+}
+
+module.exports = { writeExtraction, extract, SCRIPTS, LINGO_SAMPLES };
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { DirectorFile, DirectorFileWriter, DirectorReader, LingoCompiler, LingoDecompiler, Constants } = require('../index');
+const { writeExtraction, extract, SCRIPTS } = require('./fixtures');
+
+const OUTPUT_ROOT = path.resolve(__dirname, 'output', 'name_binding');
+
+/**
+ * Copies a cast with its LctX no longer naming an Lnam, so scripts fall back to the nearest one.
+ */
+async function unbindScriptContext(source) {
+    const dirFile = new DirectorFile(source);
+    await dirFile.parse();
+    const lctx = dirFile.chunks.find(c => DirectorFile.unprotect(c.type) === Constants.Magic.LCTX);
+    if (!lctx) throw new Error('the packed cast has no LctX');
+    const copy = Buffer.from(source);
+    copy.writeInt32BE(-1, lctx.off + 8 + Constants.Container.Lctx.LnamSection);
+    return copy;
+}
+
+// Scripts bind their names through LctX, fall back to a calibrated stand-in without it, and say which in members.json
+async function run() {
+    console.log(`🚀 Starting Lingo name binding test`);
+    fs.rmSync(OUTPUT_ROOT, { recursive: true, force: true });
+
+    const failures = [];
+    const check = (ok, message) => { if (!ok) failures.push(message); };
+
+    writeExtraction(path.join(OUTPUT_ROOT, 'src'));
+    const boundPath = path.join(OUTPUT_ROOT, 'bound.cst');
+    const unboundPath = path.join(OUTPUT_ROOT, 'unbound.cst');
+    const { buffer } = await new DirectorFileWriter().write(path.join(OUTPUT_ROOT, 'src'), boundPath);
+    fs.writeFileSync(unboundPath, await unbindScriptContext(buffer));
+
+    const bound = await extract(boundPath, path.join(OUTPUT_ROOT, 'x_bound'));
+    const unbound = await extract(unboundPath, path.join(OUTPUT_ROOT, 'x_unbound'));
+    const source = (dir, member) => fs.readFileSync(path.join(OUTPUT_ROOT, dir, member.scriptFile), 'utf8');
+
+    for (const name of Object.keys(SCRIPTS)) {
+        const a = bound.find(m => m.name === name);
+        const b = unbound.find(m => m.name === name);
+        if (!a || !b || !a.scriptFile || !b.scriptFile) {
+            failures.push(`${name} was not decompiled from both casts`);
+            continue;
+        }
+        check(a.nameBinding === 'lctx', `${name} is recorded as ${a.nameBinding} in members.json, expected lctx`);
+        check(b.nameBinding === 'heuristic', `${name} without an LctX link is recorded as ${b.nameBinding}, expected heuristic`);
+        // The cast's only Lnam is the right one, so the fallback must find the same names
+        check(source('x_unbound', b) === source('x_bound', a), `${name} decompiled differently through the fallback:\n${source('x_unbound', b)}`);
+    }
+
+    const reader = await new DirectorReader().open(unboundPath);
+    const decoded = await reader.decode(bound.find(m => m.name === 'Obj').id);
+    reader.close();
+    check(decoded.nameBinding === 'heuristic', `DirectorReader.decode() reports ${decoded.nameBinding}, expected heuristic`);
+
+    // A stand-in table whose ids are shifted: calibrate must find the shift from the 'new' handler
+    const { lscr, names } = new LingoCompiler().compile(SCRIPTS.Obj);
+    const shifted = names.slice(2).concat(names.slice(0, 2));
+    const decompiler = new LingoDecompiler();
+    const parent = Constants.LingoConfig.SCRIPT_TYPE.PARENT;
+    const expected = decompiler.decompile(lscr, names, parent);
+    check(decompiler.decompile(lscr, shifted, parent) !== expected, `the shifted table decompiled correctly without calibration, so it tests nothing`);
+    const calibrated = decompiler.decompile(lscr, shifted, parent, 0, { calibrate: true });
+    check(calibrated === expected, `calibrate did not recover the names:\n${calibrated}`);
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${Object.keys(SCRIPTS).length} scripts bound through LctX and through the calibrated fallback`);
+}
+
+run().catch(err => {
+    console.error(`❌ ${err.stack || err.message}`);
+    process.exit(1);
+});
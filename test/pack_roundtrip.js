@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { DirectorFileWriter } = require('../index');
+const { writeExtraction, extract } = require('./fixtures');
+
+const OUTPUT_ROOT = path.resolve(__dirname, 'output', 'pack_roundtrip');
+
+// pack -> extract -> pack -> extract must be stable: same members, same slots, same bytes
+async function run() {
+    console.log(`🚀 Starting pack -> extract round-trip test`);
+    fs.rmSync(OUTPUT_ROOT, { recursive: true, force: true });
+
+    const failures = [];
+    const check = (ok, message) => { if (!ok) failures.push(message); };
+    const summary = members => members
+        .map(m => `${m.id}:${m.num}:${m.name}:${m.type}`)
+        .sort()
+        .join(', ');
+
+    const source = writeExtraction(path.join(OUTPUT_ROOT, 'src'));
+    const writer = new DirectorFileWriter();
+    const pack = async (dir, file) => (await writer.write(path.join(OUTPUT_ROOT, dir), path.join(OUTPUT_ROOT, file))).buffer;
+
+    const a = await pack('src', 'a.cst');
+    const first = await extract(path.join(OUTPUT_ROOT, 'a.cst'), path.join(OUTPUT_ROOT, 'x1'));
+    const b = await pack('x1', 'b.cst');
+    const second = await extract(path.join(OUTPUT_ROOT, 'b.cst'), path.join(OUTPUT_ROOT, 'x2'));
+    const c = await pack('x2', 'c.cst');
+
+    check(first.length === source.length, `first extraction has ${first.length} members, expected ${source.length}: ${summary(first)}`);
+    for (const member of source) {
+        const found = first.find(m => m.name === member.name);
+        check(found && found.num === member.num && found.typeId === member.typeId, `${member.name} did not come back in slot ${member.num} as type ${member.typeId}`);
+        check(!found || member.typeId !== 11 || found.scriptFile, `${member.name} has no decompiled script`);
+    }
+    check(summary(first) === summary(second), `members changed between extractions:\n  ${summary(first)}\n  ${summary(second)}`);
+    for (const member of first) {
+        const again = second.find(m => m.id === member.id);
+        check(again && again.checksum === member.checksum, `${member.name} content changed between extractions`);
+    }
+    check(a.equals(b), 'packing the first extraction did not reproduce the source cast byte for byte');
+    check(b.equals(c), 'packing the second extraction did not reproduce the first rebuild byte for byte');
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${first.length} members round-tripped; rebuilds are identical (${c.length} bytes)`);
+}
+
+run().catch(err => {
+    console.error(`❌ ${err.stack || err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { LingoCompiler, LingoDecompiler, LingoTranspiler, LingoVM } = require('../index');
+const { toJS } = require('../src/lingo/LingoValue');
+const { LINGO_SAMPLES } = require('./fixtures');
+
+const OUTPUT_ROOT = path.resolve(__dirname, 'output', 'transpile');
+
+// Equality and division, where JavaScript's operators differ from Lingo's
+const SAMPLES = {
+    ...LINGO_SAMPLES,
+    arithmetic: 'on isZero x\n  return x = 0\nend\n\non differs a, b\n  return a <> b\nend\n\non divide a, b\n  return a / b\nend\n\non halve n\n  return n / 2.0\nend\n'
+};
+
+// Transpiles the sample scripts, runs them on LingoRuntime and checks they return what LingoVM does
+async function run() {
+    console.log(`🚀 Starting transpiled Lingo runtime test`);
+    fs.rmSync(OUTPUT_ROOT, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_ROOT, { recursive: true });
+
+    const output = [];
+    const vm = new LingoVM(null, { output: text => output.push(['vm', text]), maxSteps: 100000 });
+    fs.writeFileSync(path.join(OUTPUT_ROOT, 'package.json'), JSON.stringify({ type: 'module' }));
+    fs.writeFileSync(path.join(OUTPUT_ROOT, 'lingo-runtime.js'), [
+        `import mx from ${JSON.stringify(pathToFileURL(path.resolve(__dirname, '..', 'index.js')).href)};`,
+        `export default new mx.LingoRuntime(null, { output: text => globalThis.transpiledOutput(text) });`,
+        ''
+    ].join('\n'));
+    globalThis.transpiledOutput = text => output.push(['js', text]);
+
+    const modules = {};
+    for (const [name, source] of Object.entries(SAMPLES)) {
+        const { lscr, names } = new LingoCompiler().compile(source);
+        vm.loadScript(lscr, names, { name });
+        const { ast } = new LingoDecompiler().decompile(lscr, names, 0, 0, { ast: true });
+        fs.writeFileSync(path.join(OUTPUT_ROOT, `${name}.js`), new LingoTranspiler().transpile(ast, { name }));
+        modules[name] = await import(pathToFileURL(path.join(OUTPUT_ROOT, `${name}.js`)).href);
+    }
+    const lingo = (await import(pathToFileURL(path.join(OUTPUT_ROOT, 'lingo-runtime.js')).href)).default;
+    for (const [name, module] of Object.entries(modules)) lingo.define(name, module.default || module);
+
+    const js = (handler, ...args) => lingo.callHandler(handler, ...args);
+    const both = (handler, ...args) => [() => vm.call(handler, ...args), () => js(handler, ...args)];
+    const last = side => () => output.filter(([from]) => from === side).slice(-1)[0][1];
+
+    for (const [name, value] of [['gCount', 1], ['gA', 'a'], ['gC', 'shown']]) {
+        vm.setGlobal(name, value);
+        lingo.globals[name] = value;
+    }
+    const obj = vm.newObject('properties', 'box');
+    const instance = lingo.new('properties', 'box');
+
+    // [label, LingoVM, transpiled, expected]
+    const cases = [
+        ['bump', ...both('bump', 2), 3],
+        ['gCount after bump', () => vm.getGlobal('gCount'), () => lingo.globals.gCount, 3],
+        ['start sets gB', () => { vm.call('start'); return vm.getGlobal('gB'); }, () => { js('start'); return lingo.globals.gb; }, 'ax'],
+        ['stop puts gC', () => { vm.call('stop'); return last('vm')(); }, () => { js('stop'); return last('js')(); }, '"shown"'],
+        ['half keeps floats', () => vm.format(vm.call('half', 2)), () => lingo.vm.format(js('half', 2)), '3.2500'],
+        ['getName', () => vm.callMethod(obj, 'getName'), () => lingo.callMethod(instance, 'getName'), 'box'],
+        ['pItems', () => toJS(vm.getProperty(obj, 'pItems')), () => toJS(instance.pItems), { a: 1, b: [1, 2.5, 'c'] }],
+        ['classify -3', ...both('classify', -3), '#negative'],
+        ['classify 0', ...both('classify', 0), '#zero'],
+        ['classify 2', ...both('classify', 2), '#small'],
+        ['classify 9', ...both('classify', 9), '#large'],
+        ['total', () => vm.call('total', [150, 40, 20, 5]), () => js('total', lingo.list(150, 40, 20, 5)), 15],
+        ['firstWord', ...both('firstWord', 'hello there\rnext'), 'hellohel'],
+        ['reset', ...both('reset'), 1],
+        ['VOID = 0', ...both('isZero'), 1],
+        ['"" = 0', ...both('isZero', ''), 0],
+        ['"0" = 0', ...both('isZero', '0'), 1],
+        ['"a" <> "A"', ...both('differs', 'a', 'A'), 0],
+        ['7 / 2', ...both('divide', 7, 2), 3],
+        ['-7 / 2', ...both('divide', -7, 2), -3],
+        ['7 / 2.0', () => vm.format(vm.call('halve', 7)), () => lingo.vm.format(js('halve', 7)), '3.5000']
+    ];
+
+    const failures = [];
+    for (const [label, fromVM, fromJS, expected] of cases) {
+        for (const [side, fn] of [['LingoVM', fromVM], ['transpiled', fromJS]]) {
+            try {
+                // `<>` and `<` transpile to JavaScript operators, which give booleans
+                let actual = fn();
+                if (typeof actual === 'boolean') actual = actual ? 1 : 0;
+                if (actual && typeof actual === 'object' && !(expected && typeof expected === 'object')) actual = vm.format(actual);
+                if (JSON.stringify(toJS(actual)) !== JSON.stringify(expected)) {
+                    failures.push(`${label} (${side}): expected ${JSON.stringify(expected)}, got ${JSON.stringify(toJS(actual))}`);
+                }
+            } catch (e) {
+                failures.push(`${label} (${side}): ${e.message}`);
+            }
+        }
+    }
+
+    try {
+        js('noSuchHandler');
+        failures.push('calling an undefined handler did not throw');
+    } catch (e) {
+        if (!/noSuchHandler/i.test(e.message)) failures.push(`undefined handler error does not name it: ${e.message}`);
+    }
+    try {
+        js('divide', 1, 0);
+        failures.push('dividing by zero did not throw');
+    } catch (e) {
+        if (!/zero/i.test(e.message)) failures.push(`division by zero error: ${e.message}`);
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${cases.length} transpiled handlers returned what LingoVM does`);
+}
+
+run().catch(err => {
+    console.error(`❌ ${err.stack || err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,73 @@
+const { LingoCompiler, LingoVM } = require('../index');
+const { toJS } = require('../src/lingo/LingoValue');
+const { LINGO_SAMPLES } = require('./fixtures');
+
+// Runs the sample scripts in LingoVM and checks what their handlers return
+function run() {
+    console.log(`🚀 Starting Lingo VM handler test`);
+    const failures = [];
+    const output = [];
+
+    const vm = new LingoVM(null, { output: text => output.push(text), maxSteps: 100000 });
+    for (const [name, source] of Object.entries(LINGO_SAMPLES)) {
+        const { lscr, names } = new LingoCompiler().compile(source);
+        vm.loadScript(lscr, names, { name });
+    }
+    vm.setGlobal('gCount', 1);
+    vm.setGlobal('gA', 'a');
+    vm.setGlobal('gC', 'shown');
+
+    const obj = vm.newObject('properties', 'box');
+    const cases = [
+        ['bump', () => vm.call('bump', 2), 3],
+        ['gCount after bump', () => vm.getGlobal('gCount'), 3],
+        ['start sets gB', () => { vm.call('start'); return vm.getGlobal('gB'); }, 'ax'],
+        ['stop puts gC', () => { vm.call('stop'); return output.slice(-1)[0]; }, '"shown"'],
+        ['half keeps floats', () => vm.format(vm.call('half', 2)), '3.2500'],
+        ['getName', () => vm.callMethod(obj, 'getName'), 'box'],
+        ['pItems', () => toJS(vm.getProperty(obj, 'pItems')), { a: 1, b: [1, 2.5, 'c'] }],
+        ['classify -3', () => vm.call('classify', -3), '#negative'],
+        ['classify 0', () => vm.call('classify', 0), '#zero'],
+        ['classify 2', () => vm.call('classify', 2), '#small'],
+        ['classify 9', () => vm.call('classify', 9), '#large'],
+        ['total', () => vm.call('total', [150, 40, 20, 5]), 15],
+        ['firstWord', () => vm.call('firstWord', 'hello there\rnext'), 'hellohel'],
+        ['reset', () => vm.call('reset'), 1]
+    ];
+
+    for (const [label, fn, expected] of cases) {
+        try {
+            let actual = fn();
+            if (actual && typeof actual === 'object' && !(expected && typeof expected === 'object')) actual = vm.format(actual);
+            if (JSON.stringify(toJS(actual)) !== JSON.stringify(expected)) {
+                failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(toJS(actual))}`);
+            }
+        } catch (e) {
+            failures.push(`${label}: ${e.message}`);
+        }
+    }
+
+    try {
+        vm.call('noSuchHandler');
+        failures.push('calling an undefined handler did not throw');
+    } catch (e) {
+        if (!/noSuchHandler/i.test(e.message)) failures.push(`undefined handler error does not name it: ${e.message}`);
+    }
+
+    const spin = new LingoCompiler().compile('on spin\n  repeat while TRUE\n  end repeat\nend\n');
+    vm.loadScript(spin.lscr, spin.names, { name: 'spin' });
+    try {
+        vm.call('spin');
+        failures.push('an endless loop did not stop at maxSteps');
+    } catch (e) {
+        if (!/spin/.test(e.message)) failures.push(`maxSteps error does not name the handler: ${e.message}`);
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ ${cases.length + 2} handler checks passed`);
+}
+
+run();
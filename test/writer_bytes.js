@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { DirectorFile, DirectorFileWriter, DirectorReader } = require('../index');
+const TextExtractor = require('../src/member/TextExtractor');
+const SoundExtractor = require('../src/member/SoundExtractor');
+
+const OUTPUT_ROOT = path.resolve(__dirname, 'output', 'writer_bytes');
+// Real casts to check the writer against; the same Habbo install habbo_decompile.js reads
+const SAMPLE_DIR = process.env.MX_SAMPLE_DIR || '/Users/lukasharing/Library/Application Support/Habbo Launcher/downloads/shockwave/262/Habbo.app/Contents/SharedSupport/prefix/drive_c/Program Files (x86)/Habbo Hotel';
+const MAX_SAMPLE_FILES = 20;
+
+const hex = text => Buffer.from(text.replace(/\s+/g, ''), 'hex');
+// getChunksByType() trims the tag, so 'snd ' is matched on the section list instead
+const sectionsOf = (dirFile, tag) => dirFile.chunks.filter(c => DirectorFile.unprotect(c.type || '').toUpperCase() === tag.toUpperCase());
+
+// STXT [4: header size][4: text length][4: style length], Latin-1 text with CR line ends,
+// then [2: run count] and one 20-byte run (DirectorFileWriter's default: 12 pt, line height 15)
+const EXPECTED_STXT = hex(`
+    0000000C 00000007 00000016
+    436166E9 0D6F6B
+    0001 00000000 000F 000C 0000 00 00 000C 0000 0000 0000`);
+
+// Format 1 'snd ' (Inside Macintosh: Sound): format 1, one data format (sampled synth 5,
+// initMono 0x80 / initStereo 0xC0), one bufferCmd (0x8051) whose param2 is the header offset 20
+const EXPECTED_SND_8BIT = hex(`
+    0001 0001 0005 00000080 0001 8051 0000 00000014
+    00000000 00000004 56220000 00000000 00000000 00 3C
+    80FF007F`);
+const EXPECTED_SND_16BIT = hex(`
+    0001 0001 0005 000000C0 0001 8051 0000 00000014
+    00000000 00000002 AC440000 00000000 00000000 FF 3C
+    00000001 400EAC44000000000000 00000000 00000000 00000000 0010 0000000000000000000000000000
+    0201 0403`);
+
+function wav(samples, { sampleRate, channels = 1, bitDepth = 8 }) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + samples.length, 4);
+    header.write('WAVEfmt ', 8);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * bitDepth / 8, 28);
+    header.writeUInt16LE(channels * bitDepth / 8, 32);
+    header.writeUInt16LE(bitDepth, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(samples.length, 40);
+    return Buffer.concat([header, samples]);
+}
+
+/**
+ * Packs members.json plus files into a cast and returns its STXT and snd sections in member order.
+ */
+async function pack(dir, members, files) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [name, data] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), data);
+    fs.writeFileSync(path.join(dir, 'members.json'), JSON.stringify({ members }));
+
+    const errors = [];
+    const { buffer } = await new DirectorFileWriter((lvl, msg) => { if (lvl === 'ERROR') errors.push(msg); }).build(dir);
+    const reader = await new DirectorReader().open(buffer, 'packed.cst');
+    const read = async tag => Promise.all(sectionsOf(reader.dirFile, tag).map(chunk => reader.dirFile.getChunkData(chunk)));
+    const sections = { stxt: await read('STXT'), snd: await read('snd '), errors };
+    reader.close();
+    return sections;
+}
+
+/**
+ * The fields of a format 1 'snd ' the writer sets from the WAV: synth, rate, encoding and samples.
+ */
+function sndFields(data) {
+    if (data.readUInt16BE(0) !== 1 || data.readUInt16BE(2) !== 1) return null;
+    const header = data.readUInt32BE(16);
+    const encode = data[header + 20];
+    if (encode !== 0x00) return null;
+    return {
+        synth: data.readUInt16BE(4),
+        rate: data.readUInt16BE(header + 8),
+        encode,
+        samples: data.slice(header + 22, header + 22 + data.readUInt32BE(header + 4)).toString('hex')
+    };
+}
+
+/**
+ * Extracts the texts and 8-bit mono sounds of real casts, packs them again and compares the
+ * bytes the writer produced with the bytes Director wrote.
+ */
+async function checkRealCasts(failures) {
+    if (!fs.existsSync(SAMPLE_DIR)) {
+        console.log(`⏭️  No sample casts at ${SAMPLE_DIR} (set MX_SAMPLE_DIR); real-cast byte check skipped`);
+        return;
+    }
+    const files = fs.readdirSync(SAMPLE_DIR).filter(f => /\.(cct|cst)$/i.test(f)).sort().slice(0, MAX_SAMPLE_FILES);
+    const textExtractor = new TextExtractor();
+    const soundExtractor = new SoundExtractor();
+    let texts = 0, sounds = 0;
+
+    for (const file of files) {
+        const reader = await new DirectorReader().open(fs.readFileSync(path.join(SAMPLE_DIR, file)), file);
+        const original = { stxt: [], snd: [] };
+        for (const chunk of sectionsOf(reader.dirFile, 'STXT')) {
+            const data = await reader.dirFile.getChunkData(chunk);
+            const styled = data ? textExtractor.parseStyledText(data) : null;
+            // Only text pack can reproduce: no LF or NUL, nothing trimmed away
+            const text = styled ? styled.text.toString('latin1') : '';
+            if (text && !/[\n\0]/.test(text) && text.trim() === text) original.stxt.push(styled.text);
+        }
+        for (const chunk of sectionsOf(reader.dirFile, 'snd ')) {
+            const data = await reader.dirFile.getChunkData(chunk);
+            const fields = data ? sndFields(data) : null;
+            if (fields) original.snd.push({ data, fields });
+        }
+        reader.close();
+        if (original.stxt.length === 0 && original.snd.length === 0) continue;
+
+        const members = [], artifacts = {};
+        original.stxt.forEach((text, i) => {
+            artifacts[`t${i}.txt`] = text.toString('latin1').replace(/\r/g, '\n');
+            members.push({ id: members.length + 1, num: members.length + 1, name: `t${i}`, typeId: 13, type: 'Field', textFile: `t${i}.txt` });
+        });
+        original.snd.forEach(({ data }, i) => {
+            artifacts[`s${i}.wav`] = soundExtractor.convert(data).data;
+            members.push({ id: members.length + 1, num: members.length + 1, name: `s${i}`, typeId: 6, type: 'Sound', soundFile: `s${i}.wav` });
+        });
+        const packed = await pack(path.join(OUTPUT_ROOT, 'real', path.parse(file).name), members, artifacts);
+
+        original.stxt.forEach((text, i) => {
+            const body = packed.stxt[i] ? textExtractor.parseStyledText(packed.stxt[i]).text : null;
+            if (!body || !body.equals(text)) failures.push(`${file}: text ${i} was packed as ${body ? body.toString('hex') : 'nothing'}, Director wrote ${text.toString('hex')}`);
+            texts++;
+        });
+        original.snd.forEach(({ fields }, i) => {
+            const again = packed.snd[i] ? sndFields(packed.snd[i]) : null;
+            if (JSON.stringify(again) !== JSON.stringify(fields)) failures.push(`${file}: sound ${i} header or samples differ from Director's`);
+            sounds++;
+        });
+    }
+    console.log(`🔎 Compared ${texts} texts and ${sounds} sounds from ${files.length} sample casts`);
+}
+
+// The STXT and snd sections DirectorFileWriter writes, byte for byte
+async function run() {
+    console.log(`🚀 Starting cast writer byte test`);
+    fs.rmSync(OUTPUT_ROOT, { recursive: true, force: true });
+    const failures = [];
+    const check = (ok, message) => { if (!ok) failures.push(message); };
+
+    const packed = await pack(path.join(OUTPUT_ROOT, 'fixture'), [
+        { id: 1, num: 1, name: 'cafe', typeId: 13, type: 'Field', textFile: 'cafe.txt' },
+        { id: 2, num: 2, name: 'mono', typeId: 6, type: 'Sound', soundFile: 'mono.wav' },
+        { id: 3, num: 3, name: 'stereo', typeId: 6, type: 'Sound', soundFile: 'stereo.wav' },
+        { id: 4, num: 4, name: 'fast', typeId: 6, type: 'Sound', soundFile: 'fast.wav' },
+        { id: 5, num: 5, name: 'euro', typeId: 13, type: 'Field', textFile: 'euro.txt' }
+    ], {
+        'cafe.txt': 'Café\nok',
+        'mono.wav': wav(hex('80FF007F'), { sampleRate: 22050 }),
+        'stereo.wav': wav(hex('01020304'), { sampleRate: 44100, channels: 2, bitDepth: 16 }),
+        'fast.wav': wav(hex('8080'), { sampleRate: 96000 }),
+        'euro.txt': '10 €'
+    });
+
+    const show = buf => (buf ? buf.toString('hex') : 'nothing');
+    check(packed.stxt.length === 1 && packed.stxt[0].equals(EXPECTED_STXT), `STXT is ${show(packed.stxt[0])}, expected ${show(EXPECTED_STXT)}`);
+    check(packed.snd.length === 2, `${packed.snd.length} snd sections were written, expected 2 (the 96 kHz sound must be rejected)`);
+    check(packed.snd[0] && packed.snd[0].equals(EXPECTED_SND_8BIT), `8-bit snd is ${show(packed.snd[0])}, expected ${show(EXPECTED_SND_8BIT)}`);
+    check(packed.snd[1] && packed.snd[1].equals(EXPECTED_SND_16BIT), `16-bit snd is ${show(packed.snd[1])}, expected ${show(EXPECTED_SND_16BIT)}`);
+    check(packed.errors.some(e => /fast/.test(e) && /65535/.test(e)), `the 96 kHz sound was not reported: ${packed.errors.join('; ')}`);
+    check(packed.errors.some(e => /euro/.test(e) && /€/.test(e)), `the text outside Latin-1 was not reported: ${packed.errors.join('; ')}`);
+
+    // The extractor reads back what was written
+    const wavOut = new SoundExtractor().convert(packed.snd[1] || Buffer.alloc(0));
+    check(wavOut.sampleRate === 44100 && wavOut.numChannels === 2 && wavOut.sampleSize === 16 && wavOut.data.slice(44).equals(hex('01020304')),
+        `16-bit snd extracted as ${wavOut.sampleRate} Hz, ${wavOut.numChannels} channels, ${wavOut.sampleSize} bits: ${show(wavOut.data.slice(44))}`);
+    const text = new TextExtractor().extract(packed.stxt[0] || Buffer.alloc(0), { useRaw: true });
+    check(text.replace(/\r\n?/g, '\n') === 'Café\nok', `STXT extracted as ${JSON.stringify(text)}`);
+
+    await checkRealCasts(failures);
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`❌ ${f}`));
+        process.exit(1);
+    }
+    console.log(`✅ STXT and snd sections match their expected bytes`);
+}
+
+run().catch(err => {
+    console.error(`❌ ${err.stack || err.message}`);
+    process.exit(1);
+});